@@ -7,6 +7,7 @@ import Sidebar from './components/layout/Sidebar';
 import MainPanel from './components/layout/MainPanel';
 import DetailPanel from './components/layout/DetailPanel';
 import TerminalColumn from './components/terminal/TerminalColumn';
+import IntegrityWarning from './components/projects/IntegrityWarning';
 
 function TaskProviderWithProject({ children }) {
   const { activeProjectId, loading: projectsLoading } = useProjects();
@@ -72,6 +73,7 @@ function AppContent() {
       <MainPanel />
       {selectedItemId && <DetailPanel />}
       {hasActiveTerminals && <TerminalColumn />}
+      <IntegrityWarning />
     </div>
   );
 }
@@ -0,0 +1,47 @@
+import { memo, useState } from 'react';
+import { useTaskData } from '../../context/TaskProvider';
+import { fieldLabel, formatValue, isTextChange } from '../../utils/activity';
+
+// A long text change: "edited", with the old and new text on demand
+function TextChange({ label, change }) {
+  const [expanded, setExpanded] = useState(false);
+  return (
+    <li>
+      <span className="activity-field">{label}</span> edited
+      <button className="activity-toggle" onClick={() => setExpanded(!expanded)}>
+        {expanded ? 'hide' : 'show'}
+      </button>
+      {expanded && (
+        <div className="activity-text-diff">
+          <pre className="activity-text-from">{change.from || '(empty)'}</pre>
+          <pre className="activity-text-to">{change.to || '(empty)'}</pre>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// The field changes of one activity entry: "Priority: Medium → High"
+function ActivityChanges({ entry }) {
+  const { data } = useTaskData();
+  if (!entry.changes?.length) return null;
+
+  return (
+    <ul className="activity-changes">
+      {entry.changes.map(change => {
+        const label = fieldLabel(data, entry, change.field);
+        if (isTextChange(change)) {
+          return <TextChange key={change.field} label={label} change={change} />;
+        }
+        return (
+          <li key={change.field}>
+            <span className="activity-field">{label}</span>{' '}
+            {formatValue(data, entry, change.field, change.from)} → {formatValue(data, entry, change.field, change.to)}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default memo(ActivityChanges);
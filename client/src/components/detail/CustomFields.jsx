@@ -0,0 +1,69 @@
+import { memo, useCallback } from 'react';
+
+const ExternalLinkIcon = () => (
+  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6M15 3h6v6M10 14L21 3" />
+  </svg>
+);
+
+// Text, number and URL inputs save on blur or Enter; the key resets them when the value changes elsewhere
+function TypedInput({ field, value, onChange }) {
+  const commit = useCallback((e) => {
+    const text = e.target.value.trim();
+    const next = text === '' ? null : field.type === 'number' ? Number(text) : text;
+    if (next !== (value ?? null)) onChange(field.id, next);
+  }, [field, value, onChange]);
+
+  return (
+    <input
+      key={String(value ?? '')}
+      type={field.type === 'number' ? 'number' : field.type === 'url' ? 'url' : 'text'}
+      className="input"
+      defaultValue={value ?? ''}
+      onBlur={commit}
+      onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+      placeholder={field.type === 'url' ? 'https://' : ''}
+    />
+  );
+}
+
+function FieldInput({ field, value, onChange }) {
+  if (field.type === 'select') {
+    // A value the options no longer list is still shown until it's changed
+    const options = value && !field.options.includes(value) ? [...field.options, value] : field.options;
+    return (
+      <select className="form-select" value={value ?? ''} onChange={e => onChange(field.id, e.target.value || null)}>
+        <option value="">—</option>
+        {options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+  }
+  if (field.type === 'date') {
+    return (
+      <input type="date" className="input" value={value ?? ''} onChange={e => onChange(field.id, e.target.value || null)} />
+    );
+  }
+  return <TypedInput field={field} value={value} onChange={onChange} />;
+}
+
+function CustomFields({ fields, values, onChange }) {
+  return (
+    <div className="custom-fields">
+      {fields.map(field => (
+        <div key={field.id} className="custom-field">
+          <label className="custom-field-label" title={field.id}>{field.label}</label>
+          <div className="custom-field-input">
+            <FieldInput field={field} value={values?.[field.id]} onChange={onChange} />
+            {field.type === 'url' && values?.[field.id] && (
+              <a className="btn btn-icon btn-ghost btn-xs" href={values[field.id]} target="_blank" rel="noopener noreferrer" title="Open link">
+                <ExternalLinkIcon />
+              </a>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default memo(CustomFields);
@@ -0,0 +1,188 @@
+import { memo, useState, useCallback } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import { formatDateTime, getRelativeTime } from '../../utils/dateFormat';
+
+const AUTHOR_LABELS = { user: 'You', agent: 'Agent' };
+
+// Comment text box; Ctrl/Cmd+Enter submits, Escape cancels
+function CommentForm({ initialBody = '', placeholder, submitLabel, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initialBody);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async () => {
+    if (!body.trim() || busy) return;
+    setBusy(true);
+    const done = await onSubmit(body.trim());
+    setBusy(false);
+    if (done && !onCancel) setBody('');
+  };
+
+  return (
+    <div className="comment-form">
+      <textarea
+        className="input comment-input"
+        rows={3}
+        value={body}
+        onChange={e => setBody(e.target.value)}
+        onKeyDown={e => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit();
+          if (e.key === 'Escape' && onCancel) onCancel();
+        }}
+        placeholder={placeholder}
+        autoFocus={Boolean(onCancel)}
+      />
+      <div className="comment-form-actions">
+        {onCancel && (
+          <button className="btn btn-ghost btn-sm" onClick={onCancel} disabled={busy}>Cancel</button>
+        )}
+        <button className="btn btn-secondary btn-sm" onClick={submit} disabled={busy || !body.trim()}>
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Comment({ comment, onReply, onEdit, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  if (comment.deletedAt) {
+    return <div className="comment comment-deleted">Comment deleted</div>;
+  }
+
+  return (
+    <div className="comment">
+      <div className="comment-header">
+        <span className={`comment-author ${comment.author}`}>{AUTHOR_LABELS[comment.author] || comment.author}</span>
+        <span className="comment-time" title={formatDateTime(comment.createdAt)}>{getRelativeTime(comment.createdAt)}</span>
+        {comment.editedAt && (
+          <button
+            className="comment-edited"
+            onClick={() => setShowHistory(!showHistory)}
+            title={`Edited ${formatDateTime(comment.editedAt)}`}
+          >
+            edited{comment.history?.length > 1 ? ` ${comment.history.length}×` : ''}
+          </button>
+        )}
+        {!isEditing && (
+          <span className="comment-actions">
+            {onReply && <button className="btn btn-ghost btn-sm" onClick={onReply}>Reply</button>}
+            <button className="btn btn-ghost btn-sm" onClick={() => setIsEditing(true)}>Edit</button>
+            <button className="btn btn-ghost btn-sm" onClick={() => onDelete(comment)}>Delete</button>
+          </span>
+        )}
+      </div>
+
+      {isEditing ? (
+        <CommentForm
+          initialBody={comment.body}
+          submitLabel="Save"
+          onSubmit={async (body) => {
+            const saved = await onEdit(comment, body);
+            if (saved) setIsEditing(false);
+            return saved;
+          }}
+          onCancel={() => setIsEditing(false)}
+        />
+      ) : (
+        <div className="comment-body markdown-preview">
+          <ReactMarkdown remarkPlugins={[remarkGfm]}>{comment.body}</ReactMarkdown>
+        </div>
+      )}
+
+      {/* Earlier versions, newest first */}
+      {showHistory && (
+        <div className="comment-history">
+          {[...(comment.history || [])].reverse().map((version, index) => (
+            <div key={index} className="comment-history-entry">
+              <div className="comment-time">{formatDateTime(version.writtenAt)}</div>
+              <div className="comment-body markdown-preview">
+                <ReactMarkdown remarkPlugins={[remarkGfm]}>{version.body}</ReactMarkdown>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Discussion threads of an item or task: comments with one level of replies
+function Discussion({ entityType, entity }) {
+  const { postComment, editComment, deleteComment } = useTaskActions();
+  const { showToast } = useToast();
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  const comments = entity.comments || [];
+  const threads = comments.filter(comment => !comment.replyTo);
+
+  // Each handler returns whether it succeeded, so forms know to close or clear
+  const run = useCallback(async (action, failure) => {
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      showToast(err.response?.data?.error || failure, 5000);
+      return false;
+    }
+  }, [showToast]);
+
+  const handlePost = useCallback((body, replyTo = null) => run(async () => {
+    await postComment(entityType, entity.id, body, replyTo);
+    setReplyingTo(null);
+  }, 'Failed to post comment'), [run, postComment, entityType, entity.id]);
+
+  const handleEdit = useCallback((comment, body) => run(
+    () => editComment(entityType, entity.id, comment.id, body),
+    'Failed to edit comment'
+  ), [run, editComment, entityType, entity.id]);
+
+  const handleDelete = useCallback((comment) => {
+    if (!confirm('Delete this comment?')) return;
+    run(() => deleteComment(entityType, entity.id, comment.id), 'Failed to delete comment');
+  }, [run, deleteComment, entityType, entity.id]);
+
+  return (
+    <div className="discussion">
+      {threads.length === 0 && (
+        <span style={{ color: 'var(--text-muted)', fontSize: '13px' }}>No comments yet</span>
+      )}
+      {threads.map(thread => (
+        <div key={thread.id} className="comment-thread">
+          <Comment
+            comment={thread}
+            onReply={() => setReplyingTo(thread.id)}
+            onEdit={handleEdit}
+            onDelete={handleDelete}
+          />
+          <div className="comment-replies">
+            {comments.filter(comment => comment.replyTo === thread.id).map(reply => (
+              <Comment key={reply.id} comment={reply} onEdit={handleEdit} onDelete={handleDelete} />
+            ))}
+            {replyingTo === thread.id && (
+              <CommentForm
+                placeholder="Reply..."
+                submitLabel="Reply"
+                onSubmit={body => handlePost(body, thread.id)}
+                onCancel={() => setReplyingTo(null)}
+              />
+            )}
+          </div>
+        </div>
+      ))}
+
+      <CommentForm
+        key={entity.id}
+        placeholder="Add a comment (Markdown, Ctrl+Enter to post)"
+        submitLabel="Comment"
+        onSubmit={body => handlePost(body)}
+      />
+    </div>
+  );
+}
+
+export default memo(Discussion);
@@ -0,0 +1,105 @@
+import { memo, useState, useEffect } from 'react';
+import { useTaskActions, useUIState } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+
+// Duplicate an item (with its task categories and tasks) or a task, with the attachments and latest plan optional
+function DuplicateModal({ isOpen, entityType, entity, onClose }) {
+  const { duplicate } = useTaskActions();
+  const { selectItem } = useUIState();
+  const { showToast } = useToast();
+  const [attachments, setAttachments] = useState(false);
+  const [plan, setPlan] = useState(false);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setAttachments(false);
+      setPlan(false);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen || !entity) return null;
+
+  const files = (entity.attachments || []).filter(a => !a.filename?.startsWith('PLAN-v'));
+  const hasPlan = (entity.attachments || []).some(a => a.filename?.startsWith('PLAN-v'));
+  const hasTasks = entityType === 'item' && (entity.taskOrder?.length > 0 || entity.categoryOrder?.length > 0);
+
+  const handleDuplicate = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const result = await duplicate(entityType, entity.id, { attachments, plan });
+      showToast(`Duplicated as ${result.entity.key || result.entity.title}`);
+      onClose();
+      selectItem(entityType, result.entity.id);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Duplicate {entityType}</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="import-summary">
+            &quot;{entity.title} (copy)&quot; keeps the description and tags
+            {entityType === 'item' && ', priority and custom fields'}
+            {hasTasks && ', with copies of the tasks and task categories'}. It gets a new key and starts over as
+            open, without prompt history or discussion.
+          </div>
+          {files.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="duplicate-attachments">Attachments</label>
+              <select
+                id="duplicate-attachments"
+                className="form-select"
+                value={attachments ? 'copy' : 'skip'}
+                onChange={e => setAttachments(e.target.value === 'copy')}
+              >
+                <option value="skip">Leave the attachments out</option>
+                <option value="copy">Copy the attachments ({files.length})</option>
+              </select>
+            </div>
+          )}
+          {hasPlan && (
+            <div className="form-group">
+              <label htmlFor="duplicate-plan">Plan</label>
+              <select
+                id="duplicate-plan"
+                className="form-select"
+                value={plan ? 'copy' : 'skip'}
+                onChange={e => setPlan(e.target.value === 'copy')}
+              >
+                <option value="skip">Start without a plan</option>
+                <option value="copy">Copy the latest plan</option>
+              </select>
+            </div>
+          )}
+          {error && <div className="import-error">{error}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleDuplicate} disabled={busy}>
+              {busy ? 'Duplicating...' : 'Duplicate'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(DuplicateModal);
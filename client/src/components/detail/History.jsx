@@ -0,0 +1,75 @@
+import { memo, useState, useEffect, useCallback } from 'react';
+import { useTaskActions } from '../../context/TaskProvider';
+import { formatDateTime, getRelativeTime } from '../../utils/dateFormat';
+import { describeActor, describeEntry } from '../../utils/activity';
+import ActivityChanges from './ActivityChanges';
+
+const PAGE_SIZE = 20;
+
+// Entries about the entity itself that have no field changes
+const OWN_ACTION_LABELS = {
+  created: 'Created',
+  deleted: 'Moved to the trash',
+  restored: 'Restored from the trash'
+};
+
+// Change history of an item (with its tasks) or task, newest first
+function History({ entityType, entity }) {
+  const { getHistory } = useTaskActions();
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (offset) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await getHistory(entityType, entity.id, { tasks: entityType === 'item', limit: PAGE_SIZE, offset });
+      setEntries(prev => offset === 0 ? result.entries : [...prev, ...result.entries]);
+      setHasMore(result.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [getHistory, entityType, entity.id]);
+
+  // Reload whenever the entity changes, so edits show up right away
+  useEffect(() => {
+    load(0);
+  }, [load, entity]);
+
+  if (error) {
+    return <span style={{ color: 'var(--text-muted)', fontSize: '13px' }}>{error}</span>;
+  }
+  if (!loading && entries.length === 0) {
+    return <span style={{ color: 'var(--text-muted)', fontSize: '13px' }}>No changes recorded yet</span>;
+  }
+
+  return (
+    <div className="activity-list">
+      {entries.map(entry => (
+        <div key={entry.id} className="activity-entry">
+          <div className="activity-entry-header">
+            <span className={`activity-actor ${entry.source}`}>{describeActor(entry)}</span>
+            <span className="activity-time" title={formatDateTime(entry.at)}>{getRelativeTime(entry.at)}</span>
+          </div>
+          {(entry.entityId !== entity.id || entry.action !== 'updated') && (
+            <div className="activity-summary">
+              {entry.entityId === entity.id ? OWN_ACTION_LABELS[entry.action] : describeEntry(entry)}
+            </div>
+          )}
+          <ActivityChanges entry={entry} />
+        </div>
+      ))}
+      {hasMore && (
+        <button className="btn btn-ghost btn-sm" onClick={() => load(entries.length)} disabled={loading}>
+          {loading ? 'Loading...' : 'Show older changes'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default memo(History);
@@ -0,0 +1,103 @@
+import { memo, useState, useMemo, useCallback } from 'react';
+import { useTaskData, useTaskActions, useUIState } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import { RELATION_CHOICES, getRelations } from '../../utils/relations';
+import { isDone } from '../../utils/workflow';
+
+const XIcon = () => (
+  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M18 6L6 18M6 6l12 12" />
+  </svg>
+);
+
+// "API-42 Login page" for the picker; the key (or ID) comes first so it can be read back
+function optionText(entity) {
+  return `${entity.key || entity.id} ${entity.title}`;
+}
+
+function Relations({ entityId }) {
+  const { data } = useTaskData();
+  const { addRelation, removeRelation } = useTaskActions();
+  const { selectItem } = useUIState();
+  const { showToast } = useToast();
+  const [choice, setChoice] = useState(RELATION_CHOICES[0].value);
+  const [target, setTarget] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const relations = getRelations(data, entityId);
+
+  // Every other item and task, for the picker
+  const candidates = useMemo(() => [
+    ...Object.values(data?.items || {}),
+    ...Object.values(data?.tasks || {})
+  ].filter(entity => entity.id !== entityId), [data?.items, data?.tasks, entityId]);
+
+  const handleAdd = useCallback(async (e) => {
+    e.preventDefault();
+    // Accept a picked option, a bare key or ID, or an exact title
+    const text = target.trim();
+    const token = text.split(/\s+/)[0];
+    const other = candidates.find(entity => entity.key?.toLowerCase() === token.toLowerCase() || entity.id === token) ||
+      candidates.find(entity => entity.title.toLowerCase() === text.toLowerCase());
+    if (!other) {
+      showToast(`No item or task matches "${text}"`);
+      return;
+    }
+    const { type, reverse } = RELATION_CHOICES.find(c => c.value === choice);
+    try {
+      setBusy(true);
+      await addRelation(type, reverse ? other.id : entityId, reverse ? entityId : other.id);
+      setTarget('');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to add relation', 5000);
+    } finally {
+      setBusy(false);
+    }
+  }, [target, choice, candidates, entityId, addRelation, showToast]);
+
+  return (
+    <div className="relations">
+      {relations.length === 0 && (
+        <span style={{ color: 'var(--text-muted)', fontSize: '13px' }}>No relations</span>
+      )}
+      {relations.map(relation => (
+        <div key={relation.id} className="relation-row">
+          <span className={`relation-label ${relation.type}`}>{relation.label}</span>
+          <button
+            className={`relation-target ${isDone(data, relation.other.entity) ? 'done' : ''}`}
+            onClick={() => selectItem(relation.other.type, relation.other.entity.id)}
+            title={`Open ${relation.other.type}`}
+          >
+            <span className="item-key">{relation.other.entity.key || relation.other.entity.id}</span>
+            {relation.other.entity.title}
+          </button>
+          <button className="btn btn-icon btn-ghost btn-xs" onClick={() => removeRelation(relation.id)} title="Remove relation">
+            <XIcon />
+          </button>
+        </div>
+      ))}
+
+      <form className="relation-add" onSubmit={handleAdd}>
+        <select className="form-select" value={choice} onChange={e => setChoice(e.target.value)}>
+          {RELATION_CHOICES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+        </select>
+        <input
+          type="text"
+          className="input"
+          list={`relation-targets-${entityId}`}
+          value={target}
+          onChange={e => setTarget(e.target.value)}
+          placeholder="Key or title"
+        />
+        <datalist id={`relation-targets-${entityId}`}>
+          {candidates.map(entity => <option key={entity.id} value={optionText(entity)} />)}
+        </datalist>
+        <button type="submit" className="btn btn-secondary btn-sm" disabled={busy || !target.trim()}>
+          Add
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default memo(Relations);
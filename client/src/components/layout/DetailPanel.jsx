@@ -3,11 +3,19 @@ import { useTaskData, useTaskActions, useUIState, SYSTEM_SECTIONS } from '../../
 import MarkdownEditor from '../detail/MarkdownEditor';
 import MarkdownViewer from '../detail/MarkdownViewer';
 import PromptHistoryViewer from '../detail/PromptHistoryViewer';
+import CustomFields from '../detail/CustomFields';
+import Relations from '../detail/Relations';
+import Discussion from '../detail/Discussion';
+import History from '../detail/History';
 import ActionButtons from '../terminal/ActionButtons';
+import TransferItemModal from '../projects/TransferItemModal';
+import DuplicateModal from '../detail/DuplicateModal';
 import { formatDateTime } from '../../utils/dateFormat';
 import { useDebouncedCallback } from '../../hooks/useDebounce';
 import { usePlanPolling } from '../../hooks/usePlanPolling';
-import tasksApi, { TASK_STATUSES, COMPLEXITIES } from '../../services/api';
+import tasksApi, { COMPLEXITIES } from '../../services/api';
+import { getStatusOptions, canChangeStatus, statusClass, statusStyle } from '../../utils/workflow';
+import { getFieldDefs } from '../../utils/fields';
 
 const CloseIcon = () => (
   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -21,6 +29,13 @@ const TrashIcon = () => (
   </svg>
 );
 
+const DuplicateIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <rect x="9" y="9" width="13" height="13" rx="2" />
+    <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1" />
+  </svg>
+);
+
 const PlusIcon = () => (
   <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
     <path d="M12 5v14M5 12h14" />
@@ -133,7 +148,7 @@ const getItemTypeLabel = (type, item, data) => {
 
 function DetailPanel() {
   const { data } = useTaskData();
-  const { updateTask, deleteTask, updateItem, deleteItem, createTag, addTagToTask, removeTagFromTask, uploadAttachment, deleteAttachment, moveItemToCategory, promoteTask } = useTaskActions();
+  const { updateTask, deleteTask, updateItem, setItemField, deleteItem, createTag, addTagToTask, removeTagFromTask, uploadAttachment, deleteAttachment, moveItemToCategory, promoteTask } = useTaskActions();
   const { selectedItemType, selectedItemId, clearSelection } = useUIState();
   const [editTitle, setEditTitle] = useState('');
   const [isEditingTitle, setIsEditingTitle] = useState(false);
@@ -142,6 +157,9 @@ function DetailPanel() {
   const [newTagColor, setNewTagColor] = useState(TAG_COLORS[0]);
   const [isUploading, setIsUploading] = useState(false);
   const [showPromptHistoryModal, setShowPromptHistoryModal] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [showDuplicateModal, setShowDuplicateModal] = useState(false);
+  const [discussionTab, setDiscussionTab] = useState('discussion'); // 'discussion' | 'history'
   const [promptHistory, setPromptHistory] = useState([]);
   const [isLoadingHistory, setIsLoadingHistory] = useState(false);
   const [planVersions, setPlanVersions] = useState([]);
@@ -210,7 +228,7 @@ function DetailPanel() {
 
   const handleDelete = useCallback(async () => {
     const label = getItemTypeLabel(selectedItemType, item, data);
-    if (!confirm(`Delete this ${label.toLowerCase()}?`)) return;
+    if (!confirm(`Move this ${label.toLowerCase()} to the trash?`)) return;
 
     if (selectedItemType === 'task') {
       await deleteTask(selectedItemId);
@@ -222,10 +240,11 @@ function DetailPanel() {
 
   const handleStatusChange = useCallback((newStatus) => {
     const updates = { status: newStatus };
-    // Auto-set finishedAt when marking as done
-    if (newStatus === 'done' && !item?.finishedAt) {
+    // Auto-set finishedAt when moving to a status in the 'done' category
+    const isDoneStatus = getStatusOptions(data, item).find(s => s.value === newStatus)?.category === 'done';
+    if (isDoneStatus && !item?.finishedAt) {
       updates.finishedAt = new Date().toISOString();
-    } else if (newStatus !== 'done' && item?.finishedAt) {
+    } else if (!isDoneStatus && item?.finishedAt) {
       updates.finishedAt = null;
     }
 
@@ -234,7 +253,7 @@ function DetailPanel() {
     } else if (selectedItemType === 'item') {
       updateItem(selectedItemId, updates);
     }
-  }, [item?.finishedAt, selectedItemType, selectedItemId, updateTask, updateItem]);
+  }, [data, item, selectedItemType, selectedItemId, updateTask, updateItem]);
 
   const handleComplexityChange = useCallback((newComplexity) => {
     if (selectedItemType === 'task') {
@@ -244,6 +263,12 @@ function DetailPanel() {
     }
   }, [selectedItemType, selectedItemId, updateTask, updateItem]);
 
+  const handleFieldChange = useCallback((fieldId, value) => {
+    if (selectedItemType === 'item') {
+      setItemField(selectedItemId, fieldId, value);
+    }
+  }, [selectedItemType, selectedItemId, setItemField]);
+
   const handleAddTag = useCallback((tagId) => {
     if (selectedItemType === 'task') {
       addTagToTask(selectedItemId, tagId);
@@ -582,6 +607,9 @@ function DetailPanel() {
   const isTask = selectedItemType === 'task';
   const isFeatureOrBug = selectedItemType === 'feature' || selectedItemType === 'bug' || selectedItemType === 'item';
 
+  // Custom fields come from the item's section; tasks have none
+  const fieldDefs = isTask ? [] : getFieldDefs(data, item);
+
   // Count tasks for features/bugs/items
   const taskCount = isFeatureOrBug ? (item.taskOrder?.length || 0) : 0;
 
@@ -621,6 +649,14 @@ function DetailPanel() {
 
         <ActionButtons itemId={selectedItemId} itemTitle={item.title} />
 
+        <button
+          className="btn btn-icon btn-secondary"
+          onClick={() => setShowDuplicateModal(true)}
+          title={`Duplicate ${typeLabel.toLowerCase()}`}
+        >
+          <DuplicateIcon />
+        </button>
+
         <button
           className="btn btn-icon btn-secondary"
           onClick={handleDelete}
@@ -657,6 +693,13 @@ function DetailPanel() {
                 </option>
               ))}
             </select>
+            <button
+              className="btn btn-ghost btn-sm"
+              style={{ marginTop: '6px' }}
+              onClick={() => setShowTransferModal(true)}
+            >
+              Move or copy to another project...
+            </button>
           </div>
         )}
 
@@ -695,13 +738,16 @@ function DetailPanel() {
         <div className="detail-section">
           <div className="detail-section-title">Status</div>
           <div className="status-select">
-            {TASK_STATUSES.map(status => (
+            {getStatusOptions(data, item).map(status => (
               <button
                 key={status.value}
-                className={`status-option ${status.value} ${currentStatus === status.value ? 'selected' : ''}`}
+                className={`status-option ${statusClass(status)} ${currentStatus === status.value ? 'selected' : ''}`}
+                style={statusStyle(status)}
                 onClick={() => handleStatusChange(status.value)}
+                disabled={!canChangeStatus(data, item, status.value)}
+                title={canChangeStatus(data, item, status.value) ? undefined : `The workflow doesn't allow ${currentStatus} → ${status.value}`}
               >
-                <span className={`status-dot ${status.value}`} />
+                <span className={`status-dot ${statusClass(status)}`} />
                 {status.label}
               </button>
             ))}
@@ -731,6 +777,20 @@ function DetailPanel() {
           </div>
         </div>
 
+        {/* Custom fields - defined per section */}
+        {fieldDefs.length > 0 && (
+          <div className="detail-section">
+            <div className="detail-section-title">Fields</div>
+            <CustomFields fields={fieldDefs} values={item.fields} onChange={handleFieldChange} />
+          </div>
+        )}
+
+        {/* Relations - to items and tasks in any section */}
+        <div className="detail-section">
+          <div className="detail-section-title">Relations</div>
+          <Relations entityId={item.id} />
+        </div>
+
         {/* Tags - only for tasks */}
         {isTask && (
           <div className="detail-section">
@@ -1018,6 +1078,32 @@ function DetailPanel() {
           </div>
         </div>
 
+        {/* Discussion (comment threads from the user and agents) and change history */}
+        <div className="detail-section">
+          <div className="detail-section-title detail-tabs">
+            <button
+              className={`detail-tab ${discussionTab === 'discussion' ? 'active' : ''}`}
+              onClick={() => setDiscussionTab('discussion')}
+            >
+              Discussion
+              {item.comments?.some(comment => !comment.deletedAt) && (
+                <span className="comment-count">{item.comments.filter(comment => !comment.deletedAt).length}</span>
+              )}
+            </button>
+            <button
+              className={`detail-tab ${discussionTab === 'history' ? 'active' : ''}`}
+              onClick={() => setDiscussionTab('history')}
+            >
+              History
+            </button>
+          </div>
+          {discussionTab === 'discussion' ? (
+            <Discussion entityType={isTask ? 'task' : 'item'} entity={item} />
+          ) : (
+            <History entityType={isTask ? 'task' : 'item'} entity={item} />
+          )}
+        </div>
+
         {/* Prompt History (Claude Code Integration) - Button to open modal */}
         <div className="detail-section">
           <button
@@ -1138,6 +1224,19 @@ function DetailPanel() {
       />
     )}
 
+    <DuplicateModal
+      isOpen={showDuplicateModal}
+      entityType={isTask ? 'task' : 'item'}
+      entity={item}
+      onClose={() => setShowDuplicateModal(false)}
+    />
+
+    <TransferItemModal
+      isOpen={showTransferModal}
+      itemId={selectedItemId}
+      onClose={() => setShowTransferModal(false)}
+    />
+
     {/* Prompt History Viewer Modal */}
     {showPromptHistoryModal && (
       <PromptHistoryViewer
@@ -1,13 +1,19 @@
-import { memo, useState, useCallback, useEffect } from 'react';
+import { memo, useState, useCallback, useEffect, useMemo } from 'react';
 import { useTaskData, useTaskActions, useUIState, SYSTEM_SECTIONS } from '../../context/TaskProvider';
 import { useToast } from '../../context/ToastContext';
+import { useProjects } from '../../context/ProjectProvider';
 import { useSortableList } from '../../hooks/useSortableList';
 import { useDragHandlers } from '../../hooks/useDragHandlers';
+import { useMultiSelect } from '../../hooks/useMultiSelect';
 import { CategorizedList, SortableItemWrapper } from '../shared/CategoryList';
+import BulkActionBar from '../shared/BulkActionBar';
 import { DragIcon, PlusIcon, CopyIdIcon, OpenBoxIcon } from '../shared/icons';
 import TaskList from '../tasks/TaskList';
 import ActionButtons from '../terminal/ActionButtons';
 import { COMPLEXITIES } from '../../services/api';
+import { getStatusOption, statusClass, statusStyle } from '../../utils/workflow';
+import { describeBlockers } from '../../utils/relations';
+import { getTemplates } from '../../utils/templates';
 
 // Icons specific to MainPanel
 const FolderIcon = () => (
@@ -35,10 +41,17 @@ const FeatureIcon = () => (
   </svg>
 );
 
+const TemplateIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z" />
+    <path d="M14 2v6h6M8 13h8M8 17h5" />
+  </svg>
+);
+
 
 function MainPanel() {
   const { data } = useTaskData();
-  const { createTask, createCategory, createItem, updateItem, createItemCategory } = useTaskActions();
+  const { createTask, createCategory, createItem, createItemFromTemplate, updateItem, createItemCategory } = useTaskActions();
   const { activeView, activeSectionId, activeItemId, searchQuery, setSearchQuery, setActiveSection, selectItem, selectTask } = useUIState();
   const [showAddMenu, setShowAddMenu] = useState(false);
   const [isEditingTitle, setIsEditingTitle] = useState(false);
@@ -93,6 +106,13 @@ function MainPanel() {
     selectItem('item', item.id);
   }, [activeSectionId, createItem, selectItem]);
 
+  const handleAddFromTemplate = useCallback(async (templateId) => {
+    if (!activeSectionId) return;
+    setShowAddMenu(false);
+    const item = await createItemFromTemplate(activeSectionId, templateId);
+    selectItem('item', item.id);
+  }, [activeSectionId, createItemFromTemplate, selectItem]);
+
   const handleAddSectionCategory = useCallback(async () => {
     if (!activeSectionId) return;
     await createItemCategory(activeSectionId, 'New Category');
@@ -100,6 +120,7 @@ function MainPanel() {
   }, [activeSectionId, createItemCategory]);
 
   const canAdd = activeView === 'item';
+  const sectionTemplates = activeView === 'section' ? getTemplates(data, activeSectionId) : [];
 
   return (
     <main className="main-panel">
@@ -160,6 +181,17 @@ function MainPanel() {
                   <FeatureIcon />
                   Add {currentSection?.name?.replace(/s$/, '') || 'Item'}
                 </div>
+                {sectionTemplates.map(template => (
+                  <div
+                    key={template.id}
+                    className="dropdown-item dropdown-subitem"
+                    onClick={() => handleAddFromTemplate(template.id)}
+                    title={`Add from the ${template.name} template`}
+                  >
+                    <TemplateIcon />
+                    {template.name}
+                  </div>
+                ))}
                 <div className="dropdown-item" onClick={handleAddSectionCategory}>
                   <FolderIcon />
                   Add Category
@@ -215,41 +247,39 @@ function MainPanel() {
   );
 }
 
-// Status badge component
-const StatusBadge = ({ status }) => {
-  const statusInfo = {
-    'open': { label: 'Open' },
-    'in-progress': { label: 'In Progress' },
-    'done': { label: 'Done' }
-  };
-  const info = statusInfo[status] || statusInfo.open;
-  return (
-    <span className={`status-badge ${status || 'open'}`}>
-      <span className={`status-dot ${status || 'open'}`} />
-      {info.label}
-    </span>
-  );
-};
+// Status badge component (statuses come from the item's section workflow)
+const StatusBadge = ({ option }) => (
+  <span className={`status-badge ${statusClass(option)}`} style={statusStyle(option)}>
+    <span className={`status-dot ${statusClass(option)}`} />
+    {option.label}
+  </span>
+);
 
 // Item display component (used inside SortableItemWrapper)
-function ItemContent({ item, data, onOpenDetails, onViewTasks, dragHandleProps }) {
+function ItemContent({ item, data, isBulkSelected, onOpenDetails, onViewTasks, dragHandleProps }) {
   const { showToast } = useToast();
-  const status = item.status || 'open';
+  const statusOption = getStatusOption(data, item);
   const complexityInfo = COMPLEXITIES.find(c => c.value === item.complexity);
+  const blockedBy = describeBlockers(data, item.id);
   const taskCount = item.taskOrder?.length || 0;
   const completedCount = (item.taskOrder || []).filter(tid =>
     data.tasks[tid]?.finishedAt || data.tasks[tid]?.status === 'done'
   ).length;
 
+  // Copies the key (e.g. API-42); Shift+click copies the internal ID
   const handleCopyId = useCallback((e) => {
     e.stopPropagation();
-    navigator.clipboard.writeText(item.id).then(() => {
-      showToast(`Copied: ${item.id}`);
+    const value = e.shiftKey || !item.key ? item.id : item.key;
+    navigator.clipboard.writeText(value).then(() => {
+      showToast(`Copied: ${value}`);
     });
-  }, [item.id, showToast]);
+  }, [item.id, item.key, showToast]);
 
   return (
-    <div className={`task-item compact ${status === 'done' ? 'completed' : ''}`} onClick={() => onOpenDetails(item.id)}>
+    <div
+      className={`task-item compact ${statusOption.category === 'done' ? 'completed' : ''} ${isBulkSelected ? 'bulk-selected' : ''}`}
+      onClick={onOpenDetails}
+    >
       <div {...dragHandleProps}>
         <DragIcon />
       </div>
@@ -257,7 +287,9 @@ function ItemContent({ item, data, onOpenDetails, onViewTasks, dragHandleProps }
         <div className="task-title">{item.title}</div>
         {item.description && <div className="task-description-preview">{item.description}</div>}
         <div className="task-meta">
-          <StatusBadge status={status} />
+          {item.key && <span className="item-key">{item.key}</span>}
+          <StatusBadge option={statusOption} />
+          {blockedBy && <span className="blocked-badge" title={`Blocked by ${blockedBy}`}>Blocked</span>}
           {complexityInfo && (
             <span className="complexity-badge" style={{ background: complexityInfo.color, color: 'white' }}>
               <span className="complexity-icon">{complexityInfo.icon}</span>
@@ -268,7 +300,7 @@ function ItemContent({ item, data, onOpenDetails, onViewTasks, dragHandleProps }
           <span>{completedCount} done</span>
         </div>
       </div>
-      <button className="item-action-icon-btn" onClick={handleCopyId} title="Copy item ID">
+      <button className="item-action-icon-btn" onClick={handleCopyId} title={item.key ? 'Copy item key (Shift+click: ID)' : 'Copy item ID'}>
         <CopyIdIcon />
       </button>
       <button className="item-action-icon-btn" onClick={(e) => { e.stopPropagation(); onViewTasks(item.id); }} title="Show tasks">
@@ -279,11 +311,23 @@ function ItemContent({ item, data, onOpenDetails, onViewTasks, dragHandleProps }
   );
 }
 
+// Project an item was dropped on in the project selector (see ProjectSelector), if any.
+// The selector is outside the list's DndContext, so look at what is under the pointer.
+function getDropProjectId(event) {
+  const { activatorEvent, delta } = event;
+  if (activatorEvent?.clientX === undefined) return null;
+  const target = document.elementFromPoint(activatorEvent.clientX + delta.x, activatorEvent.clientY + delta.y);
+  return target?.closest('[data-drop-project-id]')?.dataset.dropProjectId || null;
+}
+
 // Section Items List component
 function SectionItemsList({ sectionId }) {
   const { data } = useTaskData();
-  const { setActiveItem, selectItem, searchQuery } = useUIState();
+  const { setActiveItem, selectItem, searchQuery, setDraggedItem } = useUIState();
+  const { activeProjectId, projects, transferItem } = useProjects();
+  const { showToast } = useToast();
   const {
+    reload,
     createItem,
     moveItemToCategory,
     updateItemCategory,
@@ -329,6 +373,13 @@ function SectionItemsList({ sectionId }) {
     categoryIdPrefix: 'icat-'
   });
 
+  // Ctrl/Shift+click selection for the bulk action bar, in display order
+  const orderedIds = useMemo(() => [
+    ...categories.flatMap(category => getCategoryItems(category)),
+    ...uncategorizedItems
+  ].map(item => item.id), [categories, getCategoryItems, uncategorizedItems]);
+  const { selectedIds, handleSelectClick, clearSelection } = useMultiSelect(orderedIds, sectionId);
+
   // Callbacks for drag handlers
   const handleReorderCategories = useCallback((newOrder) => {
     reorderItemCategories(sectionId, newOrder);
@@ -373,17 +424,46 @@ function SectionItemsList({ sectionId }) {
     onSpecialDrop: handleSpecialDrop
   });
 
+  // Dropping an item on another project moves it there, tasks and attachments included
+  const handleMoveToProject = useCallback(async (itemId, targetProjectId) => {
+    const item = data?.items?.[itemId];
+    const target = projects.find(p => p.id === targetProjectId);
+    if (!item || !target) return;
+    if (!confirm(`Move "${item.title}" with its tasks and attachments to ${target.name}?`)) return;
+    try {
+      const result = await transferItem(activeProjectId, { itemId, targetProjectId, mode: 'move' });
+      await reload(false);
+      showToast(`Moved to ${target.name} as ${result.item.key || result.item.title}`);
+    } catch (err) {
+      showToast(`Failed to move the item: ${err.message}`, 5000);
+    }
+  }, [data?.items, projects, activeProjectId, transferItem, reload, showToast]);
+
   const handleDragStart = useCallback((event) => {
     const activeId = String(event.active.id);
+    const isCategory = activeId.startsWith('icat-');
     setActiveDragId(activeId);
-    setActiveDragType(activeId.startsWith('icat-') ? 'category' : 'item');
-  }, []);
+    setActiveDragType(isCategory ? 'category' : 'item');
+    if (!isCategory) setDraggedItem(activeId);
+  }, [setDraggedItem]);
 
   const wrappedDragEnd = useCallback((event) => {
     setActiveDragId(null);
     setActiveDragType(null);
+    setDraggedItem(null);
+    const dropProjectId = activeDragType === 'item' ? getDropProjectId(event) : null;
+    if (dropProjectId) {
+      handleMoveToProject(String(event.active.id), dropProjectId);
+      return;
+    }
     handleDragEnd(event);
-  }, [handleDragEnd]);
+  }, [handleDragEnd, activeDragType, setDraggedItem, handleMoveToProject]);
+
+  const handleDragCancel = useCallback(() => {
+    setActiveDragId(null);
+    setActiveDragType(null);
+    setDraggedItem(null);
+  }, [setDraggedItem]);
 
   const handleAddItemToCategory = useCallback(async (categoryId) => {
     const item = await createItem(sectionId, 'New Item', categoryId);
@@ -402,13 +482,14 @@ function SectionItemsList({ sectionId }) {
         <ItemContent
           item={item}
           data={data}
-          onOpenDetails={() => selectItem('item', item.id)}
+          isBulkSelected={selectedIds.includes(item.id)}
+          onOpenDetails={(e) => { if (!handleSelectClick(e, item.id)) selectItem('item', item.id); }}
           onViewTasks={() => setActiveItem(item.id)}
           dragHandleProps={dragHandleProps}
         />
       )}
     </SortableItemWrapper>
-  ), [data, selectItem, setActiveItem, shiftHeld]);
+  ), [data, selectItem, setActiveItem, shiftHeld, selectedIds, handleSelectClick]);
 
   if (!section) {
     return (
@@ -419,48 +500,52 @@ function SectionItemsList({ sectionId }) {
   }
 
   return (
-    <CategorizedList
-      sensors={sensors}
-      allSortableIds={allSortableIds}
-      categories={categories}
-      uncategorizedItems={uncategorizedItems}
-      getCategoryItems={getCategoryItems}
-      getNonCompletedCount={getNonCompletedCount}
-      renderItem={renderItem}
-      onDragStart={handleDragStart}
-      onDragEnd={wrappedDragEnd}
-      categoryIdPrefix="icat-"
-      droppableType="item-category"
-      droppableIdPrefix="item-category-"
-      uncategorizedDroppableId="uncategorized-items"
-      onUpdateCategory={updateItemCategory}
-      onDeleteCategory={deleteItemCategory}
-      onAddToCategory={handleAddItemToCategory}
-      itemLabel="item"
-      dragOverlay={
-        activeDragId && activeDragType === 'item' ? (
-          <div style={{
-            padding: '8px 12px',
-            background: shiftHeld ? 'var(--accent)' : 'var(--bg-secondary)',
-            color: shiftHeld ? 'white' : 'var(--text-secondary)',
-            borderRadius: '6px',
-            fontSize: '12px',
-            boxShadow: 'var(--shadow-lg)',
-            whiteSpace: 'nowrap',
-            transform: 'translate(20px, 20px)',
-            pointerEvents: 'none'
-          }}>
-            {shiftHeld ? '✓ Drop to convert to task' : 'Hold Shift to convert to task'}
+    <>
+      <BulkActionBar entityType="item" parentId={sectionId} selectedIds={selectedIds} onClear={clearSelection} />
+      <CategorizedList
+        sensors={sensors}
+        allSortableIds={allSortableIds}
+        categories={categories}
+        uncategorizedItems={uncategorizedItems}
+        getCategoryItems={getCategoryItems}
+        getNonCompletedCount={getNonCompletedCount}
+        renderItem={renderItem}
+        onDragStart={handleDragStart}
+        onDragEnd={wrappedDragEnd}
+        onDragCancel={handleDragCancel}
+        categoryIdPrefix="icat-"
+        droppableType="item-category"
+        droppableIdPrefix="item-category-"
+        uncategorizedDroppableId="uncategorized-items"
+        onUpdateCategory={updateItemCategory}
+        onDeleteCategory={deleteItemCategory}
+        onAddToCategory={handleAddItemToCategory}
+        itemLabel="item"
+        dragOverlay={
+          activeDragId && activeDragType === 'item' ? (
+            <div style={{
+              padding: '8px 12px',
+              background: shiftHeld ? 'var(--accent)' : 'var(--bg-secondary)',
+              color: shiftHeld ? 'white' : 'var(--text-secondary)',
+              borderRadius: '6px',
+              fontSize: '12px',
+              boxShadow: 'var(--shadow-lg)',
+              whiteSpace: 'nowrap',
+              transform: 'translate(20px, 20px)',
+              pointerEvents: 'none'
+            }}>
+              {shiftHeld ? '✓ Drop to convert to task' : 'Hold Shift to convert to task'}
+            </div>
+          ) : null
+        }
+        emptyState={
+          <div className="empty-state">
+            <div className="empty-state-title">No items yet</div>
+            <div className="empty-state-text">Click "Add" in the header to create one</div>
           </div>
-        ) : null
-      }
-      emptyState={
-        <div className="empty-state">
-          <div className="empty-state-title">No items yet</div>
-          <div className="empty-state-text">Click "Add" in the header to create one</div>
-        </div>
-      }
-    />
+        }
+      />
+    </>
   );
 }
 
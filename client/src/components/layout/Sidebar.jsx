@@ -2,6 +2,18 @@ import { memo, useState, useRef, useCallback, useEffect } from 'react';
 import { useTaskData, useUIState, useTaskActions, SYSTEM_SECTIONS } from '../../context/TaskProvider';
 import ProjectSelector from '../projects/ProjectSelector';
 import NewProjectModal from '../projects/NewProjectModal';
+import SnapshotsModal from '../projects/SnapshotsModal';
+import TrashModal from '../projects/TrashModal';
+import ActivityModal from '../projects/ActivityModal';
+import ImportModal from '../projects/ImportModal';
+import BundleImportModal from '../projects/BundleImportModal';
+import ExternalImportModal, { detectExternalSource } from '../projects/ExternalImportModal';
+import ExportModal from '../projects/ExportModal';
+import WorkflowModal from '../projects/WorkflowModal';
+import FieldsModal from '../projects/FieldsModal';
+import TemplatesModal from '../projects/TemplatesModal';
+import { useProjects } from '../../context/ProjectProvider';
+import { isActive, isDone } from '../../utils/workflow';
 
 // Trash icon for delete button
 const TrashIcon = () => (
@@ -18,6 +30,33 @@ const EditIcon = () => (
   </svg>
 );
 
+// Workflow icon for the section statuses button
+const WorkflowIcon = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <circle cx="5" cy="6" r="2" />
+    <circle cx="19" cy="6" r="2" />
+    <circle cx="12" cy="18" r="2" />
+    <path d="M7 6h10M6 8l5 8M18 8l-5 8" />
+  </svg>
+);
+
+// Fields icon for the section custom fields button
+const FieldsIcon = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <rect x="3" y="4" width="18" height="6" rx="1" />
+    <rect x="3" y="14" width="18" height="6" rx="1" />
+    <path d="M7 7h4M7 17h4" />
+  </svg>
+);
+
+// Template icon for the section item templates button
+const TemplateIcon = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z" />
+    <path d="M14 2v6h6M8 13h8M8 17h5" />
+  </svg>
+);
+
 // Section icons mapping
 const SECTION_ICONS = {
   layers: () => (
@@ -164,17 +203,49 @@ const UploadIcon = () => (
   </svg>
 );
 
+const HistoryIcon = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M3 12a9 9 0 109-9 9.75 9.75 0 00-6.74 2.74L3 8" />
+    <path d="M3 3v5h5M12 7v5l4 2" />
+  </svg>
+);
+
+// Pulse icon for the activity feed
+const ActivityIcon = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M22 12h-4l-3 9L9 3l-3 9H2" />
+  </svg>
+);
+
+// Archive icon for the project bundle export
+const ArchiveIcon = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M21 8v13H3V8M1 3h22v5H1zM10 12h4" />
+  </svg>
+);
+
 function Sidebar() {
   const { data } = useTaskData();
   const { activeView, activeSectionId, activeItemId, setActiveSection, setActiveItem, setActiveView, theme, setTheme } = useUIState();
-  const { exportData, importData, createSection, updateSection, deleteSection } = useTaskActions();
+  const { createSection, updateSection, deleteSection } = useTaskActions();
+  const { activeProjectId, exportBundle } = useProjects();
   const [inProgressExpanded, setInProgressExpanded] = useState(true);
   const [showProjectModal, setShowProjectModal] = useState(false);
   const [editingProject, setEditingProject] = useState(null);
+  const [showSnapshotsModal, setShowSnapshotsModal] = useState(false);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [showActivityModal, setShowActivityModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [bundleFile, setBundleFile] = useState(null);
+  const [externalFile, setExternalFile] = useState(null);
   const [showNewSectionInput, setShowNewSectionInput] = useState(false);
   const [newSectionName, setNewSectionName] = useState('');
   const [editingSectionId, setEditingSectionId] = useState(null);
   const [editingSectionName, setEditingSectionName] = useState('');
+  const [workflowSectionId, setWorkflowSectionId] = useState(null);
+  const [fieldsSectionId, setFieldsSectionId] = useState(null);
+  const [templatesSectionId, setTemplatesSectionId] = useState(null);
   const fileInputRef = useRef(null);
   const newSectionInputRef = useRef(null);
   const editSectionInputRef = useRef(null);
@@ -186,23 +257,19 @@ function Sidebar() {
     .map(id => data.sections?.[id])
     .filter(Boolean);
 
-  // Get in-progress items from all sections
+  // Get in-progress items (statuses in the 'active' category) from all sections
   const allItems = Object.values(data.items || {});
-  const inProgressItems = allItems.filter(item => item.status === 'in-progress');
+  const inProgressItems = allItems.filter(item => isActive(data, item));
 
   // Get item count for a section (excluding completed items)
   const getSectionItemCount = (sectionId) => {
     const section = data.sections?.[sectionId];
     if (!section) return 0;
     // Count non-completed items in section
-    const itemsInSection = allItems.filter(item => item.sectionId === sectionId && item.status !== 'done');
+    const itemsInSection = allItems.filter(item => item.sectionId === sectionId && !isDone(data, item));
     return itemsInSection.length;
   };
 
-  const handleExport = () => {
-    exportData();
-  };
-
   const handleImportClick = () => {
     fileInputRef.current?.click();
   };
@@ -211,12 +278,22 @@ function Sidebar() {
     const file = e.target.files?.[0];
     if (!file) return;
 
+    // ZIP files are project bundles, imported as a new project
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      setBundleFile(file);
+      e.target.value = '';
+      return;
+    }
+
     try {
       const text = await file.text();
-      const jsonData = JSON.parse(text);
-      const merge = confirm('Merge with existing data? Click Cancel to replace all data.');
-      await importData(jsonData, merge);
-      alert('Import successful!');
+      // GitHub, Jira and Trello exports go through their importers
+      const source = detectExternalSource(file.name, text);
+      if (source) {
+        setExternalFile({ name: file.name, source, content: text });
+      } else {
+        setImportFile({ name: file.name, data: JSON.parse(text) });
+      }
     } catch (err) {
       alert('Import failed: ' + err.message);
     }
@@ -302,8 +379,8 @@ function Sidebar() {
 
     const itemCount = getSectionItemCount(section.id);
     const confirmMsg = itemCount > 0
-      ? `Delete "${section.name}"? This will also delete ${itemCount} item(s) in this section.`
-      : `Delete "${section.name}"?`;
+      ? `Move "${section.name}" to the trash? Its ${itemCount} item(s) go with it.`
+      : `Move "${section.name}" to the trash?`;
 
     if (!confirm(confirmMsg)) return;
 
@@ -373,6 +450,36 @@ function Sidebar() {
                   >
                     <EditIcon />
                   </button>
+                  <button
+                    className="btn btn-icon btn-ghost btn-xs section-action-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setWorkflowSectionId(section.id);
+                    }}
+                    title="Statuses and workflow"
+                  >
+                    <WorkflowIcon />
+                  </button>
+                  <button
+                    className="btn btn-icon btn-ghost btn-xs section-action-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setFieldsSectionId(section.id);
+                    }}
+                    title="Custom fields"
+                  >
+                    <FieldsIcon />
+                  </button>
+                  <button
+                    className="btn btn-icon btn-ghost btn-xs section-action-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setTemplatesSectionId(section.id);
+                    }}
+                    title="Item templates"
+                  >
+                    <TemplateIcon />
+                  </button>
                   {!section.isSystem && (
                     <button
                       className="btn btn-icon btn-ghost btn-xs section-action-btn section-delete-btn"
@@ -499,14 +606,26 @@ function Sidebar() {
         <div className="sidebar-footer-row">
           <span className="sidebar-footer-label">Data</span>
           <div className="import-export-buttons">
-            <button className="btn btn-secondary btn-sm" onClick={handleExport} title="Export data">
+            <button className="btn btn-secondary btn-sm" onClick={() => setShowExportModal(true)} title="Export as JSON, Markdown, CSV or HTML">
               <DownloadIcon />
               Export
             </button>
-            <button className="btn btn-secondary btn-sm" onClick={handleImportClick} title="Import data">
+            <button className="btn btn-secondary btn-sm btn-icon" onClick={() => exportBundle(activeProjectId)} title="Export project bundle (ZIP with attachments)">
+              <ArchiveIcon />
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={handleImportClick} title="Import data or a project bundle">
               <UploadIcon />
               Import
             </button>
+            <button className="btn btn-secondary btn-sm btn-icon" onClick={() => setShowActivityModal(true)} title="Activity">
+              <ActivityIcon />
+            </button>
+            <button className="btn btn-secondary btn-sm btn-icon" onClick={() => setShowSnapshotsModal(true)} title="Snapshots">
+              <HistoryIcon />
+            </button>
+            <button className="btn btn-secondary btn-sm btn-icon" onClick={() => setShowTrashModal(true)} title="Trash">
+              <TrashIcon />
+            </button>
           </div>
         </div>
 
@@ -514,7 +633,7 @@ function Sidebar() {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".json"
+          accept=".json,.zip,.csv"
           onChange={handleFileChange}
           style={{ display: 'none' }}
         />
@@ -529,6 +648,72 @@ function Sidebar() {
         }}
         editProject={editingProject}
       />
+
+      {/* Snapshots Modal */}
+      <SnapshotsModal
+        isOpen={showSnapshotsModal}
+        onClose={() => setShowSnapshotsModal(false)}
+      />
+
+      {/* Activity Modal */}
+      <ActivityModal
+        isOpen={showActivityModal}
+        onClose={() => setShowActivityModal(false)}
+      />
+
+      {/* Trash Modal */}
+      <TrashModal
+        isOpen={showTrashModal}
+        onClose={() => setShowTrashModal(false)}
+      />
+
+      {/* Export Modal */}
+      <ExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+      />
+
+      {/* Workflow Modal */}
+      <WorkflowModal
+        isOpen={!!workflowSectionId}
+        sectionId={workflowSectionId}
+        onClose={() => setWorkflowSectionId(null)}
+      />
+
+      {/* Fields Modal */}
+      <FieldsModal
+        isOpen={!!fieldsSectionId}
+        sectionId={fieldsSectionId}
+        onClose={() => setFieldsSectionId(null)}
+      />
+
+      {/* Templates Modal */}
+      <TemplatesModal
+        isOpen={!!templatesSectionId}
+        sectionId={templatesSectionId}
+        onClose={() => setTemplatesSectionId(null)}
+      />
+
+      {/* Import Modal */}
+      <ImportModal
+        isOpen={!!importFile}
+        importFile={importFile}
+        onClose={() => setImportFile(null)}
+      />
+
+      {/* Bundle Import Modal */}
+      <BundleImportModal
+        isOpen={!!bundleFile}
+        bundleFile={bundleFile}
+        onClose={() => setBundleFile(null)}
+      />
+
+      {/* External Import Modal */}
+      <ExternalImportModal
+        isOpen={!!externalFile}
+        importFile={externalFile}
+        onClose={() => setExternalFile(null)}
+      />
     </aside>
   );
 }
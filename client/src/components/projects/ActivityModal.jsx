@@ -0,0 +1,124 @@
+import { memo, useState, useEffect, useCallback } from 'react';
+import { useTaskData, useTaskActions, useUIState } from '../../context/TaskProvider';
+import { formatDate, formatDateTime } from '../../utils/dateFormat';
+import { ENTITY_TYPE_LABELS, ACTION_LABELS, SOURCE_LABELS, describeActor, describeEntry } from '../../utils/activity';
+import ActivityChanges from '../detail/ActivityChanges';
+
+const PAGE_SIZE = 50;
+const EMPTY_FILTERS = { source: '', entityType: '', action: '', sectionId: '' };
+
+// Project-wide feed of recorded changes, newest first
+function ActivityModal({ isOpen, onClose }) {
+  const { data } = useTaskData();
+  const { getActivity } = useTaskActions();
+  const { selectItem } = useUIState();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async (offset) => {
+    try {
+      setLoading(true);
+      // Empty filters are left out of the query
+      const query = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const result = await getActivity({ ...query, limit: PAGE_SIZE, offset });
+      setEntries(prev => offset === 0 ? result.entries : [...prev, ...result.entries]);
+      setHasMore(result.hasMore);
+    } catch (err) {
+      alert('Failed to load activity: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [getActivity, filters]);
+
+  useEffect(() => {
+    if (isOpen) load(0);
+  }, [isOpen, load]);
+
+  if (!isOpen) return null;
+
+  const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+
+  // Items and tasks that still exist open in the details panel
+  const canOpen = (entry) => (entry.entityType === 'item' && data?.items?.[entry.entityId])
+    || (entry.entityType === 'task' && data?.tasks?.[entry.entityId]);
+
+  const openEntity = (entry) => {
+    selectItem(entry.entityType, entry.entityId);
+    onClose();
+  };
+
+  const sections = (data?.sectionOrder || []).map(id => data.sections[id]).filter(Boolean);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal trash-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Activity</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="activity-filters">
+          <select className="form-select" value={filters.source} onChange={e => updateFilter('source', e.target.value)}>
+            <option value="">Any source</option>
+            {Object.entries(SOURCE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <select className="form-select" value={filters.entityType} onChange={e => updateFilter('entityType', e.target.value)}>
+            <option value="">Anything</option>
+            {Object.entries(ENTITY_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}s</option>)}
+          </select>
+          <select className="form-select" value={filters.action} onChange={e => updateFilter('action', e.target.value)}>
+            <option value="">Any change</option>
+            {Object.entries(ACTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label[0].toUpperCase() + label.slice(1)}</option>)}
+          </select>
+          <select className="form-select" value={filters.sectionId} onChange={e => updateFilter('sectionId', e.target.value)}>
+            <option value="">All sections</option>
+            {sections.map(section => <option key={section.id} value={section.id}>{section.name}</option>)}
+          </select>
+        </div>
+
+        <div className="modal-body trash-body">
+          {!loading && entries.length === 0 && (
+            <div className="trash-empty">No changes recorded</div>
+          )}
+          {entries.map((entry, index) => (
+            <div key={entry.id}>
+              {/* Day headings between entries of different days */}
+              {(index === 0 || entries[index - 1].at.slice(0, 10) !== entry.at.slice(0, 10)) && (
+                <div className="activity-day">{formatDate(entry.at)}</div>
+              )}
+              <div className="activity-entry">
+                <div className="activity-entry-header">
+                  {canOpen(entry) ? (
+                    <button className="activity-title" onClick={() => openEntity(entry)}>{describeEntry(entry)}</button>
+                  ) : (
+                    <span className="activity-title">{describeEntry(entry)}</span>
+                  )}
+                  <span className={`activity-actor ${entry.source}`}>{describeActor(entry)}</span>
+                  <span className="activity-time">{formatDateTime(entry.at)}</span>
+                </div>
+                <ActivityChanges entry={entry} />
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            {hasMore && (
+              <button className="btn btn-secondary" onClick={() => load(entries.length)} disabled={loading}>
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(ActivityModal);
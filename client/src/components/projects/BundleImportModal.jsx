@@ -0,0 +1,94 @@
+import { memo, useState, useEffect } from 'react';
+import { useProjects } from '../../context/ProjectProvider';
+import { useToast } from '../../context/ToastContext';
+
+// Import a project bundle (ZIP) as a new project
+function BundleImportModal({ isOpen, bundleFile, onClose }) {
+  const { importBundle, switchProject } = useProjects();
+  const { showToast } = useToast();
+  const [name, setName] = useState('');
+  const [freshIds, setFreshIds] = useState(false);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setName('');
+      setFreshIds(false);
+      setError(null);
+    }
+  }, [isOpen, bundleFile]);
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const result = await importBundle(bundleFile, { name: name.trim(), freshIds });
+      const { items, tasks, attachments } = result.counts;
+      showToast(`Imported ${result.project.name}: ${items} items, ${tasks} tasks, ${attachments} files`);
+      onClose();
+      await switchProject(result.project.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen || !bundleFile) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import {bundleFile.name}</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="import-summary">
+            The bundle is imported as a new project, with its attachments. Existing projects are not changed.
+          </div>
+          <div className="form-group">
+            <label htmlFor="bundle-name">Project Name</label>
+            <input
+              id="bundle-name"
+              type="text"
+              className="input"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="Name from the bundle"
+              maxLength={50}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="bundle-ids">IDs</label>
+            <select
+              id="bundle-ids"
+              className="form-select"
+              value={freshIds ? 'fresh' : 'keep'}
+              onChange={e => setFreshIds(e.target.value === 'fresh')}
+            >
+              <option value="keep">Keep the original IDs</option>
+              <option value="fresh">Assign new IDs (drops the bundle&apos;s trash)</option>
+            </select>
+          </div>
+          {error && <div className="import-error">{error}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleImport} disabled={busy}>
+              {busy ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(BundleImportModal);
@@ -0,0 +1,157 @@
+import { memo, useState, useEffect } from 'react';
+import { useTaskData, useUIState, useTaskActions } from '../../context/TaskProvider';
+import { getStatusOptions } from '../../utils/workflow';
+import { parseSearchQuery } from '../../utils/fields';
+
+const FORMATS = [
+  { value: 'json', label: 'JSON (full data, for re-import)' },
+  { value: 'markdown', label: 'Markdown report' },
+  { value: 'csv', label: 'CSV spreadsheet' },
+  { value: 'html', label: 'HTML page' }
+];
+
+// Formats that can include each item's latest plan
+const PLAN_FORMATS = ['markdown', 'html'];
+
+function ExportModal({ isOpen, onClose }) {
+  const { data } = useTaskData();
+  const { activeView, activeSectionId, activeItemId, searchQuery } = useUIState();
+  const { exportData, exportReport } = useTaskActions();
+  const [format, setFormat] = useState('markdown');
+  const [scope, setScope] = useState('project');
+  const [status, setStatus] = useState('');
+  const [useSearch, setUseSearch] = useState(false);
+  const [includePlans, setIncludePlans] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const currentItem = activeView === 'item' ? data?.items?.[activeItemId] : null;
+  const currentSectionId = currentItem ? currentItem.sectionId : activeSectionId;
+  const currentSection = data?.sections?.[currentSectionId];
+
+  // Statuses of the sections being exported, each listed once
+  const statusOptions = (scope === 'project' ? data?.sectionOrder || [] : [currentSectionId])
+    .flatMap(sectionId => getStatusOptions(data, { sectionId }))
+    .filter((option, index, all) => all.findIndex(other => other.value === option.value) === index);
+
+  useEffect(() => {
+    if (isOpen) {
+      setScope(activeView === 'item' && activeItemId ? 'item' : currentSectionId ? 'section' : 'project');
+      setStatus('');
+      setUseSearch(Boolean(searchQuery));
+    }
+  }, [isOpen, activeView, activeItemId, currentSectionId, searchQuery]);
+
+  const handleExport = async () => {
+    try {
+      setBusy(true);
+      if (format === 'json') {
+        await exportData();
+      } else {
+        const filter = {};
+        if (scope === 'section') filter.sectionId = currentSectionId;
+        if (scope === 'item') filter.itemIds = activeItemId;
+        if (status) filter.status = status;
+        if (useSearch && scope !== 'item') {
+          // "field:value" parts of the search become custom field filters
+          const { text, fields } = parseSearchQuery(data, searchQuery);
+          if (text) filter.q = text;
+          if (fields) filter.field = Object.entries(fields).map(([id, value]) => `${id}:${value}`);
+        }
+        if (PLAN_FORMATS.includes(format) && !includePlans) filter.plans = 'false';
+        await exportReport(format, filter);
+      }
+      onClose();
+    } catch (err) {
+      alert('Export failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Export</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="form-group">
+            <label htmlFor="export-format">Format</label>
+            <select id="export-format" className="form-select" value={format} onChange={e => setFormat(e.target.value)}>
+              {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+          </div>
+
+          {format !== 'json' && (
+            <>
+              <div className="import-options">
+                <div className="form-group">
+                  <label htmlFor="export-scope">Items</label>
+                  <select id="export-scope" className="form-select" value={scope} onChange={e => setScope(e.target.value)}>
+                    <option value="project">Whole project</option>
+                    {currentSection && <option value="section">{currentSection.name}</option>}
+                    {currentItem && <option value="item">{currentItem.title}</option>}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="export-status">Status</label>
+                  <select id="export-status" className="form-select" value={status} onChange={e => setStatus(e.target.value)}>
+                    <option value="">Any status</option>
+                    {statusOptions.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="import-options">
+                {searchQuery && scope !== 'item' && (
+                  <div className="form-group">
+                    <label htmlFor="export-search">Search</label>
+                    <select
+                      id="export-search"
+                      className="form-select"
+                      value={useSearch ? 'match' : 'all'}
+                      onChange={e => setUseSearch(e.target.value === 'match')}
+                    >
+                      <option value="match">Only items matching &quot;{searchQuery}&quot;</option>
+                      <option value="all">Ignore the search</option>
+                    </select>
+                  </div>
+                )}
+                {PLAN_FORMATS.includes(format) && (
+                  <div className="form-group">
+                    <label htmlFor="export-plans">Plans</label>
+                    <select
+                      id="export-plans"
+                      className="form-select"
+                      value={includePlans ? 'latest' : 'none'}
+                      onChange={e => setIncludePlans(e.target.value === 'latest')}
+                    >
+                      <option value="latest">Include the latest plan</option>
+                      <option value="none">Leave plans out</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleExport} disabled={busy}>
+              {busy ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(ExportModal);
@@ -0,0 +1,200 @@
+import { memo, useState, useEffect } from 'react';
+import { useTaskData, useUIState, useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import tasksApi from '../../services/api';
+
+const SOURCES = [
+  { value: 'github', label: 'GitHub issues (JSON)' },
+  { value: 'jira', label: 'Jira (CSV)' },
+  { value: 'trello', label: 'Trello board (JSON)' }
+];
+
+// Mapping rule groups, in display order
+const RULE_KINDS = [
+  { kind: 'type', title: 'Issue types' },
+  { kind: 'category', title: 'Lists → categories' },
+  { kind: 'status', title: 'Statuses' },
+  { kind: 'priority', title: 'Priorities' },
+  { kind: 'tag', title: 'Labels → tags' }
+];
+
+/**
+ * Guess which tool a file was exported from
+ * @returns {string|null} 'github', 'jira', 'trello', or null for a Promptling export
+ */
+export function detectExternalSource(fileName, text) {
+  if (fileName.toLowerCase().endsWith('.csv')) return 'jira';
+  try {
+    const parsed = JSON.parse(text);
+    const issues = Array.isArray(parsed) ? parsed : parsed?.issues;
+    if (Array.isArray(issues) && issues.length > 0 && typeof issues[0]?.number === 'number') return 'github';
+    if (Array.isArray(parsed?.lists) && Array.isArray(parsed?.cards)) return 'trello';
+  } catch {
+    // Not JSON; the caller reports it
+  }
+  return null;
+}
+
+function ExternalImportModal({ isOpen, importFile, onClose }) {
+  const { data } = useTaskData();
+  const { activeSectionId } = useUIState();
+  const { importExternal } = useTaskActions();
+  const { showToast } = useToast();
+  const [source, setSource] = useState('github');
+  const [sectionId, setSectionId] = useState('sect-features');
+  const [splitTypes, setSplitTypes] = useState(false);
+  const [conflicts, setConflicts] = useState('update');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && importFile) {
+      setSource(importFile.source);
+      setSectionId(activeSectionId || 'sect-features');
+      setSplitTypes(false);
+      setConflicts('update');
+    }
+  }, [isOpen, importFile, activeSectionId]);
+
+  // Preview again whenever the options change
+  useEffect(() => {
+    if (!isOpen || !importFile) return;
+    let cancelled = false;
+    setPreview(null);
+    setError(null);
+    tasksApi.previewExternalImport(source, importFile.content, { sectionId, splitTypes }, conflicts)
+      .then(result => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, importFile, source, sectionId, splitTypes, conflicts]);
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      const result = await importExternal(source, importFile.content, { sectionId, splitTypes }, conflicts);
+      showToast(`Imported ${result.counts.added} new, updated ${result.counts.changed}`);
+      onClose();
+    } catch (err) {
+      alert('Import failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen || !importFile) return null;
+
+  const sections = (data?.sectionOrder || []).map(id => data.sections[id]).filter(Boolean);
+  const mapping = preview?.mapping;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal import-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import {importFile.name}</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body import-body">
+          <div className="import-options">
+            <div className="form-group">
+              <label htmlFor="external-source">File type</label>
+              <select id="external-source" className="form-select" value={source} onChange={e => setSource(e.target.value)}>
+                {SOURCES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+              </select>
+            </div>
+            {!(source === 'jira' && splitTypes) && (
+              <div className="form-group">
+                <label htmlFor="external-section">{source === 'jira' ? 'Section (bugs go to Bugs)' : 'Section'}</label>
+                <select id="external-section" className="form-select" value={sectionId} onChange={e => setSectionId(e.target.value)}>
+                  {sections.map(section => <option key={section.id} value={section.id}>{section.name}</option>)}
+                </select>
+              </div>
+            )}
+          </div>
+          <div className="import-options">
+            {source === 'jira' && (
+              <div className="form-group">
+                <label htmlFor="external-types">Issue types</label>
+                <select
+                  id="external-types"
+                  className="form-select"
+                  value={splitTypes ? 'split' : 'section'}
+                  onChange={e => setSplitTypes(e.target.value === 'split')}
+                >
+                  <option value="section">Into the section above</option>
+                  <option value="split">One section per issue type</option>
+                </select>
+              </div>
+            )}
+            <div className="form-group">
+              <label htmlFor="external-conflicts">Already imported before</label>
+              <select id="external-conflicts" className="form-select" value={conflicts} onChange={e => setConflicts(e.target.value)}>
+                <option value="update">Update from the file</option>
+                <option value="skip">Leave as is</option>
+              </select>
+            </div>
+          </div>
+
+          {error && <div className="import-error">{error}</div>}
+          {!error && !preview && <div className="import-summary">Reading the file...</div>}
+          {mapping && (
+            <>
+              <div className="import-summary">
+                {mapping.title}: {mapping.counts.items} items, {mapping.counts.tasks} tasks
+                {mapping.counts.matched > 0 && ` (${mapping.counts.matched} imported before)`}
+                {' · '}{preview.counts.added} added, {preview.counts.changed} changed, {preview.counts.skipped} skipped
+              </div>
+              {RULE_KINDS.map(({ kind, title }) => {
+                const rules = mapping.rules.filter(rule => rule.kind === kind);
+                if (rules.length === 0) return null;
+                return (
+                  <div key={kind} className="import-group">
+                    <div className="import-group-title">{title}</div>
+                    {rules.map(rule => (
+                      <div key={`${rule.from}:${rule.to}`} className="import-entry">
+                        <span className="import-entry-type">{rule.from}</span>
+                        → {rule.to}
+                        <span className="import-entry-note">
+                          {rule.isNew ? 'new · ' : ''}{rule.count}×
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+              {mapping.skipped.length > 0 && (
+                <div className="import-group">
+                  <div className="import-group-title">Not imported ({mapping.skipped.length})</div>
+                  {mapping.skipped.map((entry, index) => (
+                    <div key={index} className="import-entry">
+                      {entry.title}
+                      <span className="import-entry-note">{entry.reason}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleImport} disabled={!preview || busy}>
+              {busy ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(ExternalImportModal);
@@ -0,0 +1,149 @@
+import { memo, useState, useEffect } from 'react';
+import { useTaskData, useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import { FIELD_TYPES, fieldIdFromLabel } from '../../utils/fields';
+
+// Editable rows for a section's fields; select options are edited as one comma-separated line
+function toRows(fields) {
+  return (fields || []).map(field => ({ ...field, options: (field.options || []).join(', '), saved: true }));
+}
+
+function FieldsModal({ isOpen, sectionId, onClose }) {
+  const { data } = useTaskData();
+  const { setSectionFields } = useTaskActions();
+  const { showToast } = useToast();
+  const [rows, setRows] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const section = data?.sections?.[sectionId];
+
+  useEffect(() => {
+    if (isOpen && section) {
+      setRows(toRows(section.fields));
+    }
+    // Only when opened: edits shouldn't be reset by data refreshes
+  }, [isOpen, sectionId]);
+
+  if (!isOpen || !section) return null;
+
+  // New rows take their ID from the label; saved ones keep theirs, since item values use it
+  const ids = rows.map((row, index) => row.saved ? row.id : (fieldIdFromLabel(row.label) || `field-${index + 1}`));
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => i === index ? { ...row, ...changes } : row));
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const moveRow = (index) => {
+    if (index === 0) return;
+    setRows(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  };
+
+  const addRow = () => {
+    setRows(prev => [...prev, { id: '', label: '', type: 'text', options: '', saved: false }]);
+  };
+
+  const handleSave = async () => {
+    const fields = rows.map((row, index) => ({
+      id: ids[index],
+      label: row.label.trim() || ids[index],
+      type: row.type,
+      ...(row.type === 'select' ? { options: row.options.split(',').map(o => o.trim()).filter(Boolean) } : {})
+    }));
+    try {
+      setBusy(true);
+      await setSectionFields(sectionId, fields.length > 0 ? fields : null);
+      showToast(`Saved the ${section.name} fields`);
+      onClose();
+    } catch (err) {
+      alert('Failed to save fields: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal import-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{section.name} Fields</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body import-body">
+          <div className="import-group-title">Custom Fields</div>
+          <p className="workflow-hint">
+            Every item in this section gets these fields in its details. Search with <code>field-id:value</code> to filter by one.
+          </p>
+          {rows.map((row, index) => (
+            <div key={index} className="fields-row">
+              <div className="workflow-row">
+                <input
+                  type="text"
+                  className="input"
+                  value={row.label}
+                  onChange={e => updateRow(index, { label: e.target.value })}
+                  placeholder="Field name"
+                  maxLength={40}
+                />
+                <code className="workflow-id">{ids[index]}</code>
+                <select
+                  className="form-select"
+                  value={row.type}
+                  onChange={e => updateRow(index, { type: e.target.value })}
+                >
+                  {FIELD_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                </select>
+                <button type="button" className="btn btn-ghost btn-sm" onClick={() => moveRow(index)} disabled={index === 0} title="Move up">
+                  ↑
+                </button>
+                <button type="button" className="btn btn-ghost btn-sm" onClick={() => removeRow(index)} title="Remove">
+                  &times;
+                </button>
+              </div>
+              {row.type === 'select' && (
+                <input
+                  type="text"
+                  className="input fields-options"
+                  value={row.options}
+                  onChange={e => updateRow(index, { options: e.target.value })}
+                  placeholder="Options, separated by commas"
+                />
+              )}
+            </div>
+          ))}
+          {rows.length === 0 && <p className="workflow-hint">No custom fields yet.</p>}
+          <button type="button" className="btn btn-secondary btn-sm" onClick={addRow}>
+            Add field
+          </button>
+          {duplicate && <div className="import-error">Two fields share the ID &ldquo;{duplicate}&rdquo;</div>}
+          <p className="workflow-hint">
+            Removing a field hides it; items keep their values and show them again if a field with the same ID is added back.
+          </p>
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleSave} disabled={busy || Boolean(duplicate)}>
+              {busy ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(FieldsModal);
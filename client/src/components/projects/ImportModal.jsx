@@ -0,0 +1,173 @@
+import { memo, useState, useEffect } from 'react';
+import { useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import tasksApi from '../../services/api';
+
+const COLLECTION_LABELS = {
+  sections: 'Section',
+  items: 'Item',
+  itemCategories: 'Category',
+  tasks: 'Task',
+  taskCategories: 'Task category',
+  tags: 'Tag',
+  relations: 'Relation',
+  templates: 'Template'
+};
+
+const SKIP_REASONS = {
+  unchanged: 'already up to date',
+  exists: 'already exists',
+  'same-name': 'a tag with this name exists'
+};
+
+// Entries listed per group before collapsing into "and N more"
+const MAX_LISTED = 50;
+
+function PreviewGroup({ title, entries, describe }) {
+  if (entries.length === 0) return null;
+  return (
+    <div className="import-group">
+      <div className="import-group-title">{title} ({entries.length})</div>
+      {entries.slice(0, MAX_LISTED).map(entry => (
+        <div key={`${entry.collection}:${entry.id}`} className="import-entry">
+          <span className="import-entry-type">{COLLECTION_LABELS[entry.collection] || entry.collection}</span>
+          {entry.title}
+          {describe && <span className="import-entry-note">{describe(entry)}</span>}
+        </div>
+      ))}
+      {entries.length > MAX_LISTED && (
+        <div className="import-entry import-entry-note">and {entries.length - MAX_LISTED} more</div>
+      )}
+    </div>
+  );
+}
+
+function ImportModal({ isOpen, importFile, onClose }) {
+  const { importData } = useTaskActions();
+  const { showToast } = useToast();
+  const [merge, setMerge] = useState(true);
+  const [conflicts, setConflicts] = useState('update');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setMerge(true);
+      setConflicts('update');
+    }
+  }, [isOpen, importFile]);
+
+  // Preview again whenever the options change
+  useEffect(() => {
+    if (!isOpen || !importFile) return;
+    let cancelled = false;
+    setPreview(null);
+    setError(null);
+    tasksApi.previewImport(importFile.data, merge ? 'merge' : 'replace', conflicts)
+      .then(result => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, importFile, merge, conflicts]);
+
+  const handleImport = async () => {
+    if (!merge && !confirm('Replace all data in this project with the imported file?\n\nThe current data is snapshotted first.')) return;
+    try {
+      setBusy(true);
+      await importData(importFile.data, merge, conflicts);
+      showToast(`Imported ${importFile.name}`);
+      onClose();
+    } catch (err) {
+      alert('Import failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen || !importFile) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal import-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import {importFile.name}</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body import-body">
+          <div className="import-options">
+            <div className="form-group">
+              <label htmlFor="import-mode">Mode</label>
+              <select
+                id="import-mode"
+                className="form-select"
+                value={merge ? 'merge' : 'replace'}
+                onChange={e => setMerge(e.target.value === 'merge')}
+              >
+                <option value="merge">Merge into this project</option>
+                <option value="replace">Replace all data</option>
+              </select>
+            </div>
+            {merge && (
+              <div className="form-group">
+                <label htmlFor="import-conflicts">When an ID already exists</label>
+                <select
+                  id="import-conflicts"
+                  className="form-select"
+                  value={conflicts}
+                  onChange={e => setConflicts(e.target.value)}
+                >
+                  <option value="update">Update it from the file</option>
+                  <option value="skip">Keep the project&apos;s copy</option>
+                  <option value="copy">Import a copy with a new ID</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          {error && <div className="import-error">{error}</div>}
+          {!error && !preview && <div className="import-summary">Checking the file...</div>}
+          {preview && (
+            <>
+              <div className="import-summary">
+                {preview.sourceVersion < 4 && `Exported by an older version (v${preview.sourceVersion}); it will be converted. `}
+                {preview.counts.added} added, {preview.counts.changed} changed, {preview.counts.skipped} skipped
+                {!merge && `, ${preview.counts.removed} removed`}
+                {preview.counts.remapped > 0 && ` · ${preview.counts.remapped} given new IDs`}
+              </div>
+              <PreviewGroup
+                title="Added"
+                entries={preview.added}
+                describe={entry => entry.importedId && `new ID (was ${entry.importedId})`}
+              />
+              <PreviewGroup title="Changed" entries={preview.changed} />
+              <PreviewGroup title="Removed" entries={preview.removed} />
+              <PreviewGroup
+                title="Skipped"
+                entries={preview.skipped}
+                describe={entry => SKIP_REASONS[entry.reason] || entry.reason}
+              />
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button className={`btn ${merge ? 'btn-primary' : 'btn-danger'}`} onClick={handleImport} disabled={!preview || busy}>
+              {busy ? 'Importing...' : merge ? 'Merge' : 'Replace'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(ImportModal);
@@ -0,0 +1,70 @@
+import { memo, useState, useEffect } from 'react';
+import { useProjects } from '../../context/ProjectProvider';
+import { useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+
+// Banner shown when the active project's data has integrity problems
+function IntegrityWarning() {
+  const { activeProjectId, checkIntegrity, repairIntegrity } = useProjects();
+  const { reload } = useTaskActions();
+  const { showToast } = useToast();
+  const [issues, setIssues] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  // Check once per project load; a failed check is not worth interrupting for
+  useEffect(() => {
+    let cancelled = false;
+    checkIntegrity(activeProjectId)
+      .then(report => {
+        if (!cancelled) setIssues(report.issues);
+      })
+      .catch(err => console.error('Integrity check failed:', err));
+    return () => { cancelled = true; };
+  }, [activeProjectId, checkIntegrity]);
+
+  const handleRepair = async () => {
+    if (!confirm(`Repair ${issues.length} problem(s) in this project's data?\n\nA snapshot is taken first, so this can be undone.`)) return;
+    try {
+      setBusy(true);
+      const result = await repairIntegrity(activeProjectId);
+      await reload(false);
+      setIssues(result.remaining || []);
+      showToast(`Repaired ${result.issues.length} problem(s)`);
+    } catch (err) {
+      alert('Failed to repair data: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (issues.length === 0) return null;
+
+  return (
+    <div className="integrity-warning">
+      <div className="integrity-warning-header">
+        <span className="integrity-warning-title">
+          Found {issues.length} problem(s) in this project&apos;s data
+        </span>
+        <button className="btn btn-ghost btn-sm" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Hide' : 'Details'}
+        </button>
+        <button className="btn btn-primary btn-sm" onClick={handleRepair} disabled={busy}>
+          {busy ? 'Repairing...' : 'Repair'}
+        </button>
+        <button className="btn btn-ghost btn-sm" onClick={() => setIssues([])} disabled={busy}>
+          Dismiss
+        </button>
+      </div>
+      {expanded && (
+        <ul className="integrity-warning-list">
+          {issues.map((issue, index) => (
+            <li key={index}>{issue.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default memo(IntegrityWarning);
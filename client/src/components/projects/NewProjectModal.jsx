@@ -1,5 +1,6 @@
 import { memo, useState, useEffect, useRef } from 'react';
 import { useProjects } from '../../context/ProjectProvider';
+import tasksApi from '../../services/api';
 
 const DEFAULT_COLORS = [
   '#3b82f6', // blue
@@ -16,7 +17,10 @@ function NewProjectModal({ isOpen, onClose, editProject }) {
   const { createProject, updateProject, deleteProject, switchProject } = useProjects();
   const [name, setName] = useState('');
   const [workingDir, setWorkingDir] = useState('');
+  const [markdownMirror, setMarkdownMirror] = useState(false);
   const [color, setColor] = useState(DEFAULT_COLORS[0]);
+  const [keyPrefix, setKeyPrefix] = useState('');
+  const [savedKeyPrefix, setSavedKeyPrefix] = useState('');
   const [saving, setSaving] = useState(false);
   const [deleting, setDeleting] = useState(false);
   const inputRef = useRef(null);
@@ -28,10 +32,20 @@ function NewProjectModal({ isOpen, onClose, editProject }) {
       if (editProject) {
         setName(editProject.name || '');
         setWorkingDir(editProject.workingDir || '');
+        setMarkdownMirror(!!editProject.markdownMirror);
         setColor(editProject.color || DEFAULT_COLORS[0]);
+        setKeyPrefix('');
+        setSavedKeyPrefix('');
+        tasksApi.getKeys(editProject.id)
+          .then(keys => {
+            setKeyPrefix(keys?.prefix || '');
+            setSavedKeyPrefix(keys?.prefix || '');
+          })
+          .catch(err => console.error('Failed to load key prefix:', err));
       } else {
         setName('');
         setWorkingDir('');
+        setMarkdownMirror(false);
         setColor(DEFAULT_COLORS[Math.floor(Math.random() * DEFAULT_COLORS.length)]);
       }
       // Focus input after a short delay
@@ -49,15 +63,19 @@ function NewProjectModal({ isOpen, onClose, editProject }) {
         const updates = { name: name.trim(), color };
         const trimmedDir = workingDir.trim();
         updates.workingDir = trimmedDir || ''; // empty string tells server to clear
+        updates.markdownMirror = !!trimmedDir && markdownMirror;
+        if (keyPrefix.trim() && keyPrefix.trim().toUpperCase() !== savedKeyPrefix) {
+          await tasksApi.setKeyPrefix(keyPrefix.trim(), editProject.id);
+        }
         await updateProject(editProject.id, updates);
       } else {
-        const project = await createProject(name.trim(), color, workingDir.trim());
+        const project = await createProject(name.trim(), color, workingDir.trim(), markdownMirror);
         // Switch to the new project - TaskProvider will remount due to key change
         await switchProject(project.id);
       }
       onClose();
     } catch (err) {
-      alert('Failed to save project: ' + err.message);
+      alert('Failed to save project: ' + (err.response?.data?.error || err.message));
     } finally {
       setSaving(false);
     }
@@ -123,6 +141,36 @@ function NewProjectModal({ isOpen, onClose, editProject }) {
               />
             </div>
 
+            {workingDir.trim() && (
+              <div className="form-group">
+                <label htmlFor="project-markdown-mirror">Markdown Files</label>
+                <select
+                  id="project-markdown-mirror"
+                  className="form-select"
+                  value={markdownMirror ? 'on' : 'off'}
+                  onChange={e => setMarkdownMirror(e.target.value === 'on')}
+                >
+                  <option value="off">Keep data in Promptling only</option>
+                  <option value="on">Mirror items to .promptling/ in the working directory</option>
+                </select>
+              </div>
+            )}
+
+            {isEdit && (
+              <div className="form-group">
+                <label htmlFor="project-key-prefix">Key Prefix</label>
+                <input
+                  id="project-key-prefix"
+                  type="text"
+                  className="input"
+                  value={keyPrefix}
+                  onChange={e => setKeyPrefix(e.target.value.toUpperCase())}
+                  placeholder="API"
+                  maxLength={10}
+                />
+              </div>
+            )}
+
             <div className="form-group">
               <label>Color</label>
               <div className="color-picker">
@@ -1,5 +1,6 @@
 import { memo, useState, useRef, useEffect } from 'react';
 import { useProjects } from '../../context/ProjectProvider';
+import { useUIState } from '../../context/TaskProvider';
 
 const ChevronDown = () => (
   <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -28,6 +29,7 @@ const SettingsIcon = () => (
 
 function ProjectSelector({ onNewProject, onEditProject }) {
   const { projects, activeProjectId, activeProject, switchProject, loading } = useProjects();
+  const { draggedItemId } = useUIState();
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
 
@@ -51,6 +53,9 @@ function ProjectSelector({ onNewProject, onEditProject }) {
     setIsOpen(false);
   };
 
+  // While an item is dragged, the other projects are drop targets (the drop is handled in MainPanel)
+  const dropProjects = draggedItemId ? projects.filter(p => p.id !== activeProjectId) : [];
+
   if (loading) {
     return (
       <div className="project-selector">
@@ -75,7 +80,30 @@ function ProjectSelector({ onNewProject, onEditProject }) {
         <ChevronDown />
       </button>
 
-      {isOpen && (
+      {dropProjects.length > 0 && (
+        <div className="project-dropdown project-drop-list">
+          <div className="project-dropdown-header">
+            <span>Drop to move to</span>
+          </div>
+          <div className="project-dropdown-list">
+            {dropProjects.map(project => (
+              <div
+                key={project.id}
+                className="project-dropdown-item project-drop-target"
+                data-drop-project-id={project.id}
+              >
+                <span
+                  className="project-color-dot"
+                  style={{ backgroundColor: project.color || '#3b82f6' }}
+                />
+                <span className="project-item-name">{project.name}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {isOpen && !draggedItemId && (
         <div className="project-dropdown">
           <div className="project-dropdown-header">
             <span>Projects</span>
@@ -0,0 +1,186 @@
+import { memo, useState, useEffect, useCallback } from 'react';
+import { useProjects } from '../../context/ProjectProvider';
+import { useTaskData, useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+
+// Labels for the reasons the server records
+const REASON_LABELS = {
+  interval: 'Automatic',
+  manual: 'Manual',
+  'before-replace': 'Before full save',
+  'before-import': 'Before import',
+  'before-delete': 'Before delete',
+  'before-delete-section': 'Before section delete',
+  'before-restore': 'Before restore',
+  'before-purge': 'Before emptying trash',
+  'before-repair': 'Before data repair',
+  'before-move-to-project': 'Before moving an item to another project'
+};
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+// Items that a restore would bring back or remove, compared to the current data
+function diffItems(snapshotData, currentData) {
+  const snapshotItems = snapshotData.items || {};
+  const currentItems = currentData?.items || {};
+  return {
+    added: Object.values(snapshotItems).filter(item => !currentItems[item.id]),
+    removed: Object.values(currentItems).filter(item => !snapshotItems[item.id])
+  };
+}
+
+function SnapshotsModal({ isOpen, onClose }) {
+  const { activeProjectId, listSnapshots, createSnapshot, getSnapshot, restoreSnapshot } = useProjects();
+  const { data } = useTaskData();
+  const { reload } = useTaskActions();
+  const { showToast } = useToast();
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadSnapshots = useCallback(async () => {
+    if (!activeProjectId) return;
+    try {
+      setLoading(true);
+      setSnapshots(await listSnapshots(activeProjectId));
+    } catch (err) {
+      alert('Failed to load snapshots: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [activeProjectId, listSnapshots]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedId(null);
+      setPreview(null);
+      loadSnapshots();
+    }
+  }, [isOpen, loadSnapshots]);
+
+  const handleSelect = async (snapshotId) => {
+    setSelectedId(snapshotId);
+    setPreview(null);
+    try {
+      setPreview(await getSnapshot(activeProjectId, snapshotId));
+    } catch (err) {
+      alert('Failed to load snapshot: ' + err.message);
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setBusy(true);
+      await createSnapshot(activeProjectId);
+      await loadSnapshots();
+    } catch (err) {
+      alert('Failed to create snapshot: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!preview) return;
+    const { snapshot } = preview;
+    if (!confirm(`Restore the snapshot from ${formatDate(snapshot.createdAt)}?\n\nThe current data is snapshotted first, so this can be undone.`)) return;
+
+    try {
+      setBusy(true);
+      await restoreSnapshot(activeProjectId, snapshot.id);
+      await reload(false);
+      showToast(`Restored snapshot from ${formatDate(snapshot.createdAt)}`);
+      onClose();
+    } catch (err) {
+      alert('Failed to restore snapshot: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const sections = preview
+    ? (preview.data.sectionOrder || []).map(id => preview.data.sections?.[id]).filter(Boolean)
+    : [];
+  const diff = preview ? diffItems(preview.data, data) : null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal snapshots-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Snapshots</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body snapshots-body">
+          <div className="snapshots-list">
+            {loading && <div className="snapshots-empty">Loading...</div>}
+            {!loading && snapshots.length === 0 && (
+              <div className="snapshots-empty">No snapshots yet</div>
+            )}
+            {!loading && snapshots.map(snapshot => (
+              <div
+                key={snapshot.id}
+                className={`snapshot-row ${selectedId === snapshot.id ? 'active' : ''}`}
+                onClick={() => handleSelect(snapshot.id)}
+              >
+                <span className="snapshot-date">{formatDate(snapshot.createdAt)}</span>
+                <span className="snapshot-meta">
+                  {REASON_LABELS[snapshot.reason] || snapshot.reason} · {snapshot.counts.items} items · {snapshot.counts.tasks} tasks
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div className="snapshot-preview">
+            {!selectedId && <div className="snapshots-empty">Select a snapshot to preview it</div>}
+            {selectedId && !preview && <div className="snapshots-empty">Loading...</div>}
+            {preview && (
+              <>
+                <div className="snapshot-diff">
+                  {diff.added.length === 0 && diff.removed.length === 0
+                    ? 'Same items as now (contents may differ)'
+                    : `Restoring brings back ${diff.added.length} item(s) and removes ${diff.removed.length} item(s)`}
+                </div>
+                {sections.map(section => {
+                  const items = Object.values(preview.data.items || {}).filter(item => item.sectionId === section.id);
+                  return (
+                    <div key={section.id} className="snapshot-section">
+                      <div className="snapshot-section-title">{section.name} ({items.length})</div>
+                      {items.map(item => (
+                        <div key={item.id} className={`snapshot-item ${data?.items?.[item.id] ? '' : 'snapshot-item-missing'}`}>
+                          {item.title}
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={handleCreate} disabled={busy}>
+            Snapshot Now
+          </button>
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Close
+            </button>
+            <button className="btn btn-primary" onClick={handleRestore} disabled={!preview || busy}>
+              {busy ? 'Working...' : 'Restore'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(SnapshotsModal);
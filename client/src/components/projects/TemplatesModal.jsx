@@ -0,0 +1,238 @@
+import { memo, useState, useEffect } from 'react';
+import { useTaskData, useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import { PRIORITIES } from '../../services/api';
+import { getTemplates } from '../../utils/templates';
+
+const EMPTY_FORM = { name: '', scope: 'section', description: '', priority: '', tagIds: [], categoryId: '', tasks: '' };
+
+// Form state for a template; starter tasks are edited one title per line
+function toForm(template) {
+  if (!template) return EMPTY_FORM;
+  return {
+    name: template.name,
+    scope: template.sectionId ? 'section' : 'project',
+    description: template.description || '',
+    priority: template.priority || '',
+    tagIds: template.tagIds || [],
+    categoryId: template.categoryId || '',
+    tasks: (template.tasks || []).map(task => task.title).join('\n')
+  };
+}
+
+function TemplatesModal({ isOpen, sectionId, onClose }) {
+  const { data } = useTaskData();
+  const { saveTemplate, deleteTemplate } = useTaskActions();
+  const { showToast } = useToast();
+  // null while listing, 'new' or a template ID while editing
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+
+  const section = data?.sections?.[sectionId];
+
+  useEffect(() => {
+    if (isOpen) setEditingId(null);
+  }, [isOpen, sectionId]);
+
+  if (!isOpen || !section) return null;
+
+  const templates = getTemplates(data, sectionId);
+  const editing = editingId && editingId !== 'new' ? data.templates?.[editingId] : null;
+  const categories = (section.categoryOrder || []).map(id => data.itemCategories[id]).filter(Boolean);
+  const tags = Object.values(data.tags || {});
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const startEditing = (template) => {
+    setForm(toForm(template));
+    setEditingId(template ? template.id : 'new');
+  };
+
+  const toggleTag = (tagId) => {
+    updateForm({ tagIds: form.tagIds.includes(tagId) ? form.tagIds.filter(id => id !== tagId) : [...form.tagIds, tagId] });
+  };
+
+  const handleSave = async () => {
+    // Tasks whose title is unchanged keep their description
+    const previousTasks = editing?.tasks || [];
+    const tasks = form.tasks.split('\n').map(line => line.trim()).filter(Boolean).map(title =>
+      previousTasks.find(task => task.title === title) || { title }
+    );
+    const template = {
+      name: form.name.trim(),
+      sectionId: form.scope === 'section' ? sectionId : null,
+      description: form.description,
+      priority: form.priority || null,
+      // Tags and categories deleted since the form was filled in are dropped
+      tagIds: form.tagIds.filter(id => data.tags?.[id]),
+      categoryId: form.scope === 'section' && data.itemCategories[form.categoryId] ? form.categoryId : null,
+      tasks
+    };
+    try {
+      setBusy(true);
+      await saveTemplate(editing?.id || null, template);
+      showToast(`Saved the ${template.name} template`);
+      setEditingId(null);
+    } catch (err) {
+      alert('Failed to save template: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = (template) => {
+    if (confirm(`Delete the template "${template.name}"? Items created from it are kept.`)) {
+      deleteTemplate(template.id);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal import-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{section.name} Templates</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        {editingId === null ? (
+          <div className="modal-body import-body">
+            <p className="workflow-hint">
+              Pick a template from the Add menu to start a new item with its description, priority, tags, category and tasks.
+            </p>
+            {templates.map(template => (
+              <div key={template.id} className="workflow-row template-row">
+                <span className="template-name">{template.name}</span>
+                <span className="workflow-hint">
+                  {template.sectionId ? '' : 'Every section · '}
+                  {template.tasks.length} task{template.tasks.length === 1 ? '' : 's'}
+                </span>
+                <button type="button" className="btn btn-ghost btn-sm" onClick={() => startEditing(template)}>
+                  Edit
+                </button>
+                <button type="button" className="btn btn-ghost btn-sm" onClick={() => handleDelete(template)} title="Delete">
+                  &times;
+                </button>
+              </div>
+            ))}
+            {templates.length === 0 && <p className="workflow-hint">No templates yet.</p>}
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => startEditing(null)}>
+              New template
+            </button>
+          </div>
+        ) : (
+          <div className="modal-body import-body">
+            <div className="import-options">
+              <div className="form-group">
+                <label htmlFor="template-name">Name</label>
+                <input
+                  id="template-name"
+                  type="text"
+                  className="input"
+                  value={form.name}
+                  onChange={e => updateForm({ name: e.target.value })}
+                  placeholder="Bug report"
+                  maxLength={60}
+                  autoFocus
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="template-scope">Use in</label>
+                <select id="template-scope" className="form-select" value={form.scope} onChange={e => updateForm({ scope: e.target.value })}>
+                  <option value="section">{section.name}</option>
+                  <option value="project">Every section</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="template-description">Description</label>
+              <textarea
+                id="template-description"
+                className="input template-text"
+                rows={7}
+                value={form.description}
+                onChange={e => updateForm({ description: e.target.value })}
+                placeholder={'## Steps to reproduce\n\n## Expected\n\n## Actual'}
+              />
+            </div>
+
+            <div className="import-options">
+              <div className="form-group">
+                <label htmlFor="template-priority">Priority</label>
+                <select id="template-priority" className="form-select" value={form.priority} onChange={e => updateForm({ priority: e.target.value })}>
+                  <option value="">Default</option>
+                  {PRIORITIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="template-category">Category</label>
+                <select
+                  id="template-category"
+                  className="form-select"
+                  value={form.scope === 'section' ? form.categoryId : ''}
+                  onChange={e => updateForm({ categoryId: e.target.value })}
+                  disabled={form.scope !== 'section'}
+                >
+                  <option value="">None</option>
+                  {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+              </div>
+            </div>
+
+            {tags.length > 0 && (
+              <div className="form-group">
+                <label>Tags</label>
+                <div className="tags-container">
+                  {tags.map(tag => (
+                    <span
+                      key={tag.id}
+                      className={`tag tag-removable template-tag ${form.tagIds.includes(tag.id) ? 'selected' : ''}`}
+                      onClick={() => toggleTag(tag.id)}
+                    >
+                      <span className="tag-dot" style={{ background: tag.color }} />
+                      {tag.name}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="template-tasks">Starter tasks</label>
+              <textarea
+                id="template-tasks"
+                className="input template-text"
+                rows={4}
+                value={form.tasks}
+                onChange={e => updateForm({ tasks: e.target.value })}
+                placeholder="One task per line"
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            {editingId === null ? (
+              <button className="btn btn-secondary" onClick={onClose}>
+                Close
+              </button>
+            ) : (
+              <>
+                <button className="btn btn-secondary" onClick={() => setEditingId(null)} disabled={busy}>
+                  Back
+                </button>
+                <button className="btn btn-primary" onClick={handleSave} disabled={busy || !form.name.trim()}>
+                  {busy ? 'Saving...' : 'Save'}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(TemplatesModal);
@@ -0,0 +1,148 @@
+import { memo, useState, useEffect } from 'react';
+import { useProjects } from '../../context/ProjectProvider';
+import { useTaskData, useTaskActions, useUIState } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import tasksApi from '../../services/api';
+
+// Move or copy an item, with its tasks, attachments and plans, to another project
+function TransferItemModal({ isOpen, itemId, onClose }) {
+  const { projects, activeProjectId, transferItem } = useProjects();
+  const { data } = useTaskData();
+  const { reload } = useTaskActions();
+  const { clearSelection } = useUIState();
+  const { showToast } = useToast();
+  const [pickedProjectId, setPickedProjectId] = useState('');
+  const [targetSections, setTargetSections] = useState([]);
+  const [sectionId, setSectionId] = useState('');
+  const [mode, setMode] = useState('move');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const item = data?.items?.[itemId];
+  const otherProjects = projects.filter(p => p.id !== activeProjectId);
+  const targetProjectId = pickedProjectId || otherProjects[0]?.id || '';
+
+  useEffect(() => {
+    if (isOpen) {
+      setPickedProjectId('');
+      setMode('move');
+      setError(null);
+    }
+  }, [isOpen]);
+
+  // The target's sections; the item's own section is preselected when the target has it too
+  useEffect(() => {
+    if (!isOpen || !targetProjectId) return;
+    let cancelled = false;
+    setTargetSections([]);
+    tasksApi.getProjectData(targetProjectId)
+      .then(targetData => {
+        if (cancelled) return;
+        const sections = (targetData.sectionOrder || []).map(id => targetData.sections[id]).filter(Boolean);
+        setTargetSections(sections);
+        setSectionId(sections.some(s => s.id === item?.sectionId) ? item.sectionId : sections[0]?.id || '');
+      })
+      .catch(err => !cancelled && setError(err.response?.data?.error || err.message));
+    return () => { cancelled = true; };
+  }, [isOpen, targetProjectId, item?.sectionId]);
+
+  const handleTransfer = async () => {
+    const target = projects.find(p => p.id === targetProjectId);
+    try {
+      setBusy(true);
+      setError(null);
+      const result = await transferItem(activeProjectId, { itemId, targetProjectId, mode, sectionId });
+      await reload(false);
+      if (mode === 'move') clearSelection();
+      showToast(`${mode === 'move' ? 'Moved' : 'Copied'} to ${target.name} as ${result.item.key || result.item.title}`);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen || !item) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Move or copy to project</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="import-summary">
+            &quot;{item.title}&quot; goes with its tasks, task categories, attachments, plans, plan comments and
+            prompt history. Tags are matched by name in the target project, or created there; relations stay behind.
+          </div>
+          {otherProjects.length === 0 ? (
+            <div className="import-error">There is no other project to move the item to.</div>
+          ) : (
+            <>
+              <div className="form-group">
+                <label htmlFor="transfer-project">Project</label>
+                <select
+                  id="transfer-project"
+                  className="form-select"
+                  value={targetProjectId}
+                  onChange={e => setPickedProjectId(e.target.value)}
+                >
+                  {otherProjects.map(project => (
+                    <option key={project.id} value={project.id}>{project.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="transfer-section">Section</label>
+                <select
+                  id="transfer-section"
+                  className="form-select"
+                  value={sectionId}
+                  onChange={e => setSectionId(e.target.value)}
+                  disabled={targetSections.length === 0}
+                >
+                  {targetSections.map(section => (
+                    <option key={section.id} value={section.id}>{section.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="transfer-mode">Mode</label>
+                <select
+                  id="transfer-mode"
+                  className="form-select"
+                  value={mode}
+                  onChange={e => setMode(e.target.value)}
+                >
+                  <option value="move">Move (removes it from this project)</option>
+                  <option value="copy">Copy (keeps it here too)</option>
+                </select>
+              </div>
+            </>
+          )}
+          {error && <div className="import-error">{error}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button
+              className="btn btn-primary"
+              onClick={handleTransfer}
+              disabled={busy || !targetProjectId || !sectionId}
+            >
+              {busy ? 'Working...' : mode === 'move' ? 'Move' : 'Copy'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(TransferItemModal);
@@ -0,0 +1,165 @@
+import { memo, useState, useEffect, useCallback } from 'react';
+import { useTaskData, useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+
+const TYPE_LABELS = {
+  item: 'Item',
+  task: 'Task',
+  'task-category': 'Task category',
+  'item-category': 'Category',
+  section: 'Section'
+};
+
+// "3 tasks, 1 category" for what was deleted along with the entry
+function describeContents(entry) {
+  const { items = 0, tasks = 0, taskCategories = 0, itemCategories = 0, relations = 0, templates = 0 } = entry.counts;
+  const rootKey = { item: 'items', task: 'tasks', 'task-category': 'taskCategories', 'item-category': 'itemCategories' }[entry.type];
+  const parts = [];
+  const add = (key, count, singular, plural) => {
+    const extra = key === rootKey ? count - 1 : count;
+    if (extra > 0) parts.push(`${extra} ${extra === 1 ? singular : plural}`);
+  };
+  add('items', items, 'item', 'items');
+  add('tasks', tasks, 'task', 'tasks');
+  add('taskCategories', taskCategories, 'category', 'categories');
+  add('itemCategories', itemCategories, 'category', 'categories');
+  add('relations', relations, 'relation', 'relations');
+  add('templates', templates, 'template', 'templates');
+  return parts.join(', ');
+}
+
+// Where the entry will be restored to
+function describeLocation(entry, data) {
+  const { position } = entry;
+  if (position.itemId) {
+    const item = data?.items?.[position.itemId];
+    return item ? `in ${item.title}` : 'parent item deleted';
+  }
+  if (position.sectionId) {
+    const section = data?.sections?.[position.sectionId];
+    return section ? `in ${section.name}` : 'section deleted';
+  }
+  return '';
+}
+
+function TrashModal({ isOpen, onClose }) {
+  const { data } = useTaskData();
+  const { getTrash, restoreFromTrash, purgeTrashEntry, emptyTrash } = useTaskActions();
+  const { showToast } = useToast();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setEntries(await getTrash());
+    } catch (err) {
+      alert('Failed to load trash: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [getTrash]);
+
+  useEffect(() => {
+    if (isOpen) loadTrash();
+  }, [isOpen, loadTrash]);
+
+  const handleRestore = async (entry) => {
+    try {
+      setBusy(true);
+      await restoreFromTrash(entry.id);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+      showToast(`Restored "${entry.title}"`);
+    } catch (err) {
+      alert('Failed to restore: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePurge = async (entry) => {
+    if (!confirm(`Permanently delete "${entry.title}"? This cannot be undone.`)) return;
+    try {
+      setBusy(true);
+      await purgeTrashEntry(entry.id);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+    } catch (err) {
+      alert('Failed to delete: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!confirm(`Permanently delete all ${entries.length} item(s) in the trash? This cannot be undone.`)) return;
+    try {
+      setBusy(true);
+      await emptyTrash();
+      setEntries([]);
+    } catch (err) {
+      alert('Failed to empty trash: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal trash-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Trash</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body trash-body">
+          {loading && <div className="trash-empty">Loading...</div>}
+          {!loading && entries.length === 0 && (
+            <div className="trash-empty">The trash is empty</div>
+          )}
+          {!loading && entries.map(entry => {
+            const contents = describeContents(entry);
+            const location = describeLocation(entry, data);
+            return (
+              <div key={entry.id} className="trash-row">
+                <div className="trash-row-info">
+                  <span className="trash-row-title">{entry.title}</span>
+                  <span className="trash-row-meta">
+                    {TYPE_LABELS[entry.type] || entry.type}
+                    {location && ` · ${location}`}
+                    {contents && ` · with ${contents}`}
+                    {' · deleted '}{new Date(entry.deletedAt).toLocaleString()}
+                    {entry.expiresAt && ` · removed for good ${new Date(entry.expiresAt).toLocaleDateString()}`}
+                  </span>
+                </div>
+                <div className="trash-row-actions">
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleRestore(entry)} disabled={busy}>
+                    Restore
+                  </button>
+                  <button className="btn btn-ghost btn-sm" onClick={() => handlePurge(entry)} disabled={busy} title="Delete permanently">
+                    Delete
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="modal-footer">
+          <div className="modal-footer-actions">
+            <button className="btn btn-danger" onClick={handleEmpty} disabled={busy || entries.length === 0}>
+              Empty Trash
+            </button>
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(TrashModal);
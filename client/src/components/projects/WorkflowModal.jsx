@@ -0,0 +1,223 @@
+import { memo, useState, useEffect } from 'react';
+import { useTaskData, useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import { TASK_STATUSES } from '../../services/api';
+
+const CATEGORIES = [
+  { value: 'todo', label: 'To do' },
+  { value: 'active', label: 'Active' },
+  { value: 'done', label: 'Done (finished)' }
+];
+
+// Status ID from a label: lowercase words joined by dashes
+function statusIdFromLabel(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^[^a-z]+|-+$/g, '').slice(0, 32);
+}
+
+// Editable rows for a workflow (the default statuses if the section has none)
+function toRows(workflow) {
+  if (!workflow) {
+    return TASK_STATUSES.map(({ value, label, color, category }) => ({ id: value, label, color, category, saved: true }));
+  }
+  return workflow.statuses.map(status => ({ ...status, saved: true }));
+}
+
+function WorkflowModal({ isOpen, sectionId, onClose }) {
+  const { data } = useTaskData();
+  const { setSectionWorkflow } = useTaskActions();
+  const { showToast } = useToast();
+  const [rows, setRows] = useState([]);
+  const [restricted, setRestricted] = useState(false);
+  const [transitions, setTransitions] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const section = data?.sections?.[sectionId];
+
+  useEffect(() => {
+    if (isOpen && section) {
+      setRows(toRows(section.workflow));
+      setRestricted(Boolean(section.workflow?.transitions));
+      setTransitions(section.workflow?.transitions || {});
+    }
+    // Only when opened: edits shouldn't be reset by data refreshes
+  }, [isOpen, sectionId]);
+
+  if (!isOpen || !section) return null;
+
+  // New rows take their ID from the label; saved ones keep theirs, since items use it
+  const rowId = (row, index) => row.saved ? row.id : (statusIdFromLabel(row.label) || `status-${index + 1}`);
+  const ids = rows.map(rowId);
+
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => i === index ? { ...row, ...changes } : row));
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const moveRow = (index) => {
+    if (index === 0) return;
+    setRows(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  };
+
+  const addRow = () => {
+    setRows(prev => [...prev, { id: '', label: '', color: '#6b7280', category: 'todo', saved: false }]);
+  };
+
+  // A status without an entry may change to any other one
+  const isAllowed = (from, to) => !transitions[from] || transitions[from].includes(to);
+
+  const toggleTransition = (from, to) => {
+    setTransitions(prev => {
+      const current = prev[from] || ids.filter(id => id !== from);
+      const next = current.includes(to) ? current.filter(id => id !== to) : [...current, to];
+      return { ...prev, [from]: next };
+    });
+  };
+
+  const handleSave = async (workflow) => {
+    try {
+      setBusy(true);
+      await setSectionWorkflow(sectionId, workflow);
+      showToast(workflow ? `Saved the ${section.name} workflow` : `${section.name} uses the default statuses again`);
+      onClose();
+    } catch (err) {
+      alert('Failed to save workflow: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const buildWorkflow = () => ({
+    statuses: rows.map((row, index) => ({
+      id: ids[index],
+      label: row.label.trim() || ids[index],
+      color: row.color,
+      category: row.category
+    })),
+    transitions: restricted
+      ? Object.fromEntries(ids.map(from => [from, ids.filter(to => to !== from && isAllowed(from, to))]))
+      : null
+  });
+
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal import-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{section.name} Workflow</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="modal-body import-body">
+          <div className="import-group-title">Statuses</div>
+          <p className="workflow-hint">
+            New items start in the first &ldquo;To do&rdquo; status. Moving to a &ldquo;Done&rdquo; status marks an item finished.
+            Tasks always use Open, In Progress and Done.
+          </p>
+          {rows.map((row, index) => (
+            <div key={index} className="workflow-row">
+              <input
+                type="color"
+                className="workflow-color"
+                value={row.color}
+                onChange={e => updateRow(index, { color: e.target.value })}
+                title="Color"
+              />
+              <input
+                type="text"
+                className="input"
+                value={row.label}
+                onChange={e => updateRow(index, { label: e.target.value })}
+                placeholder="Status name"
+                maxLength={40}
+              />
+              <code className="workflow-id">{ids[index]}</code>
+              <select
+                className="form-select"
+                value={row.category}
+                onChange={e => updateRow(index, { category: e.target.value })}
+              >
+                {CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+              </select>
+              <button type="button" className="btn btn-ghost btn-sm" onClick={() => moveRow(index)} disabled={index === 0} title="Move up">
+                ↑
+              </button>
+              <button type="button" className="btn btn-ghost btn-sm" onClick={() => removeRow(index)} disabled={rows.length === 1} title="Remove">
+                &times;
+              </button>
+            </div>
+          ))}
+          <button type="button" className="btn btn-secondary btn-sm" onClick={addRow}>
+            Add status
+          </button>
+          {duplicate && <div className="import-error">Two statuses share the ID &ldquo;{duplicate}&rdquo;</div>}
+
+          <div className="form-group workflow-transitions">
+            <label htmlFor="workflow-restricted">Status changes</label>
+            <select
+              id="workflow-restricted"
+              className="form-select"
+              value={restricted ? 'some' : 'any'}
+              onChange={e => setRestricted(e.target.value === 'some')}
+            >
+              <option value="any">Any status can follow any other</option>
+              <option value="some">Only the changes ticked below</option>
+            </select>
+          </div>
+          {restricted && (
+            <table className="workflow-matrix">
+              <thead>
+                <tr>
+                  <th>From ↓ / to →</th>
+                  {ids.map((id, index) => <th key={index}>{rows[index].label || id}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {ids.map((from, fromIndex) => (
+                  <tr key={fromIndex}>
+                    <th>{rows[fromIndex].label || from}</th>
+                    {ids.map((to, toIndex) => (
+                      <td key={toIndex}>
+                        {from !== to && (
+                          <input type="checkbox" checked={isAllowed(from, to)} onChange={() => toggleTransition(from, to)} />
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="workflow-hint">
+            Items on a status you remove move to the first status of the same kind.
+          </p>
+        </div>
+
+        <div className="modal-footer">
+          {section.workflow && (
+            <button className="btn btn-secondary" onClick={() => handleSave(null)} disabled={busy}>
+              Use Default Statuses
+            </button>
+          )}
+          <div className="modal-footer-actions">
+            <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={() => handleSave(buildWorkflow())} disabled={busy || Boolean(duplicate)}>
+              {busy ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(WorkflowModal);
@@ -0,0 +1,123 @@
+import { memo, useState } from 'react';
+import { useTaskData, useTaskActions } from '../../context/TaskProvider';
+import { useToast } from '../../context/ToastContext';
+import { TASK_STATUSES, PRIORITIES, COMPLEXITIES } from '../../services/api';
+import { getStatusOptions } from '../../utils/workflow';
+import { TrashIcon } from './icons';
+
+// "3 items", "1 task"
+const countLabel = (count, label) => `${count} ${label}${count === 1 ? '' : 's'}`;
+
+// Actions for the items of a section or the tasks of an item selected with Ctrl/Shift+click.
+// Every change is one save on the server: it applies to all of them or, if one fails, to none.
+function BulkActionBar({ entityType, parentId, selectedIds, onClear }) {
+  const { data } = useTaskData();
+  const { bulkUpdate, bulkDelete } = useTaskActions();
+  const { showToast } = useToast();
+  const [busy, setBusy] = useState(false);
+
+  if (selectedIds.length === 0) return null;
+
+  const isItems = entityType === 'item';
+  const selected = selectedIds.map(id => (isItems ? data?.items : data?.tasks)?.[id]).filter(Boolean);
+  const statuses = isItems ? getStatusOptions(data, { sectionId: parentId }) : TASK_STATUSES;
+  const tags = Object.values(data?.tags || {});
+  const usedTagIds = new Set(selected.flatMap(entity => entity.tagIds || []));
+  const categories = isItems
+    ? (data?.sections?.[parentId]?.categoryOrder || []).map(id => data.itemCategories[id]).filter(Boolean)
+    : (data?.items?.[parentId]?.categoryOrder || []).map(id => data.taskCategories[id]).filter(Boolean);
+  const otherSections = isItems
+    ? (data?.sectionOrder || []).filter(id => id !== parentId).map(id => data.sections[id]).filter(Boolean)
+    : [];
+
+  const run = async (action, done) => {
+    try {
+      setBusy(true);
+      await action();
+      showToast(done);
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to apply the change', 5000);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const apply = (changes) => run(
+    () => bulkUpdate(selectedIds, changes),
+    `Updated ${countLabel(selectedIds.length, entityType)}`
+  );
+
+  // Moves are "category:<id>" (empty: uncategorized) or "section:<id>"; entries that
+  // leave the list (other section, trash) drop out of the selection by themselves
+  const handleMove = (value) => {
+    const [kind, id] = value.split(':');
+    apply(kind === 'section' ? { sectionId: id } : { categoryId: id || null });
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Move ${countLabel(selectedIds.length, entityType)} to the trash?`)) return;
+    run(() => bulkDelete(selectedIds), `Moved ${countLabel(selectedIds.length, entityType)} to the trash`);
+  };
+
+  // Selects act on change and then go back to their placeholder
+  const actionSelect = (placeholder, onPick, options) => (
+    <select
+      className="form-select bulk-select"
+      value=""
+      disabled={busy}
+      onChange={e => e.target.value && onPick(e.target.value)}
+    >
+      <option value="">{placeholder}</option>
+      {options}
+    </select>
+  );
+
+  return (
+    <div className="bulk-bar">
+      <span className="bulk-count">{countLabel(selectedIds.length, entityType)} selected</span>
+
+      {actionSelect('Status', status => apply({ status }), statuses.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      )))}
+
+      {actionSelect('Priority', priority => apply({ priority }), PRIORITIES.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      )))}
+
+      {actionSelect('Complexity', complexity => apply({ complexity: complexity === 'none' ? null : Number(complexity) }), [
+        ...COMPLEXITIES.map(option => <option key={option.value} value={option.value}>{option.label}</option>),
+        <option key="none" value="none">None</option>
+      ])}
+
+      {tags.length > 0 && actionSelect('Add tag', tagId => apply({ addTagIds: [tagId] }), tags.map(tag => (
+        <option key={tag.id} value={tag.id}>{tag.name}</option>
+      )))}
+
+      {usedTagIds.size > 0 && actionSelect('Remove tag', tagId => apply({ removeTagIds: [tagId] }), tags
+        .filter(tag => usedTagIds.has(tag.id))
+        .map(tag => <option key={tag.id} value={tag.id}>{tag.name}</option>))}
+
+      {actionSelect('Move to', handleMove, [
+        <optgroup key="categories" label="Category">
+          <option value="category:">Uncategorized</option>
+          {categories.map(category => <option key={category.id} value={`category:${category.id}`}>{category.name}</option>)}
+        </optgroup>,
+        otherSections.length > 0 && (
+          <optgroup key="sections" label="Section">
+            {otherSections.map(section => <option key={section.id} value={`section:${section.id}`}>{section.name}</option>)}
+          </optgroup>
+        )
+      ])}
+
+      <button className="btn btn-ghost btn-sm bulk-delete" onClick={handleDelete} disabled={busy} title="Move to the trash">
+        <TrashIcon />
+        Delete
+      </button>
+      <button className="btn btn-ghost btn-sm" onClick={onClear} disabled={busy} title="Clear the selection (Esc)">
+        Clear
+      </button>
+    </div>
+  );
+}
+
+export default memo(BulkActionBar);
@@ -57,6 +57,7 @@ function CategorizedList({
   renderItem,
   onDragEnd,
   onDragStart,
+  onDragCancel,
   categoryIdPrefix,
   droppableType,
   droppableIdPrefix,
@@ -90,6 +91,7 @@ function CategorizedList({
         collisionDetection={collisionDetectionRef.current.fn}
         onDragStart={onDragStart}
         onDragEnd={onDragEnd}
+        onDragCancel={onDragCancel}
       >
         <SortableContext items={allSortableIds} strategy={verticalListSortingStrategy}>
           {/* Categories with their items */}
@@ -18,7 +18,7 @@ const DragIcon = () => (
 );
 
 
-function TaskItem({ task, tags, isSelected, onSelect, onToggle, dragHandleProps }) {
+function TaskItem({ task, tags, blockedBy, isSelected, isBulkSelected, onSelect, onToggle, dragHandleProps }) {
   const { showToast } = useToast();
   const status = task.status || 'open';
   const statusInfo = TASK_STATUSES.find(s => s.value === status) || TASK_STATUSES[0];
@@ -26,17 +26,19 @@ function TaskItem({ task, tags, isSelected, onSelect, onToggle, dragHandleProps
   const taskTags = (task.tagIds || []).map(id => tags?.[id]).filter(Boolean);
   const complexityInfo = COMPLEXITIES.find(c => c.value === task.complexity);
 
+  // Copies the key (e.g. API-42.3); Shift+click copies the internal ID
   const handleCopyId = useCallback((e) => {
     e.stopPropagation();
-    navigator.clipboard.writeText(task.id).then(() => {
-      showToast(`Copied: ${task.id}`);
+    const value = e.shiftKey || !task.key ? task.id : task.key;
+    navigator.clipboard.writeText(value).then(() => {
+      showToast(`Copied: ${value}`);
     });
-  }, [task.id, showToast]);
+  }, [task.id, task.key, showToast]);
 
   return (
     <div
-      className={`task-item compact ${isSelected ? 'selected' : ''} ${isCompleted ? 'completed' : ''}`}
-      onClick={() => onSelect(task.id)}
+      className={`task-item compact ${isSelected ? 'selected' : ''} ${isBulkSelected ? 'bulk-selected' : ''} ${isCompleted ? 'completed' : ''}`}
+      onClick={(e) => onSelect(task.id, e)}
     >
       <div {...dragHandleProps}>
         <DragIcon />
@@ -56,6 +58,9 @@ function TaskItem({ task, tags, isSelected, onSelect, onToggle, dragHandleProps
           <div className="task-description-preview">{task.description}</div>
         )}
         <div className="task-meta">
+          {task.key && <span className="item-key">{task.key}</span>}
+          {blockedBy && <span className="blocked-badge" title={`Blocked by ${blockedBy}`}>Blocked</span>}
+
           {/* Status indicator */}
           <span className={`status-badge ${status}`}>
             <span className={`status-dot ${status}`} />
@@ -92,7 +97,7 @@ function TaskItem({ task, tags, isSelected, onSelect, onToggle, dragHandleProps
       <button
         className="item-action-icon-btn"
         onClick={handleCopyId}
-        title="Copy task ID"
+        title={task.key ? 'Copy task key (Shift+click: ID)' : 'Copy task ID'}
       >
         <CopyIdIcon />
       </button>
@@ -112,6 +117,7 @@ export default memo(TaskItem, (prevProps, nextProps) => {
     prevProps.task.complexity === nextProps.task.complexity &&
     JSON.stringify(prevProps.task.tagIds) === JSON.stringify(nextProps.task.tagIds) &&
     prevProps.isSelected === nextProps.isSelected &&
+    prevProps.isBulkSelected === nextProps.isBulkSelected &&
     prevProps.tags === nextProps.tags
   );
 });
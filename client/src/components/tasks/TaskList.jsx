@@ -2,8 +2,11 @@ import { memo, useMemo, useCallback } from 'react';
 import { useTaskData, useTaskActions, useUIState } from '../../context/TaskProvider';
 import { useSortableList } from '../../hooks/useSortableList';
 import { useDragHandlers } from '../../hooks/useDragHandlers';
+import { useMultiSelect } from '../../hooks/useMultiSelect';
 import { CategorizedList, SortableItemWrapper } from '../shared/CategoryList';
+import BulkActionBar from '../shared/BulkActionBar';
 import TaskItem from './TaskItem';
+import { describeBlockers } from '../../utils/relations';
 
 function TaskList({ parentType, parentId }) {
   const { data } = useTaskData();
@@ -42,6 +45,17 @@ function TaskList({ parentType, parentId }) {
     categoryIdPrefix: 'tcat-'
   });
 
+  // Ctrl/Shift+click selection for the bulk action bar, in display order
+  const orderedIds = useMemo(() => [
+    ...categories.flatMap(category => getCategoryTasks(category)),
+    ...uncategorizedTasks
+  ].map(task => task.id), [categories, getCategoryTasks, uncategorizedTasks]);
+  const { selectedIds, handleSelectClick, clearSelection } = useMultiSelect(orderedIds, parentId);
+
+  const handleTaskClick = useCallback((taskId, e) => {
+    if (!handleSelectClick(e, taskId)) selectTask(taskId);
+  }, [handleSelectClick, selectTask]);
+
   // Callbacks for drag handlers
   const handleReorderCategories = useCallback((newOrder) => {
     reorderCategories(parentType, parentId, newOrder);
@@ -95,14 +109,16 @@ function TaskList({ parentType, parentId }) {
         <TaskItem
           task={task}
           tags={data?.tags}
+          blockedBy={describeBlockers(data, task.id)}
           isSelected={selectedTaskId === task.id}
-          onSelect={selectTask}
+          isBulkSelected={selectedIds.includes(task.id)}
+          onSelect={handleTaskClick}
           onToggle={toggleTaskComplete}
           dragHandleProps={dragHandleProps}
         />
       )}
     </SortableItemWrapper>
-  ), [data?.tasks, data?.tags, selectedTaskId, selectTask, toggleTaskComplete]);
+  ), [data, selectedTaskId, selectedIds, handleTaskClick, toggleTaskComplete]);
 
   if (!parent) {
     return (
@@ -116,32 +132,35 @@ function TaskList({ parentType, parentId }) {
   }
 
   return (
-    <CategorizedList
-      sensors={sensors}
-      allSortableIds={allSortableIds}
-      categories={categories}
-      uncategorizedItems={uncategorizedTasks}
-      getCategoryItems={getCategoryTasks}
-      getNonCompletedCount={getNonCompletedCount}
-      renderItem={renderTask}
-      onDragEnd={handleDragEnd}
-      categoryIdPrefix="tcat-"
-      droppableType="task-category"
-      droppableIdPrefix="task-category-"
-      uncategorizedDroppableId="uncategorized-tasks"
-      onUpdateCategory={updateCategory}
-      onDeleteCategory={deleteCategory}
-      onAddToCategory={handleAddTaskToCategory}
-      itemLabel="task"
-      emptyState={
-        <div className="empty-state">
-          <div className="empty-state-title">No tasks yet</div>
-          <div className="empty-state-text">
-            Click the + button to add a task
+    <>
+      <BulkActionBar entityType="task" parentId={parentId} selectedIds={selectedIds} onClear={clearSelection} />
+      <CategorizedList
+        sensors={sensors}
+        allSortableIds={allSortableIds}
+        categories={categories}
+        uncategorizedItems={uncategorizedTasks}
+        getCategoryItems={getCategoryTasks}
+        getNonCompletedCount={getNonCompletedCount}
+        renderItem={renderTask}
+        onDragEnd={handleDragEnd}
+        categoryIdPrefix="tcat-"
+        droppableType="task-category"
+        droppableIdPrefix="task-category-"
+        uncategorizedDroppableId="uncategorized-tasks"
+        onUpdateCategory={updateCategory}
+        onDeleteCategory={deleteCategory}
+        onAddToCategory={handleAddTaskToCategory}
+        itemLabel="task"
+        emptyState={
+          <div className="empty-state">
+            <div className="empty-state-title">No tasks yet</div>
+            <div className="empty-state-text">
+              Click the + button to add a task
+            </div>
           </div>
-        </div>
-      }
-    />
+        }
+      />
+    </>
   );
 }
 
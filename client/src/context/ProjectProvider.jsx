@@ -37,6 +37,27 @@ const projectsApi = {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ order })
+  }).then(handleResponse),
+  getSnapshots: (id) => fetch(`/api/projects/${id}/snapshots`).then(handleResponse),
+  createSnapshot: (id) => fetch(`/api/projects/${id}/snapshots`, {
+    method: 'POST'
+  }).then(handleResponse),
+  getSnapshot: (id, snapshotId) => fetch(`/api/projects/${id}/snapshots/${snapshotId}`).then(handleResponse),
+  restoreSnapshot: (id, snapshotId) => fetch(`/api/projects/${id}/snapshots/${snapshotId}/restore`, {
+    method: 'POST'
+  }).then(handleResponse),
+  checkIntegrity: (id) => fetch(`/api/projects/${id}/integrity`).then(handleResponse),
+  repairIntegrity: (id) => fetch(`/api/projects/${id}/integrity/repair`, {
+    method: 'POST'
+  }).then(handleResponse),
+  importBundle: (formData) => fetch('/api/projects/import-bundle', {
+    method: 'POST',
+    body: formData
+  }).then(handleResponse),
+  transferItem: (id, data) => fetch(`/api/projects/${id}/transfer-item`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
   }).then(handleResponse)
 };
 
@@ -70,10 +91,11 @@ export function ProjectProvider({ children }) {
     }
   };
 
-  const createProject = useCallback(async (name, color, workingDir) => {
+  const createProject = useCallback(async (name, color, workingDir, markdownMirror) => {
     try {
       const data = { name, color };
       if (workingDir) data.workingDir = workingDir;
+      if (workingDir && markdownMirror) data.markdownMirror = true;
       const project = await projectsApi.create(data);
       setProjects(prev => [...prev, project]);
       return project;
@@ -135,6 +157,60 @@ export function ProjectProvider({ children }) {
     }
   }, []);
 
+  // Snapshots of project data (taken by the server on an interval and before destructive changes)
+  const listSnapshots = useCallback(async (projectId) => {
+    const result = await projectsApi.getSnapshots(projectId);
+    return result.snapshots || [];
+  }, []);
+
+  const createSnapshot = useCallback((projectId) => {
+    return projectsApi.createSnapshot(projectId);
+  }, []);
+
+  const getSnapshot = useCallback((projectId, snapshotId) => {
+    return projectsApi.getSnapshot(projectId, snapshotId);
+  }, []);
+
+  const restoreSnapshot = useCallback((projectId, snapshotId) => {
+    return projectsApi.restoreSnapshot(projectId, snapshotId);
+  }, []);
+
+  // Integrity report for project data ({ ok, issues, counts })
+  const checkIntegrity = useCallback((projectId) => {
+    return projectsApi.checkIntegrity(projectId);
+  }, []);
+
+  const repairIntegrity = useCallback((projectId) => {
+    return projectsApi.repairIntegrity(projectId);
+  }, []);
+
+  // Project bundles: a ZIP with the data, attachments and project metadata
+  const exportBundle = useCallback((projectId) => {
+    // The server names the file; a plain link lets the browser stream the download
+    const a = document.createElement('a');
+    a.href = `/api/projects/${projectId}/bundle`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }, []);
+
+  // Always creates a new project ({ project, counts }); freshIds lets it live next to the original
+  const importBundle = useCallback(async (file, { name, freshIds = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (name) formData.append('name', name);
+    formData.append('freshIds', String(freshIds));
+    const result = await projectsApi.importBundle(formData);
+    setProjects(prev => [...prev, result.project]);
+    return result;
+  }, []);
+
+  // Move or copy an item, with its tasks, attachments and plans, to another project
+  // ({ itemId, targetProjectId, mode: 'move' | 'copy', sectionId }); callers reload the data
+  const transferItem = useCallback((projectId, request) => {
+    return projectsApi.transferItem(projectId, request);
+  }, []);
+
   const activeProject = useMemo(() => {
     return projects.find(p => p.id === activeProjectId) || null;
   }, [projects, activeProjectId]);
@@ -150,6 +226,15 @@ export function ProjectProvider({ children }) {
     deleteProject,
     switchProject,
     reorderProjects,
+    listSnapshots,
+    createSnapshot,
+    getSnapshot,
+    restoreSnapshot,
+    checkIntegrity,
+    repairIntegrity,
+    exportBundle,
+    importBundle,
+    transferItem,
     reload: loadProjects
   }), [
     projects,
@@ -161,7 +246,16 @@ export function ProjectProvider({ children }) {
     updateProject,
     deleteProject,
     switchProject,
-    reorderProjects
+    reorderProjects,
+    listSnapshots,
+    createSnapshot,
+    getSnapshot,
+    restoreSnapshot,
+    checkIntegrity,
+    repairIntegrity,
+    exportBundle,
+    importBundle,
+    transferItem
   ]);
 
   return (
@@ -1,5 +1,6 @@
-import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
-import tasksApi, { SYSTEM_SECTIONS } from '../services/api';
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import tasksApi, { SYSTEM_SECTIONS, isConflictError } from '../services/api';
+import { useToast } from './ToastContext';
 
 // Split contexts for performance - components only re-render when their specific context changes
 const TaskDataContext = createContext(null);
@@ -23,8 +24,20 @@ export function TaskProvider({ children }) {
     activeSectionId: SYSTEM_SECTIONS.FEATURES, // Currently active section
     activeItemId: null, // ID of selected item when in 'item' view
     searchQuery: '',
-    statusFilter: null // null = all, or specific status
+    statusFilter: null, // null = all, or specific status
+    draggedItemId: null // Item being dragged in the section list (projects become drop targets)
   });
+  const { showToast } = useToast();
+  // Latest data for reading revisions at send time (state in closures may be stale)
+  const dataRef = useRef(null);
+  // Revisions acknowledged by the server, keyed by "collection:id"
+  const revisionsRef = useRef({});
+  // Per-entity promise chains so edits to one entity are sent in order
+  const pendingRef = useRef({});
+
+  useEffect(() => {
+    dataRef.current = data;
+  }, [data]);
 
   // Apply theme on mount and changes
   useEffect(() => {
@@ -49,6 +62,7 @@ export function TaskProvider({ children }) {
       if (!loadedData.tasks) loadedData.tasks = {};
       if (!loadedData.taskCategories) loadedData.taskCategories = {};
       if (!loadedData.tags) loadedData.tags = {};
+      revisionsRef.current = {};
       setData(loadedData);
       // Restore UI state from settings (only on initial load, not on refresh)
       if (restoreUIState && loadedData.settings) {
@@ -97,6 +111,77 @@ export function TaskProvider({ children }) {
     });
   }, []);
 
+  // Optimistic update for an entity carrying a revision (items, tasks, sections).
+  // Sends the last known rev as If-Match; on 409 the entity is replaced with the
+  // server's version and the user is told their edit was overtaken.
+  const revisionedUpdate = useCallback((collection, id, updateFn, apiCall) => {
+    const key = `${collection}:${id}`;
+    const before = dataRef.current?.[collection]?.[id];
+    setData(prev => {
+      if (!prev?.[collection]?.[id]) return prev;
+      return {
+        ...prev,
+        [collection]: { ...prev[collection], [id]: updateFn(prev[collection][id]) }
+      };
+    });
+
+    const previous = pendingRef.current[key] || Promise.resolve();
+    const current = previous.then(async () => {
+      const rev = revisionsRef.current[key] ?? dataRef.current?.[collection]?.[id]?.rev;
+      try {
+        const saved = await apiCall(rev);
+        if (saved?.rev) {
+          revisionsRef.current[key] = saved.rev;
+          setData(prev => {
+            if (!prev?.[collection]?.[id]) return prev;
+            return {
+              ...prev,
+              [collection]: { ...prev[collection], [id]: { ...prev[collection][id], rev: saved.rev } }
+            };
+          });
+        }
+      } catch (err) {
+        if (isConflictError(err) && err.response.data?.current) {
+          const latest = err.response.data.current;
+          revisionsRef.current[key] = latest.rev;
+          setData(prev => ({
+            ...prev,
+            [collection]: { ...prev[collection], [id]: latest }
+          }));
+          const name = latest.title || latest.name || 'This item';
+          showToast(`"${name}" was changed elsewhere — showing the latest version`, 5000);
+        } else if (err.response?.status === 400 && before) {
+          // Refused by the server (e.g. a status change the workflow doesn't allow): undo it
+          setData(prev => ({
+            ...prev,
+            [collection]: { ...prev[collection], [id]: before }
+          }));
+          showToast(err.response.data?.error || 'Change was refused', 5000);
+        } else {
+          console.error('API call failed:', err);
+        }
+      }
+    });
+    pendingRef.current[key] = current;
+    current.then(() => {
+      if (pendingRef.current[key] === current) {
+        delete pendingRef.current[key];
+      }
+    });
+  }, [showToast]);
+
+  // Replace an item's or task's comments with the list the server returned
+  const setEntityComments = useCallback((type, id, comments) => {
+    const collection = type === 'task' ? 'tasks' : 'items';
+    setData(prev => {
+      if (!prev?.[collection]?.[id]) return prev;
+      return {
+        ...prev,
+        [collection]: { ...prev[collection], [id]: { ...prev[collection][id], comments } }
+      };
+    });
+  }, []);
+
   // Actions - memoized to prevent re-renders
   const actions = useMemo(() => ({
     // ============ V4 UNIFIED SECTIONS/ITEMS API ============
@@ -113,18 +198,26 @@ export function TaskProvider({ children }) {
     },
 
     updateSection: (id, updates) => {
-      optimisticUpdate(
-        prev => ({
-          ...prev,
-          sections: {
-            ...prev.sections,
-            [id]: { ...prev.sections[id], ...updates }
-          }
-        }),
-        () => tasksApi.updateSection(id, updates)
+      revisionedUpdate(
+        'sections', id,
+        section => ({ ...section, ...updates }),
+        rev => tasksApi.updateSection(id, updates, rev)
       );
     },
 
+    // Replace a section's statuses and transitions (null restores the default ones).
+    // Items on statuses the new workflow lacks are moved by the server, so reload.
+    setSectionWorkflow: async (id, workflow) => {
+      await tasksApi.updateSection(id, { workflow }, dataRef.current?.sections?.[id]?.rev);
+      await loadData(false); // Preserve UI state
+    },
+
+    // Replace a section's custom field definitions (null removes them)
+    setSectionFields: async (id, fields) => {
+      await tasksApi.updateSection(id, { fields }, dataRef.current?.sections?.[id]?.rev);
+      await loadData(false); // Preserve UI state
+    },
+
     deleteSection: async (id) => {
       // Cannot delete system sections
       if (id === SYSTEM_SECTIONS.FEATURES || id === SYSTEM_SECTIONS.BUGS) {
@@ -206,15 +299,27 @@ export function TaskProvider({ children }) {
     },
 
     updateItem: (id, updates) => {
-      optimisticUpdate(
-        prev => ({
-          ...prev,
-          items: {
-            ...prev.items,
-            [id]: { ...prev.items[id], ...updates }
+      revisionedUpdate(
+        'items', id,
+        item => ({ ...item, ...updates }),
+        rev => tasksApi.updateItem(id, updates, rev)
+      );
+    },
+
+    // Set one custom field of an item (null clears it); the server checks it against the field's type
+    setItemField: (id, fieldId, value) => {
+      revisionedUpdate(
+        'items', id,
+        item => {
+          const fields = { ...item.fields };
+          if (value === null) {
+            delete fields[fieldId];
+          } else {
+            fields[fieldId] = value;
           }
-        }),
-        () => tasksApi.updateItem(id, updates)
+          return { ...item, fields };
+        },
+        rev => tasksApi.updateItem(id, { fields: { [fieldId]: value } }, rev)
       );
     },
 
@@ -382,15 +487,10 @@ export function TaskProvider({ children }) {
     },
 
     updateTask: (id, updates) => {
-      optimisticUpdate(
-        prev => ({
-          ...prev,
-          tasks: {
-            ...prev.tasks,
-            [id]: { ...prev.tasks[id], ...updates }
-          }
-        }),
-        () => tasksApi.updateTask(id, updates)
+      revisionedUpdate(
+        'tasks', id,
+        task => ({ ...task, ...updates }),
+        rev => tasksApi.updateTask(id, updates, rev)
       );
     },
 
@@ -405,15 +505,10 @@ export function TaskProvider({ children }) {
       const newStatus = isDone ? 'open' : 'done';
       const finishedAt = isDone ? null : new Date().toISOString();
 
-      optimisticUpdate(
-        prev => ({
-          ...prev,
-          tasks: {
-            ...prev.tasks,
-            [id]: { ...prev.tasks[id], status: newStatus, finishedAt }
-          }
-        }),
-        () => tasksApi.updateTask(id, { status: newStatus, finishedAt })
+      revisionedUpdate(
+        'tasks', id,
+        prevTask => ({ ...prevTask, status: newStatus, finishedAt }),
+        rev => tasksApi.updateTask(id, { status: newStatus, finishedAt }, rev)
       );
     },
 
@@ -696,48 +791,92 @@ export function TaskProvider({ children }) {
     },
 
     addTagToTask: (taskId, tagId) => {
+      const tagIds = data?.tasks[taskId]?.tagIds || [];
+      if (tagIds.includes(tagId)) return;
+      const newTagIds = [...tagIds, tagId];
+      revisionedUpdate(
+        'tasks', taskId,
+        task => ({ ...task, tagIds: newTagIds }),
+        rev => tasksApi.updateTask(taskId, { tagIds: newTagIds }, rev)
+      );
+    },
+
+    removeTagFromTask: (taskId, tagId) => {
+      const newTagIds = (data?.tasks[taskId]?.tagIds || []).filter(id => id !== tagId);
+      revisionedUpdate(
+        'tasks', taskId,
+        task => ({ ...task, tagIds: newTagIds }),
+        rev => tasksApi.updateTask(taskId, { tagIds: newTagIds }, rev)
+      );
+    },
+
+    // Relations: the server refuses duplicates and blocking cycles, so wait for it
+    addRelation: async (type, sourceId, targetId) => {
+      const relation = await tasksApi.createRelation({ type, sourceId, targetId });
+      setData(prev => ({
+        ...prev,
+        relations: { ...prev.relations, [relation.id]: relation }
+      }));
+      return relation;
+    },
+
+    removeRelation: (id) => {
       optimisticUpdate(
         prev => {
-          const task = prev.tasks[taskId];
-          if (!task) return prev;
-          const tagIds = task.tagIds || [];
-          if (tagIds.includes(tagId)) return prev;
-          return {
-            ...prev,
-            tasks: {
-              ...prev.tasks,
-              [taskId]: { ...task, tagIds: [...tagIds, tagId] }
-            }
-          };
+          const relations = { ...prev.relations };
+          delete relations[id];
+          return { ...prev, relations };
         },
-        () => tasksApi.updateTask(taskId, {
-          tagIds: [...(data.tasks[taskId]?.tagIds || []), tagId]
-        })
+        () => tasksApi.deleteRelation(id)
       );
     },
 
-    removeTagFromTask: (taskId, tagId) => {
+    // Discussion comments; the server returns the entity's whole comment list, which replaces ours
+    postComment: async (type, id, body, replyTo = null) => {
+      const result = await tasksApi.postComment(type, id, { body, replyTo });
+      setEntityComments(type, id, result.comments);
+      return result.comment;
+    },
+
+    editComment: async (type, id, commentId, body) => {
+      const result = await tasksApi.editComment(type, id, commentId, body);
+      setEntityComments(type, id, result.comments);
+      return result.comment;
+    },
+
+    deleteComment: async (type, id, commentId) => {
+      const result = await tasksApi.deleteComment(type, id, commentId);
+      setEntityComments(type, id, result.comments);
+    },
+
+    // Item templates
+    saveTemplate: async (id, template) => {
+      const saved = id ? await tasksApi.updateTemplate(id, template) : await tasksApi.createTemplate(template);
+      setData(prev => ({
+        ...prev,
+        templates: { ...prev.templates, [saved.id]: saved }
+      }));
+      return saved;
+    },
+
+    deleteTemplate: (id) => {
       optimisticUpdate(
         prev => {
-          const task = prev.tasks[taskId];
-          if (!task) return prev;
-          return {
-            ...prev,
-            tasks: {
-              ...prev.tasks,
-              [taskId]: {
-                ...task,
-                tagIds: (task.tagIds || []).filter(id => id !== tagId)
-              }
-            }
-          };
+          const templates = { ...prev.templates };
+          delete templates[id];
+          return { ...prev, templates };
         },
-        () => tasksApi.updateTask(taskId, {
-          tagIds: (data.tasks[taskId]?.tagIds || []).filter(id => id !== tagId)
-        })
+        () => tasksApi.deleteTemplate(id)
       );
     },
 
+    // A template can add tasks and pick a category, so reload rather than patch the item in
+    createItemFromTemplate: async (sectionId, templateId, title = 'New Item') => {
+      const item = await tasksApi.createItem({ sectionId, title, templateId });
+      await loadData(false); // Preserve UI state
+      return item;
+    },
+
     // Import/Export
     exportData: async () => {
       const exportData = await tasksApi.exportData();
@@ -753,15 +892,69 @@ export function TaskProvider({ children }) {
       URL.revokeObjectURL(url);
     },
 
-    importData: async (jsonData, merge = false) => {
+    // Human-readable export (markdown, csv or html), downloaded under the server's file name
+    exportReport: async (format, filter) => {
+      const { blob, filename } = await tasksApi.exportReport(format, filter);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename || `tasklist-export-${new Date().toISOString().split('T')[0]}.${format === 'markdown' ? 'md' : format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    },
+
+    importData: async (jsonData, merge = false, conflicts = 'update') => {
       if (merge) {
-        await tasksApi.importMerge(jsonData);
+        await tasksApi.importMerge(jsonData, conflicts);
       } else {
         await tasksApi.importData(jsonData);
       }
       await loadData(false); // Preserve UI state
     },
 
+    importExternal: async (source, content, options, conflicts = 'update') => {
+      const result = await tasksApi.importExternal(source, content, options, conflicts);
+      await loadData(false);
+      return result;
+    },
+
+    // One change for many items and tasks; moves touch lists all over, so reload rather than patch
+    bulkUpdate: async (ids, changes) => {
+      const result = await tasksApi.bulk({ ids, changes });
+      await loadData(false); // Preserve UI state
+      return result;
+    },
+
+    bulkDelete: async (ids) => {
+      const result = await tasksApi.bulk({ ids, delete: true });
+      await loadData(false); // Preserve UI state
+      return result;
+    },
+
+    // Change history
+    getActivity: (filters) => tasksApi.getActivity(filters),
+
+    getHistory: (type, id, filters) => tasksApi.getHistory(type, id, filters),
+
+    // Trash
+    getTrash: async () => {
+      const result = await tasksApi.getTrash();
+      return result.entries || [];
+    },
+
+    restoreFromTrash: async (trashId) => {
+      const result = await tasksApi.restoreFromTrash(trashId);
+      // Restores can bring back a whole subtree, so reload rather than patch it in
+      await loadData(false); // Preserve UI state
+      return result;
+    },
+
+    purgeTrashEntry: (trashId) => tasksApi.purgeTrashEntry(trashId),
+
+    emptyTrash: () => tasksApi.emptyTrash(),
+
     // Attachments
     uploadAttachment: async (itemType, itemId, file) => {
       const attachment = await tasksApi.uploadAttachment(itemType, itemId, file);
@@ -807,6 +1000,13 @@ export function TaskProvider({ children }) {
     // Reload data
     reload: loadData,
 
+    // Duplicate an item or task ({ attachments, plan } copy those too); the copy lands next to the original
+    duplicate: async (type, id, options) => {
+      const result = await tasksApi.duplicate(type, id, options);
+      await loadData(false); // Preserve UI state
+      return result;
+    },
+
     // Promote task to item
     promoteTask: async (taskId, targetSectionId) => {
       const result = await tasksApi.promoteTask(taskId, targetSectionId);
@@ -822,7 +1022,7 @@ export function TaskProvider({ children }) {
       await loadData(false);
       return result;
     }
-  }), [data, optimisticUpdate]);
+  }), [data, optimisticUpdate, revisionedUpdate, setEntityComments]);
 
   // UI Actions
   const uiActions = useMemo(() => ({
@@ -912,6 +1112,10 @@ export function TaskProvider({ children }) {
       setUIState(prev => ({ ...prev, statusFilter: status }));
     },
 
+    setDraggedItem: (itemId) => {
+      setUIState(prev => ({ ...prev, draggedItemId: itemId }));
+    },
+
     setTheme: (newTheme) => {
       setTheme(newTheme);
       applyTheme(newTheme);
@@ -1,4 +1,5 @@
 import { useCallback } from 'react';
+import { isDone } from '../utils/workflow';
 
 /**
  * Shared hook for drag-and-drop handlers in categorized lists.
@@ -112,8 +113,8 @@ export function useDragHandlers({
 
       // Same category - check if we can reorder
       // Prevent mixing completed and non-completed items when reordering within same category
-      const activeCompleted = activeItem.status === 'done';
-      const overCompleted = overItem.status === 'done';
+      const activeCompleted = isDone(data, activeItem);
+      const overCompleted = isDone(data, overItem);
       if (activeCompleted !== overCompleted) {
         return;
       }
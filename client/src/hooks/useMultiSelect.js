@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Shared hook for Ctrl/Cmd+click and Shift+click selection in a list.
+ * Ctrl/Cmd+click toggles an entry, Shift+click adds the range from the last
+ * clicked entry, and a plain click clears the selection (the caller then opens
+ * the entry as usual). Escape clears it too, and entries that leave the list
+ * (deleted, moved away, filtered out by search) leave the selection.
+ *
+ * @param {string[]} orderedIds - IDs in display order, for Shift+click ranges
+ * @param {string} resetKey - The selection is cleared when this changes (the section or item shown)
+ */
+export function useMultiSelect(orderedIds, resetKey) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const anchorRef = useRef(null);
+  // Read through a ref so the click handler stays stable for memoized rows
+  const orderedIdsRef = useRef(orderedIds);
+
+  useEffect(() => {
+    orderedIdsRef.current = orderedIds;
+    setSelectedIds(prev => {
+      const kept = prev.filter(id => orderedIds.includes(id));
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [orderedIds]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds([]);
+    anchorRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    clearSelection();
+  }, [resetKey, clearSelection]);
+
+  const hasSelection = selectedIds.length > 0;
+  useEffect(() => {
+    if (!hasSelection) return;
+    const handleKeyDown = (e) => { if (e.key === 'Escape') clearSelection(); };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [hasSelection, clearSelection]);
+
+  // Returns true when the click was a selection click, false when the entry should open
+  const handleSelectClick = useCallback((e, id) => {
+    const ids = orderedIdsRef.current;
+    if (e.shiftKey && anchorRef.current && ids.includes(anchorRef.current)) {
+      const from = ids.indexOf(anchorRef.current);
+      const to = ids.indexOf(id);
+      const range = ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+      setSelectedIds(prev => [...new Set([...prev, ...range])]);
+      // Shift+click also extends the browser's text selection
+      window.getSelection()?.removeAllRanges();
+      return true;
+    }
+    anchorRef.current = id;
+    if (e.ctrlKey || e.metaKey || e.shiftKey) {
+      setSelectedIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]);
+      return true;
+    }
+    setSelectedIds([]);
+    return false;
+  }, []);
+
+  return { selectedIds, handleSelectClick, clearSelection };
+}
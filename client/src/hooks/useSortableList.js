@@ -6,6 +6,8 @@ import {
   useSensors
 } from '@dnd-kit/core';
 import { sortableKeyboardCoordinates } from '@dnd-kit/sortable';
+import { isDone } from '../utils/workflow';
+import { parseSearchQuery, matchesFields, fieldValuesInclude } from '../utils/fields';
 
 /**
  * Shared hook for sortable list functionality.
@@ -39,22 +41,28 @@ export function useSortableList({
     useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
   );
 
-  // Filter items by search query
+  // Filter items by search query; "field:value" parts filter items by custom field
   const filterItems = useCallback((items) => {
     if (!searchQuery) return items;
-    const query = searchQuery.toLowerCase();
+    const { text, fields } = parseSearchQuery(data, searchQuery);
+    const query = text.toLowerCase();
     return items.filter(item =>
-      item.title.toLowerCase().includes(query) ||
-      (item.description || '').toLowerCase().includes(query)
+      (!query ||
+        item.key?.toLowerCase() === query.trim() ||
+        item.title.toLowerCase().includes(query) ||
+        (item.description || '').toLowerCase().includes(query) ||
+        fieldValuesInclude(item, query)) &&
+      // Tasks have no custom fields; field filters only narrow down items
+      (!fields || !item.sectionId || matchesFields(data, item, fields))
     );
-  }, [searchQuery]);
+  }, [data, searchQuery]);
 
   // Sort items with completed ones at the bottom
   const sortCompletedToBottom = useCallback((items) => {
-    const nonCompleted = items.filter(item => item.status !== 'done');
-    const completed = items.filter(item => item.status === 'done');
+    const nonCompleted = items.filter(item => !isDone(data, item));
+    const completed = items.filter(item => isDone(data, item));
     return [...nonCompleted, ...completed];
-  }, []);
+  }, [data]);
 
   // Get categories ordered by parent's categoryOrder (with deduplication)
   const categories = useMemo(() => {
@@ -109,8 +117,8 @@ export function useSortableList({
 
   // Count non-completed items for display
   const getNonCompletedCount = useCallback((items) => {
-    return items.filter(item => item.status !== 'done').length;
-  }, []);
+    return items.filter(item => !isDone(data, item)).length;
+  }, [data]);
 
   // Build all sortable IDs (categories prefixed, then all items) - deduplicated
   const allSortableIds = useMemo(() => {
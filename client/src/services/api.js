@@ -29,23 +29,29 @@ export const SYSTEM_SECTIONS = {
   BUGS: 'sect-bugs'
 };
 
+// Request config sending the last known revision as If-Match (server answers 409 when stale)
+const ifMatch = (rev) => (rev ? { headers: { 'If-Match': `"${rev}"` } } : undefined);
+
+// Check whether an API error is an optimistic concurrency conflict
+export const isConflictError = (err) => err?.response?.status === 409;
+
 export const tasksApi = {
   // Load all data
   getAll: () => api.get('/tasks').then(res => res.data),
 
   // Save all data
-  saveAll: (data) => api.put('/tasks', data).then(res => res.data),
+  saveAll: (data, revision) => api.put('/tasks', data, ifMatch(revision)).then(res => res.data),
 
   // ============ UNIFIED SECTIONS API (v4) ============
 
   // Sections
   createSection: (data) => api.post('/tasks/section', data).then(res => res.data),
-  updateSection: (id, data) => api.patch(`/tasks/section/${id}`, data).then(res => res.data),
+  updateSection: (id, data, rev) => api.patch(`/tasks/section/${id}`, data, ifMatch(rev)).then(res => res.data),
   deleteSection: (id) => api.delete(`/tasks/section/${id}`).then(res => res.data),
 
   // Items (unified features/bugs)
   createItem: (data) => api.post('/tasks/item', data).then(res => res.data),
-  updateItem: (id, data) => api.patch(`/tasks/item/${id}`, data).then(res => res.data),
+  updateItem: (id, data, rev) => api.patch(`/tasks/item/${id}`, data, ifMatch(rev)).then(res => res.data),
   deleteItem: (id) => api.delete(`/tasks/item/${id}`).then(res => res.data),
   moveItem: (data) => api.put('/tasks/move-item', data).then(res => res.data),
 
@@ -56,7 +62,7 @@ export const tasksApi = {
 
   // Tasks
   createTask: (data) => api.post('/tasks/task', data).then(res => res.data),
-  updateTask: (id, data) => api.patch(`/tasks/task/${id}`, data).then(res => res.data),
+  updateTask: (id, data, rev) => api.patch(`/tasks/task/${id}`, data, ifMatch(rev)).then(res => res.data),
   deleteTask: (id) => api.delete(`/tasks/task/${id}`).then(res => res.data),
   moveTask: (data) => api.put('/tasks/move-task', data).then(res => res.data),
 
@@ -65,6 +71,9 @@ export const tasksApi = {
   updateCategory: (id, data) => api.patch(`/tasks/category/${id}`, data).then(res => res.data),
   deleteCategory: (id) => api.delete(`/tasks/category/${id}`).then(res => res.data),
 
+  // One change (or a delete) for many items and tasks: { ids, changes } or { ids, delete: true }
+  bulk: (data) => api.post('/tasks/bulk', data).then(res => res.data),
+
   // Reorder
   reorder: (type, parentId, order) =>
     api.put('/tasks/reorder', { type, parentId, order }).then(res => res.data),
@@ -72,15 +81,63 @@ export const tasksApi = {
   // Settings
   updateSettings: (settings) => api.put('/tasks/settings', settings).then(res => res.data),
 
+  // Item keys (e.g. API-42) of a project, which need not be the active one
+  getKeys: (projectId) =>
+    api.get('/tasks/keys', { headers: { 'X-Project-ID': projectId } }).then(res => res.data),
+  setKeyPrefix: (prefix, projectId) =>
+    api.put('/tasks/keys', { prefix }, { headers: { 'X-Project-ID': projectId } }).then(res => res.data),
+  // All data of a project that need not be the active one (e.g. the sections to move an item to)
+  getProjectData: (projectId) =>
+    api.get('/tasks', { headers: { 'X-Project-ID': projectId } }).then(res => res.data),
+
   // Tags
   createTag: (data) => api.post('/tasks/tag', data).then(res => res.data),
   updateTag: (id, data) => api.patch(`/tasks/tag/${id}`, data).then(res => res.data),
   deleteTag: (id) => api.delete(`/tasks/tag/${id}`).then(res => res.data),
 
+  // Relations between items and tasks
+  createRelation: (data) => api.post('/tasks/relation', data).then(res => res.data),
+  deleteRelation: (id) => api.delete(`/tasks/relation/${id}`).then(res => res.data),
+
+  // Item templates
+  createTemplate: (data) => api.post('/tasks/template', data).then(res => res.data),
+  updateTemplate: (id, data) => api.patch(`/tasks/template/${id}`, data).then(res => res.data),
+  deleteTemplate: (id) => api.delete(`/tasks/template/${id}`).then(res => res.data),
+
   // Import/Export
   exportData: () => api.get('/tasks/export').then(res => res.data),
+  // Markdown, CSV or HTML; filter: sectionId, status, priority, tagId, q, itemIds, field (["id:value"]), plans
+  exportReport: (format, filter) =>
+    api.get(`/tasks/export/${format}`, {
+      params: filter,
+      // Repeat list params as field=a&field=b, the way the server reads them
+      paramsSerializer: { indexes: null },
+      responseType: 'blob'
+    }).then(res => ({
+      blob: res.data,
+      filename: res.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1]
+    })),
   importData: (data) => api.post('/tasks/import', data).then(res => res.data),
-  importMerge: (data) => api.post('/tasks/import/merge', data).then(res => res.data),
+  importMerge: (data, conflicts) =>
+    api.post('/tasks/import/merge', data, { params: { conflicts } }).then(res => res.data),
+  previewImport: (data, mode, conflicts) =>
+    api.post('/tasks/import/preview', data, { params: { mode, conflicts } }).then(res => res.data),
+  // Other tools' exports (github, jira, trello); options: { sectionId, splitTypes }
+  previewExternalImport: (source, content, options, conflicts) =>
+    api.post(`/tasks/import/external/${source}/preview`, { content, ...options }, { params: { conflicts } }).then(res => res.data),
+  importExternal: (source, content, options, conflicts) =>
+    api.post(`/tasks/import/external/${source}`, { content, ...options }, { params: { conflicts } }).then(res => res.data),
+
+  // Change history; filters: { entityType, sectionId, actor, source, action, field, since, until, limit, offset }
+  getActivity: (filters) => api.get('/tasks/activity', { params: filters }).then(res => res.data),
+  // One entity's changes (tasks: true adds an item's tasks)
+  getHistory: (type, id, filters) => api.get(`/tasks/${type}/${id}/history`, { params: filters }).then(res => res.data),
+
+  // Trash (deleted items, tasks, categories and sections)
+  getTrash: () => api.get('/tasks/trash').then(res => res.data),
+  restoreFromTrash: (trashId) => api.post(`/tasks/trash/${trashId}/restore`).then(res => res.data),
+  purgeTrashEntry: (trashId) => api.delete(`/tasks/trash/${trashId}`).then(res => res.data),
+  emptyTrash: () => api.delete('/tasks/trash').then(res => res.data),
 
   // Attachments
   uploadAttachment: (itemType, itemId, file) => {
@@ -105,6 +162,13 @@ export const tasksApi = {
   getPromptHistory: (type, id) => api.get(`/tasks/${type}/${id}/prompt-history`).then(res => res.data),
   clearPromptHistory: (type, id) => api.delete(`/tasks/${type}/${id}/prompt-history`).then(res => res.data),
 
+  // Discussion comments
+  postComment: (type, id, data) => api.post(`/tasks/${type}/${id}/comments`, data).then(res => res.data),
+  editComment: (type, id, commentId, body) =>
+    api.patch(`/tasks/${type}/${id}/comments/${commentId}`, { body }).then(res => res.data),
+  deleteComment: (type, id, commentId) =>
+    api.delete(`/tasks/${type}/${id}/comments/${commentId}`).then(res => res.data),
+
   // Plans
   getPlan: (type, id, version) => {
     const url = version ? `/tasks/${type}/${id}/plan?version=${version}` : `/tasks/${type}/${id}/plan`;
@@ -118,6 +182,9 @@ export const tasksApi = {
   savePlanComments: (type, id, key, comments) =>
     api.put(`/tasks/${type}/${id}/plan/comments`, { key, comments }).then(res => res.data),
 
+  // Duplicate an item (with its tasks) or a task, reset to open; options: { attachments, plan }
+  duplicate: (type, id, options) => api.post(`/tasks/${type}/${id}/duplicate`, options).then(res => res.data),
+
   // Promote task to item
   promoteTask: (taskId, targetSectionId) =>
     api.post('/tasks/promote-task', { taskId, targetSectionId }).then(res => res.data),
@@ -127,11 +194,12 @@ export const tasksApi = {
     api.post('/tasks/convert-to-task', { itemId, targetItemId }).then(res => res.data)
 };
 
-// Status options for tasks
+// Status options for tasks, and for items in sections without their own workflow
+// (category: 'todo', 'active' or 'done', as in a section workflow)
 export const TASK_STATUSES = [
-  { value: 'open', label: 'Open', color: '#3b82f6' },
-  { value: 'in-progress', label: 'In Progress', color: '#f59e0b' },
-  { value: 'done', label: 'Done', color: '#22c55e' }
+  { value: 'open', label: 'Open', color: '#3b82f6', category: 'todo' },
+  { value: 'in-progress', label: 'In Progress', color: '#f59e0b', category: 'active' },
+  { value: 'done', label: 'Done', color: '#22c55e', category: 'done' }
 ];
 
 // Priority options
@@ -0,0 +1,117 @@
+import { PRIORITIES, COMPLEXITIES } from '../services/api';
+import { getStatusOptions } from './workflow';
+import { getFieldDefs } from './fields';
+
+export const ENTITY_TYPE_LABELS = {
+  section: 'Section',
+  item: 'Item',
+  task: 'Task',
+  'item-category': 'Category',
+  'task-category': 'Task category',
+  tag: 'Tag',
+  relation: 'Relation',
+  template: 'Template'
+};
+
+export const ACTION_LABELS = {
+  created: 'created',
+  updated: 'changed',
+  deleted: 'deleted',
+  restored: 'restored'
+};
+
+export const SOURCE_LABELS = {
+  rest: 'App',
+  mcp: 'MCP',
+  files: 'Files',
+  system: 'System'
+};
+
+// Why a batch of changes was made, when it was more than a single edit
+const REASON_LABELS = {
+  restore: 'snapshot restore',
+  repair: 'data repair',
+  replace: 'full save'
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  name: 'Name',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  complexity: 'Complexity',
+  tagIds: 'Tags',
+  categoryId: 'Category',
+  sectionId: 'Section',
+  itemId: 'Item',
+  comments: 'Comments',
+  promptHistory: 'Prompt history',
+  attachments: 'Attachments',
+  color: 'Color',
+  icon: 'Icon',
+  workflow: 'Workflow',
+  fields: 'Fields',
+  tasks: 'Starter tasks'
+};
+
+// Fields shown as "edited" with the old and new text on demand, not inline
+const TEXT_FIELDS = ['description'];
+
+// "You", "Agent", "claude-code (MCP)" for an entry's actor and source
+export function describeActor(entry) {
+  const actor = entry.actor === 'user' ? 'You' : entry.actor === 'agent' ? 'Agent' : entry.actor;
+  const via = entry.source === 'mcp' && entry.actor !== 'agent' ? ' (MCP)' : entry.source === 'files' ? ' (files)' : '';
+  return `${actor}${via}${entry.reason ? `, ${REASON_LABELS[entry.reason] || entry.reason}` : ''}`;
+}
+
+// Label of a changed field; custom fields ("fields.customer") use their section's label
+export function fieldLabel(data, entry, field) {
+  if (field.startsWith('fields.')) {
+    const fieldId = field.slice('fields.'.length);
+    const def = getFieldDefs(data, { sectionId: entry.sectionId }).find(d => d.id === fieldId);
+    return def?.label || fieldId;
+  }
+  return FIELD_LABELS[field] || field;
+}
+
+export function isTextChange(change) {
+  return TEXT_FIELDS.includes(change.field) || (typeof change.to === 'string' && change.to.length > 80)
+    || (typeof change.from === 'string' && change.from.length > 80);
+}
+
+// A recorded value as text, with IDs replaced by the names they stand for
+export function formatValue(data, entry, field, value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
+  switch (field) {
+    case 'status': {
+      const entity = entry.entityType === 'item' ? { sectionId: entry.sectionId } : null;
+      return getStatusOptions(data, entity).find(option => option.value === value)?.label || value;
+    }
+    case 'priority':
+      return PRIORITIES.find(p => p.value === value)?.label || value;
+    case 'complexity':
+      return COMPLEXITIES.find(c => c.value === value)?.label || String(value);
+    case 'tagIds':
+      return value.map(id => data?.tags?.[id]?.name || 'deleted tag').join(', ');
+    case 'categoryId':
+      return (data?.itemCategories?.[value] || data?.taskCategories?.[value])?.name || 'deleted category';
+    case 'sectionId':
+      return data?.sections?.[value]?.name || 'deleted section';
+    case 'itemId': {
+      const item = data?.items?.[value];
+      return item ? item.key || item.title : 'deleted item';
+    }
+  }
+  if (typeof value === 'object') return 'changed';
+  return String(value);
+}
+
+// Summary line of an entry without its field changes: "Item API-3 "Login" changed"
+export function describeEntry(entry) {
+  const label = ENTITY_TYPE_LABELS[entry.entityType] || entry.entityType;
+  const name = [entry.key, entry.title ? `"${entry.title}"` : null].filter(Boolean).join(' ');
+  return `${label} ${name} ${ACTION_LABELS[entry.action] || entry.action}`;
+}
@@ -0,0 +1,49 @@
+// Custom field types a section can define, in the order the editor offers them
+export const FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'select', label: 'Select' },
+  { value: 'date', label: 'Date' },
+  { value: 'url', label: 'URL' }
+];
+
+// Custom fields of an item's section (tasks and sections without fields have none)
+export function getFieldDefs(data, entity) {
+  return (entity?.sectionId && data?.sections?.[entity.sectionId]?.fields) || [];
+}
+
+// Field ID from a label: "Affected version" -> "affected-version" (same as the server)
+export function fieldIdFromLabel(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^[^a-z]+|-+$/g, '').slice(0, 32);
+}
+
+// Split a search query into free text and "field:value" filters on fields some section defines
+export function parseSearchQuery(data, query) {
+  const fieldIds = new Set(Object.values(data?.sections || {}).flatMap(section => (section.fields || []).map(f => f.id)));
+  const fields = {};
+  const text = query.split(/\s+/).filter(token => {
+    const match = token.match(/^([a-z][a-z0-9-]*):(.+)$/);
+    if (!match || !fieldIds.has(match[1])) return true;
+    fields[match[1]] = match[2];
+    return false;
+  }).join(' ');
+  return { text, fields: Object.keys(fields).length > 0 ? fields : null };
+}
+
+// Whether an item's custom fields match filters: text fields by substring, the others by value
+export function matchesFields(data, item, fields) {
+  const defs = getFieldDefs(data, item);
+  return Object.entries(fields).every(([id, expected]) => {
+    const def = defs.find(d => d.id === id);
+    const value = item.fields?.[id];
+    if (!def || value === undefined) return false;
+    if (def.type === 'number') return value === Number(expected);
+    const text = String(value).toLowerCase();
+    return def.type === 'text' ? text.includes(expected.toLowerCase()) : text === expected.toLowerCase();
+  });
+}
+
+// Whether a (lowercase) query appears in one of an item's custom field values
+export function fieldValuesInclude(item, query) {
+  return Object.values(item.fields || {}).some(value => String(value).toLowerCase().includes(query));
+}
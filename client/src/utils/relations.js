@@ -0,0 +1,52 @@
+import { isDone } from './workflow';
+
+// How each relation type reads from either end
+const RELATION_LABELS = {
+  blocks: { outgoing: 'Blocks', incoming: 'Blocked by' },
+  'relates-to': { outgoing: 'Relates to', incoming: 'Relates to' },
+  duplicates: { outgoing: 'Duplicates', incoming: 'Duplicated by' }
+};
+
+// Choices when adding a relation from an item's side; reverse ones store the other item as the source
+export const RELATION_CHOICES = [
+  { value: 'blocked-by', label: 'Is blocked by', type: 'blocks', reverse: true },
+  { value: 'blocks', label: 'Blocks', type: 'blocks', reverse: false },
+  { value: 'relates-to', label: 'Relates to', type: 'relates-to', reverse: false },
+  { value: 'duplicates', label: 'Duplicates', type: 'duplicates', reverse: false },
+  { value: 'duplicated-by', label: 'Is duplicated by', type: 'duplicates', reverse: true }
+];
+
+// The item or task with an ID, as { type, entity }, or null
+export function findRelationEnd(data, id) {
+  if (data?.items?.[id]) return { type: 'item', entity: data.items[id] };
+  if (data?.tasks?.[id]) return { type: 'task', entity: data.tasks[id] };
+  return null;
+}
+
+// An item's or task's relations, read from its side: [{ id, type, label, direction, other: { type, entity } }]
+export function getRelations(data, id) {
+  return Object.values(data?.relations || {}).flatMap(relation => {
+    const direction = relation.sourceId === id ? 'outgoing' : relation.targetId === id ? 'incoming' : null;
+    const other = direction && findRelationEnd(data, direction === 'outgoing' ? relation.targetId : relation.sourceId);
+    if (!other) return [];
+    return [{
+      id: relation.id,
+      type: relation.type,
+      label: RELATION_LABELS[relation.type]?.[direction] || relation.type,
+      direction,
+      other
+    }];
+  });
+}
+
+// Unfinished items and tasks blocking an item or task
+export function getBlockers(data, id) {
+  return getRelations(data, id)
+    .filter(relation => relation.type === 'blocks' && relation.direction === 'incoming' && !isDone(data, relation.other.entity))
+    .map(relation => relation.other.entity);
+}
+
+// "API-3, API-7" for a blocked item or task's badge ('' when nothing blocks it)
+export function describeBlockers(data, id) {
+  return getBlockers(data, id).map(blocker => blocker.key || blocker.title).join(', ');
+}
@@ -0,0 +1,8 @@
+// Item templates usable in a section: its own first, then the ones for every section (same as the server)
+export function getTemplates(data, sectionId) {
+  const templates = Object.values(data?.templates || {});
+  return [
+    ...templates.filter(template => template.sectionId === sectionId),
+    ...templates.filter(template => !template.sectionId)
+  ];
+}
@@ -0,0 +1,54 @@
+import { TASK_STATUSES } from '../services/api';
+
+// Status options for an item (its section's workflow, if it has one) or a task (the default statuses).
+// Options from a section workflow are marked custom: they're styled by their color, not by class.
+export function getStatusOptions(data, entity) {
+  const workflow = entity?.sectionId ? data?.sections?.[entity.sectionId]?.workflow : null;
+  if (!workflow) return TASK_STATUSES;
+  return workflow.statuses.map(status => ({
+    value: status.id,
+    label: status.label,
+    color: status.color,
+    category: status.category,
+    custom: true
+  }));
+}
+
+// The entity's current status option (unknown statuses are shown as they are)
+export function getStatusOption(data, entity) {
+  const status = entity?.status || 'open';
+  return getStatusOptions(data, entity).find(option => option.value === status) || {
+    value: status,
+    label: status,
+    color: '#6b7280',
+    category: entity?.finishedAt ? 'done' : 'todo',
+    custom: true
+  };
+}
+
+// Whether the entity's status is in the 'done' category
+export function isDone(data, entity) {
+  return getStatusOption(data, entity).category === 'done';
+}
+
+// Whether the entity's status is in the 'active' category
+export function isActive(data, entity) {
+  return getStatusOption(data, entity).category === 'active';
+}
+
+// Whether the section's workflow lets the entity change to a status
+export function canChangeStatus(data, entity, status) {
+  const workflow = entity?.sectionId ? data?.sections?.[entity.sectionId]?.workflow : null;
+  const allowed = workflow?.transitions?.[entity.status];
+  const known = workflow?.statuses.some(s => s.id === entity.status);
+  return !allowed || !known || status === entity.status || allowed.includes(status);
+}
+
+// className and style for status badges, dots and options
+export function statusClass(option) {
+  return option.custom ? 'custom' : option.value;
+}
+
+export function statusStyle(option) {
+  return option.custom ? { '--status-color': option.color } : undefined;
+}
@@ -7,6 +7,10 @@ const { WebSocketServer } = require('ws');
 const tasksRouter = require('./routes/tasks');
 const mcpRouter = require('./routes/mcp');
 const projectsRouter = require('./routes/projects');
+const { loadProjects, getProjectDataPath } = require('./services/projects');
+const { startSnapshotScheduler } = require('./services/snapshots');
+const { startAttachmentGcScheduler } = require('./services/attachments');
+const { startMarkdownMirrors } = require('./services/markdownMirror');
 const { getDataPaths } = require('./config');
 const { setupTerminalWebSocket } = require('./terminal');
 
@@ -28,10 +32,11 @@ if (!fs.existsSync(projectsDir)) {
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Project-Id', 'mcp-session-id'],
-  exposedHeaders: ['mcp-session-id']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Project-Id', 'If-Match', 'mcp-session-id'],
+  exposedHeaders: ['ETag', 'mcp-session-id']
 }));
-app.use(express.json());
+// Full saves and imports send the whole project document
+app.use(express.json({ limit: '50mb' }));
 
 // Routes
 app.use('/api/projects', projectsRouter);
@@ -79,6 +84,23 @@ const wss = new WebSocketServer({
 });
 setupTerminalWebSocket(wss);
 
+// Periodic snapshots of every project's data (see services/snapshots.js)
+startSnapshotScheduler(async () => {
+  const { order } = await loadProjects();
+  return order.map(getProjectDataPath);
+});
+
+// Optional sweep of orphaned attachment files (see services/attachments.js)
+startAttachmentGcScheduler(async () => {
+  const { order } = await loadProjects();
+  return order.map(getProjectDataPath);
+});
+
+// Markdown files of mirrored projects in their working directories (see services/markdownMirror.js)
+startMarkdownMirrors().catch(error => {
+  console.error('Error starting Markdown mirrors:', error);
+});
+
 // Start server - bind to localhost only for security (terminal WebSocket gives shell access)
 // Set HOST=0.0.0.0 to allow LAN access if needed
 const HOST = process.env.HOST || '127.0.0.1';
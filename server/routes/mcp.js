@@ -9,300 +9,77 @@ const {
   ListToolsRequestSchema,
   isInitializeRequest
 } = require('@modelcontextprotocol/sdk/types.js');
-const { getDataPaths } = require('../config');
 const {
   loadSettings,
   loadProjects,
   saveProjects,
-  getProjectDataPath,
   getProjectDir
-} = require('./projects');
+} = require('../services/projects');
+const { withDataLock, withDataLocks } = require('../services/dataLock');
+const { snapshotBefore } = require('../services/snapshots');
+const { trashEntity, listTrash, findTrashEntry, restoreFromTrash, purgeTrashEntry } = require('../services/trash');
+const { recommendNext } = require('../services/nextWork');
+const { listActivity } = require('../services/activity');
+const { applyBulk } = require('../services/bulk');
+const { transferItem, duplicateEntity } = require('../services/itemCopy');
+const {
+  TASK_STATUSES,
+  generateId,
+  getDefaultData,
+  getActiveProjectId,
+  getDataFilePath,
+  getAttachmentsDir,
+  loadData,
+  saveData,
+  createItem,
+  createTask,
+  createItemCategory,
+  createTaskCategory,
+  requireEntity,
+  updateEntity,
+  appendPromptEntry,
+  addComment,
+  editComment,
+  getCommentThreads,
+  savePlanVersion,
+  getWorkflow,
+  getRelations,
+  getBlockers,
+  getFieldDefs,
+  getTemplates,
+  describeFields,
+  matchesFieldFilters,
+  fieldValuesInclude,
+  keyPrefixFromName,
+  looksLikeKey,
+  resolveKey
+} = require('../services/projectData');
 
 const router = express.Router();
 
-// Get paths from config
-const paths = getDataPaths();
-const DATA_DIR = paths.dataDir;
-const PROJECTS_DIR = paths.projectsDir;
-
-// Legacy paths (for backward compatibility)
-const LEGACY_DATA_FILE = path.join(DATA_DIR, 'data.json');
-const LEGACY_ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
-
-// Valid statuses
-const VALID_STATUSES = ['open', 'in-progress', 'done'];
-
-// Get active project ID from explicit param, request header, or settings
-async function getActiveProjectId(explicitProjectId, req) {
-  if (explicitProjectId) return explicitProjectId;
-  const headerProjectId = req?.headers?.['x-project-id'];
-  if (headerProjectId) return headerProjectId;
-  const settings = await loadSettings();
-  return settings.activeProjectId;
-}
-
-// Get data file path for active project
-async function getDataFilePath(explicitProjectId, req) {
-  const projectId = await getActiveProjectId(explicitProjectId, req);
-  if (!projectId) return LEGACY_DATA_FILE;
-  return getProjectDataPath(projectId);
-}
-
-// Get attachments directory for active project
-async function getAttachmentsDir(explicitProjectId, req) {
-  const projectId = await getActiveProjectId(explicitProjectId, req);
-  if (!projectId) return LEGACY_ATTACHMENTS_DIR;
-  return path.join(getProjectDir(projectId), 'attachments');
-}
-
-// Load data helper - now project-aware (accepts explicit projectId or falls back to req/settings)
-// Automatically migrates old data formats to v4
-async function loadData(projectId, req) {
-  const dataFile = await getDataFilePath(projectId, req);
-  try {
-    const content = await fs.readFile(dataFile, 'utf-8');
-    let data = JSON.parse(content);
-
-    // Check if migration is needed
-    if (!data.version || data.version < 4) {
-      data = migrateToV4(data);
-      // Save migrated data
-      await saveData(data, projectId, req);
-    }
-
-    return data;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return getDefaultData();
-    }
-    throw error;
-  }
-}
-
-// Save data atomically - now project-aware
-async function saveData(data, projectId, req) {
-  data.lastModified = new Date().toISOString();
-  const dataFile = await getDataFilePath(projectId, req);
-  const parentDir = path.dirname(dataFile);
-  try {
-    await fs.access(parentDir);
-  } catch {
-    await fs.mkdir(parentDir, { recursive: true });
-  }
-  const tempFile = `${dataFile}.tmp`;
-  await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
-  await fs.rename(tempFile, dataFile);
-}
-
-// Generate unique ID
-function generateId(prefix) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let id = '';
-  for (let i = 0; i < 8; i++) {
-    id += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return `${prefix}-${id}`;
-}
-
-// System section IDs (same as tasks.js)
-const SYSTEM_SECTIONS = {
-  FEATURES: 'sect-features',
-  BUGS: 'sect-bugs'
-};
-
-// Default data structure - v4 unified sections
-function getDefaultData() {
-  const now = new Date().toISOString();
-  return {
-    version: 4,
-    lastModified: now,
-    sections: {
-      [SYSTEM_SECTIONS.FEATURES]: {
-        id: SYSTEM_SECTIONS.FEATURES,
-        name: 'Features',
-        icon: 'layers',
-        color: '#3b82f6',
-        isSystem: true,
-        itemOrder: [],
-        categoryOrder: [],
-        createdAt: now
-      },
-      [SYSTEM_SECTIONS.BUGS]: {
-        id: SYSTEM_SECTIONS.BUGS,
-        name: 'Bugs',
-        icon: 'bug',
-        color: '#ef4444',
-        isSystem: true,
-        itemOrder: [],
-        categoryOrder: [],
-        createdAt: now
-      }
-    },
-    sectionOrder: [SYSTEM_SECTIONS.FEATURES, SYSTEM_SECTIONS.BUGS],
-    items: {},
-    itemCategories: {},
-    tasks: {},
-    taskCategories: {},
-    tags: {},
-    settings: {
-      activeView: 'section',
-      activeSectionId: SYSTEM_SECTIONS.FEATURES,
-      activeItemId: null,
-      theme: 'system'
-    }
-  };
-}
-
-// Migration function - v3 to v4
-function migrateToV4(data) {
-  if (data.version >= 4) return data;
-
-  const now = new Date().toISOString();
-  const migrated = {
-    version: 4,
-    lastModified: now,
-    sections: {
-      [SYSTEM_SECTIONS.FEATURES]: {
-        id: SYSTEM_SECTIONS.FEATURES,
-        name: 'Features',
-        icon: 'layers',
-        color: '#3b82f6',
-        isSystem: true,
-        itemOrder: [...(data.globalFeatureOrder || [])],
-        categoryOrder: [...(data.featureCategoryOrder || [])],
-        createdAt: now
-      },
-      [SYSTEM_SECTIONS.BUGS]: {
-        id: SYSTEM_SECTIONS.BUGS,
-        name: 'Bugs',
-        icon: 'bug',
-        color: '#ef4444',
-        isSystem: true,
-        itemOrder: [...(data.globalBugOrder || [])],
-        categoryOrder: [...(data.bugCategoryOrder || [])],
-        createdAt: now
-      }
-    },
-    sectionOrder: [SYSTEM_SECTIONS.FEATURES, SYSTEM_SECTIONS.BUGS],
-    items: {},
-    itemCategories: {},
-    tasks: {},
-    taskCategories: {},
-    tags: { ...(data.tags || {}) },
-    settings: {
-      activeView: 'section',
-      activeSectionId: data.settings?.activeView === 'bugs' ? SYSTEM_SECTIONS.BUGS : SYSTEM_SECTIONS.FEATURES,
-      activeItemId: data.settings?.activeFeatureId || null,
-      theme: data.settings?.theme || 'system'
-    }
-  };
-
-  // Migrate features
-  Object.values(data.features || {}).forEach(feature => {
-    migrated.items[feature.id] = {
-      id: feature.id,
-      sectionId: SYSTEM_SECTIONS.FEATURES,
-      title: feature.title,
-      description: feature.description || '',
-      status: feature.status || 'open',
-      priority: feature.priority || 'medium',
-      complexity: feature.complexity || null,
-      categoryId: feature.categoryId || null,
-      taskOrder: [...(feature.taskOrder || [])],
-      categoryOrder: [...(feature.categoryOrder || [])],
-      attachments: [...(feature.attachments || [])],
-      promptHistory: [...(feature.promptHistory || [])],
-      tagIds: [...(feature.tagIds || [])],
-      createdAt: feature.createdAt || now,
-      finishedAt: feature.finishedAt || null
-    };
-  });
-
-  // Migrate bugs
-  Object.values(data.bugs || {}).forEach(bug => {
-    migrated.items[bug.id] = {
-      id: bug.id,
-      sectionId: SYSTEM_SECTIONS.BUGS,
-      title: bug.title,
-      description: bug.description || '',
-      status: bug.status || 'open',
-      priority: bug.priority || 'medium',
-      complexity: bug.complexity || null,
-      categoryId: bug.categoryId || null,
-      taskOrder: [...(bug.taskOrder || [])],
-      categoryOrder: [...(bug.categoryOrder || [])],
-      attachments: [...(bug.attachments || [])],
-      promptHistory: [...(bug.promptHistory || [])],
-      tagIds: [...(bug.tagIds || [])],
-      createdAt: bug.createdAt || now,
-      finishedAt: bug.finishedAt || null
-    };
-  });
-
-  // Migrate feature categories
-  Object.values(data.featureCategories || {}).forEach(cat => {
-    migrated.itemCategories[cat.id] = {
-      id: cat.id,
-      sectionId: SYSTEM_SECTIONS.FEATURES,
-      name: cat.name,
-      itemOrder: [...(cat.featureOrder || [])]
-    };
-  });
+// Tools that write project data and must run under the project's write lock
+const MUTATING_TOOLS = ['create', 'update', 'bulk'];
 
-  // Migrate bug categories
-  Object.values(data.bugCategories || {}).forEach(cat => {
-    migrated.itemCategories[cat.id] = {
-      id: cat.id,
-      sectionId: SYSTEM_SECTIONS.BUGS,
-      name: cat.name,
-      itemOrder: [...(cat.bugOrder || [])]
-    };
-  });
-
-  // Migrate tasks
-  Object.values(data.tasks || {}).forEach(task => {
-    migrated.tasks[task.id] = {
-      id: task.id,
-      itemId: task.parentId,
-      categoryId: task.categoryId || null,
-      title: task.title,
-      description: task.description || '',
-      status: task.status || 'open',
-      tagIds: [...(task.tagIds || [])],
-      attachments: [...(task.attachments || [])],
-      promptHistory: [...(task.promptHistory || [])],
-      createdAt: task.createdAt || now,
-      finishedAt: task.finishedAt || null
-    };
-  });
-
-  // Migrate task categories
-  Object.values(data.categories || {}).forEach(cat => {
-    migrated.taskCategories[cat.id] = {
-      id: cat.id,
-      itemId: cat.parentId,
-      name: cat.name,
-      taskOrder: [...(cat.taskOrder || [])]
-    };
-  });
-
-  return migrated;
+// Changes made through MCP are recorded as the agent's (see services/activity.js)
+function agentOrigin(clientName) {
+  return { actor: clientName || 'agent', source: 'mcp' };
 }
 
 // Common projectId property for tool schemas
 const PROJECT_ID_PROP = { type: 'string', description: 'Target project ID (optional, defaults to active project)' };
 
-// MCP Tool Definitions - 6 consolidated tools (v4 unified types only)
+// MCP Tool Definitions - 8 consolidated tools (v4 unified types only)
 const TOOLS = [
   {
     name: 'search',
-    description: 'Search for features, bugs, or tasks by title/description.',
+    description: 'Search for features, bugs, or tasks by key, title, description or custom field value.',
     inputSchema: {
       type: 'object',
       properties: {
         query: { type: 'string', description: 'Search query' },
         itemType: { type: 'string', enum: ['all', 'item', 'task'], description: 'Filter by type (default: all)' },
-        status: { type: 'string', enum: ['open', 'in-progress', 'done'], description: 'Filter by status' },
+        status: { type: 'string', description: `Filter by status (tasks: ${TASK_STATUSES.join(', ')}; items: their section's statuses, see list statuses)` },
+        fields: { type: 'object', description: 'Filter items by custom field: {fieldId: value} (text fields match by substring). Tasks never match' },
         projectId: PROJECT_ID_PROP
       },
       required: ['query']
@@ -310,12 +87,12 @@ const TOOLS = [
   },
   {
     name: 'get',
-    description: 'Get full details of a feature, bug, or task including sub-tasks, parent info, and attachments.',
+    description: 'Get full details of a feature, bug, or task including sub-tasks, parent info, attachments, and relations (what blocks it, what it blocks, related and duplicate items).',
     inputSchema: {
       type: 'object',
       properties: {
         type: { type: 'string', enum: ['item', 'task'], description: 'Type of item' },
-        id: { type: 'string', description: 'ID of the item' },
+        id: { type: 'string', description: 'ID or key of the item (e.g. API-42, or API-42.3 for a task)' },
         projectId: PROJECT_ID_PROP
       },
       required: ['type', 'id']
@@ -323,34 +100,42 @@ const TOOLS = [
   },
   {
     name: 'create',
-    description: 'Create a project, item, task, or category.',
+    description: 'Create a project, item, task, or category, or duplicate an item (with its tasks) or a task with duplicateOf.',
     inputSchema: {
       type: 'object',
       properties: {
         itemType: { type: 'string', enum: ['project', 'item', 'task', 'item-category', 'task-category'], description: 'What to create (item/item-category require sectionId)' },
-        title: { type: 'string', description: 'Title/name of the item' },
+        title: { type: 'string', description: 'Title/name of the item (for duplicates: optional, defaults to "<title> (copy)")' },
         description: { type: 'string', description: 'Markdown description' },
         color: { type: 'string', description: 'For project: hex color (e.g. #3b82f6)' },
         sectionId: { type: 'string', description: 'For item/item-category: target section ID (sect-features or sect-bugs)' },
-        parentId: { type: 'string', description: 'For task/task-category: parent item ID' },
+        parentId: { type: 'string', description: 'For task/task-category: parent item ID or key' },
         categoryId: { type: 'string', description: 'Category to place item in' },
         priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'], description: 'Priority (items only)' },
+        fields: { type: 'object', description: 'Custom field values (items only): {fieldId: value}, see list fields' },
+        templateId: { type: 'string', description: 'For item: template ID or name (see list templates); pre-fills description, priority, tags and category, and adds its starter tasks' },
+        duplicateOf: { type: 'string', description: 'For item/task: ID or key of the item or task to duplicate; the copy keeps description, tags, task categories and tasks, with new IDs and statuses reset to open' },
+        copyAttachments: { type: 'boolean', description: 'With duplicateOf: also copy the attachments (default false)' },
+        copyPlan: { type: 'boolean', description: 'With duplicateOf: also copy the latest plan (default false)' },
         projectId: PROJECT_ID_PROP
       },
-      required: ['itemType', 'title']
+      required: ['itemType']
     }
   },
   {
     name: 'update',
-    description: 'Update item properties, delete item, save plan, or append prompt history.',
+    description: 'Update item properties, delete item (to trash), restore or purge a deleted item, move or copy an item to another project, save plan, append prompt history, or post and edit discussion comments.',
     inputSchema: {
       type: 'object',
       properties: {
         type: { type: 'string', enum: ['item', 'task'], description: 'Type of item' },
-        id: { type: 'string', description: 'ID of the item' },
-        updates: { type: 'object', description: 'Properties to update: {title, description, status, ...}' },
-        action: { type: 'string', enum: ['delete', 'append_prompt', 'save_plan'], description: 'Special action' },
+        id: { type: 'string', description: 'ID or key of the item (e.g. API-42, or API-42.3 for a task)' },
+        updates: { type: 'object', description: 'Properties to update: {title, description, status, priority, complexity, tagIds, ...}; sectionId/categoryId (items) or itemId/categoryId (tasks) move it. Keys, orders and attachments cannot be set. Item statuses follow their section\'s workflow (see list statuses); fields: {fieldId: value} sets custom fields (null clears one)' },
+        action: { type: 'string', enum: ['delete', 'restore', 'purge', 'move_to_project', 'copy_to_project', 'append_prompt', 'save_plan', 'comment', 'edit_comment'], description: 'Special action (restore/purge take the ID or key the item had before it was deleted; move_to_project/copy_to_project take an item with its tasks, attachments and plans to targetProjectId)' },
+        targetProjectId: { type: 'string', description: 'For move_to_project/copy_to_project: project to move or copy the item to (see list projects)' },
+        sectionId: { type: 'string', description: 'For move_to_project/copy_to_project: section in the target project (defaults to the same section, e.g. sect-bugs)' },
         promptEntry: { type: 'object', description: 'For append_prompt: {role, title, description} - title is short summary, description is verbose details' },
+        comment: { type: 'object', description: 'For comment: {body, replyTo} - Markdown body, replyTo is a comment ID to answer (see read comments). For edit_comment: {commentId, body}' },
         planContent: { type: 'string', description: 'For save_plan: markdown plan content' },
         planPath: { type: 'string', description: 'For save_plan: local file path or URL to plan content (alternative to planContent)' },
         projectId: PROJECT_ID_PROP
@@ -360,14 +145,15 @@ const TOOLS = [
   },
   {
     name: 'list',
-    description: 'List projects, categories, or attachments.',
+    description: 'List projects, categories, attachments, deleted items in the trash, item templates, recent changes to the project (activity), or the statuses and allowed transitions or custom fields of a section.',
     inputSchema: {
       type: 'object',
       properties: {
-        listType: { type: 'string', enum: ['projects', 'categories', 'attachments'], description: 'What to list' },
+        listType: { type: 'string', enum: ['projects', 'categories', 'attachments', 'trash', 'statuses', 'fields', 'templates', 'activity'], description: 'What to list (activity: field-level changes with who made them, newest first)' },
         type: { type: 'string', enum: ['item', 'task'], description: 'Item type (for attachments). Not needed for projects or categories.' },
-        id: { type: 'string', description: 'Item ID (required for attachments)' },
-        sectionId: { type: 'string', description: 'For categories: section ID (sect-features or sect-bugs)' },
+        id: { type: 'string', description: 'Item ID or key (required for attachments)' },
+        sectionId: { type: 'string', description: 'For categories, statuses and fields: section ID (sect-features or sect-bugs). For templates and activity: only the ones of this section' },
+        limit: { type: 'number', description: 'For activity: max entries (default: 50)' },
         projectId: PROJECT_ID_PROP
       },
       required: ['listType']
@@ -375,39 +161,82 @@ const TOOLS = [
   },
   {
     name: 'read',
-    description: 'Read plan, attachment, image, or prompt history.',
+    description: 'Read plan, attachment, image, prompt history, discussion comments, or change history.',
     inputSchema: {
       type: 'object',
       properties: {
         type: { type: 'string', enum: ['item', 'task'], description: 'Item type' },
-        id: { type: 'string', description: 'Item ID' },
-        contentType: { type: 'string', enum: ['plan', 'attachment', 'image', 'prompt_history'], description: 'What to read' },
+        id: { type: 'string', description: 'Item ID or key' },
+        contentType: { type: 'string', enum: ['plan', 'attachment', 'image', 'prompt_history', 'comments', 'history'], description: 'What to read (comments come as threads with their replies, oldest first; history lists field changes newest first, an item\'s including its tasks)' },
         attachmentId: { type: 'string', description: 'For attachment/image' },
         version: { type: 'number', description: 'For plan: specific version (default: latest)' },
-        limit: { type: 'number', description: 'For prompt_history: max entries' },
+        limit: { type: 'number', description: 'For prompt_history and history: max entries' },
         projectId: PROJECT_ID_PROP
       },
       required: ['type', 'id', 'contentType']
     }
+  },
+  {
+    name: 'next',
+    description: 'Pick the next item or task to work on, ranked by priority, work already in progress, complexity and how much it unblocks; blocked and finished work is left out. Returns the pick with its reasons and the runners-up. To work through a backlog: next, then get it, set it in progress with update, plan and implement, mark it done, and repeat.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sectionId: { type: 'string', description: 'Only items of this section and their tasks (e.g. sect-bugs)' },
+        tagId: { type: 'string', description: 'Only items and tasks with this tag (ID or name)' },
+        skipInProgress: { type: 'boolean', description: 'Leave out work already in progress, e.g. when another agent has it (default: false, in-progress work ranks first)' },
+        limit: { type: 'number', description: 'How many ranked candidates to return, the pick included (default: 5)' },
+        projectId: PROJECT_ID_PROP
+      }
+    }
+  },
+  {
+    name: 'bulk',
+    description: 'Change or delete many items and tasks in one step: set status, priority or complexity, add or remove tags, move items to a section or category (or tasks to a task category), or move them all to the trash. All or nothing: if one of them fails (e.g. a status its workflow does not allow), none are changed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ids: { type: 'array', items: { type: 'string' }, description: 'IDs or keys of the items and tasks (e.g. ["API-3", "API-4", "API-7.2"])' },
+        changes: {
+          type: 'object',
+          description: 'What to change on each of them (leave out with delete)',
+          properties: {
+            status: { type: 'string', description: 'New status (items: must exist in each item\'s section workflow)' },
+            priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+            complexity: { type: ['number', 'null'], description: '1 (trivial) to 5 (epic), null clears it' },
+            addTagIds: { type: 'array', items: { type: 'string' }, description: 'Tag IDs or names to add' },
+            removeTagIds: { type: 'array', items: { type: 'string' }, description: 'Tag IDs or names to remove' },
+            sectionId: { type: 'string', description: 'Items only: move to this section (their status is mapped into its workflow)' },
+            categoryId: { type: ['string', 'null'], description: 'Move to this item category (items) or task category (tasks); null: uncategorized' }
+          }
+        },
+        delete: { type: 'boolean', description: 'Move them all to the trash instead (an item\'s tasks go with it)' },
+        projectId: PROJECT_ID_PROP
+      },
+      required: ['ids']
+    }
   }
 ];
 
-// Tool Handler Functions - 6 consolidated handlers
+// Tool Handler Functions - 8 consolidated handlers
 // Each handler now takes (args, req) to support project-scoped data
 // projectId in args takes priority over req headers and settings
 // Uses v4 unified data structure (items + tasks)
 const toolHandlers = {
   // 1. SEARCH (v4: searches items and tasks)
-  async search({ query, itemType = 'all', status, projectId }, req) {
+  async search({ query, itemType = 'all', status, fields, projectId }, req) {
     const data = await loadData(projectId, req);
     const results = [];
     const q = query.toLowerCase();
 
     const matches = (item) => {
+      const keyMatch = item.key?.toLowerCase() === q.trim();
       const titleMatch = item.title?.toLowerCase().includes(q);
       const descMatch = item.description?.toLowerCase().includes(q);
+      const fieldMatch = fieldValuesInclude(item, q);
       const statusMatch = !status || item.status === status;
-      return (titleMatch || descMatch) && statusMatch;
+      const fieldsMatch = !fields || matchesFieldFilters(data, item, fields);
+      return (keyMatch || titleMatch || descMatch || fieldMatch) && statusMatch && fieldsMatch;
     };
 
     // Search items
@@ -415,8 +244,8 @@ const toolHandlers = {
       Object.values(data.items)
         .filter(matches)
         .forEach(item => results.push({
-          type: 'item', id: item.id, title: item.title, status: item.status,
-          sectionId: item.sectionId,
+          type: 'item', id: item.id, key: item.key, title: item.title, status: item.status,
+          sectionId: item.sectionId, fields: item.fields || {},
           description: item.description?.substring(0, 200)
         }));
     }
@@ -424,7 +253,7 @@ const toolHandlers = {
     if (itemType === 'all' || itemType === 'task') {
       Object.values(data.tasks).filter(matches).forEach(t => {
         results.push({
-          type: 'task', id: t.id, title: t.title, status: t.status,
+          type: 'task', id: t.id, key: t.key, title: t.title, status: t.status,
           parentId: t.itemId, description: t.description?.substring(0, 200)
         });
       });
@@ -450,20 +279,28 @@ const toolHandlers = {
     if (type === 'item') {
       const tasks = Object.values(data.tasks)
         .filter(t => t.itemId === id)
-        .map(t => ({ id: t.id, title: t.title, status: t.status, description: t.description?.substring(0, 200) }));
+        .map(t => ({ id: t.id, key: t.key, title: t.title, status: t.status, description: t.description?.substring(0, 200) }));
       context.tasks = tasks;
       context.taskCount = tasks.length;
+      context.customFields = describeFields(data, item);
     }
 
     // Add parent info for tasks
     if (type === 'task' && item.itemId) {
       const parentItem = data.items[item.itemId];
       if (parentItem) {
-        context.parent = { type: 'item', id: parentItem.id, title: parentItem.title, sectionId: parentItem.sectionId };
+        context.parent = { type: 'item', id: parentItem.id, key: parentItem.key, title: parentItem.title, sectionId: parentItem.sectionId };
         context.parentId = item.itemId;
       }
     }
 
+    // Discussion size; read comments for the threads
+    context.commentCount = item.comments?.length || 0;
+
+    // Links to other items and tasks; blockedBy lists the unfinished blockers
+    context.relations = getRelations(data, id);
+    context.blockedBy = getBlockers(data, id);
+
     if (item.attachments?.length) {
       context.attachmentSummary = item.attachments.map(a => ({
         id: a.id, filename: a.filename, mimeType: a.mimeType, size: a.size,
@@ -474,7 +311,10 @@ const toolHandlers = {
   },
 
   // 3. CREATE (v4: creates items in sections)
-  async create({ itemType, title, description = '', color, sectionId, parentId, categoryId, priority, projectId }, req) {
+  async create({ itemType, title, description = '', color, sectionId, parentId, categoryId, priority, fields, templateId, duplicateOf, copyAttachments, copyPlan, projectId }, req) {
+    const isDuplicate = Boolean(duplicateOf) && (itemType === 'item' || itemType === 'task');
+    if (!title && !isDuplicate) throw new Error('title required');
+
     // Project (doesn't need project-scoped data)
     if (itemType === 'project') {
       const projectsData = await loadProjects();
@@ -491,12 +331,10 @@ const toolHandlers = {
       await fs.mkdir(projectDir, { recursive: true });
       await fs.mkdir(path.join(projectDir, 'attachments'), { recursive: true });
 
-      // Initialize with default data
-      const defaultData = getDefaultData();
-      await fs.writeFile(
-        path.join(projectDir, 'data.json'),
-        JSON.stringify(defaultData, null, 2)
-      );
+      // Initialize with default data, keyed after the project's name
+      const data = getDefaultData();
+      data.keys = { prefix: keyPrefixFromName(title), next: 1 };
+      await saveData(data, id, req);
 
       // Add to projects metadata
       projectsData.projects[id] = project;
@@ -507,87 +345,35 @@ const toolHandlers = {
     }
 
     const data = await loadData(projectId, req);
-    const now = new Date().toISOString();
+
+    // Duplicate of an item (with its task categories and tasks) or a task, reset to open
+    if (isDuplicate) {
+      const attachmentsDir = await getAttachmentsDir(projectId, req);
+      const { entity, tasks } = await duplicateEntity(data, itemType, duplicateOf, { attachments: copyAttachments, plan: copyPlan }, attachmentsDir);
+      if (title) entity.title = title;
+      await saveData(data, projectId, req);
+      return { ...entity, duplicateOf, tasks: tasks.map(task => ({ id: task.id, key: task.key, title: task.title })) };
+    }
 
     // Item (requires sectionId)
     if (itemType === 'item') {
-      if (!sectionId) throw new Error('sectionId required for item (use sect-features or sect-bugs)');
-      if (!data.sections[sectionId]) throw new Error(`Section ${sectionId} not found`);
-
-      const prefix = sectionId === SYSTEM_SECTIONS.FEATURES ? 'feat' : 'bug';
-      const id = generateId(prefix);
-      const item = {
-        id,
-        sectionId,
-        title, description,
-        status: 'open',
-        priority: priority || 'medium',
-        complexity: null,
-        categoryId: categoryId || null,
-        taskOrder: [],
-        categoryOrder: [],
-        attachments: [],
-        promptHistory: [],
-        tagIds: [],
-        createdAt: now,
-        finishedAt: null
-      };
-      data.items[id] = item;
-
-      if (categoryId && data.itemCategories?.[categoryId]) {
-        data.itemCategories[categoryId].itemOrder.push(id);
-      } else {
-        data.sections[sectionId].itemOrder.push(id);
-      }
+      const item = createItem(data, { sectionId, title, description, categoryId, priority, fields, templateId });
       await saveData(data, projectId, req);
-      return item;
+      if (!templateId) return item;
+      return { ...item, tasks: item.taskOrder.map(id => ({ id, key: data.tasks[id].key, title: data.tasks[id].title })) };
     }
 
     // Task (requires parentId)
     if (itemType === 'task') {
       if (!parentId) throw new Error('parentId required for task');
-      const parentItem = data.items[parentId];
-      if (!parentItem) throw new Error(`Parent item with ID ${parentId} not found`);
-
-      const id = generateId('task');
-      const task = {
-        id,
-        itemId: parentId,
-        categoryId: categoryId || null,
-        title, description,
-        status: 'open',
-        tagIds: [],
-        attachments: [],
-        promptHistory: [],
-        createdAt: now,
-        finishedAt: null
-      };
-      data.tasks[id] = task;
-
-      if (categoryId && data.taskCategories[categoryId]) {
-        data.taskCategories[categoryId].taskOrder.push(id);
-      } else {
-        parentItem.taskOrder.push(id);
-      }
+      const task = createTask(data, { itemId: parentId, categoryId, title, description });
       await saveData(data, projectId, req);
       return { ...task, parentId };
     }
 
     // Item Category (requires sectionId)
     if (itemType === 'item-category') {
-      if (!sectionId) throw new Error('sectionId required for item-category (use sect-features or sect-bugs)');
-      if (!data.sections[sectionId]) throw new Error(`Section ${sectionId} not found`);
-
-      const prefix = sectionId === SYSTEM_SECTIONS.FEATURES ? 'fcat' : 'bcat';
-      const id = generateId(prefix);
-      const category = {
-        id,
-        sectionId,
-        name: title,
-        itemOrder: []
-      };
-      data.itemCategories[id] = category;
-      data.sections[sectionId].categoryOrder.push(id);
+      const category = createItemCategory(data, { sectionId, name: title });
       await saveData(data, projectId, req);
       return category;
     }
@@ -595,19 +381,7 @@ const toolHandlers = {
     // Task Category (requires parentId)
     if (itemType === 'task-category') {
       if (!parentId) throw new Error('parentId required for task-category');
-      const parentItem = data.items[parentId];
-      if (!parentItem) throw new Error(`Parent item with ID ${parentId} not found`);
-
-      const id = generateId('cat');
-      const category = {
-        id,
-        itemId: parentId,
-        name: title,
-        taskOrder: []
-      };
-      data.taskCategories[id] = category;
-      if (!parentItem.categoryOrder) parentItem.categoryOrder = [];
-      parentItem.categoryOrder.push(id);
+      const category = createTaskCategory(data, { itemId: parentId, name: title });
       await saveData(data, projectId, req);
       return { ...category, parentId };
     }
@@ -616,101 +390,80 @@ const toolHandlers = {
   },
 
   // 4. UPDATE (v4: includes delete, append_prompt, save_plan)
-  async update({ type, id, updates, action, promptEntry, planContent, planPath, projectId }, req) {
-    const data = await loadData(projectId, req);
+  async update({ type, id, updates, action, promptEntry, comment, planContent, planPath, targetProjectId, sectionId, projectId }, req) {
+    // Only items and tasks can be updated through MCP
+    if (type !== 'item' && type !== 'task') {
+      throw new Error(`Invalid type: ${type}`);
+    }
 
-    // Helper to get item from v4 data
-    const getItem = () => {
-      if (type === 'item') {
-        return data.items[id];
-      } else if (type === 'task') {
-        return data.tasks[id];
+    // Move or copy an item, with its tasks, attachments and plans, to another project
+    if (action === 'move_to_project' || action === 'copy_to_project') {
+      if (type !== 'item') {
+        throw new Error('Only items can be moved or copied to another project');
       }
-      return null;
-    };
-
-    // Delete action
-    if (action === 'delete') {
-      if (type === 'item') {
-        const item = data.items[id];
-        if (!item) throw new Error(`${type} ${id} not found`);
+      return transferItem({
+        projectId: await getActiveProjectId(projectId, req),
+        itemId: id,
+        targetProjectId,
+        mode: action === 'move_to_project' ? 'move' : 'copy',
+        sectionId
+      }, req);
+    }
 
-        // Delete tasks
-        for (const taskId of item.taskOrder || []) {
-          delete data.tasks[taskId];
-        }
-        // Delete task categories
-        Object.values(data.taskCategories)
-          .filter(cat => cat.itemId === id)
-          .forEach(cat => {
-            for (const taskId of cat.taskOrder || []) {
-              delete data.tasks[taskId];
-            }
-            delete data.taskCategories[cat.id];
-          });
+    const data = await loadData(projectId, req);
 
-        // Remove from section's itemOrder
-        const sectionId = item.sectionId;
-        if (data.sections[sectionId]) {
-          data.sections[sectionId].itemOrder =
-            data.sections[sectionId].itemOrder.filter(iid => iid !== id);
-        }
+    // Delete action (moves it to the trash with its tasks and categories)
+    if (action === 'delete') {
+      const trashed = trashEntity(data, type, id);
+      await saveData(data, projectId, req);
+      return { deleted: true, type, id, trashId: trashed.id };
+    }
 
-        // Remove from itemCategory if categorized
-        if (item.categoryId && data.itemCategories[item.categoryId]) {
-          data.itemCategories[item.categoryId].itemOrder =
-            data.itemCategories[item.categoryId].itemOrder.filter(iid => iid !== id);
-        }
+    // Restore a deleted item or task from the trash
+    if (action === 'restore') {
+      const entry = findTrashEntry(data, type, id);
+      const restored = restoreFromTrash(data, entry.id);
+      await saveData(data, projectId, req);
+      return { restored: true, type, id, entity: restored.entity };
+    }
 
-        delete data.items[id];
-      } else if (type === 'task') {
-        const task = data.tasks[id];
-        if (!task) throw new Error(`Task ${id} not found`);
-
-        if (task.categoryId && data.taskCategories[task.categoryId]) {
-          data.taskCategories[task.categoryId].taskOrder =
-            data.taskCategories[task.categoryId].taskOrder.filter(tid => tid !== id);
-        } else if (task.itemId && data.items[task.itemId]) {
-          data.items[task.itemId].taskOrder =
-            data.items[task.itemId].taskOrder.filter(tid => tid !== id);
-        }
-        delete data.tasks[id];
-      }
+    // Permanently delete an item or task from the trash
+    if (action === 'purge') {
+      const entry = findTrashEntry(data, type, id);
+      purgeTrashEntry(data, entry.id);
+      await snapshotBefore(await getDataFilePath(projectId, req), 'before-purge');
       await saveData(data, projectId, req);
-      return { deleted: true, type, id };
+      return { purged: true, type, id };
     }
 
     // Append prompt action
     if (action === 'append_prompt') {
-      const item = getItem();
-      if (!item) throw new Error(`${type} with ID ${id} not found`);
+      const item = requireEntity(data, type, id);
       if (!promptEntry?.role) {
         throw new Error('promptEntry with role required');
       }
       // Support new format (title + description) or legacy format (content)
-      const hasNewFormat = promptEntry.title && promptEntry.description;
-      const hasLegacyFormat = promptEntry.content;
-      if (!hasNewFormat && !hasLegacyFormat) {
-        throw new Error('promptEntry requires either {title, description} or {content}');
-      }
-      if (!item.promptHistory) item.promptHistory = [];
-      const entry = {
-        id: generateId('ph'),
-        timestamp: new Date().toISOString(),
-        entryType: 'prompt',
-        role: promptEntry.role,
-        title: promptEntry.title || (promptEntry.content?.substring(0, 80) + (promptEntry.content?.length > 80 ? '...' : '')),
-        description: promptEntry.description || promptEntry.content
-      };
-      item.promptHistory.push(entry);
+      const entry = appendPromptEntry(item, promptEntry);
       await saveData(data, projectId, req);
       return { added: true, entryId: entry.id, totalCount: item.promptHistory.length };
     }
 
+    // Discussion comments, posted as the agent
+    if (action === 'comment' || action === 'edit_comment') {
+      const item = requireEntity(data, type, id);
+      if (!comment?.body) {
+        throw new Error('comment with body required');
+      }
+      const saved = action === 'comment'
+        ? addComment(item, { author: 'agent', body: comment.body, replyTo: comment.replyTo })
+        : editComment(item, comment.commentId, { body: comment.body });
+      await saveData(data, projectId, req);
+      return { saved: true, comment: saved, totalCount: item.comments.length };
+    }
+
     // Save plan action
     if (action === 'save_plan') {
-      const item = getItem();
-      if (!item) throw new Error(`${type} with ID ${id} not found`);
+      const item = requireEntity(data, type, id);
 
       // Read content from path or use provided content
       let content;
@@ -730,51 +483,20 @@ const toolHandlers = {
         throw new Error('Either planPath or planContent required for save_plan action');
       }
 
-      const existingPlans = (item.attachments || []).filter(a => a.filename?.startsWith('PLAN-v'));
-      const version = existingPlans.length + 1;
-      const filename = `PLAN-v${version}.md`;
-
-      // Use 'item' storage type for feature/bug/item types
-      const storageType = type === 'task' ? 'task' : 'item';
       const attachmentsDir = await getAttachmentsDir(projectId, req);
-      const itemDir = path.join(attachmentsDir, storageType, id);
-      await fs.mkdir(itemDir, { recursive: true });
-      await fs.writeFile(path.join(itemDir, filename), content, 'utf-8');
-
-      const storedPath = `${storageType}/${id}/${filename}`;
-      const fullPath = path.join(itemDir, filename);
-      const attachment = {
-        id: generateId('att'), filename, storedName: filename,
-        storedPath, mimeType: 'text/markdown',
-        size: Buffer.byteLength(content, 'utf-8'), uploadedAt: new Date().toISOString()
-      };
-      if (!item.attachments) item.attachments = [];
-      item.attachments.push(attachment);
+      const { version, filename, attachment, fullPath } = await savePlanVersion(item, type, content, attachmentsDir);
       await saveData(data, projectId, req);
       return { saved: true, version, filename, attachmentId: attachment.id, totalVersions: version, path: fullPath };
     }
 
-    // Regular update
-    const item = getItem();
-    if (!item) throw new Error(`${type} with ID ${id} not found`);
-
-    if (updates?.status) {
-      if (!VALID_STATUSES.includes(updates.status)) {
-        throw new Error(`Invalid status: ${updates.status}. Must be one of: ${VALID_STATUSES.join(', ')}`);
-      }
-      if (updates.status === 'done' && !item.finishedAt) {
-        updates.finishedAt = new Date().toISOString();
-      } else if (updates.status !== 'done') {
-        updates.finishedAt = null;
-      }
-    }
-    Object.assign(item, updates);
+    // Regular update (status validation, custom fields, finishedAt and revision handled by the service)
+    const item = updateEntity(data, type, id, updates);
     await saveData(data, projectId, req);
     return item;
   },
 
   // 5. LIST (v4: categories, attachments, or projects)
-  async list({ listType, type, id, sectionId, projectId }, req) {
+  async list({ listType, type, id, sectionId, limit, projectId }, req) {
     // Projects don't need project-scoped data
     if (listType === 'projects') {
       const projectsData = await loadProjects();
@@ -797,6 +519,32 @@ const toolHandlers = {
       return { categories: cats, count: cats.length };
     }
 
+    if (listType === 'trash') {
+      const entries = listTrash(data);
+      return { entries, count: entries.length };
+    }
+
+    if (listType === 'statuses') {
+      if (!sectionId || !data.sections[sectionId]) throw new Error('Valid sectionId required for statuses (e.g. sect-features or sect-bugs)');
+      const { statuses, transitions } = getWorkflow(data, sectionId);
+      return { sectionId, statuses, transitions, taskStatuses: TASK_STATUSES };
+    }
+
+    if (listType === 'fields') {
+      if (!sectionId || !data.sections[sectionId]) throw new Error('Valid sectionId required for fields (e.g. sect-features or sect-bugs)');
+      const fieldDefs = getFieldDefs(data, sectionId);
+      return { sectionId, fields: fieldDefs, count: fieldDefs.length };
+    }
+
+    if (listType === 'templates') {
+      const templates = getTemplates(data, sectionId || null);
+      return { templates, count: templates.length };
+    }
+
+    if (listType === 'activity') {
+      return listActivity(await getDataFilePath(projectId, req), { sectionId, limit });
+    }
+
     if (listType === 'attachments') {
       if (!id) throw new Error('id required for attachments');
       let item;
@@ -862,6 +610,17 @@ const toolHandlers = {
       return { exists: true, version: parseInt(targetPlan.filename.match(/PLAN-v(\d+)/)?.[1]), filename: targetPlan.filename, content, versions };
     }
 
+    // Change history
+    if (contentType === 'history') {
+      return listActivity(await getDataFilePath(projectId, req), { entityId: item.id, includeChildren: type === 'item', limit });
+    }
+
+    // Discussion threads
+    if (contentType === 'comments') {
+      const threads = getCommentThreads(item);
+      return { threads, count: item.comments?.length || 0 };
+    }
+
     // Prompt history
     if (contentType === 'prompt_history') {
       // Normalize legacy entries that have content instead of title/description
@@ -898,6 +657,20 @@ const toolHandlers = {
     if (attachment.mimeType?.startsWith('image/')) throw new Error('Use contentType="image" for image attachments');
     const content = await fs.readFile(filePath, 'utf-8');
     return { filename: attachment.filename, mimeType: attachment.mimeType, content };
+  },
+
+  // 7. NEXT (picks the item or task to work on next, with its reasons)
+  async next({ sectionId, tagId, skipInProgress, limit, projectId }, req) {
+    const data = await loadData(projectId, req);
+    return recommendNext(data, { sectionId, tagId, skipInProgress, limit });
+  },
+
+  // 8. BULK (one change, or a delete, for many items and tasks in a single save)
+  async bulk({ ids, changes, delete: remove, projectId }, req) {
+    const data = await loadData(projectId, req);
+    const result = applyBulk(data, { ids, changes, delete: remove });
+    await saveData(data, projectId, req);
+    return result;
   }
 };
 
@@ -940,12 +713,38 @@ function getSessionIdFromReq(req) {
   return Array.isArray(header) ? header[0] : header;
 }
 
+// Tool arguments that may hold an item or task key (e.g. "API-42") instead of an ID
+const KEY_ARGS = ['id', 'parentId', 'duplicateOf'];
+
+// Copy of the arguments with keys replaced by the IDs they refer to
+async function resolveKeyArgs(args, reqLike) {
+  const fields = KEY_ARGS.filter(field => looksLikeKey(args[field]));
+  if (fields.length === 0 || args.listType === 'projects' || args.itemType === 'project') return args;
+
+  const data = await loadData(args.projectId, reqLike);
+  const resolved = { ...args };
+  for (const field of fields) {
+    resolved[field] = resolveKey(data, args[field])?.id ?? args[field];
+  }
+  return resolved;
+}
+
 async function callTool(name, args, reqLike) {
   const handler = toolHandlers[name];
   if (!handler) {
     throw new Error(`Unknown tool: ${name}`);
   }
-  return handler(args || {}, reqLike);
+  const toolArgs = args || {};
+  if (!MUTATING_TOOLS.includes(name)) {
+    return handler(await resolveKeyArgs(toolArgs, reqLike), reqLike);
+  }
+  const dataFile = await getDataFilePath(toolArgs.projectId, reqLike);
+  const run = async () => handler(await resolveKeyArgs(toolArgs, reqLike), reqLike);
+  // Moving or copying to another project writes both projects
+  if (toolArgs.targetProjectId) {
+    return withDataLocks([dataFile, await getDataFilePath(toolArgs.targetProjectId, reqLike)], run);
+  }
+  return withDataLock(dataFile, run);
 }
 
 function createStreamableMcpServer() {
@@ -967,7 +766,10 @@ function createStreamableMcpServer() {
 
   server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
-    const reqLike = { headers: normalizeHeaders(extra?.requestInfo?.headers || {}) };
+    const reqLike = {
+      headers: normalizeHeaders(extra?.requestInfo?.headers || {}),
+      activity: agentOrigin(server.getClientVersion()?.name)
+    };
 
     try {
       const toolResult = await callTool(name, args, reqLike);
@@ -1046,6 +848,7 @@ async function handleLegacyJsonRpc(req, res) {
 
         try {
           // Pass req as second argument to handlers for project-scoped data
+          req.activity = agentOrigin();
           const toolResult = await callTool(name, args, req);
           result = toolResponseToTextContent(toolResult);
         } catch (toolError) {
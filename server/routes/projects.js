@@ -3,15 +3,43 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { getDataPaths, getAppRoot } = require('../config');
+const {
+  ensureDataDir,
+  ensureProjectsDir,
+  loadProjects,
+  saveProjects,
+  loadSettings,
+  saveSettings,
+  getProjectDataPath,
+  getProjectDir
+} = require('../services/projects');
+const { withDataLock, withDataLocks } = require('../services/dataLock');
+const storage = require('../services/storage');
+const { formatEtag, ifMatchSatisfied, continueRevisions } = require('../services/revisions');
+const snapshots = require('../services/snapshots');
+const { describeOrigin } = require('../services/activity');
+const { checkProjectIntegrity, repairProjectIntegrity } = require('../services/integrity');
+const { findOrphanedAttachments, collectAttachmentGarbage } = require('../services/attachments');
+const bundles = require('../services/bundles');
+const { ProjectDataError, getDefaultData, saveData } = require('../services/projectData');
+const { transferItem } = require('../services/itemCopy');
+const { MIRROR_DIRNAME, refreshMirrors, syncProjectMirror } = require('../services/markdownMirror');
+const multer = require('multer');
 
 const router = express.Router();
 
+// Bundles are read into memory and unpacked by the bundle service
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 500 * 1024 * 1024 // 500MB limit
+  }
+});
+
 // Get paths from config
 const paths = getDataPaths();
 const PROJECT_ROOT = getAppRoot();
 const DATA_DIR = paths.dataDir;
-const PROJECTS_FILE = paths.projectsFile;
-const SETTINGS_FILE = paths.settingsFile;
 const PROJECTS_DIR = paths.projectsDir;
 
 // Generate unique ID
@@ -24,135 +52,16 @@ function generateId(prefix) {
   return `${prefix}-${id}`;
 }
 
-// Ensure data directory exists
-async function ensureDataDir() {
-  try {
-    await fs.access(DATA_DIR);
-  } catch {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-  }
-}
-
-// Ensure projects directory exists
-async function ensureProjectsDir() {
-  try {
-    await fs.access(PROJECTS_DIR);
-  } catch {
-    await fs.mkdir(PROJECTS_DIR, { recursive: true });
-  }
-}
-
-// Default projects data
-function getDefaultProjectsData() {
-  return {
-    version: 1,
-    lastModified: new Date().toISOString(),
-    projects: {},
-    order: []
-  };
-}
-
-// Default global settings
-function getDefaultSettings() {
-  return {
-    activeProjectId: null,
-    theme: 'system'
-  };
-}
-
-// Load projects metadata
-async function loadProjects() {
-  await ensureDataDir();
-  try {
-    const content = await fs.readFile(PROJECTS_FILE, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      const defaultData = getDefaultProjectsData();
-      await saveProjects(defaultData);
-      return defaultData;
-    }
-    throw error;
-  }
-}
-
-// Save projects metadata
-async function saveProjects(data) {
-  data.lastModified = new Date().toISOString();
-  await ensureDataDir();
-  const tempFile = `${PROJECTS_FILE}.tmp`;
-  await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
-  await fs.rename(tempFile, PROJECTS_FILE);
-}
-
-// Load global settings
-async function loadSettings() {
-  await ensureDataDir();
-  try {
-    const content = await fs.readFile(SETTINGS_FILE, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      const defaultSettings = getDefaultSettings();
-      await saveSettings(defaultSettings);
-      return defaultSettings;
-    }
-    throw error;
-  }
-}
-
-// Save global settings
-async function saveSettings(settings) {
-  await ensureDataDir();
-  const tempFile = `${SETTINGS_FILE}.tmp`;
-  await fs.writeFile(tempFile, JSON.stringify(settings, null, 2));
-  await fs.rename(tempFile, SETTINGS_FILE);
-}
-
-// Get project data file path
-function getProjectDataPath(projectId) {
-  return path.join(PROJECTS_DIR, projectId, 'data.json');
-}
-
-// Get project directory path
-function getProjectDir(projectId) {
-  return path.join(PROJECTS_DIR, projectId);
-}
-
-// Default data structure for a project (same as current data.json structure)
-function getDefaultProjectData() {
-  return {
-    version: 3,
-    lastModified: new Date().toISOString(),
-    features: {},
-    bugs: {},
-    tasks: {},
-    categories: {},
-    tags: {},
-    featureCategories: {},
-    bugCategories: {},
-    globalFeatureOrder: [],
-    globalBugOrder: [],
-    featureCategoryOrder: [],
-    bugCategoryOrder: [],
-    settings: {
-      activeView: 'features',
-      activeFeatureId: null,
-      theme: 'system'
-    }
-  };
-}
-
 // Create project directory and initialize data
 async function createProjectDirectory(projectId) {
   const projectDir = getProjectDir(projectId);
   await fs.mkdir(projectDir, { recursive: true });
   await fs.mkdir(path.join(projectDir, 'attachments'), { recursive: true });
 
-  // Initialize with default data
+  // Initialize with default v4 data
   const dataPath = getProjectDataPath(projectId);
-  const defaultData = getDefaultProjectData();
-  await fs.writeFile(dataPath, JSON.stringify(defaultData, null, 2));
+  const defaultData = getDefaultData();
+  await storage.writeData(dataPath, defaultData);
 
   return defaultData;
 }
@@ -188,7 +97,7 @@ async function migrateOldData() {
 
     // Move data
     const newDataPath = getProjectDataPath(projectId);
-    await fs.writeFile(newDataPath, JSON.stringify(oldData, null, 2));
+    await storage.writeData(newDataPath, oldData);
 
     // Move attachments if they exist
     try {
@@ -249,6 +158,20 @@ async function copyDirectory(src, dest) {
   }
 }
 
+// The Markdown mirror can't share a directory with Promptling's own data (e.g. a project for Promptling itself)
+function isMirrorDirTaken(workingDir) {
+  return path.resolve(workingDir, MIRROR_DIRNAME) === path.resolve(DATA_DIR);
+}
+
+// Start or stop Markdown mirrors after a project's settings changed (logged, not thrown)
+async function refreshMarkdownMirrors() {
+  try {
+    await refreshMirrors();
+  } catch (error) {
+    console.error('Error refreshing Markdown mirrors:', error);
+  }
+}
+
 // GET /api/projects - List all projects
 router.get('/', async (req, res) => {
   try {
@@ -302,7 +225,7 @@ router.get('/', async (req, res) => {
 // POST /api/projects - Create a new project
 router.post('/', async (req, res) => {
   try {
-    const { name, color, workingDir } = req.body;
+    const { name, color, workingDir, markdownMirror } = req.body;
     const projectsData = await loadProjects();
 
     const projectId = generateId('proj');
@@ -323,6 +246,12 @@ router.post('/', async (req, res) => {
       }
       project.workingDir = normalized;
     }
+    if (markdownMirror && project.workingDir) {
+      if (isMirrorDirTaken(project.workingDir)) {
+        return res.status(400).json({ error: 'This working directory holds Promptling\'s data; the Markdown mirror needs another one' });
+      }
+      project.markdownMirror = true;
+    }
 
     // Create project directory and initialize data
     await ensureProjectsDir();
@@ -332,6 +261,9 @@ router.post('/', async (req, res) => {
     projectsData.projects[projectId] = project;
     projectsData.order.push(projectId);
     await saveProjects(projectsData);
+    if (project.markdownMirror) {
+      await refreshMarkdownMirrors();
+    }
 
     res.json(project);
   } catch (error) {
@@ -340,6 +272,64 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /api/projects/import-bundle - Create a project from a bundle (multipart: file, name, freshIds)
+router.post('/import-bundle', bundleUpload.single('file'), async (req, res) => {
+  let projectId = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const bundle = bundles.readBundle(req.file.buffer);
+    const exported = bundle.manifest.project || {};
+    const projectsData = await loadProjects();
+
+    projectId = generateId('proj');
+    const project = {
+      id: projectId,
+      name: (typeof req.body.name === 'string' && req.body.name.trim()) || exported.name || 'Imported Project',
+      color: exported.color || '#3b82f6',
+      createdAt: new Date().toISOString()
+    };
+    // The working directory only carries over if it makes sense on this machine
+    const workingDir = exported.workingDir;
+    if (typeof workingDir === 'string' && path.isAbsolute(workingDir) && !workingDir.startsWith('\\\\') && !workingDir.includes('\0')) {
+      project.workingDir = path.resolve(workingDir);
+    }
+
+    await ensureProjectsDir();
+    await fs.mkdir(getProjectDir(projectId), { recursive: true });
+    const result = await bundles.installBundle(bundle, getProjectDataPath(projectId), {
+      freshIds: req.body.freshIds === 'true'
+    });
+
+    projectsData.projects[projectId] = project;
+    projectsData.order.push(projectId);
+    await saveProjects(projectsData);
+
+    res.json({
+      project,
+      counts: {
+        items: Object.keys(result.data.items).length,
+        tasks: Object.keys(result.data.tasks).length,
+        attachments: result.attachmentCount
+      },
+      sourceVersion: result.sourceVersion
+    });
+  } catch (error) {
+    // Leave nothing behind from a half-installed bundle
+    if (projectId) {
+      storage.invalidateCache(getProjectDataPath(projectId));
+      await fs.rm(getProjectDir(projectId), { recursive: true, force: true }).catch(() => {});
+    }
+    if (error instanceof bundles.InvalidBundleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error importing bundle:', error);
+    res.status(500).json({ error: 'Failed to import bundle' });
+  }
+});
+
 // GET /api/projects/:id - Get project metadata
 router.get('/:id', async (req, res) => {
   try {
@@ -369,7 +359,7 @@ router.patch('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Only allow updating name, color, and workingDir
+    // Only allow updating name, color, workingDir and markdownMirror
     if (updates.name !== undefined) {
       projectsData.projects[id].name = updates.name;
     }
@@ -391,8 +381,26 @@ router.patch('/:id', async (req, res) => {
         delete projectsData.projects[id].workingDir;
       }
     }
+    if (updates.markdownMirror !== undefined) {
+      if (updates.markdownMirror && !projectsData.projects[id].workingDir) {
+        return res.status(400).json({ error: 'The Markdown mirror needs a working directory' });
+      }
+      if (updates.markdownMirror && isMirrorDirTaken(projectsData.projects[id].workingDir)) {
+        return res.status(400).json({ error: 'This working directory holds Promptling\'s data; the Markdown mirror needs another one' });
+      }
+      if (updates.markdownMirror) {
+        projectsData.projects[id].markdownMirror = true;
+      } else {
+        delete projectsData.projects[id].markdownMirror;
+      }
+    }
+    // Clearing the working directory turns the mirror off
+    if (!projectsData.projects[id].workingDir) {
+      delete projectsData.projects[id].markdownMirror;
+    }
 
     await saveProjects(projectsData);
+    await refreshMarkdownMirrors();
     res.json(projectsData.projects[id]);
   } catch (error) {
     console.error('Error updating project:', error);
@@ -415,18 +423,23 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete the last project' });
     }
 
-    // Delete project directory
+    // Delete project directory, with no write in progress and no file held open (Windows can't remove open files)
     const projectDir = getProjectDir(id);
-    try {
-      await fs.rm(projectDir, { recursive: true, force: true });
-    } catch (e) {
-      console.warn('Could not delete project directory:', e.message);
-    }
+    const dataPath = getProjectDataPath(id);
+    await withDataLock(dataPath, async () => {
+      storage.closeData(dataPath);
+      try {
+        await fs.rm(projectDir, { recursive: true, force: true });
+      } catch (e) {
+        console.warn('Could not delete project directory:', e.message);
+      }
+    });
 
     // Remove from metadata
     delete projectsData.projects[id];
     projectsData.order = projectsData.order.filter(pid => pid !== id);
     await saveProjects(projectsData);
+    await refreshMarkdownMirrors();
 
     // If this was the active project, switch to first available
     const settings = await loadSettings();
@@ -474,23 +487,19 @@ router.get('/:id/data', async (req, res) => {
     }
 
     const dataPath = getProjectDataPath(id);
-    try {
-      const content = await fs.readFile(dataPath, 'utf-8');
-      const data = JSON.parse(content);
+    const data = await storage.readData(dataPath);
+    if (data) {
       // Add project info to response
       data._projectId = id;
       data._project = projectsData.projects[id];
+      res.setHeader('ETag', formatEtag(data.revision));
       res.json(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // Create default data if missing
-        const defaultData = await createProjectDirectory(id);
-        defaultData._projectId = id;
-        defaultData._project = projectsData.projects[id];
-        res.json(defaultData);
-      } else {
-        throw error;
-      }
+    } else {
+      // Create default data if missing
+      const defaultData = await createProjectDirectory(id);
+      defaultData._projectId = id;
+      defaultData._project = projectsData.projects[id];
+      res.json(defaultData);
     }
   } catch (error) {
     console.error('Error loading project data:', error);
@@ -509,8 +518,6 @@ router.put('/:id/data', async (req, res) => {
     }
 
     const data = req.body;
-    data.lastModified = new Date().toISOString();
-
     const dataPath = getProjectDataPath(id);
     await ensureProjectsDir();
 
@@ -522,17 +529,277 @@ router.put('/:id/data', async (req, res) => {
       await fs.mkdir(projectDir, { recursive: true });
     }
 
-    const tempFile = `${dataPath}.tmp`;
-    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
-    await fs.rename(tempFile, dataPath);
+    // Check If-Match against the stored revision and save under the same lock
+    const saved = await withDataLock(dataPath, async () => {
+      const current = await storage.readData(dataPath);
+      if (current && !ifMatchSatisfied(req, current.revision)) {
+        return { conflict: current };
+      }
+
+      await snapshots.snapshotBefore(dataPath, 'before-replace');
+      if (!data.trash && current?.trash) data.trash = current.trash;
+      // Replaced entities get revisions past the ones other clients still hold
+      continueRevisions(current, data);
+      await saveData(data, id, { headers: req.headers, activity: describeOrigin(req, 'replace') });
+      return { revision: data.revision };
+    });
+
+    if (saved.conflict) {
+      res.setHeader('ETag', formatEtag(saved.conflict.revision));
+      return res.status(409).json({ error: 'Project data was changed elsewhere', current: saved.conflict });
+    }
 
-    res.json({ saved: true });
+    res.setHeader('ETag', formatEtag(saved.revision));
+    res.json({ saved: true, revision: saved.revision });
   } catch (error) {
     console.error('Error saving project data:', error);
     res.status(500).json({ error: 'Failed to save project data' });
   }
 });
 
+// GET /api/projects/:id/snapshots - List snapshots of project data, newest first
+router.get('/:id/snapshots', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const list = await snapshots.listSnapshots(getProjectDataPath(id));
+    res.json({ snapshots: list });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({ error: 'Failed to list snapshots' });
+  }
+});
+
+// POST /api/projects/:id/snapshots - Take a snapshot now
+router.post('/:id/snapshots', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const snapshot = await snapshots.createSnapshot(getProjectDataPath(id), 'manual', { force: true });
+    if (!snapshot) {
+      return res.status(400).json({ error: 'Project has no data to snapshot' });
+    }
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error creating snapshot:', error);
+    res.status(500).json({ error: 'Failed to create snapshot' });
+  }
+});
+
+// GET /api/projects/:id/snapshots/:snapshotId - Get a snapshot's metadata and data (for preview)
+router.get('/:id/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const { id, snapshotId } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const snapshot = await snapshots.getSnapshot(getProjectDataPath(id), snapshotId);
+    res.json(snapshot);
+  } catch (error) {
+    if (error instanceof snapshots.SnapshotNotFoundError) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    console.error('Error loading snapshot:', error);
+    res.status(500).json({ error: 'Failed to load snapshot' });
+  }
+});
+
+// POST /api/projects/:id/snapshots/:snapshotId/restore - Replace project data with a snapshot
+router.post('/:id/snapshots/:snapshotId/restore', async (req, res) => {
+  try {
+    const { id, snapshotId } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // The current data is snapshotted first, so the restore can be undone
+    const dataPath = getProjectDataPath(id);
+    const result = await withDataLock(dataPath, () => snapshots.restoreSnapshot(dataPath, snapshotId, describeOrigin(req, 'restore')));
+
+    res.setHeader('ETag', formatEtag(result.revision));
+    res.json(result);
+  } catch (error) {
+    if (error instanceof snapshots.SnapshotNotFoundError) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    console.error('Error restoring snapshot:', error);
+    res.status(500).json({ error: 'Failed to restore snapshot' });
+  }
+});
+
+// GET /api/projects/:id/integrity - Report inconsistencies in project data
+router.get('/:id/integrity', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const report = await checkProjectIntegrity(getProjectDataPath(id));
+    res.json(report);
+  } catch (error) {
+    console.error('Error checking project integrity:', error);
+    res.status(500).json({ error: 'Failed to check project integrity' });
+  }
+});
+
+// POST /api/projects/:id/integrity/repair - Fix inconsistencies (snapshots the data first)
+router.post('/:id/integrity/repair', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const dataPath = getProjectDataPath(id);
+    const result = await withDataLock(dataPath, () => repairProjectIntegrity(dataPath, describeOrigin(req, 'repair')));
+    if (result.revision !== undefined) {
+      res.setHeader('ETag', formatEtag(result.revision));
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error repairing project integrity:', error);
+    res.status(500).json({ error: 'Failed to repair project integrity' });
+  }
+});
+
+// GET /api/projects/:id/attachments/gc - Dry run: attachment files no entity references
+router.get('/:id/attachments/gc', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const report = await findOrphanedAttachments(getProjectDataPath(id));
+    res.json(report);
+  } catch (error) {
+    console.error('Error scanning attachments:', error);
+    res.status(500).json({ error: 'Failed to scan attachments' });
+  }
+});
+
+// POST /api/projects/:id/attachments/gc - Delete attachment files no entity references
+router.post('/:id/attachments/gc', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const dataPath = getProjectDataPath(id);
+    const result = await withDataLock(dataPath, () => collectAttachmentGarbage(dataPath));
+    res.json(result);
+  } catch (error) {
+    console.error('Error collecting attachments:', error);
+    res.status(500).json({ error: 'Failed to collect attachments' });
+  }
+});
+
+// POST /api/projects/:id/mirror/sync - Read back Markdown mirror files changed on disk and write out the rest
+router.post('/:id/mirror/sync', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await syncProjectMirror(id);
+    if (!result) {
+      return res.status(400).json({ error: 'The Markdown mirror is not enabled for this project' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error syncing Markdown mirror:', error);
+    res.status(500).json({ error: 'Failed to sync Markdown mirror' });
+  }
+});
+
+// POST /api/projects/:id/transfer-item - Move or copy an item with its tasks and attachments to another project
+// ({ itemId (ID or key), targetProjectId, mode: 'move' | 'copy', sectionId, categoryId })
+router.post('/:id/transfer-item', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { itemId, targetProjectId, mode, sectionId, categoryId } = req.body;
+    const projectsData = await loadProjects();
+
+    if (!projectsData.projects[id]) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!targetProjectId || !projectsData.projects[targetProjectId]) {
+      return res.status(404).json({ error: 'Target project not found' });
+    }
+
+    try {
+      const result = await withDataLocks([getProjectDataPath(id), getProjectDataPath(targetProjectId)], () =>
+        transferItem({ projectId: id, itemId, targetProjectId, mode, sectionId, categoryId }, req));
+      res.json(result);
+    } catch (error) {
+      if (error instanceof ProjectDataError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error transferring item:', error);
+    res.status(500).json({ error: 'Failed to transfer item' });
+  }
+});
+
+// GET /api/projects/:id/bundle - Download the project as a ZIP bundle (data, metadata and attachments)
+router.get('/:id/bundle', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const projectsData = await loadProjects();
+
+    const project = projectsData.projects[id];
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const dataPath = getProjectDataPath(id);
+    // Read under the lock so the data and the attachment files match
+    const buffer = await withDataLock(dataPath, () => bundles.buildBundle(project, dataPath));
+    const baseName = project.name.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || id;
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${date}.promptling.zip"`);
+    res.send(buffer);
+  } catch (error) {
+    if (error instanceof bundles.InvalidBundleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error exporting bundle:', error);
+    res.status(500).json({ error: 'Failed to export bundle' });
+  }
+});
+
 // PUT /api/projects/active - Set active project
 router.put('/active', async (req, res) => {
   try {
@@ -567,10 +834,5 @@ router.get('/settings', async (req, res) => {
 
 // Export helper functions for use in tasks.js
 module.exports = router;
-module.exports.loadProjects = loadProjects;
-module.exports.loadSettings = loadSettings;
-module.exports.saveSettings = saveSettings;
-module.exports.getProjectDataPath = getProjectDataPath;
-module.exports.getProjectDir = getProjectDir;
 module.exports.checkMigrationNeeded = checkMigrationNeeded;
 module.exports.migrateOldData = migrateOldData;
@@ -3,56 +3,63 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const multer = require('multer');
-const { getDataPaths } = require('../config');
+const { loadProjects, loadSettings } = require('../services/projects');
+const { checkMigrationNeeded, migrateOldData } = require('./projects');
+const { acquireDataLock } = require('../services/dataLock');
+const { formatEtag, ifMatchSatisfied, continueRevisions } = require('../services/revisions');
+const projectData = require('../services/projectData');
+const { snapshotBefore } = require('../services/snapshots');
+const trash = require('../services/trash');
+const { moveAttachments } = require('../services/attachments');
+const dataImport = require('../services/dataImport');
+const exportFormats = require('../services/exportFormats');
+const importers = require('../services/importers');
+const { recommendNext } = require('../services/nextWork');
+const { applyBulk } = require('../services/bulk');
+const { duplicateEntity } = require('../services/itemCopy');
+const activity = require('../services/activity');
 const {
-  loadProjects,
-  loadSettings,
-  getProjectDataPath,
-  getProjectDir,
-  checkMigrationNeeded,
-  migrateOldData
-} = require('./projects');
+  SYSTEM_SECTIONS,
+  DEFAULT_TAG_COLORS,
+  REVISIONED_TYPES,
+  ProjectDataError,
+  generateId,
+  itemIdPrefix,
+  getEntity
+} = projectData;
 
 const router = express.Router();
 
-// Get paths from config
-const paths = getDataPaths();
-const DATA_DIR = paths.dataDir;
-const PROJECTS_DIR = paths.projectsDir;
-
-// Legacy paths (for backward compatibility during migration)
-const LEGACY_DATA_FILE = path.join(DATA_DIR, 'data.json');
-const LEGACY_ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
-
-// Get active project ID from request header or settings
-async function getActiveProjectId(req) {
-  // Check header first
-  const headerProjectId = req.headers['x-project-id'];
-  if (headerProjectId) {
-    return headerProjectId;
-  }
-  // Fall back to settings
-  const settings = await loadSettings();
-  return settings.activeProjectId;
+// Project data for the request's project (X-Project-Id header or active project)
+function loadData(req) {
+  return projectData.loadData(null, req);
 }
 
-// Get data file path for active project
-async function getDataFilePath(req) {
-  const projectId = await getActiveProjectId(req);
-  if (!projectId) {
-    // Return legacy path if no project is set
-    return LEGACY_DATA_FILE;
-  }
-  return getProjectDataPath(projectId);
+function saveData(data, req) {
+  return projectData.saveData(data, null, req);
 }
 
-// Get attachments directory for active project
-async function getAttachmentsDir(req) {
-  const projectId = await getActiveProjectId(req);
-  if (!projectId) {
-    return LEGACY_ATTACHMENTS_DIR;
-  }
-  return path.join(getProjectDir(projectId), 'attachments');
+function getDataFilePath(req) {
+  return projectData.getDataFilePath(null, req);
+}
+
+function getAttachmentsDir(req) {
+  return projectData.getAttachmentsDir(null, req);
+}
+
+// Snapshot the request's project before a destructive change (see services/snapshots.js)
+async function snapshotProject(req, reason) {
+  return snapshotBefore(await getDataFilePath(req), reason);
+}
+
+// Body fields that may hold an item or task key (e.g. "API-42", "API-42.3") instead of an ID
+const KEY_BODY_FIELDS = ['id', 'itemId', 'parentId', 'taskId', 'targetItemId', 'newParentId', 'sourceId', 'targetId'];
+
+// ID of the item or task a key refers to; anything else is returned unchanged
+async function resolveIdOrKey(value, req, data) {
+  if (!projectData.looksLikeKey(value)) return value;
+  const resolved = projectData.resolveKey(data || await loadData(req), value);
+  return resolved ? resolved.id : value;
 }
 
 // Allowed file types
@@ -105,312 +112,123 @@ async function getUniqueFilename(dir, filename) {
   }
 }
 
-// Valid task statuses
-const TASK_STATUSES = ['open', 'in-progress', 'done'];
-
-// Default tag colors
-const DEFAULT_TAG_COLORS = [
-  '#ef4444', '#f97316', '#f59e0b', '#84cc16', '#22c55e',
-  '#14b8a6', '#06b6d4', '#3b82f6', '#8b5cf6', '#ec4899'
-];
-
 // Available section icons
 const SECTION_ICONS = ['layers', 'bug', 'flag', 'star', 'rocket', 'target', 'calendar', 'folder', 'bookmark', 'lightning', 'check-circle', 'archive'];
 
-// System section IDs (cannot be deleted)
-const SYSTEM_SECTIONS = {
-  FEATURES: 'sect-features',
-  BUGS: 'sect-bugs'
-};
+// Reject a stale write (If-Match mismatch) with the entity's current state
+function sendConflict(res, label, current) {
+  res.setHeader('ETag', formatEtag(current.rev ?? current.revision));
+  return res.status(409).json({ error: `${label} was changed elsewhere`, current });
+}
 
-// Default data structure - version 4 with unified sections
-function getDefaultData() {
-  const now = new Date().toISOString();
-  return {
-    version: 4,
-    lastModified: now,
-    // Unified sections (replaces features/bugs separation)
-    sections: {
-      [SYSTEM_SECTIONS.FEATURES]: {
-        id: SYSTEM_SECTIONS.FEATURES,
-        name: 'Features',
-        icon: 'layers',
-        color: '#3b82f6',
-        isSystem: true,
-        itemOrder: [],
-        categoryOrder: [],
-        createdAt: now
-      },
-      [SYSTEM_SECTIONS.BUGS]: {
-        id: SYSTEM_SECTIONS.BUGS,
-        name: 'Bugs',
-        icon: 'bug',
-        color: '#ef4444',
-        isSystem: true,
-        itemOrder: [],
-        categoryOrder: [],
-        createdAt: now
-      }
-    },
-    sectionOrder: [SYSTEM_SECTIONS.FEATURES, SYSTEM_SECTIONS.BUGS],
-    // Unified items (replaces features and bugs)
-    items: {},
-    // Categories for grouping items within sections
-    itemCategories: {},
-    // Tasks (sub-tasks of items)
-    tasks: {},
-    // Categories for grouping tasks within items
-    taskCategories: {},
-    // Tags
-    tags: {},
-    settings: {
-      activeView: 'section',
-      activeSectionId: SYSTEM_SECTIONS.FEATURES,
-      activeItemId: null,
-      theme: 'system'
-    }
-  };
+// Answer a ProjectDataError (bad input or missing entity) with its status.
+// Returns false for other errors so the route can log them and answer 500.
+function sendDataError(res, error) {
+  if (!(error instanceof ProjectDataError)) return false;
+  res.status(error.status).json({ error: error.message });
+  return true;
 }
 
-// Migration function: Convert v3 data to v4 unified sections format
-function migrateToV4(data) {
-  if (data.version >= 4) return data; // Already migrated
-
-  const now = new Date().toISOString();
-  const migrated = {
-    version: 4,
-    lastModified: now,
-    sections: {
-      [SYSTEM_SECTIONS.FEATURES]: {
-        id: SYSTEM_SECTIONS.FEATURES,
-        name: 'Features',
-        icon: 'layers',
-        color: '#3b82f6',
-        isSystem: true,
-        itemOrder: [...(data.globalFeatureOrder || [])],
-        categoryOrder: [...(data.featureCategoryOrder || [])],
-        createdAt: now
-      },
-      [SYSTEM_SECTIONS.BUGS]: {
-        id: SYSTEM_SECTIONS.BUGS,
-        name: 'Bugs',
-        icon: 'bug',
-        color: '#ef4444',
-        isSystem: true,
-        itemOrder: [...(data.globalBugOrder || [])],
-        categoryOrder: [...(data.bugCategoryOrder || [])],
-        createdAt: now
-      }
-    },
-    sectionOrder: [SYSTEM_SECTIONS.FEATURES, SYSTEM_SECTIONS.BUGS],
-    items: {},
-    itemCategories: {},
-    tasks: {},
-    taskCategories: {},
-    tags: { ...(data.tags || {}) },
-    settings: {
-      activeView: 'section',
-      activeSectionId: data.settings?.activeView === 'bugs' ? SYSTEM_SECTIONS.BUGS : SYSTEM_SECTIONS.FEATURES,
-      activeItemId: data.settings?.activeFeatureId || null,
-      theme: data.settings?.theme || 'system'
-    }
+// Pick the v4 fields returned to clients from the stored document
+function toClientData(data) {
+  return {
+    version: data.version,
+    revision: data.revision || 0,
+    lastModified: data.lastModified,
+    sections: data.sections,
+    sectionOrder: data.sectionOrder,
+    items: data.items,
+    itemCategories: data.itemCategories,
+    tasks: data.tasks,
+    taskCategories: data.taskCategories,
+    tags: data.tags,
+    relations: data.relations || {},
+    templates: data.templates || {},
+    keys: data.keys,
+    settings: data.settings
   };
-
-  // Migrate features to items
-  Object.values(data.features || {}).forEach(feature => {
-    migrated.items[feature.id] = {
-      id: feature.id,
-      sectionId: SYSTEM_SECTIONS.FEATURES,
-      title: feature.title,
-      description: feature.description || '',
-      status: feature.status || 'open',
-      priority: feature.priority || 'medium',
-      complexity: feature.complexity || null,
-      categoryId: feature.categoryId || null,
-      taskOrder: [...(feature.taskOrder || [])],
-      categoryOrder: [...(feature.categoryOrder || [])],
-      attachments: [...(feature.attachments || [])],
-      promptHistory: [...(feature.promptHistory || [])],
-      tagIds: [...(feature.tagIds || [])],
-      createdAt: feature.createdAt || now,
-      finishedAt: feature.finishedAt || null
-    };
-  });
-
-  // Migrate bugs to items
-  Object.values(data.bugs || {}).forEach(bug => {
-    migrated.items[bug.id] = {
-      id: bug.id,
-      sectionId: SYSTEM_SECTIONS.BUGS,
-      title: bug.title,
-      description: bug.description || '',
-      status: bug.status || 'open',
-      priority: bug.priority || 'medium',
-      complexity: bug.complexity || null,
-      categoryId: bug.categoryId || null,
-      taskOrder: [...(bug.taskOrder || [])],
-      categoryOrder: [...(bug.categoryOrder || [])],
-      attachments: [...(bug.attachments || [])],
-      promptHistory: [...(bug.promptHistory || [])],
-      tagIds: [...(bug.tagIds || [])],
-      createdAt: bug.createdAt || now,
-      finishedAt: bug.finishedAt || null
-    };
-  });
-
-  // Migrate feature categories to item categories
-  Object.values(data.featureCategories || {}).forEach(cat => {
-    migrated.itemCategories[cat.id] = {
-      id: cat.id,
-      sectionId: SYSTEM_SECTIONS.FEATURES,
-      name: cat.name,
-      itemOrder: [...(cat.featureOrder || [])]
-    };
-  });
-
-  // Migrate bug categories to item categories
-  Object.values(data.bugCategories || {}).forEach(cat => {
-    migrated.itemCategories[cat.id] = {
-      id: cat.id,
-      sectionId: SYSTEM_SECTIONS.BUGS,
-      name: cat.name,
-      itemOrder: [...(cat.bugOrder || [])]
-    };
-  });
-
-  // Migrate tasks - update parentType to use itemId
-  Object.values(data.tasks || {}).forEach(task => {
-    migrated.tasks[task.id] = {
-      id: task.id,
-      itemId: task.parentId, // parentId becomes itemId
-      categoryId: task.categoryId || null,
-      title: task.title,
-      description: task.description || '',
-      status: task.status || 'open',
-      tagIds: [...(task.tagIds || [])],
-      attachments: [...(task.attachments || [])],
-      promptHistory: [...(task.promptHistory || [])],
-      createdAt: task.createdAt || now,
-      finishedAt: task.finishedAt || null
-    };
-  });
-
-  // Migrate task categories (categories within features/bugs)
-  Object.values(data.categories || {}).forEach(cat => {
-    migrated.taskCategories[cat.id] = {
-      id: cat.id,
-      itemId: cat.parentId, // parentId becomes itemId
-      name: cat.name,
-      taskOrder: [...(cat.taskOrder || [])]
-    };
-  });
-
-  console.log(`Migrated data from v${data.version || 3} to v4 (unified sections)`);
-  return migrated;
 }
 
-// Ensure data directory exists
-async function ensureDataDir() {
-  try {
-    await fs.access(DATA_DIR);
-  } catch {
-    await fs.mkdir(DATA_DIR, { recursive: true });
+// Serialize mutating requests per project: the whole load → mutate → save cycle
+// runs under the project's write lock, which is released once the response is sent
+router.use(async (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return next();
   }
-}
 
-// Load data with default fallback - now project-aware
-// Automatically migrates old data formats to v4
-async function loadData(req) {
-  await ensureDataDir();
-  const dataFile = await getDataFilePath(req);
-
-  // Ensure parent directory exists
-  const parentDir = path.dirname(dataFile);
+  let release;
   try {
-    await fs.access(parentDir);
-  } catch {
-    await fs.mkdir(parentDir, { recursive: true });
+    release = await acquireDataLock(await getDataFilePath(req));
+  } catch (error) {
+    console.error('Error acquiring data lock:', error);
+    return res.status(503).json({ error: 'Project data is busy, please retry' });
   }
 
-  try {
-    const content = await fs.readFile(dataFile, 'utf-8');
-    let data = JSON.parse(content);
-
-    // Check if migration is needed
-    if (!data.version || data.version < 4) {
-      data = migrateToV4(data);
-      // Save migrated data
-      await saveData(data, req);
-    }
+  res.on('finish', release);
+  res.on('close', release);
+  next();
+});
 
-    return data;
+// Accept item and task keys wherever an ID is expected: in route parameters...
+async function resolveParamKey(req, res, next, value, name) {
+  try {
+    req.params[name] = await resolveIdOrKey(value, req);
+    next();
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      const defaultData = getDefaultData();
-      await saveData(defaultData, req);
-      return defaultData;
-    }
-    throw error;
+    next(error);
   }
 }
+router.param('id', resolveParamKey);
+router.param('itemId', resolveParamKey);
 
-// Save data atomically (write to temp, then rename) - now project-aware
-async function saveData(data, req) {
-  data.lastModified = new Date().toISOString();
-  await ensureDataDir();
-  const dataFile = await getDataFilePath(req);
+// ...and in JSON bodies (multipart attachment uploads resolve their own)
+router.use(async (req, res, next) => {
+  const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+  const fields = KEY_BODY_FIELDS.filter(field => projectData.looksLikeKey(body[field]));
+  if (fields.length === 0) return next();
 
-  // Ensure parent directory exists
-  const parentDir = path.dirname(dataFile);
   try {
-    await fs.access(parentDir);
-  } catch {
-    await fs.mkdir(parentDir, { recursive: true });
-  }
-
-  const tempFile = `${dataFile}.tmp`;
-  await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
-  await fs.rename(tempFile, dataFile);
-}
-
-// Generate unique ID
-function generateId(prefix) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let id = '';
-  for (let i = 0; i < 8; i++) {
-    id += chars.charAt(Math.floor(Math.random() * chars.length));
+    const data = await loadData(req);
+    for (const field of fields) {
+      body[field] = await resolveIdOrKey(body[field], req, data);
+    }
+    next();
+  } catch (error) {
+    console.error('Error resolving keys:', error);
+    res.status(500).json({ error: 'Failed to resolve keys' });
   }
-  return `${prefix}-${id}`;
-}
+});
 
 // GET /api/tasks - Get all data (v4 unified format)
 router.get('/', async (req, res) => {
   try {
     const data = await loadData(req);
     // Return v4 data structure
-    res.json({
-      version: data.version,
-      lastModified: data.lastModified,
-      sections: data.sections,
-      sectionOrder: data.sectionOrder,
-      items: data.items,
-      itemCategories: data.itemCategories,
-      tasks: data.tasks,
-      taskCategories: data.taskCategories,
-      tags: data.tags,
-      settings: data.settings
-    });
+    res.setHeader('ETag', formatEtag(data.revision));
+    res.json(toClientData(data));
   } catch (error) {
     console.error('Error loading tasks:', error);
     res.status(500).json({ error: 'Failed to load tasks' });
   }
 });
 
-// PUT /api/tasks - Save all data
+// PUT /api/tasks - Save all data (If-Match is checked against the document revision)
 router.put('/', async (req, res) => {
   try {
-    await saveData(req.body, req);
-    res.json({ saved: true });
+    const current = await loadData(req);
+    if (!ifMatchSatisfied(req, current.revision)) {
+      return sendConflict(res, 'Project data', toClientData(current));
+    }
+
+    await snapshotProject(req, 'before-replace');
+    const data = req.body;
+    // The trash isn't part of the client's copy of the data
+    data.trash = current.trash || {};
+    // Replaced entities get revisions past the ones other clients still hold
+    continueRevisions(current, data);
+    await saveData(data, req);
+    res.setHeader('ETag', formatEtag(data.revision));
+    res.json({ saved: true, revision: data.revision });
   } catch (error) {
     console.error('Error saving tasks:', error);
     res.status(500).json({ error: 'Failed to save tasks' });
@@ -421,41 +239,11 @@ router.put('/', async (req, res) => {
 router.post('/task', async (req, res) => {
   try {
     const data = await loadData(req);
-    const id = generateId('task');
-    const now = new Date().toISOString();
     const { parentType, parentId, categoryId, title, description, status, tagIds } = req.body;
 
     // In v4, parentId is the itemId
-    const itemId = parentId;
-    const item = data.items[itemId];
-
-    if (!item) {
-      return res.status(404).json({ error: 'Parent item not found' });
-    }
-
-    // Create task in v4 structure
-    const task = {
-      id,
-      itemId,
-      categoryId: categoryId || null,
-      title: title || 'New Task',
-      description: description || '',
-      status: TASK_STATUSES.includes(status) ? status : 'open',
-      tagIds: Array.isArray(tagIds) ? tagIds : [],
-      attachments: [],
-      promptHistory: [],
-      createdAt: now,
-      finishedAt: null
-    };
-
-    data.tasks[id] = task;
-
-    // Add to category's or item's task order
-    if (categoryId && data.taskCategories[categoryId]) {
-      data.taskCategories[categoryId].taskOrder.push(id);
-    } else {
-      item.taskOrder.push(id);
-    }
+    const task = projectData.createTask(data, { itemId: parentId, categoryId, title, description, status, tagIds });
+    const item = data.items[parentId];
 
     await saveData(data, req);
 
@@ -463,9 +251,10 @@ router.post('/task', async (req, res) => {
     res.json({
       ...task,
       parentType: item.sectionId === SYSTEM_SECTIONS.FEATURES ? 'feature' : 'bug',
-      parentId: itemId
+      parentId
     });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error creating task:', error);
     res.status(500).json({ error: 'Failed to create task' });
   }
@@ -475,30 +264,11 @@ router.post('/task', async (req, res) => {
 router.post('/category', async (req, res) => {
   try {
     const data = await loadData(req);
-    const id = generateId('cat');
     const { parentType, parentId, name } = req.body;
 
     // In v4, parentId is the itemId
-    const itemId = parentId;
-    const item = data.items[itemId];
-
-    if (!item) {
-      return res.status(404).json({ error: 'Parent item not found' });
-    }
-
-    // Create taskCategory in v4 structure
-    const category = {
-      id,
-      itemId,
-      name: name || 'New Category',
-      taskOrder: []
-    };
-
-    data.taskCategories[id] = category;
-
-    // Add to item's categoryOrder
-    if (!item.categoryOrder) item.categoryOrder = [];
-    item.categoryOrder.push(id);
+    const category = projectData.createTaskCategory(data, { itemId: parentId, name });
+    const item = data.items[parentId];
 
     await saveData(data, req);
 
@@ -506,13 +276,15 @@ router.post('/category', async (req, res) => {
     res.json({
       ...category,
       parentType: item.sectionId === SYSTEM_SECTIONS.FEATURES ? 'feature' : 'bug',
-      parentId: itemId
+      parentId
     });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error creating category:', error);
     res.status(500).json({ error: 'Failed to create category' });
   }
 });
+
 // PUT /api/tasks/reorder - Reorder items (v4: works with sections/items)
 router.put('/reorder', async (req, res) => {
   try {
@@ -602,38 +374,42 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+// GET /api/tasks/keys - Key prefix and the number the next item gets
+router.get('/keys', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    res.json(data.keys || null);
+  } catch (error) {
+    console.error('Error loading keys:', error);
+    res.status(500).json({ error: 'Failed to load keys' });
+  }
+});
+
+// PUT /api/tasks/keys - Change the key prefix for new items. Existing keys stay,
+// and the counter carries on, so no key is ever handed out twice.
+router.put('/keys', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    data.keys = { prefix: projectData.normalizeKeyPrefix(req.body.prefix), next: data.keys?.next || 1 };
+    await saveData(data, req);
+    res.json(data.keys);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error updating keys:', error);
+    res.status(500).json({ error: 'Failed to update keys' });
+  }
+});
+
 // PUT /api/tasks/move-task - Move task between categories/items (v4)
 router.put('/move-task', async (req, res) => {
   try {
-    const { taskId, newCategoryId, newParentType, newParentId } = req.body;
+    const { taskId, newCategoryId, newParentId } = req.body;
     const data = await loadData(req);
 
-    const task = data.tasks[taskId];
-    if (!task) {
+    if (!data.tasks[taskId]) {
       return res.status(404).json({ error: 'Task not found' });
     }
-
-    // Remove from old location (v4: uses taskCategories and items)
-    if (task.categoryId && data.taskCategories[task.categoryId]) {
-      data.taskCategories[task.categoryId].taskOrder =
-        data.taskCategories[task.categoryId].taskOrder.filter(id => id !== taskId);
-    } else if (task.itemId && data.items[task.itemId]) {
-      data.items[task.itemId].taskOrder =
-        data.items[task.itemId].taskOrder.filter(id => id !== taskId);
-    }
-
-    // Update task (v4: uses itemId instead of parentId)
-    const newItemId = newParentId || task.itemId;
-    task.categoryId = newCategoryId || null;
-    task.itemId = newItemId;
-
-    // Add to new location
-    if (newCategoryId && data.taskCategories[newCategoryId]) {
-      data.taskCategories[newCategoryId].taskOrder.push(taskId);
-    } else if (newItemId && data.items[newItemId]) {
-      data.items[newItemId].taskOrder.push(taskId);
-    }
-
+    const task = projectData.moveTask(data, taskId, { itemId: newParentId, categoryId: newCategoryId });
     await saveData(data, req);
 
     // Return backward-compatible response
@@ -644,6 +420,7 @@ router.put('/move-task', async (req, res) => {
       parentId: task.itemId
     });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error moving task:', error);
     res.status(500).json({ error: 'Failed to move task' });
   }
@@ -701,23 +478,121 @@ router.delete('/tag/:id', async (req, res) => {
     const { id } = req.params;
     const data = await loadData(req);
 
-    if (!data.tags || !data.tags[id]) {
-      return res.status(404).json({ error: 'Tag not found' });
-    }
+    // Removes the tag from all items and tasks too
+    projectData.deleteTag(data, id);
+    await saveData(data, req);
+    res.json({ deleted: true });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
 
-    // Remove tag from all tasks
-    Object.values(data.tasks).forEach(task => {
-      if (task.tagIds) {
-        task.tagIds = task.tagIds.filter(tagId => tagId !== id);
-      }
+// ========== RELATION ROUTES ==========
+
+// POST /api/tasks/relation - Link two items or tasks ({ type: blocks|relates-to|duplicates, sourceId, targetId })
+router.post('/relation', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    const { type, sourceId, targetId } = req.body;
+
+    // Refuses unknown ends, duplicates and blocking cycles
+    const relation = projectData.createRelation(data, { type, sourceId, targetId });
+    await saveData(data, req);
+    res.json(relation);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error creating relation:', error);
+    res.status(500).json({ error: 'Failed to create relation' });
+  }
+});
+
+// DELETE /api/tasks/relation/:id - Remove a relation
+router.delete('/relation/:id', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    projectData.deleteRelation(data, req.params.id);
+    await saveData(data, req);
+    res.json({ deleted: true });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error deleting relation:', error);
+    res.status(500).json({ error: 'Failed to delete relation' });
+  }
+});
+
+// GET /api/tasks/:type/:id/relations - An item's or task's relations, read from its side
+router.get('/:type/:id/relations', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const data = await loadData(req);
+    projectData.requireEntity(data, type, id);
+    res.json({
+      relations: projectData.getRelations(data, id),
+      blockedBy: projectData.getBlockers(data, id)
     });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error loading relations:', error);
+    res.status(500).json({ error: 'Failed to load relations' });
+  }
+});
+
+// ========== TEMPLATE ROUTES ==========
+
+// GET /api/tasks/templates - Item templates; ?sectionId= lists the ones usable in a section
+router.get('/templates', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    const templates = projectData.getTemplates(data, req.query.sectionId || null);
+    res.json({ templates, count: templates.length });
+  } catch (error) {
+    console.error('Error loading templates:', error);
+    res.status(500).json({ error: 'Failed to load templates' });
+  }
+});
+
+// POST /api/tasks/template - Create an item template
+// ({ name, sectionId (null for every section), description, priority, tagIds, categoryId, tasks: [{ title, description }] })
+router.post('/template', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    const template = projectData.createTemplate(data, req.body);
+    await saveData(data, req);
+    res.json(template);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+// PATCH /api/tasks/template/:id - Update an item template
+router.patch('/template/:id', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    const template = projectData.updateTemplate(data, req.params.id, req.body);
+    await saveData(data, req);
+    res.json(template);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
 
-    delete data.tags[id];
+// DELETE /api/tasks/template/:id - Delete an item template (items made from it are kept)
+router.delete('/template/:id', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    projectData.deleteTemplate(data, req.params.id);
     await saveData(data, req);
     res.json({ deleted: true });
   } catch (error) {
-    console.error('Error deleting tag:', error);
-    res.status(500).json({ error: 'Failed to delete tag' });
+    if (sendDataError(res, error)) return;
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
   }
 });
 
@@ -736,94 +611,130 @@ router.get('/export', async (req, res) => {
   }
 });
 
-// POST /api/tasks/import - Import data from JSON
-router.post('/import', async (req, res) => {
+// GET /api/tasks/export/:format - Markdown report, CSV or standalone HTML
+// Query: sectionId, status, priority, tagId, q, itemIds (comma-separated), field=id:value (repeatable), plans=false
+router.get('/export/:format', async (req, res) => {
   try {
-    const importData = req.body;
-
-    // Validate structure
-    if (!importData || typeof importData !== 'object') {
-      return res.status(400).json({ error: 'Invalid import data' });
-    }
-
-    // Ensure required fields exist
-    const validatedData = {
-      version: importData.version || 2,
-      lastModified: new Date().toISOString(),
-      features: importData.features || {},
-      bugs: importData.bugs || {},
-      tasks: importData.tasks || {},
-      categories: importData.categories || {},
-      tags: importData.tags || {},
-      globalFeatureOrder: importData.globalFeatureOrder || [],
-      globalBugOrder: importData.globalBugOrder || [],
-      settings: {
-        activeView: 'features',
-        activeFeatureId: null,
-        theme: importData.settings?.theme || 'system'
-      }
-    };
+    const { format } = req.params;
+    const formatInfo = exportFormats.EXPORT_FORMATS[format];
+    if (!formatInfo) {
+      return res.status(400).json({ error: `Unknown export format: ${format}. Must be one of: ${Object.keys(exportFormats.EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const filter = exportFormats.parseExportFilter(req.query);
+    const data = await loadData(req);
+    const groups = exportFormats.selectItems(data, filter);
+    const plans = filter.includePlans
+      ? await exportFormats.loadLatestPlans(groups.flatMap(group => group.items), await getAttachmentsDir(req))
+      : new Map();
+
+    const projectId = await projectData.getActiveProjectId(null, req);
+    const projectName = (await loadProjects()).projects[projectId]?.name || 'Promptling';
+    const title = filter.sectionId ? `${projectName}: ${data.sections[filter.sectionId].name}` : projectName;
+    const content = exportFormats.renderExport(format, { data, title, groups, plans });
+
+    const baseName = title.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+    res.setHeader('Content-Type', formatInfo.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${new Date().toISOString().split('T')[0]}.${formatInfo.extension}"`);
+    res.send(content);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error exporting data:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Run an import: plan it against the current data, snapshot, save
+async function runImport(req, plan) {
+  const current = await loadData(req);
+  const { data, preview } = plan(current);
+  await snapshotProject(req, 'before-import');
+  await saveData(data, req);
+  return { ...preview, revision: data.revision };
+}
 
-    await saveData(validatedData, req);
-    res.json({ imported: true, stats: {
-      features: Object.keys(validatedData.features).length,
-      bugs: Object.keys(validatedData.bugs).length,
-      tasks: Object.keys(validatedData.tasks).length,
-      tags: Object.keys(validatedData.tags).length
-    }});
+// POST /api/tasks/import - Replace all data with an export (any format version)
+router.post('/import', async (req, res) => {
+  try {
+    const result = await runImport(req, current => dataImport.planImport(current, req.body, { mode: 'replace' }));
+    res.setHeader('ETag', formatEtag(result.revision));
+    res.json({ imported: true, ...result });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error importing data:', error);
     res.status(500).json({ error: 'Failed to import data' });
   }
 });
 
-// POST /api/tasks/import/merge - Merge import with existing data
+// POST /api/tasks/import/merge?conflicts=update|skip|copy - Merge an export into existing data
 router.post('/import/merge', async (req, res) => {
   try {
-    const importData = req.body;
-    const existingData = await loadData(req);
-
-    // Merge features
-    if (importData.features) {
-      Object.assign(existingData.features, importData.features);
-      importData.globalFeatureOrder?.forEach(id => {
-        if (!existingData.globalFeatureOrder.includes(id)) {
-          existingData.globalFeatureOrder.push(id);
-        }
-      });
-    }
+    const result = await runImport(req, current =>
+      dataImport.planImport(current, req.body, { mode: 'merge', conflicts: req.query.conflicts }));
+    res.setHeader('ETag', formatEtag(result.revision));
+    res.json({ merged: true, ...result });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error merging data:', error);
+    res.status(500).json({ error: 'Failed to merge data' });
+  }
+});
 
-    // Merge bugs
-    if (importData.bugs) {
-      Object.assign(existingData.bugs, importData.bugs);
-      importData.globalBugOrder?.forEach(id => {
-        if (!existingData.globalBugOrder.includes(id)) {
-          existingData.globalBugOrder.push(id);
-        }
-      });
-    }
+// POST /api/tasks/import/preview?mode=merge|replace&conflicts=... - What an import would do, without saving
+router.post('/import/preview', async (req, res) => {
+  try {
+    const current = await loadData(req);
+    const { preview } = dataImport.planImport(current, req.body, {
+      mode: req.query.mode,
+      conflicts: req.query.conflicts
+    });
+    res.json(preview);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error previewing import:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
 
-    // Merge tasks
-    if (importData.tasks) {
-      Object.assign(existingData.tasks, importData.tasks);
-    }
+// GET /api/tasks/import/external - Import sources for other tools' export files
+router.get('/import/external', (req, res) => {
+  res.json({ sources: importers.listImporters() });
+});
 
-    // Merge categories
-    if (importData.categories) {
-      Object.assign(existingData.categories, importData.categories);
-    }
+// Options of an external import from the request body and query
+function externalImportOptions(req) {
+  return {
+    sectionId: req.body.sectionId || undefined,
+    splitTypes: req.body.splitTypes === true,
+    conflicts: req.query.conflicts || undefined
+  };
+}
 
-    // Merge tags
-    if (importData.tags) {
-      if (!existingData.tags) existingData.tags = {};
-      Object.assign(existingData.tags, importData.tags);
-    }
+// POST /api/tasks/import/external/:source/preview?conflicts=update|skip - Mapping and merge preview
+// Body: { content: file text, sectionId, splitTypes }
+router.post('/import/external/:source/preview', async (req, res) => {
+  try {
+    const current = await loadData(req);
+    const { preview } = importers.planExternalImport(current, req.params.source, req.body.content, externalImportOptions(req));
+    res.json(preview);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error previewing external import:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
 
-    await saveData(existingData, req);
-    res.json({ merged: true });
+// POST /api/tasks/import/external/:source?conflicts=update|skip - Import GitHub, Jira or Trello exports
+router.post('/import/external/:source', async (req, res) => {
+  try {
+    const result = await runImport(req, current =>
+      importers.planExternalImport(current, req.params.source, req.body.content, externalImportOptions(req)));
+    res.setHeader('ETag', formatEtag(result.revision));
+    res.json({ merged: true, ...result });
   } catch (error) {
-    console.error('Error merging data:', error);
-    res.status(500).json({ error: 'Failed to merge data' });
+    if (sendDataError(res, error)) return;
+    console.error('Error importing external data:', error);
+    res.status(500).json({ error: 'Failed to import data' });
   }
 });
 
@@ -836,12 +747,13 @@ router.post('/attachment', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { itemType, itemId } = req.body;
-    if (!itemType || !itemId) {
+    const { itemType } = req.body;
+    if (!itemType || !req.body.itemId) {
       return res.status(400).json({ error: 'itemType and itemId are required' });
     }
 
     const data = await loadData(req);
+    const itemId = await resolveIdOrKey(req.body.itemId, req, data);
 
     // Get the item (v4: feature/bug/item are all in data.items)
     let item;
@@ -1047,6 +959,10 @@ router.post('/convert-to-task', async (req, res) => {
 
     const now = new Date().toISOString();
     const newTaskId = generateId('task');
+    // Tasks use the default statuses: keep the item's status category
+    const category = projectData.statusCategory(projectData.getWorkflow(data, sourceItem.sectionId), sourceItem.status);
+    const taskStatus = projectData.DEFAULT_WORKFLOW.statuses.find(s => s.category === category)?.id || 'open';
+    const attachments = await moveAttachments(sourceItem.attachments, 'task', newTaskId, await getAttachmentsDir(req));
 
     // Create new task from item data
     const newTask = {
@@ -1055,12 +971,13 @@ router.post('/convert-to-task', async (req, res) => {
       categoryId: null,
       title: sourceItem.title,
       description: sourceItem.description || '',
-      status: sourceItem.status || 'open',
+      status: taskStatus,
       tagIds: [...(sourceItem.tagIds || [])],
-      attachments: [...(sourceItem.attachments || [])],
+      attachments,
       promptHistory: [...(sourceItem.promptHistory || [])],
       createdAt: sourceItem.createdAt || now,
-      finishedAt: sourceItem.finishedAt || null
+      finishedAt: sourceItem.finishedAt || null,
+      rev: 1
     };
 
     // Add task to data
@@ -1069,36 +986,8 @@ router.post('/convert-to-task', async (req, res) => {
     // Add to target item's taskOrder
     targetItem.taskOrder.push(newTaskId);
 
-    // Remove item from its section
-    const sectionId = sourceItem.sectionId;
-    if (data.sections[sectionId]) {
-      data.sections[sectionId].itemOrder =
-        data.sections[sectionId].itemOrder.filter(id => id !== itemId);
-    }
-
-    // Remove from category if in one
-    if (sourceItem.categoryId && data.itemCategories[sourceItem.categoryId]) {
-      data.itemCategories[sourceItem.categoryId].itemOrder =
-        data.itemCategories[sourceItem.categoryId].itemOrder.filter(id => id !== itemId);
-    }
-
-    // Delete any tasks that were under this item (they become orphaned)
-    for (const taskId of sourceItem.taskOrder || []) {
-      delete data.tasks[taskId];
-    }
-
-    // Delete any task categories under this item
-    for (const catId of sourceItem.categoryOrder || []) {
-      if (data.taskCategories[catId]) {
-        for (const taskId of data.taskCategories[catId].taskOrder || []) {
-          delete data.tasks[taskId];
-        }
-        delete data.taskCategories[catId];
-      }
-    }
-
-    // Delete the source item
-    delete data.items[itemId];
+    // Delete the source item (its own tasks and task categories would be orphaned)
+    projectData.deleteItem(data, itemId);
 
     await saveData(data, req);
     res.json({
@@ -1136,7 +1025,8 @@ router.post('/promote-task', async (req, res) => {
     }
 
     const now = new Date().toISOString();
-    const newItemId = generateId('item');
+    const newItemId = generateId(itemIdPrefix(sectionId));
+    const attachments = await moveAttachments(task.attachments, 'item', newItemId, await getAttachmentsDir(req));
 
     // Create new item from task data
     const newItem = {
@@ -1150,30 +1040,23 @@ router.post('/promote-task', async (req, res) => {
       categoryId: null,
       taskOrder: [],
       categoryOrder: [],
-      attachments: [...(task.attachments || [])],
+      attachments,
       promptHistory: [...(task.promptHistory || [])],
       tagIds: [...(task.tagIds || [])],
       createdAt: task.createdAt || now,
-      finishedAt: task.finishedAt || null
+      finishedAt: task.finishedAt || null,
+      rev: 1
     };
 
-    // Add item to data
+    // Add item to data, with the task's status carried into the section's workflow
     data.items[newItemId] = newItem;
+    projectData.fitStatusToSection(data, newItem);
 
     // Add to section's itemOrder
     data.sections[sectionId].itemOrder.push(newItemId);
 
-    // Remove task from its current location
-    if (task.categoryId && data.taskCategories[task.categoryId]) {
-      data.taskCategories[task.categoryId].taskOrder =
-        data.taskCategories[task.categoryId].taskOrder.filter(id => id !== taskId);
-    } else if (task.itemId && data.items[task.itemId]) {
-      data.items[task.itemId].taskOrder =
-        data.items[task.itemId].taskOrder.filter(id => id !== taskId);
-    }
-
-    // Delete the task
-    delete data.tasks[taskId];
+    // Remove the task from its current location
+    projectData.deleteTask(data, taskId);
 
     await saveData(data, req);
     res.json({
@@ -1187,12 +1070,49 @@ router.post('/promote-task', async (req, res) => {
   }
 });
 
+// ========== DUPLICATE ENDPOINT ==========
+
+// POST /api/tasks/:type/:id/duplicate - Duplicate an item (with its task categories and tasks) or a task,
+// reset to open ({ attachments: copy the files too, plan: copy the latest plan })
+router.post('/:type/:id/duplicate', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const data = await loadData(req);
+    const result = await duplicateEntity(data, type, id, req.body, await getAttachmentsDir(req));
+    await saveData(data, req);
+    res.json(result);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error duplicating:', error);
+    res.status(500).json({ error: 'Failed to duplicate' });
+  }
+});
+
+// ========== BULK ENDPOINT ==========
+
+// POST /api/tasks/bulk - Change or delete many items and tasks in one save
+// ({ ids: [ID or key], changes: { status, priority, complexity, addTagIds, removeTagIds, sectionId, categoryId } }
+// or { ids, delete: true }); if any of them fails nothing is saved
+router.post('/bulk', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    const result = applyBulk(data, req.body);
+    await saveData(data, req);
+    res.json(result);
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error applying bulk changes:', error);
+    res.status(500).json({ error: 'Failed to apply bulk changes' });
+  }
+});
+
 // ========== SEARCH ENDPOINT ==========
 
-// GET /api/tasks/search - Search items (v4)
+// GET /api/tasks/search - Search items (v4); ?field=customer:Acme (repeatable) filters items by custom field
 router.get('/search', async (req, res) => {
   try {
     const { q, type = 'all', status } = req.query;
+    const fieldFilters = projectData.parseFieldFilters(req.query.field);
     const data = await loadData(req);
     const results = [];
 
@@ -1200,8 +1120,10 @@ router.get('/search', async (req, res) => {
       if (!q) return true;
       const query = q.toLowerCase();
       return (
+        item.key?.toLowerCase() === query.trim() ||
         item.title?.toLowerCase().includes(query) ||
-        item.description?.toLowerCase().includes(query)
+        item.description?.toLowerCase().includes(query) ||
+        projectData.fieldValuesInclude(item, query)
       );
     };
 
@@ -1210,54 +1132,203 @@ router.get('/search', async (req, res) => {
       return item.status === status;
     };
 
+    // Tasks have no custom fields, so a field filter leaves them out
+    const matchesFields = (item) => {
+      if (!fieldFilters) return true;
+      return projectData.matchesFieldFilters(data, item, fieldFilters);
+    };
+
     // v4: Search items, categorize by sectionId
     if (type === 'all' || type === 'feature' || type === 'item') {
       Object.values(data.items || {})
-        .filter(item => item.sectionId === SYSTEM_SECTIONS.FEATURES && matchesQuery(item) && matchesStatus(item))
-        .forEach(f => results.push({ type: 'feature', id: f.id, title: f.title, status: f.status }));
+        .filter(item => item.sectionId === SYSTEM_SECTIONS.FEATURES && matchesQuery(item) && matchesStatus(item) && matchesFields(item))
+        .forEach(f => results.push({ type: 'feature', id: f.id, key: f.key, title: f.title, status: f.status }));
     }
 
     if (type === 'all' || type === 'bug' || type === 'item') {
       Object.values(data.items || {})
-        .filter(item => item.sectionId === SYSTEM_SECTIONS.BUGS && matchesQuery(item) && matchesStatus(item))
-        .forEach(b => results.push({ type: 'bug', id: b.id, title: b.title, status: b.status || 'open' }));
+        .filter(item => item.sectionId === SYSTEM_SECTIONS.BUGS && matchesQuery(item) && matchesStatus(item) && matchesFields(item))
+        .forEach(b => results.push({ type: 'bug', id: b.id, key: b.key, title: b.title, status: b.status || 'open' }));
     }
 
     if (type === 'all' || type === 'task') {
       Object.values(data.tasks || {})
-        .filter(t => matchesQuery(t) && matchesStatus(t))
+        .filter(t => matchesQuery(t) && matchesStatus(t) && matchesFields(t))
         .forEach(t => {
           const parentItem = data.items?.[t.itemId];
           const parentType = parentItem?.sectionId === SYSTEM_SECTIONS.FEATURES ? 'feature' : 'bug';
-          results.push({ type: 'task', id: t.id, title: t.title, status: t.status, parentType, parentId: t.itemId });
+          results.push({ type: 'task', id: t.id, key: t.key, title: t.title, status: t.status, parentType, parentId: t.itemId });
         });
     }
 
     res.json({ results, count: results.length });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error searching:', error);
     res.status(500).json({ error: 'Failed to search' });
   }
 });
 
-// ========== PROMPT HISTORY ENDPOINTS ==========
-
-// Helper to get item by type and id (v4)
-function getItemByType(data, type, id) {
-  switch (type) {
-    case 'feature':
-    case 'bug':
-    case 'item':
-      return data.items?.[id];
-    case 'task':
-      return data.tasks?.[id];
-    default:
-      return null;
-  }
-}
-
-// GET /api/tasks/:type/:id/prompt-history - Get prompt history (v4)
-router.get('/:type/:id/prompt-history', async (req, res) => {
+// GET /api/tasks/next - The item or task to work on next, with the reasons for the pick
+// (?sectionId=&tagId=&skipInProgress=true&limit=5)
+router.get('/next', async (req, res) => {
+  try {
+    const { sectionId, tagId, skipInProgress, limit } = req.query;
+    const data = await loadData(req);
+    res.json(recommendNext(data, {
+      sectionId,
+      tagId,
+      skipInProgress: skipInProgress === 'true',
+      limit: limit ? parseInt(limit, 10) || undefined : undefined
+    }));
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error picking next work:', error);
+    res.status(500).json({ error: 'Failed to pick next work' });
+  }
+});
+
+// ========== TRASH ENDPOINTS ==========
+
+// GET /api/tasks/trash - List deleted entities, newest first
+router.get('/trash', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    const entries = trash.listTrash(data);
+    res.json({ entries, count: entries.length });
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    res.status(500).json({ error: 'Failed to load trash' });
+  }
+});
+
+// POST /api/tasks/trash/:trashId/restore - Put a deleted entity back where it was
+router.post('/trash/:trashId/restore', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    const restored = trash.restoreFromTrash(data, req.params.trashId);
+    await saveData(data, req);
+    res.json({ restored: true, ...restored });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore from trash' });
+  }
+});
+
+// DELETE /api/tasks/trash/:trashId - Permanently delete one trash entry
+router.delete('/trash/:trashId', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    trash.purgeTrashEntry(data, req.params.trashId);
+    await snapshotProject(req, 'before-purge');
+    await saveData(data, req);
+    res.json({ purged: 1 });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error purging trash entry:', error);
+    res.status(500).json({ error: 'Failed to purge trash entry' });
+  }
+});
+
+// DELETE /api/tasks/trash - Empty the trash
+router.delete('/trash', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    await snapshotProject(req, 'before-purge');
+    const purged = trash.emptyTrash(data);
+    await saveData(data, req);
+    res.json({ purged });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// ========== ACTIVITY ENDPOINTS ==========
+
+// Activity filters from a query string; throws ProjectDataError for bad values
+function parseActivityFilters(query) {
+  const value = name => (Array.isArray(query[name]) ? query[name][0] : query[name]) || undefined;
+  const filters = {
+    entityType: value('entityType'),
+    sectionId: value('sectionId'),
+    actor: value('actor'),
+    source: value('source'),
+    action: value('action'),
+    field: value('field'),
+    limit: value('limit'),
+    offset: value('offset')
+  };
+  if (filters.entityType && !activity.ENTITY_TYPES.includes(filters.entityType)) {
+    throw new ProjectDataError(`Invalid entityType: ${filters.entityType}. Must be one of: ${activity.ENTITY_TYPES.join(', ')}`);
+  }
+  if (filters.action && !activity.ACTIONS.includes(filters.action)) {
+    throw new ProjectDataError(`Invalid action: ${filters.action}. Must be one of: ${activity.ACTIONS.join(', ')}`);
+  }
+  for (const name of ['since', 'until']) {
+    if (!value(name)) continue;
+    const date = new Date(value(name));
+    if (Number.isNaN(date.getTime())) {
+      throw new ProjectDataError(`Invalid ${name}: ${value(name)}`);
+    }
+    filters[name] = date.toISOString();
+  }
+  return filters;
+}
+
+// GET /api/tasks/activity - Changes to the project, newest first (?entityType=&sectionId=&actor=&source=&action=&field=&since=&until=&limit=&offset=)
+router.get('/activity', async (req, res) => {
+  try {
+    const filters = parseActivityFilters(req.query);
+    res.json(await activity.listActivity(await getDataFilePath(req), filters));
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error loading activity:', error);
+    res.status(500).json({ error: 'Failed to load activity' });
+  }
+});
+
+// GET /api/tasks/:type/:id/history - Changes to one entity, newest first (?tasks=true adds an item's tasks)
+router.get('/:type/:id/history', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const entityType = ['feature', 'bug'].includes(type) ? 'item' : type;
+    if (!activity.ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ error: `Invalid type: ${type}` });
+    }
+    const filters = parseActivityFilters(req.query);
+    res.json(await activity.listActivity(await getDataFilePath(req), {
+      ...filters,
+      entityType: undefined,
+      entityId: id,
+      includeChildren: entityType === 'item' && req.query.tasks === 'true'
+    }));
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error loading history:', error);
+    res.status(500).json({ error: 'Failed to load history' });
+  }
+});
+
+// ========== PROMPT HISTORY ENDPOINTS ==========
+
+// Helper to get item by type and id (v4)
+function getItemByType(data, type, id) {
+  switch (type) {
+    case 'feature':
+    case 'bug':
+    case 'item':
+      return data.items?.[id];
+    case 'task':
+      return data.tasks?.[id];
+    default:
+      return null;
+  }
+}
+
+// GET /api/tasks/:type/:id/prompt-history - Get prompt history (v4)
+router.get('/:type/:id/prompt-history', async (req, res) => {
   try {
     const { type, id } = req.params;
     const { limit } = req.query;
@@ -1304,23 +1375,13 @@ router.post('/:type/:id/prompt-history', async (req, res) => {
       return res.status(404).json({ error: `${type} not found` });
     }
 
-    if (!item.promptHistory) item.promptHistory = [];
-
     // Support new format (title + description) or legacy format (content)
-    const entry = {
-      id: generateId('ph'),
-      timestamp: new Date().toISOString(),
-      entryType: 'prompt',
-      role: role || 'user',
-      title: title || (content?.substring(0, 80) + (content?.length > 80 ? '...' : '')) || '',
-      description: description || content || ''
-    };
-
-    item.promptHistory.push(entry);
+    const entry = projectData.appendPromptEntry(item, { role, title, description, content });
     await saveData(data, req);
 
     res.json({ added: true, entry, totalCount: item.promptHistory.length });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error appending prompt history:', error);
     res.status(500).json({ error: 'Failed to append prompt history' });
   }
@@ -1348,6 +1409,91 @@ router.delete('/:type/:id/prompt-history', async (req, res) => {
   }
 });
 
+// ========== DISCUSSION ENDPOINTS ==========
+
+// GET /api/tasks/:type/:id/comments - Discussion threads of an item or task, oldest first
+router.get('/:type/:id/comments', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const data = await loadData(req);
+
+    const item = getItemByType(data, type, id);
+    if (!item) {
+      return res.status(404).json({ error: `${type} not found` });
+    }
+
+    const threads = projectData.getCommentThreads(item);
+    res.json({ threads, count: item.comments?.length || 0 });
+  } catch (error) {
+    console.error('Error getting comments:', error);
+    res.status(500).json({ error: 'Failed to get comments' });
+  }
+});
+
+// POST /api/tasks/:type/:id/comments - Post a comment ({ body, author: user|agent, replyTo })
+router.post('/:type/:id/comments', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const { body, author, replyTo } = req.body;
+    const data = await loadData(req);
+
+    const item = getItemByType(data, type, id);
+    if (!item) {
+      return res.status(404).json({ error: `${type} not found` });
+    }
+
+    const comment = projectData.addComment(item, { body, author, replyTo });
+    await saveData(data, req);
+    res.json({ comment, comments: item.comments });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error posting comment:', error);
+    res.status(500).json({ error: 'Failed to post comment' });
+  }
+});
+
+// PATCH /api/tasks/:type/:id/comments/:commentId - Edit a comment, keeping the previous text in its history
+router.patch('/:type/:id/comments/:commentId', async (req, res) => {
+  try {
+    const { type, id, commentId } = req.params;
+    const data = await loadData(req);
+
+    const item = getItemByType(data, type, id);
+    if (!item) {
+      return res.status(404).json({ error: `${type} not found` });
+    }
+
+    const comment = projectData.editComment(item, commentId, { body: req.body.body });
+    await saveData(data, req);
+    res.json({ comment, comments: item.comments });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error editing comment:', error);
+    res.status(500).json({ error: 'Failed to edit comment' });
+  }
+});
+
+// DELETE /api/tasks/:type/:id/comments/:commentId - Delete a comment (blanked if it has replies)
+router.delete('/:type/:id/comments/:commentId', async (req, res) => {
+  try {
+    const { type, id, commentId } = req.params;
+    const data = await loadData(req);
+
+    const item = getItemByType(data, type, id);
+    if (!item) {
+      return res.status(404).json({ error: `${type} not found` });
+    }
+
+    projectData.deleteComment(item, commentId);
+    await saveData(data, req);
+    res.json({ deleted: true, comments: item.comments });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
 // ========== PLAN MANAGEMENT ENDPOINTS ==========
 
 // GET /api/tasks/:type/:id/plan - Get plan (v4)
@@ -1413,41 +1559,14 @@ router.put('/:type/:id/plan', async (req, res) => {
       return res.status(404).json({ error: `${type} not found` });
     }
 
-    if (!content) {
-      return res.status(400).json({ error: 'content is required' });
-    }
-
-    // Check for existing plans
-    const existingPlans = (item.attachments || []).filter(a => a.filename?.startsWith('PLAN-v'));
-    const version = existingPlans.length + 1;
-    const filename = `PLAN-v${version}.md`;
-
-    // Determine storage type (use item for feature/bug, task for task)
-    const storageType = type === 'task' ? 'task' : 'item';
-
-    // Create directory and file
+    // Write the next PLAN-v{N}.md and attach it
     const attachmentsDir = await getAttachmentsDir(req);
-    const itemDir = path.join(attachmentsDir, storageType, id);
-    await fs.mkdir(itemDir, { recursive: true });
-    await fs.writeFile(path.join(itemDir, filename), content, 'utf-8');
-
-    // Create attachment metadata
-    const attachment = {
-      id: generateId('att'),
-      filename,
-      storedName: filename,
-      storedPath: `${storageType}/${id}/${filename}`,
-      mimeType: 'text/markdown',
-      size: Buffer.byteLength(content, 'utf-8'),
-      uploadedAt: new Date().toISOString()
-    };
-
-    if (!item.attachments) item.attachments = [];
-    item.attachments.push(attachment);
+    const { version, filename, attachment } = await projectData.savePlanVersion(item, type, content, attachmentsDir);
 
     await saveData(data, req);
     res.json({ created: true, version, filename, attachmentId: attachment.id });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error creating plan:', error);
     res.status(500).json({ error: 'Failed to create plan' });
   }
@@ -1555,301 +1674,63 @@ router.put('/:type/:id/plan/comments', async (req, res) => {
   }
 });
 
-// IMPORTANT: Generic wildcard routes must be defined LAST to avoid catching specific routes
-// PATCH /api/tasks/:type/:id - Update item (generic, v4)
-router.patch('/:type/:id', async (req, res) => {
-  try {
-    const { type, id } = req.params;
-    const updates = req.body;
-    const data = await loadData(req);
-
-    let item;
-    switch (type) {
-      case 'feature':
-      case 'bug':
-      case 'item':
-        // v4: features, bugs, and items are all stored in data.items
-        item = data.items[id];
-        break;
-      case 'task':
-        item = data.tasks[id];
-        break;
-      case 'category':
-        // v4: categories are now taskCategories
-        item = data.taskCategories[id];
-        break;
-      case 'section':
-        // v4: sections
-        item = data.sections[id];
-        if (item) {
-          // Prevent changing isSystem or id
-          delete updates.isSystem;
-          delete updates.id;
-        }
-        break;
-      case 'item-category':
-        item = data.itemCategories[id];
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid type' });
-    }
-
-    if (!item) {
-      return res.status(404).json({ error: `${type} not found` });
-    }
-
-    // Apply updates
-    Object.assign(item, updates);
-    await saveData(data, req);
-
-    // Return backward-compatible response
-    if (type === 'feature' || type === 'bug') {
-      res.json({ ...item, parentType: type });
-    } else if (type === 'task') {
-      const parentItem = data.items[item.itemId];
-      res.json({
-        ...item,
-        parentType: parentItem?.sectionId === SYSTEM_SECTIONS.FEATURES ? 'feature' : 'bug',
-        parentId: item.itemId
-      });
-    } else if (type === 'category') {
-      const parentItem = data.items[item.itemId];
-      res.json({
-        ...item,
-        parentType: parentItem?.sectionId === SYSTEM_SECTIONS.FEATURES ? 'feature' : 'bug',
-        parentId: item.itemId
-      });
-    } else {
-      res.json(item);
-    }
-  } catch (error) {
-    console.error('Error updating item:', error);
-    res.status(500).json({ error: 'Failed to update item' });
-  }
-});
-
-// DELETE /api/tasks/:type/:id - Delete item (generic, v4)
-router.delete('/:type/:id', async (req, res) => {
-  try {
-    const { type, id } = req.params;
-    const data = await loadData(req);
-
-    switch (type) {
-      case 'feature':
-      case 'bug':
-      case 'item': {
-        // v4: features, bugs, and items are all stored in data.items
-        const item = data.items[id];
-        if (!item) {
-          return res.status(404).json({ error: `${type} not found` });
-        }
-
-        const sectionId = item.sectionId;
-
-        // Delete associated tasks
-        for (const taskId of item.taskOrder || []) {
-          delete data.tasks[taskId];
-        }
-
-        // Delete associated taskCategories and their tasks
-        Object.values(data.taskCategories)
-          .filter(cat => cat.itemId === id)
-          .forEach(cat => {
-            for (const taskId of cat.taskOrder || []) {
-              delete data.tasks[taskId];
-            }
-            delete data.taskCategories[cat.id];
-          });
-
-        // Remove from section's itemOrder
-        if (data.sections[sectionId]) {
-          data.sections[sectionId].itemOrder =
-            data.sections[sectionId].itemOrder.filter(iid => iid !== id);
-        }
-
-        // Remove from itemCategory if categorized
-        if (item.categoryId && data.itemCategories[item.categoryId]) {
-          data.itemCategories[item.categoryId].itemOrder =
-            data.itemCategories[item.categoryId].itemOrder.filter(iid => iid !== id);
-        }
-
-        delete data.items[id];
-        break;
-      }
-
-      case 'task': {
-        const task = data.tasks[id];
-        if (!task) {
-          return res.status(404).json({ error: 'Task not found' });
-        }
-
-        // Remove from taskCategory or item
-        if (task.categoryId && data.taskCategories[task.categoryId]) {
-          data.taskCategories[task.categoryId].taskOrder =
-            data.taskCategories[task.categoryId].taskOrder.filter(tid => tid !== id);
-        } else if (task.itemId && data.items[task.itemId]) {
-          data.items[task.itemId].taskOrder =
-            data.items[task.itemId].taskOrder.filter(tid => tid !== id);
-        }
-
-        delete data.tasks[id];
-        break;
-      }
-
-      case 'category': {
-        // v4: task categories
-        const cat = data.taskCategories[id];
-        if (!cat) {
-          return res.status(404).json({ error: 'Category not found' });
-        }
-
-        // Move tasks back to parent item
-        const parentItem = data.items[cat.itemId];
-        for (const taskId of cat.taskOrder || []) {
-          if (data.tasks[taskId]) {
-            data.tasks[taskId].categoryId = null;
-            if (parentItem) {
-              parentItem.taskOrder.push(taskId);
-            }
-          }
-        }
-
-        // Remove from parent item's categoryOrder
-        if (parentItem?.categoryOrder) {
-          parentItem.categoryOrder = parentItem.categoryOrder.filter(cid => cid !== id);
-        }
-
-        delete data.taskCategories[id];
-        break;
-      }
-
-      case 'section': {
-        const section = data.sections[id];
-        if (!section) {
-          return res.status(404).json({ error: 'Section not found' });
-        }
-
-        if (section.isSystem) {
-          return res.status(400).json({ error: 'Cannot delete system section' });
-        }
-
-        // Delete all items in this section and their tasks/categories
-        const itemsToDelete = Object.values(data.items).filter(item => item.sectionId === id);
-        for (const item of itemsToDelete) {
-          // Delete tasks
-          for (const taskId of item.taskOrder || []) {
-            delete data.tasks[taskId];
-          }
-          // Delete taskCategories
-          Object.values(data.taskCategories || {})
-            .filter(cat => cat.itemId === item.id)
-            .forEach(cat => {
-              for (const taskId of cat.taskOrder || []) {
-                delete data.tasks[taskId];
-              }
-              delete data.taskCategories[cat.id];
-            });
-          // Delete itemCategories
-          Object.values(data.itemCategories || {})
-            .filter(cat => cat.sectionId === id)
-            .forEach(cat => {
-              delete data.itemCategories[cat.id];
-            });
-          delete data.items[item.id];
-        }
-
-        // Remove from sectionOrder
-        data.sectionOrder = data.sectionOrder.filter(sid => sid !== id);
-
-        delete data.sections[id];
-        break;
-      }
-
-      case 'item-category': {
-        const cat = data.itemCategories[id];
-        if (!cat) {
-          return res.status(404).json({ error: 'Item category not found' });
-        }
-
-        // Move items back to section (uncategorized)
-        for (const itemId of cat.itemOrder || []) {
-          if (data.items[itemId]) {
-            data.items[itemId].categoryId = null;
-          }
-        }
-
-        // Remove from section's categoryOrder
-        const section = data.sections[cat.sectionId];
-        if (section?.categoryOrder) {
-          section.categoryOrder = section.categoryOrder.filter(cid => cid !== id);
-        }
-
-        delete data.itemCategories[id];
-        break;
-      }
-
-      default:
-        return res.status(400).json({ error: 'Invalid type' });
-    }
-
-    await saveData(data, req);
-    res.json({ deleted: true });
-  } catch (error) {
-    console.error('Error deleting item:', error);
-    res.status(500).json({ error: 'Failed to delete item' });
-  }
-});
-
 // ========== NEW SECTION API ROUTES (v4) ==========
 
 // POST /api/tasks/section - Create custom section
 router.post('/section', async (req, res) => {
   try {
     const data = await loadData(req);
-    const id = generateId('sect');
-    const { name, icon, color } = req.body;
-
-    const section = {
-      id,
-      name: name || 'New Section',
-      icon: icon || 'folder',
-      color: color || '#6366f1',
-      isSystem: false,
-      itemOrder: [],
-      categoryOrder: [],
-      createdAt: new Date().toISOString()
-    };
+    const { name, icon, color, workflow, fields } = req.body;
 
-    data.sections[id] = section;
-    data.sectionOrder.push(id);
+    const section = projectData.createSection(data, { name, icon, color, workflow, fields });
 
     await saveData(data, req);
     res.json(section);
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error creating section:', error);
     res.status(500).json({ error: 'Failed to create section' });
   }
 });
 
-// PATCH /api/tasks/section/:id - Update section
+// GET /api/tasks/section/:id/workflow - Statuses and transitions items in the section follow
+router.get('/section/:id/workflow', async (req, res) => {
+  try {
+    const data = await loadData(req);
+    if (!data.sections[req.params.id]) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+    res.json({
+      ...projectData.getWorkflow(data, req.params.id),
+      isDefault: !data.sections[req.params.id].workflow
+    });
+  } catch (error) {
+    console.error('Error loading workflow:', error);
+    res.status(500).json({ error: 'Failed to load workflow' });
+  }
+});
+
+// PATCH /api/tasks/section/:id - Update section ({ workflow } replaces its statuses, { fields } its
+// custom fields; null restores the default statuses or removes the fields)
 router.patch('/section/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
     const data = await loadData(req);
 
     if (!data.sections[id]) {
       return res.status(404).json({ error: 'Section not found' });
     }
+    if (!ifMatchSatisfied(req, data.sections[id].rev)) {
+      return sendConflict(res, data.sections[id].name || 'Section', data.sections[id]);
+    }
 
-    // Prevent changing isSystem
-    delete updates.isSystem;
-    delete updates.id;
-
-    data.sections[id] = { ...data.sections[id], ...updates };
+    // isSystem and id can't be changed
+    const section = projectData.updateEntity(data, 'section', id, req.body);
     await saveData(data, req);
-    res.json(data.sections[id]);
+    res.setHeader('ETag', formatEtag(section.rev));
+    res.json(section);
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error updating section:', error);
     res.status(500).json({ error: 'Failed to update section' });
   }
@@ -1865,42 +1746,18 @@ router.delete('/section/:id', async (req, res) => {
     if (!section) {
       return res.status(404).json({ error: 'Section not found' });
     }
-
-    if (section.isSystem) {
-      return res.status(400).json({ error: 'Cannot delete system section' });
-    }
-
-    // Delete all items in this section and their tasks/categories
-    const itemsToDelete = Object.values(data.items).filter(item => item.sectionId === id);
-    for (const item of itemsToDelete) {
-      // Delete tasks
-      for (const taskId of item.taskOrder || []) {
-        delete data.tasks[taskId];
-      }
-      // Delete taskCategories
-      Object.values(data.taskCategories)
-        .filter(cat => cat.itemId === item.id)
-        .forEach(cat => {
-          for (const taskId of cat.taskOrder || []) {
-            delete data.tasks[taskId];
-          }
-          delete data.taskCategories[cat.id];
-        });
-      delete data.items[item.id];
+    if (!ifMatchSatisfied(req, section.rev)) {
+      return sendConflict(res, section.name || 'Section', section);
     }
 
-    // Delete itemCategories in this section
-    Object.values(data.itemCategories)
-      .filter(cat => cat.sectionId === id)
-      .forEach(cat => delete data.itemCategories[cat.id]);
-
-    // Remove section
-    delete data.sections[id];
-    data.sectionOrder = data.sectionOrder.filter(sid => sid !== id);
+    // Moves all items in this section and their tasks/categories to the trash
+    await snapshotProject(req, 'before-delete-section');
+    const trashed = trash.trashEntity(data, 'section', id);
 
     await saveData(data, req);
-    res.json({ deleted: true });
+    res.json({ deleted: true, trashId: trashed.id });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error deleting section:', error);
     res.status(500).json({ error: 'Failed to delete section' });
   }
@@ -1910,45 +1767,15 @@ router.delete('/section/:id', async (req, res) => {
 router.post('/item', async (req, res) => {
   try {
     const data = await loadData(req);
-    const { sectionId, title, description, categoryId, priority } = req.body;
-
-    if (!sectionId || !data.sections[sectionId]) {
-      return res.status(400).json({ error: 'Valid sectionId required' });
-    }
-
-    const id = generateId('item');
-    const now = new Date().toISOString();
-
-    const item = {
-      id,
-      sectionId,
-      title: title || 'New Item',
-      description: description || '',
-      status: 'open',
-      priority: priority || 'medium',
-      complexity: null,
-      categoryId: categoryId || null,
-      taskOrder: [],
-      categoryOrder: [],
-      attachments: [],
-      promptHistory: [],
-      tagIds: [],
-      createdAt: now,
-      finishedAt: null
-    };
-
-    data.items[id] = item;
+    const { sectionId, title, description, categoryId, priority, fields, templateId } = req.body;
 
-    // Add to section's itemOrder or category's itemOrder
-    if (categoryId && data.itemCategories[categoryId]) {
-      data.itemCategories[categoryId].itemOrder.push(id);
-    } else {
-      data.sections[sectionId].itemOrder.push(id);
-    }
+    // A template fills in what the body leaves out and adds its starter tasks
+    const item = projectData.createItem(data, { sectionId, title, description, categoryId, priority, fields, templateId });
 
     await saveData(data, req);
     res.json(item);
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error creating item:', error);
     res.status(500).json({ error: 'Failed to create item' });
   }
@@ -1963,25 +1790,24 @@ router.patch('/item/:id', async (req, res) => {
     if (!data.items[id]) {
       return res.status(404).json({ error: 'Item not found' });
     }
+    if (!ifMatchSatisfied(req, data.items[id].rev)) {
+      return sendConflict(res, data.items[id].title || 'Item', data.items[id]);
+    }
 
-    const updates = req.body;
-    const allowedFields = ['title', 'description', 'status', 'priority', 'complexity', 'categoryId', 'tagIds'];
-
+    const updates = {};
+    const allowedFields = ['title', 'description', 'status', 'priority', 'complexity', 'categoryId', 'tagIds', 'fields'];
     for (const field of allowedFields) {
-      if (updates[field] !== undefined) {
-        data.items[id][field] = updates[field];
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
       }
     }
 
-    if (updates.status === 'done' && !data.items[id].finishedAt) {
-      data.items[id].finishedAt = new Date().toISOString();
-    } else if (updates.status && updates.status !== 'done') {
-      data.items[id].finishedAt = null;
-    }
-
+    const item = projectData.updateEntity(data, 'item', id, updates);
     await saveData(data, req);
-    res.json(data.items[id]);
+    res.setHeader('ETag', formatEtag(item.rev));
+    res.json(item);
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error updating item:', error);
     res.status(500).json({ error: 'Failed to update item' });
   }
@@ -1993,36 +1819,20 @@ router.delete('/item/:id', async (req, res) => {
     const data = await loadData(req);
     const { id } = req.params;
 
-    if (!data.items[id]) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
-
     const item = data.items[id];
-    const sectionId = item.sectionId;
-
-    // Remove from section's itemOrder
-    if (data.sections[sectionId]) {
-      data.sections[sectionId].itemOrder = data.sections[sectionId].itemOrder.filter(iid => iid !== id);
-    }
-
-    // Remove from category if in one
-    if (item.categoryId && data.itemCategories[item.categoryId]) {
-      data.itemCategories[item.categoryId].itemOrder =
-        data.itemCategories[item.categoryId].itemOrder.filter(iid => iid !== id);
-    }
-
-    // Delete associated tasks and taskCategories
-    for (const taskId of item.taskOrder || []) {
-      delete data.tasks[taskId];
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
     }
-    for (const catId of item.categoryOrder || []) {
-      delete data.taskCategories[catId];
+    if (!ifMatchSatisfied(req, item.rev)) {
+      return sendConflict(res, item.title || 'Item', item);
     }
 
-    delete data.items[id];
+    // Moves associated tasks and taskCategories to the trash too
+    const trashed = trash.trashEntity(data, 'item', id);
     await saveData(data, req);
-    res.json({ deleted: true });
+    res.json({ deleted: true, trashId: trashed.id });
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error deleting item:', error);
     res.status(500).json({ error: 'Failed to delete item' });
   }
@@ -2038,35 +1848,12 @@ router.put('/move-item', async (req, res) => {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    const item = data.items[itemId];
-    const oldSectionId = item.sectionId;
-    const oldCategoryId = item.categoryId;
-
-    // Remove from old location
-    if (oldCategoryId && data.itemCategories[oldCategoryId]) {
-      data.itemCategories[oldCategoryId].itemOrder =
-        data.itemCategories[oldCategoryId].itemOrder.filter(id => id !== itemId);
-    } else if (data.sections[oldSectionId]) {
-      data.sections[oldSectionId].itemOrder =
-        data.sections[oldSectionId].itemOrder.filter(id => id !== itemId);
-    }
-
-    // Update item's section and category
-    if (targetSectionId && data.sections[targetSectionId]) {
-      item.sectionId = targetSectionId;
-    }
-    item.categoryId = targetCategoryId || null;
-
-    // Add to new location
-    if (targetCategoryId && data.itemCategories[targetCategoryId]) {
-      data.itemCategories[targetCategoryId].itemOrder.push(itemId);
-    } else if (data.sections[item.sectionId]) {
-      data.sections[item.sectionId].itemOrder.push(itemId);
-    }
-
+    // Its status moves into the new section's workflow when the section changes
+    const item = projectData.moveItem(data, itemId, { sectionId: targetSectionId, categoryId: targetCategoryId });
     await saveData(data, req);
     res.json(item);
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error moving item:', error);
     res.status(500).json({ error: 'Failed to move item' });
   }
@@ -2078,27 +1865,12 @@ router.post('/item-category', async (req, res) => {
     const data = await loadData(req);
     const { sectionId, name } = req.body;
 
-    if (!sectionId || !data.sections[sectionId]) {
-      return res.status(400).json({ error: 'Valid sectionId required' });
-    }
-
-    const id = generateId('icat');
-    const now = new Date().toISOString();
-
-    const category = {
-      id,
-      sectionId,
-      name: name || 'New Category',
-      itemOrder: [],
-      createdAt: now
-    };
-
-    data.itemCategories[id] = category;
-    data.sections[sectionId].categoryOrder.push(id);
+    const category = projectData.createItemCategory(data, { sectionId, name });
 
     await saveData(data, req);
     res.json(category);
   } catch (error) {
+    if (sendDataError(res, error)) return;
     console.error('Error creating item category:', error);
     res.status(500).json({ error: 'Failed to create item category' });
   }
@@ -2137,29 +1909,107 @@ router.delete('/item-category/:id', async (req, res) => {
       return res.status(404).json({ error: 'Item category not found' });
     }
 
-    const category = data.itemCategories[id];
-    const sectionId = category.sectionId;
+    // Moves items out of the category to uncategorized (restoring regroups them)
+    const trashed = trash.trashEntity(data, 'item-category', id);
+    await saveData(data, req);
+    res.json({ deleted: true, trashId: trashed.id });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error deleting item category:', error);
+    res.status(500).json({ error: 'Failed to delete item category' });
+  }
+});
 
-    // Move items out of category to uncategorized
-    for (const itemId of category.itemOrder) {
-      if (data.items[itemId]) {
-        data.items[itemId].categoryId = null;
-        data.sections[sectionId].itemOrder.push(itemId);
-      }
+// ========== GENERIC ROUTES ==========
+
+// IMPORTANT: Generic wildcard routes must be defined LAST to avoid catching specific routes
+// GET /api/tasks/:type/:id - Get a single item, task or section with its ETag
+router.get('/:type/:id', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!REVISIONED_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid type' });
     }
 
-    // Remove from section's categoryOrder
-    if (data.sections[sectionId]) {
-      data.sections[sectionId].categoryOrder =
-        data.sections[sectionId].categoryOrder.filter(cid => cid !== id);
+    const data = await loadData(req);
+    const entity = getEntity(data, type, id);
+    if (!entity) {
+      return res.status(404).json({ error: `${type} not found` });
     }
 
-    delete data.itemCategories[id];
+    res.setHeader('ETag', formatEtag(entity.rev));
+    res.json(entity);
+  } catch (error) {
+    console.error('Error loading item:', error);
+    res.status(500).json({ error: 'Failed to load item' });
+  }
+});
+
+// PATCH /api/tasks/:type/:id - Update item (generic, v4)
+router.patch('/:type/:id', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const data = await loadData(req);
+
+    const current = getEntity(data, type, id);
+    if (!current) {
+      return res.status(404).json({ error: `${type} not found` });
+    }
+
+    const revisioned = REVISIONED_TYPES.includes(type);
+    if (revisioned && !ifMatchSatisfied(req, current.rev)) {
+      return sendConflict(res, current.title || current.name || type, current);
+    }
+
+    // Shared rules: editable fields, moves, status validation, finishedAt, revision
+    const item = projectData.updateEntity(data, type, id, req.body);
     await saveData(data, req);
-    res.json({ deleted: true });
+    if (revisioned) {
+      res.setHeader('ETag', formatEtag(item.rev));
+    }
+
+    // Return backward-compatible response
+    if (type === 'feature' || type === 'bug') {
+      res.json({ ...item, parentType: type });
+    } else if (type === 'task' || type === 'category') {
+      const parentItem = data.items[item.itemId];
+      res.json({
+        ...item,
+        parentType: parentItem?.sectionId === SYSTEM_SECTIONS.FEATURES ? 'feature' : 'bug',
+        parentId: item.itemId
+      });
+    } else {
+      res.json(item);
+    }
   } catch (error) {
-    console.error('Error deleting item category:', error);
-    res.status(500).json({ error: 'Failed to delete item category' });
+    if (sendDataError(res, error)) return;
+    console.error('Error updating item:', error);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+// DELETE /api/tasks/:type/:id - Delete item (generic, v4)
+router.delete('/:type/:id', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const data = await loadData(req);
+
+    const current = getEntity(data, type, id);
+    if (!current) {
+      return res.status(404).json({ error: `${type} not found` });
+    }
+    if (REVISIONED_TYPES.includes(type) && !ifMatchSatisfied(req, current.rev)) {
+      return sendConflict(res, current.title || current.name || type, current);
+    }
+
+    // Moves it to the trash with its tasks and categories (see services/trash.js)
+    const trashed = trash.trashEntity(data, type, id);
+    await saveData(data, req);
+    res.json({ deleted: true, trashId: trashed.id });
+  } catch (error) {
+    if (sendDataError(res, error)) return;
+    console.error('Error deleting item:', error);
+    res.status(500).json({ error: 'Failed to delete item' });
   }
 });
 
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Remove attachment files that no item or task references
+ *
+ * Usage:
+ *   node scripts/collect-attachments.js [--dry-run] <projectId...>
+ *   node scripts/collect-attachments.js [--dry-run] --all
+ *
+ * With --dry-run the orphaned files are only listed. Each project is collected
+ * under its write lock, so this is safe to run while the server is up.
+ */
+
+const { loadProjects, getProjectDataPath } = require('../services/projects');
+const { withDataLock } = require('../services/dataLock');
+const { findOrphanedAttachments, collectAttachmentGarbage } = require('../services/attachments');
+
+function printUsage() {
+  console.log('Usage: node scripts/collect-attachments.js [--dry-run] <projectId...|--all>');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const ids = args.filter(arg => !arg.startsWith('--'));
+
+  if (ids.length === 0 && !args.includes('--all')) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const projectsData = await loadProjects();
+  const projectIds = args.includes('--all') ? projectsData.order : ids;
+
+  for (const projectId of projectIds) {
+    const project = projectsData.projects[projectId];
+    if (!project) {
+      console.error(`✗ ${projectId}: project not found`);
+      process.exitCode = 1;
+      continue;
+    }
+
+    const dataFile = getProjectDataPath(projectId);
+    try {
+      if (dryRun) {
+        const report = await findOrphanedAttachments(dataFile);
+        console.log(`${project.name} (${projectId}): ${report.fileCount} file(s), ${formatBytes(report.reclaimableBytes)} reclaimable, ${report.keptForSnapshots} kept for snapshots`);
+        for (const file of report.files) {
+          console.log(`  ${file.path} (${formatBytes(file.size)}, ${file.reason})`);
+        }
+      } else {
+        const result = await withDataLock(dataFile, () => collectAttachmentGarbage(dataFile));
+        console.log(`✓ ${project.name} (${projectId}): removed ${result.removed} file(s), ${formatBytes(result.reclaimedBytes)}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${project.name} (${projectId}): ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
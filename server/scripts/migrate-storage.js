@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Convert project data between storage backends
+ *
+ * Usage:
+ *   node scripts/migrate-storage.js <json|sqlite> <projectId...>
+ *   node scripts/migrate-storage.js <json|sqlite> --all
+ *
+ * Each project is converted under its write lock, so this is safe to run while
+ * the server is up. The previous copy is kept next to the new one with a
+ * `.bak-<timestamp>` suffix.
+ */
+
+const { loadProjects, getProjectDataPath } = require('../services/projects');
+const { withDataLock } = require('../services/dataLock');
+const { BACKENDS, migrateStorage } = require('../services/storage');
+
+function printUsage() {
+  console.log('Usage: node scripts/migrate-storage.js <json|sqlite> <projectId...|--all>');
+}
+
+async function main() {
+  const [target, ...args] = process.argv.slice(2);
+
+  if (!target || !BACKENDS[target] || args.length === 0) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const projectsData = await loadProjects();
+  const projectIds = args.includes('--all') ? projectsData.order : args;
+
+  for (const projectId of projectIds) {
+    const project = projectsData.projects[projectId];
+    if (!project) {
+      console.error(`✗ ${projectId}: project not found`);
+      process.exitCode = 1;
+      continue;
+    }
+
+    const dataFile = getProjectDataPath(projectId);
+    try {
+      const result = await withDataLock(dataFile, () => migrateStorage(dataFile, target));
+      if (result.migrated) {
+        console.log(`✓ ${project.name} (${projectId}): ${result.from} → ${result.to}`);
+        console.log(`  data:   ${result.location}`);
+        console.log(`  backup: ${result.backup}`);
+      } else {
+        console.log(`- ${project.name} (${projectId}): already stored as ${result.to}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${project.name} (${projectId}): ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,320 @@
+/**
+ * Change history
+ *
+ * Every save of a project's data is compared with what was stored before, and
+ * each section, item, task, category, tag, relation and template that was
+ * created, changed, deleted or restored gets an entry: the fields that changed
+ * with their old and new values, who made the change (`actor`) and through
+ * what (`source`: rest, mcp, files or system). REST and MCP changes are
+ * recorded the same way because both go through saveData.
+ *
+ * Entries are appended to `<project dir>/activity/<YYYY-MM>.jsonl`, one JSON
+ * line each, so a save never rewrites the history. Months older than the
+ * `activity.retentionDays` config option (default 180) are removed.
+ *
+ * Display order (reorders within a list), revisions and keys are not recorded.
+ * Lists such as comments and prompt history are recorded by their length.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { loadConfigSync } = require('../config');
+
+const ACTIVITY_DIRNAME = 'activity';
+
+const DEFAULT_RETENTION_DAYS = 180;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Longer text values are cut, so a pasted log doesn't bloat the history
+const MAX_VALUE_LENGTH = 10000;
+
+// Collections diffed on every save, with the entity type recorded for them
+const TRACKED_COLLECTIONS = {
+  sections: 'section',
+  items: 'item',
+  tasks: 'task',
+  itemCategories: 'item-category',
+  taskCategories: 'task-category',
+  tags: 'tag',
+  relations: 'relation',
+  templates: 'template'
+};
+
+const ENTITY_TYPES = Object.values(TRACKED_COLLECTIONS);
+const ACTIONS = ['created', 'updated', 'deleted', 'restored'];
+
+// Bookkeeping and display order, left out of diffs
+const IGNORED_FIELDS = ['rev', 'key', 'nextTaskKey', 'finishedAt', 'itemOrder', 'taskOrder', 'categoryOrder'];
+// Lists recorded by their length instead of their content
+const COUNTED_FIELDS = ['attachments', 'promptHistory', 'comments'];
+// Objects diffed key by key, e.g. "fields.customer"
+const NESTED_FIELDS = ['fields'];
+
+// Changes made without a request: migrations, scheduled work
+const SYSTEM_ORIGIN = { actor: 'system', source: 'system' };
+
+// Directory holding a project's history
+function getActivityDir(dataFile) {
+  return path.join(path.dirname(dataFile), ACTIVITY_DIRNAME);
+}
+
+// Days entries are kept (0 keeps them forever)
+function getRetentionDays() {
+  const { activity } = loadConfigSync();
+  return activity?.retentionDays ?? DEFAULT_RETENTION_DAYS;
+}
+
+// Oldest timestamp still kept, or null if nothing expires
+function getCutoff() {
+  const days = getRetentionDays();
+  if (!(days > 0)) return null;
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Who made a change and through what, from the request that made it. MCP
+ * tool calls carry their origin on the request (see routes/mcp.js); any other
+ * request is the user through the REST API.
+ * @param {Object} [req] - Request (or request-like object)
+ * @param {string} [reason] - What the change was part of, e.g. "restore"
+ * @returns {Object} { actor, source, reason? }
+ */
+function describeOrigin(req, reason) {
+  const origin = req?.activity || (req ? { actor: 'user', source: 'rest' } : SYSTEM_ORIGIN);
+  return reason ? { ...origin, reason } : origin;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function clip(value) {
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return value ?? null;
+}
+
+// Field-level changes between two versions of an entity: [{ field, from, to }]
+function diffEntity(before, after) {
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before[field];
+    const to = after[field];
+    if (same(from, to)) continue;
+
+    if (COUNTED_FIELDS.includes(field)) {
+      changes.push({ field, from: (from || []).length, to: (to || []).length });
+    } else if (NESTED_FIELDS.includes(field) && (from == null || isPlainObject(from)) && (to == null || isPlainObject(to))) {
+      for (const key of new Set([...Object.keys(from || {}), ...Object.keys(to || {})])) {
+        if (!same(from?.[key], to?.[key])) {
+          changes.push({ field: `${field}.${key}`, from: clip(from?.[key]), to: clip(to?.[key]) });
+        }
+      }
+    } else {
+      changes.push({ field, from: clip(from), to: clip(to) });
+    }
+  }
+  return changes;
+}
+
+// "API-3" or the title of a relation end
+function endLabel(data, id) {
+  const entity = data.items?.[id] || data.tasks?.[id];
+  return entity ? entity.key || entity.title : id;
+}
+
+// What an entry is about: IDs, key, title and the section and item it belongs to
+function describeEntity(data, entityType, entity) {
+  const item = entityType === 'item' ? entity : data.items?.[entity.itemId];
+  const sectionId = entityType === 'section' ? entity.id : entity.sectionId || item?.sectionId || null;
+  return {
+    entityType,
+    entityId: entity.id,
+    key: entity.key || null,
+    title: entityType === 'relation'
+      ? `${endLabel(data, entity.sourceId)} ${entity.type} ${endLabel(data, entity.targetId)}`
+      : entity.title ?? entity.name ?? null,
+    sectionId,
+    itemId: entityType === 'item' ? null : item?.id || null
+  };
+}
+
+/**
+ * Compare two versions of a project document
+ * @param {Object} previous - Stored document before the save
+ * @param {Object} next - Document being saved
+ * @returns {Object[]} One change per entity: { entityType, entityId, key, title, sectionId, itemId, action, changes }
+ */
+function diffDocuments(previous, next) {
+  // Entities that left the trash with their entry were restored, not created
+  const restored = new Set(
+    Object.values(previous.trash || {})
+      .filter(entry => !next.trash?.[entry.id])
+      .flatMap(entry => Object.values(entry.entities || {}).flatMap(collection => Object.keys(collection)))
+  );
+
+  const result = [];
+  for (const [collection, entityType] of Object.entries(TRACKED_COLLECTIONS)) {
+    const before = previous[collection] || {};
+    const after = next[collection] || {};
+    for (const [id, entity] of Object.entries(after)) {
+      if (!before[id]) {
+        const action = restored.has(id) ? 'restored' : 'created';
+        result.push({ ...describeEntity(next, entityType, entity), action, changes: [] });
+        continue;
+      }
+      const changes = diffEntity(before[id], entity);
+      if (changes.length > 0) {
+        result.push({ ...describeEntity(next, entityType, entity), action: 'updated', changes });
+      }
+    }
+    for (const [id, entity] of Object.entries(before)) {
+      if (!after[id]) {
+        result.push({ ...describeEntity(previous, entityType, entity), action: 'deleted', changes: [] });
+      }
+    }
+  }
+  return result;
+}
+
+// Remove month files that lie entirely before the retention cutoff
+async function pruneActivity(dir) {
+  const cutoff = getCutoff();
+  if (!cutoff) return;
+  const cutoffMonth = cutoff.slice(0, 7);
+  for (const file of await fs.readdir(dir)) {
+    if (file.endsWith('.jsonl') && file.slice(0, 7) < cutoffMonth) {
+      await fs.unlink(path.join(dir, file));
+    }
+  }
+}
+
+/**
+ * Record what a save changed. Callers must hold the project's write lock.
+ * The data is saved by then, so failures are logged instead of thrown.
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {Object|null} previous - Stored document before the save (nothing is recorded without one)
+ * @param {Object} next - Saved document
+ * @param {Object} [origin] - { actor, source, reason? } (see describeOrigin)
+ * @returns {Promise<Object[]>} Entries recorded
+ */
+async function recordChanges(dataFile, previous, next, origin = SYSTEM_ORIGIN) {
+  // A first save or a migration from an older format has nothing to compare with
+  if (!previous || !(previous.version >= 4) || !next) return [];
+  try {
+    const changes = diffDocuments(previous, next);
+    if (changes.length === 0) return [];
+
+    const at = new Date().toISOString();
+    const entries = changes.map(change => ({
+      id: `act-${randomUUID()}`,
+      at,
+      actor: origin.actor,
+      source: origin.source,
+      ...(origin.reason ? { reason: origin.reason } : {}),
+      ...change
+    }));
+
+    const dir = getActivityDir(dataFile);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.appendFile(path.join(dir, `${at.slice(0, 7)}.jsonl`), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    await pruneActivity(dir);
+    return entries;
+  } catch (error) {
+    console.error(`Error recording activity for ${dataFile}:`, error);
+    return [];
+  }
+}
+
+// Entries of one month file, oldest first (unreadable lines are skipped)
+async function readMonth(dir, file) {
+  const content = await fs.readFile(path.join(dir, file), 'utf-8');
+  return content.split('\n').flatMap(line => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function matches(entry, filters) {
+  if (filters.entityType && entry.entityType !== filters.entityType) return false;
+  // An item's history includes its tasks and task categories
+  if (filters.entityId && entry.entityId !== filters.entityId && !(filters.includeChildren && entry.itemId === filters.entityId)) return false;
+  if (filters.sectionId && entry.sectionId !== filters.sectionId) return false;
+  if (filters.actor && entry.actor !== filters.actor) return false;
+  if (filters.source && entry.source !== filters.source) return false;
+  if (filters.action && entry.action !== filters.action) return false;
+  if (filters.field && !entry.changes.some(change => change.field === filters.field || change.field.startsWith(`${filters.field}.`))) return false;
+  if (filters.since && entry.at < filters.since) return false;
+  if (filters.until && entry.at > filters.until) return false;
+  return true;
+}
+
+/**
+ * List recorded changes, newest first
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {Object} [filters]
+ * @param {string} [filters.entityType] - One of ENTITY_TYPES
+ * @param {string} [filters.entityId] - Changes of one entity
+ * @param {boolean} [filters.includeChildren] - With entityId of an item: its tasks and task categories too
+ * @param {string} [filters.sectionId] - Changes to a section and everything in it
+ * @param {string} [filters.actor] - e.g. "user", "agent"
+ * @param {string} [filters.source] - "rest", "mcp", "files" or "system"
+ * @param {string} [filters.action] - One of ACTIONS
+ * @param {string} [filters.field] - Updates that changed this field (e.g. "status", or "fields" for any custom field)
+ * @param {string} [filters.since] - ISO timestamp, inclusive
+ * @param {string} [filters.until] - ISO timestamp, inclusive
+ * @param {number} [filters.limit] - Page size (default 50, at most 500)
+ * @param {number} [filters.offset] - Entries to skip
+ * @returns {Promise<Object>} { entries, hasMore }
+ */
+async function listActivity(dataFile, filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  const cutoff = getCutoff();
+  const since = cutoff && (!filters.since || filters.since < cutoff) ? cutoff : filters.since;
+
+  const dir = getActivityDir(dataFile);
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.jsonl')).sort().reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return { entries: [], hasMore: false };
+    throw error;
+  }
+
+  const found = [];
+  for (const file of files) {
+    if (since && file.slice(0, 7) < since.slice(0, 7)) break;
+    if (filters.until && file.slice(0, 7) > filters.until.slice(0, 7)) continue;
+    const entries = (await readMonth(dir, file)).reverse();
+    found.push(...entries.filter(entry => matches(entry, { ...filters, since })));
+    if (found.length > offset + limit) break;
+  }
+
+  return {
+    entries: found.slice(offset, offset + limit),
+    hasMore: found.length > offset + limit
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  ACTIONS,
+  SYSTEM_ORIGIN,
+  describeOrigin,
+  diffDocuments,
+  recordChanges,
+  listActivity
+};
@@ -0,0 +1,290 @@
+/**
+ * Attachment file housekeeping
+ *
+ * Uploads and plan files live in `attachments/<item|task>/<entity id>/`, but
+ * the entities only hold metadata pointing at them. Deleting an entity
+ * (or purging it from the trash) never touches the files, so they pile up.
+ * Garbage collection finds files that no item or task references, including
+ * the ones sitting in the trash and the ones in snapshots a restore could bring
+ * back, and removes them together with the empty directories left behind.
+ *
+ * A collection can run on demand (with a dry-run report first) or on an
+ * interval set by the `attachmentGc` config option.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadConfigSync } = require('../config');
+const { withDataLock } = require('./dataLock');
+const storage = require('./storage');
+const { isExpired } = require('./trashRetention');
+const { SnapshotNotFoundError, listSnapshots, getSnapshot } = require('./snapshots');
+
+// Attachment folders holding one directory per entity, by data collection
+const ENTITY_FOLDERS = {
+  item: 'items',
+  task: 'tasks'
+};
+
+// Defaults for the `attachmentGc` config option
+const DEFAULT_SETTINGS = {
+  // Hours between automatic collections (0 disables them)
+  intervalHours: 0,
+  // Files modified more recently than this are never removed
+  minAgeMinutes: 60
+};
+
+let schedulerTimer = null;
+
+// Garbage collection settings merged over the defaults
+function getAttachmentGcSettings() {
+  const { attachmentGc } = loadConfigSync();
+  return { ...DEFAULT_SETTINGS, ...(attachmentGc || {}) };
+}
+
+function getAttachmentsDir(dataFile) {
+  return path.join(path.dirname(dataFile), 'attachments');
+}
+
+// Entries of a directory, or none if it doesn't exist
+async function readDirEntries(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Every entity that can own attachments: live ones and the ones in the trash (until it expires)
+function collectOwners(data) {
+  const trashed = Object.values(data.trash || {}).filter(entry => !isExpired(entry));
+  const owners = {};
+  for (const [folder, collection] of Object.entries(ENTITY_FOLDERS)) {
+    owners[folder] = [
+      ...Object.values(data[collection] || {}),
+      ...trashed.flatMap(entry => Object.values(entry.entities?.[collection] || {}))
+    ];
+  }
+  return owners;
+}
+
+// Stored paths (relative to the attachments directory) that some entity references
+function collectReferencedPaths(owners) {
+  const referenced = new Set();
+  for (const entities of Object.values(owners)) {
+    for (const entity of entities) {
+      for (const attachment of entity.attachments || []) {
+        const storedPath = attachment.storedPath || attachment.storedName;
+        if (storedPath) referenced.add(path.normalize(storedPath));
+      }
+    }
+  }
+  return referenced;
+}
+
+// Stored paths that the project's snapshots reference, so restoring one never brings back metadata without its files
+async function collectSnapshotPaths(dataFile) {
+  const referenced = new Set();
+  for (const { id } of await listSnapshots(dataFile)) {
+    let snapshot;
+    try {
+      snapshot = await getSnapshot(dataFile, id);
+    } catch (error) {
+      // Pruned since the list was read
+      if (error instanceof SnapshotNotFoundError) continue;
+      throw error;
+    }
+    for (const storedPath of collectReferencedPaths(collectOwners(snapshot.data))) {
+      referenced.add(storedPath);
+    }
+  }
+  return referenced;
+}
+
+/**
+ * Find attachment files that no entity references, in the current data or in
+ * any snapshot still kept
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @returns {Promise<Object>} { files, fileCount, reclaimableBytes, skippedRecent, keptForSnapshots }
+ *   where each file is { path, entityType, entityId, reason, size, modifiedAt }
+ *   and reason is 'deleted-entity' or 'unreferenced'
+ */
+async function findOrphanedAttachments(dataFile) {
+  const report = { files: [], fileCount: 0, reclaimableBytes: 0, skippedRecent: 0, keptForSnapshots: 0 };
+  const data = await storage.readData(dataFile);
+  // Without v4 data there is nothing to tell which files are still in use
+  if (!data || !(data.version >= 4)) return report;
+
+  const owners = collectOwners(data);
+  const referenced = collectReferencedPaths(owners);
+  const snapshotReferenced = await collectSnapshotPaths(dataFile);
+  const attachmentsDir = getAttachmentsDir(dataFile);
+  const cutoff = Date.now() - getAttachmentGcSettings().minAgeMinutes * 60 * 1000;
+
+  for (const folder of Object.keys(ENTITY_FOLDERS)) {
+    const ownerIds = new Set(owners[folder].map(entity => entity.id));
+
+    for (const dirEntry of await readDirEntries(path.join(attachmentsDir, folder))) {
+      if (!dirEntry.isDirectory()) continue;
+      const entityId = dirEntry.name;
+
+      for (const fileEntry of await readDirEntries(path.join(attachmentsDir, folder, entityId))) {
+        if (!fileEntry.isFile()) continue;
+        const storedPath = path.join(folder, entityId, fileEntry.name);
+        if (referenced.has(storedPath)) continue;
+        if (snapshotReferenced.has(storedPath)) {
+          report.keptForSnapshots++;
+          continue;
+        }
+
+        const stat = await fs.stat(path.join(attachmentsDir, storedPath));
+        if (stat.mtimeMs > cutoff) {
+          report.skippedRecent++;
+          continue;
+        }
+
+        report.files.push({
+          path: storedPath.split(path.sep).join('/'),
+          entityType: folder,
+          entityId,
+          reason: ownerIds.has(entityId) ? 'unreferenced' : 'deleted-entity',
+          size: stat.size,
+          modifiedAt: stat.mtime.toISOString()
+        });
+        report.reclaimableBytes += stat.size;
+      }
+    }
+  }
+
+  report.fileCount = report.files.length;
+  return report;
+}
+
+/**
+ * Remove attachment files that no entity references
+ *
+ * Callers must hold the project's data lock, so an upload can't land between
+ * the scan and the delete.
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @returns {Promise<Object>} { removed, reclaimedBytes, files, skippedRecent, keptForSnapshots }
+ */
+async function collectAttachmentGarbage(dataFile) {
+  const report = await findOrphanedAttachments(dataFile);
+  const attachmentsDir = getAttachmentsDir(dataFile);
+  const removed = [];
+  let reclaimedBytes = 0;
+
+  for (const file of report.files) {
+    try {
+      await fs.unlink(path.join(attachmentsDir, file.path));
+      removed.push(file);
+      reclaimedBytes += file.size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error removing attachment ${file.path}:`, error);
+      }
+    }
+  }
+
+  // Drop empty entity directories (emptied here, or left behind by moved attachments)
+  for (const folder of Object.keys(ENTITY_FOLDERS)) {
+    for (const dirEntry of await readDirEntries(path.join(attachmentsDir, folder))) {
+      if (!dirEntry.isDirectory()) continue;
+      try {
+        await fs.rmdir(path.join(attachmentsDir, folder, dirEntry.name));
+      } catch (error) {
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  return {
+    removed: removed.length,
+    reclaimedBytes,
+    files: removed,
+    skippedRecent: report.skippedRecent,
+    keptForSnapshots: report.keptForSnapshots
+  };
+}
+
+/**
+ * Move an entity's attachment files into another entity's directory
+ *
+ * Used when an item becomes a task or a task becomes an item, so the files
+ * follow their metadata instead of being left under the deleted entity.
+ * @param {Object[]} attachments - Attachment metadata of the old entity
+ * @param {string} storageType - 'item' or 'task'
+ * @param {string} entityId - ID of the new entity
+ * @param {string} attachmentsDir - Project attachments directory
+ * @returns {Promise<Object[]>} Attachment metadata pointing at the new location
+ */
+async function moveAttachments(attachments, storageType, entityId, attachmentsDir) {
+  const targetDir = path.join(attachmentsDir, storageType, entityId);
+  const moved = [];
+
+  for (const attachment of attachments || []) {
+    // Legacy attachments stored at the top level stay where they are
+    if (!attachment.storedPath) {
+      moved.push({ ...attachment });
+      continue;
+    }
+
+    const storedPath = `${storageType}/${entityId}/${attachment.storedName}`;
+    try {
+      await fs.mkdir(targetDir, { recursive: true });
+      await fs.rename(path.join(attachmentsDir, attachment.storedPath), path.join(attachmentsDir, storedPath));
+      moved.push({ ...attachment, storedPath });
+    } catch (error) {
+      // A missing file keeps its old metadata; the integrity check reports it
+      if (error.code !== 'ENOENT') throw error;
+      moved.push({ ...attachment });
+    }
+  }
+
+  return moved;
+}
+
+/**
+ * Start collecting attachment garbage of every project on an interval
+ * @param {Function} getDataFiles - Async function returning the data.json paths of all projects
+ */
+function startAttachmentGcScheduler(getDataFiles) {
+  const { intervalHours } = getAttachmentGcSettings();
+  if (schedulerTimer || !(intervalHours > 0)) return;
+
+  schedulerTimer = setInterval(async () => {
+    try {
+      for (const dataFile of await getDataFiles()) {
+        try {
+          const result = await withDataLock(dataFile, () => collectAttachmentGarbage(dataFile));
+          if (result.removed > 0) {
+            console.log(`Removed ${result.removed} orphaned attachment(s) from ${path.dirname(dataFile)}`);
+          }
+        } catch (error) {
+          console.error(`Error collecting attachments of ${dataFile}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error running attachment collection:', error);
+    }
+  }, intervalHours * 60 * 60 * 1000);
+  // Don't keep the process alive just for housekeeping
+  schedulerTimer.unref();
+}
+
+function stopAttachmentGcScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  getAttachmentGcSettings,
+  findOrphanedAttachments,
+  collectAttachmentGarbage,
+  moveAttachments,
+  startAttachmentGcScheduler,
+  stopAttachmentGcScheduler
+};
@@ -0,0 +1,179 @@
+/**
+ * Bulk operations
+ *
+ * Applies one set of changes (status, priority, complexity, tags, section or
+ * category) to many items and tasks, or moves them all to the trash. Every
+ * entity goes through the same rules as a single edit (workflow statuses and
+ * transitions, category placement, trash cascades), and the first one that
+ * fails aborts the whole batch: the caller saves the data only when
+ * `applyBulk` returns, so a batch is saved all at once or not at all.
+ */
+
+const {
+  PRIORITIES,
+  ProjectDataError,
+  resolveKey,
+  requireTag,
+  updateEntity,
+  moveItem,
+  moveTask
+} = require('./projectData');
+const { trashEntity } = require('./trash');
+
+const MAX_BULK_IDS = 500;
+const COMPLEXITIES = [1, 2, 3, 4, 5];
+
+// Changes a batch can make; anything else is rejected
+const CHANGE_FIELDS = ['status', 'priority', 'complexity', 'addTagIds', 'removeTagIds', 'sectionId', 'categoryId'];
+
+// "API-3" or, for entities without a key, the title
+function label(entity) {
+  return entity.key || `"${entity.title}"`;
+}
+
+// Items and tasks the IDs or keys refer to, in the given order and without duplicates
+function resolveTargets(data, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new ProjectDataError('ids must be a non-empty array of item or task IDs or keys');
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    throw new ProjectDataError(`At most ${MAX_BULK_IDS} items and tasks can be changed at once`);
+  }
+
+  const targets = new Map();
+  const missing = [];
+  for (const idOrKey of ids) {
+    const resolved = resolveKey(data, idOrKey);
+    if (!resolved) {
+      missing.push(idOrKey);
+    } else if (!targets.has(resolved.id)) {
+      targets.set(resolved.id, resolved);
+    }
+  }
+  if (missing.length > 0) {
+    throw new ProjectDataError(`Not found: ${missing.join(', ')}`, 404);
+  }
+  return [...targets.values()];
+}
+
+// Check the requested changes up front and resolve tag names to IDs
+function normalizeChanges(data, changes, targets) {
+  const unknown = Object.keys(changes).filter(field => !CHANGE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ProjectDataError(`Unknown changes: ${unknown.join(', ')}. Allowed: ${CHANGE_FIELDS.join(', ')}`);
+  }
+  if (changes.priority !== undefined && !PRIORITIES.includes(changes.priority)) {
+    throw new ProjectDataError(`Invalid priority: ${changes.priority}. Must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  if (changes.complexity !== undefined && changes.complexity !== null && !COMPLEXITIES.includes(changes.complexity)) {
+    throw new ProjectDataError('Invalid complexity: must be 1 to 5, or null to clear it');
+  }
+
+  const types = new Set(targets.map(target => target.type));
+  if (changes.sectionId !== undefined && types.has('task')) {
+    throw new ProjectDataError('Only items can be moved to another section');
+  }
+  if (changes.categoryId !== undefined && types.size > 1) {
+    throw new ProjectDataError('Items and tasks cannot be moved to a category together');
+  }
+
+  const tagIds = (list, name) => {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) throw new ProjectDataError(`${name} must be an array of tag IDs or names`);
+    return list.map(idOrName => requireTag(data, idOrName).id);
+  };
+  return {
+    ...changes,
+    addTagIds: tagIds(changes.addTagIds, 'addTagIds'),
+    removeTagIds: tagIds(changes.removeTagIds, 'removeTagIds')
+  };
+}
+
+// Apply the changes to one item or task: moves first, so a new status is checked against the new section's workflow
+function applyChanges(data, { type, id }, changes) {
+  if (changes.sectionId !== undefined || changes.categoryId !== undefined) {
+    if (type === 'item') {
+      const item = data.items[id];
+      const categoryId = changes.categoryId !== undefined ? changes.categoryId
+        : changes.sectionId && changes.sectionId !== item.sectionId ? null : item.categoryId;
+      moveItem(data, id, { sectionId: changes.sectionId, categoryId });
+    } else {
+      moveTask(data, id, { categoryId: changes.categoryId });
+    }
+  }
+
+  const entity = type === 'item' ? data.items[id] : data.tasks[id];
+  const updates = {};
+  for (const field of ['status', 'priority', 'complexity']) {
+    if (changes[field] !== undefined && changes[field] !== entity[field]) updates[field] = changes[field];
+  }
+  if (changes.addTagIds.length > 0 || changes.removeTagIds.length > 0) {
+    const current = entity.tagIds || [];
+    const tagIds = [...new Set([...current, ...changes.addTagIds])].filter(tagId => !changes.removeTagIds.includes(tagId));
+    if (tagIds.length !== current.length || tagIds.some((tagId, index) => tagId !== current[index])) {
+      updates.tagIds = tagIds;
+    }
+  }
+  return Object.keys(updates).length > 0 ? updateEntity(data, type, id, updates) : entity;
+}
+
+/**
+ * Change or delete many items and tasks at once. Errors are prefixed with the
+ * key of the entity that caused them. The entities before it have already
+ * been changed in `data` by then, so callers discard `data` on error instead
+ * of saving it.
+ * @param {Object} data - Loaded project data
+ * @param {Object} request
+ * @param {string[]} request.ids - Item and task IDs or keys (e.g. API-42, API-42.3)
+ * @param {Object} [request.changes] - { status, priority, complexity (1-5 or null), addTagIds, removeTagIds
+ *   (tag IDs or names), sectionId (items only), categoryId (null: uncategorized) }
+ * @param {boolean} [request.delete] - Move them all to the trash instead
+ * @returns {Object} { updated: [{ type, id, key }], deleted: [{ type, id, key, trashId }] }
+ */
+function applyBulk(data, { ids, changes, delete: remove = false } = {}) {
+  const targets = resolveTargets(data, ids);
+  const hasChanges = changes && Object.keys(changes).length > 0;
+  if (remove && hasChanges) {
+    throw new ProjectDataError('delete cannot be combined with changes');
+  }
+  if (!remove && !hasChanges) {
+    throw new ProjectDataError('Nothing to do: give changes or delete: true');
+  }
+
+  const attempt = (entity, fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      if (error instanceof ProjectDataError) {
+        throw new ProjectDataError(`${label(entity)}: ${error.message}`, error.status);
+      }
+      throw error;
+    }
+  };
+
+  if (remove) {
+    const deleted = [];
+    // Items first, so their selected tasks go to the trash with them rather than on their own
+    const ordered = [...targets.filter(t => t.type === 'item'), ...targets.filter(t => t.type === 'task')];
+    for (const target of ordered) {
+      const entity = target.type === 'item' ? data.items[target.id] : data.tasks[target.id];
+      if (!entity) continue;
+      const trashed = attempt(entity, () => trashEntity(data, target.type, target.id));
+      deleted.push({ type: target.type, id: target.id, key: entity.key, trashId: trashed.id });
+    }
+    return { updated: [], deleted };
+  }
+
+  const normalized = normalizeChanges(data, changes, targets);
+  const updated = targets.map(target => {
+    const entity = target.type === 'item' ? data.items[target.id] : data.tasks[target.id];
+    attempt(entity, () => applyChanges(data, target, normalized));
+    return { type: target.type, id: target.id, key: entity.key };
+  });
+  return { updated, deleted: [] };
+}
+
+module.exports = {
+  MAX_BULK_IDS,
+  applyBulk
+};
@@ -0,0 +1,210 @@
+/**
+ * Project bundles
+ *
+ * A bundle is a ZIP archive holding everything needed to move a project to
+ * another machine:
+ *
+ *   bundle.json            format marker, export time and the project's
+ *                          metadata from projects.json (name, color, ...)
+ *   data.json              the full project document (plan comments, prompt
+ *                          history and the trash included)
+ *   attachments/<path>     every file under the project's attachments directory
+ *
+ * Importing a bundle always creates a new project. Its data goes through the
+ * same preparation as a JSON import (see dataImport.js), so bundles written by
+ * older versions are migrated, and it can optionally get fresh IDs so it can
+ * live next to the project it was exported from.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const storage = require('./storage');
+const { ProjectDataError } = require('./projectData');
+const { prepareImport, assignFreshIds, mapStoredPath } = require('./dataImport');
+
+const BUNDLE_FORMAT = 'promptling-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'bundle.json';
+const DATA_NAME = 'data.json';
+const ATTACHMENTS_PREFIX = 'attachments/';
+
+// Project metadata fields carried in the manifest
+const PROJECT_FIELDS = ['name', 'color', 'workingDir', 'createdAt'];
+
+class InvalidBundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidBundleError';
+    this.status = 400;
+  }
+}
+
+// Every file below a directory, as forward-slash paths relative to it
+async function listFiles(dir, prefix = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// A relative attachment path that stays inside the attachments directory, or null
+function safeRelativePath(entryName) {
+  const relative = entryName.slice(ATTACHMENTS_PREFIX.length);
+  const normalized = path.posix.normalize(relative);
+  if (!relative || normalized.startsWith('../') || normalized === '..' || path.posix.isAbsolute(normalized) || normalized.includes('\0')) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Build a bundle for a project
+ * @param {Object} project - Project metadata from projects.json
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @returns {Promise<Buffer>} ZIP archive
+ */
+async function buildBundle(project, dataFile) {
+  const data = await storage.readData(dataFile);
+  if (!data) {
+    throw new InvalidBundleError('Project has no data to export');
+  }
+
+  const zip = new AdmZip();
+  const attachmentsDir = path.join(path.dirname(dataFile), 'attachments');
+  const files = await listFiles(attachmentsDir);
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: Object.fromEntries(PROJECT_FIELDS.filter(field => project[field] !== undefined).map(field => [field, project[field]])),
+    dataVersion: data.version,
+    attachmentCount: files.length
+  };
+
+  zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+  zip.addFile(DATA_NAME, Buffer.from(JSON.stringify(data, null, 2)));
+  for (const file of files) {
+    zip.addFile(`${ATTACHMENTS_PREFIX}${file}`, await fs.readFile(path.join(attachmentsDir, ...file.split('/'))));
+  }
+  return zip.toBuffer();
+}
+
+/**
+ * Open and validate a bundle
+ * @param {Buffer} buffer - ZIP archive
+ * @returns {Object} { manifest, data, files } where files are { path, entry } below attachments/
+ */
+function readBundle(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new InvalidBundleError('File is not a ZIP archive');
+  }
+
+  const readJson = (name) => {
+    const entry = zip.getEntry(name);
+    if (!entry) {
+      throw new InvalidBundleError(`Bundle is missing ${name}`);
+    }
+    try {
+      return JSON.parse(entry.getData().toString('utf-8'));
+    } catch {
+      throw new InvalidBundleError(`${name} in the bundle is not valid JSON`);
+    }
+  };
+
+  const manifest = readJson(MANIFEST_NAME);
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new InvalidBundleError('Archive is not a Promptling project bundle');
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new InvalidBundleError(`Bundle is from a newer version (v${manifest.version}); this server reads up to v${BUNDLE_VERSION}`);
+  }
+
+  const files = [];
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || !entry.entryName.startsWith(ATTACHMENTS_PREFIX)) continue;
+    const relative = safeRelativePath(entry.entryName);
+    if (!relative) {
+      throw new InvalidBundleError(`Bundle contains an unsafe path: ${entry.entryName}`);
+    }
+    files.push({ path: relative, entry });
+  }
+
+  return { manifest, data: readJson(DATA_NAME), files };
+}
+
+/**
+ * Write a bundle's data and attachments into an empty project directory
+ * @param {Object} bundle - Opened bundle (see readBundle)
+ * @param {string} dataFile - Canonical data.json path of the new project
+ * @param {Object} [options]
+ * @param {boolean} [options.freshIds=false] - Give every entity a new ID
+ * @returns {Promise<Object>} { data, attachmentCount, sourceVersion }
+ */
+async function installBundle(bundle, dataFile, { freshIds = false } = {}) {
+  let prepared;
+  try {
+    prepared = prepareImport(bundle.data);
+  } catch (error) {
+    if (error instanceof ProjectDataError) throw new InvalidBundleError(error.message);
+    throw error;
+  }
+
+  let { data } = prepared;
+  // Stored paths are relative to the attachments directory; normalize any written on Windows
+  for (const collection of ['items', 'tasks']) {
+    for (const entity of Object.values(data[collection])) {
+      for (const attachment of entity.attachments || []) {
+        if (attachment.storedPath) attachment.storedPath = attachment.storedPath.replace(/\\/g, '/');
+      }
+    }
+  }
+
+  // Bundles keep their trash unless IDs are reassigned
+  if (!freshIds && bundle.data.trash) data.trash = bundle.data.trash;
+  let mapPath = storedPath => storedPath;
+  if (freshIds) {
+    const result = assignFreshIds(data);
+    data = result.data;
+    mapPath = storedPath => mapStoredPath(storedPath, result.idMaps);
+  }
+
+  const attachmentsDir = path.join(path.dirname(dataFile), 'attachments');
+  await fs.mkdir(attachmentsDir, { recursive: true });
+  for (const file of bundle.files) {
+    const target = path.join(attachmentsDir, ...mapPath(file.path).split('/'));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.entry.getData());
+  }
+
+  data.revision = 0;
+  data.lastModified = new Date().toISOString();
+  await storage.writeData(dataFile, data);
+
+  return { data, attachmentCount: bundle.files.length, sourceVersion: prepared.sourceVersion };
+}
+
+module.exports = {
+  InvalidBundleError,
+  buildBundle,
+  readBundle,
+  installBundle
+};
@@ -0,0 +1,442 @@
+/**
+ * Importing exported project data
+ *
+ * An import accepts an export from any Promptling version: v2/v3 documents
+ * (features, bugs, globalFeatureOrder) are migrated to v4 first, and the result
+ * is structurally repaired so a hand-edited file can't leave dangling order
+ * entries behind.
+ *
+ * - Replace swaps the project's document for the imported one, keeping the
+ *   project's trash and settings and carrying revisions forward.
+ * - Merge adds the imported entities to the project. An imported ID that is
+ *   already taken is updated in place, skipped, or given a new ID (`conflicts`
+ *   option); new IDs are rewritten everywhere the import refers to them.
+ *   Tags are matched by name, so merging never duplicates a tag.
+ *
+ * Both are planned on copies first, so a preview reports exactly what the
+ * import would add, change, skip or remove.
+ */
+
+const {
+  SYSTEM_SECTIONS,
+  ProjectDataError,
+  generateId,
+  getDefaultData,
+  migrateToV4
+} = require('./projectData');
+const { REVISIONED_COLLECTIONS, continueRevisions } = require('./revisions');
+const { repairStructure } = require('./integrity');
+
+const CURRENT_VERSION = getDefaultData().version;
+
+// Ways to handle an imported ID that already exists in the project
+const CONFLICT_MODES = ['update', 'skip', 'copy'];
+
+// Fields referring to other entities, by collection: field → referenced collection
+// (or collections, for relations, which link items and tasks alike).
+// Collections are listed parents first.
+const REFERENCE_FIELDS = {
+  sections: { itemOrder: 'items', categoryOrder: 'itemCategories' },
+  itemCategories: { sectionId: 'sections', itemOrder: 'items' },
+  items: { sectionId: 'sections', categoryId: 'itemCategories', taskOrder: 'tasks', categoryOrder: 'taskCategories', tagIds: 'tags' },
+  taskCategories: { itemId: 'items', taskOrder: 'tasks' },
+  tasks: { itemId: 'items', categoryId: 'taskCategories', tagIds: 'tags' },
+  tags: {},
+  relations: { sourceId: ['items', 'tasks'], targetId: ['items', 'tasks'] },
+  templates: { sectionId: 'sections', categoryId: 'itemCategories', tagIds: 'tags' }
+};
+
+const COLLECTIONS = Object.keys(REFERENCE_FIELDS);
+
+// Attachment folder of the collections that can own attachments
+const ATTACHMENT_FOLDERS = { items: 'item', tasks: 'task' };
+
+// Fields holding an entity's human-friendly key and its task key counter
+const KEY_FIELDS = ['key', 'nextTaskKey'];
+
+const SYSTEM_SECTION_IDS = Object.values(SYSTEM_SECTIONS);
+
+function label(entity) {
+  return entity.title || entity.name || entity.id;
+}
+
+// Compare two entities, ignoring their revision counters
+function sameContent(a, b) {
+  return JSON.stringify({ ...a, rev: undefined }) === JSON.stringify({ ...b, rev: undefined });
+}
+
+// IDs in `first` followed by the ones only in `second`
+function unionOrder(first, second) {
+  return [...new Set([...(first || []), ...(second || [])])];
+}
+
+// A new ID with the same prefix as an existing one (feat-, task-, ...)
+function newIdLike(id, taken) {
+  const dash = id.lastIndexOf('-');
+  const prefix = dash > 0 ? id.slice(0, dash) : 'id';
+  let newId;
+  do {
+    newId = generateId(prefix);
+  } while (taken(newId));
+  return newId;
+}
+
+// Version an export was written in (exports before v4 may omit it)
+function detectVersion(importData) {
+  if (importData.version) return importData.version;
+  return importData.items || importData.sections ? 4 : 2;
+}
+
+/**
+ * Turn uploaded export data into a v4 document
+ * @param {Object} importData - Parsed export file
+ * @returns {Object} { data, sourceVersion, fixes } where fixes counts structural repairs
+ */
+function prepareImport(importData) {
+  if (!importData || typeof importData !== 'object' || Array.isArray(importData)) {
+    throw new ProjectDataError('Invalid import data');
+  }
+  if (!['items', 'sections', 'features', 'bugs', 'tasks'].some(key => importData[key])) {
+    throw new ProjectDataError('Import data is not a Promptling export');
+  }
+
+  const sourceVersion = detectVersion(importData);
+  if (sourceVersion > CURRENT_VERSION) {
+    throw new ProjectDataError(`Import data is from a newer version (v${sourceVersion}); this server reads up to v${CURRENT_VERSION}`);
+  }
+
+  const data = sourceVersion >= 4
+    ? structuredClone(importData)
+    : migrateToV4({ ...importData, version: sourceVersion });
+
+  data.version = CURRENT_VERSION;
+  delete data.trash;
+  delete data.revision;
+  delete data.lastModified;
+
+  const fixes = repairStructure(data).length;
+  return { data, sourceVersion, fixes };
+}
+
+/**
+ * Plan replacing the project's data with an import
+ * @param {Object} current - Current project data
+ * @param {Object} incoming - Prepared import document (see prepareImport)
+ * @returns {Object} { data, preview } where data is ready to save
+ */
+function planReplace(current, incoming) {
+  const data = structuredClone(incoming);
+  data.trash = structuredClone(current.trash || {});
+  data.settings = structuredClone(current.settings || getDefaultData().settings);
+  continueRevisions(current, data);
+  // The project's key prefix and counter stay, so keys handed out before aren't reused
+  if (current.keys) data.keys = { ...current.keys };
+
+  const preview = { mode: 'replace', added: [], changed: [], skipped: [], removed: [] };
+  for (const collection of COLLECTIONS) {
+    const before = current[collection] || {};
+    const after = data[collection] || {};
+    for (const entity of Object.values(after)) {
+      const existing = before[entity.id];
+      if (!existing) {
+        preview.added.push({ collection, id: entity.id, title: label(entity) });
+      } else if (!sameContent(existing, entity)) {
+        preview.changed.push({ collection, id: entity.id, title: label(entity) });
+      }
+    }
+    for (const entity of Object.values(before)) {
+      if (!after[entity.id]) {
+        preview.removed.push({ collection, id: entity.id, title: label(entity) });
+      }
+    }
+  }
+  return { data, preview };
+}
+
+// IDs held by entities in the trash, which a restore would bring back
+function trashedIds(data) {
+  const ids = {};
+  for (const collection of COLLECTIONS) ids[collection] = new Set();
+  for (const entry of Object.values(data.trash || {})) {
+    for (const [collection, entities] of Object.entries(entry.entities || {})) {
+      for (const id of Object.keys(entities)) ids[collection]?.add(id);
+    }
+  }
+  return ids;
+}
+
+// Rewrite an imported entity's own ID and references through the ID maps
+function rewriteEntity(collection, entity, idMaps) {
+  const mapId = (target, id) => [].concat(target).map(collection => idMaps[collection].get(id)).find(Boolean) ?? id;
+  const rewritten = structuredClone(entity);
+  rewritten.id = mapId(collection, entity.id);
+
+  for (const [field, target] of Object.entries(REFERENCE_FIELDS[collection])) {
+    const value = rewritten[field];
+    if (Array.isArray(value)) {
+      rewritten[field] = value.map(id => mapId(target, id));
+    } else if (value) {
+      rewritten[field] = mapId(target, value);
+    }
+  }
+
+  // Attachment files live under the owner's ID
+  const folder = ATTACHMENT_FOLDERS[collection];
+  if (folder && rewritten.id !== entity.id && Array.isArray(rewritten.attachments)) {
+    const oldPrefix = `${folder}/${entity.id}/`;
+    rewritten.attachments = rewritten.attachments.map(attachment =>
+      attachment.storedPath?.startsWith(oldPrefix)
+        ? { ...attachment, storedPath: `${folder}/${rewritten.id}/${attachment.storedPath.slice(oldPrefix.length)}` }
+        : attachment
+    );
+  }
+  return rewritten;
+}
+
+// Existing entity updated with imported fields; order lists and attachments are
+// combined, and the creation time stays (migrated v2/v3 exports get a fresh one)
+function mergeEntity(collection, existing, imported) {
+  const merged = { ...existing, ...imported, createdAt: existing.createdAt ?? imported.createdAt };
+  if (merged.createdAt === undefined) delete merged.createdAt;
+  // Keys belong to the project, not the file
+  for (const field of KEY_FIELDS) {
+    if (existing[field] === undefined) delete merged[field];
+    else merged[field] = existing[field];
+  }
+  for (const field of Object.keys(REFERENCE_FIELDS[collection])) {
+    if (field.endsWith('Order')) {
+      merged[field] = unionOrder(imported[field], existing[field]);
+    }
+  }
+  if (existing.attachments || imported.attachments) {
+    const known = new Set((existing.attachments || []).map(attachment => attachment.id));
+    merged.attachments = [
+      ...(existing.attachments || []),
+      ...(imported.attachments || []).filter(attachment => !known.has(attachment.id))
+    ];
+  }
+  return merged;
+}
+
+/**
+ * Plan merging an import into the project's data
+ * @param {Object} current - Current project data
+ * @param {Object} incoming - Prepared import document (see prepareImport)
+ * @param {Object} [options]
+ * @param {string} [options.conflicts='update'] - For IDs that already exist:
+ *   'update' overwrites with the imported fields, 'skip' keeps the project's
+ *   copy, 'copy' imports under a new ID
+ * @returns {Object} { data, preview } where data is ready to save
+ */
+function planMerge(current, incoming, { conflicts = 'update' } = {}) {
+  if (!CONFLICT_MODES.includes(conflicts)) {
+    throw new ProjectDataError(`Invalid conflicts option: ${conflicts}. Use one of: ${CONFLICT_MODES.join(', ')}`);
+  }
+
+  const data = structuredClone(current);
+  for (const collection of COLLECTIONS) {
+    if (!data[collection]) data[collection] = {};
+  }
+  const trashed = trashedIds(current);
+  const preview = { mode: 'merge', conflicts, added: [], changed: [], skipped: [], removed: [] };
+
+  // Decide what happens to every imported entity before touching anything,
+  // so references can be rewritten to the final IDs
+  const idMaps = {};
+  const plans = [];
+  for (const collection of COLLECTIONS) {
+    idMaps[collection] = new Map();
+    const assigned = new Set();
+    const taken = id => Boolean(data[collection][id]) || trashed[collection].has(id) || assigned.has(id);
+
+    for (const entity of Object.values(incoming[collection] || {})) {
+      let action;
+      let targetId = entity.id;
+
+      if (collection === 'sections' && SYSTEM_SECTION_IDS.includes(entity.id) && data.sections[entity.id]) {
+        action = 'system';
+      } else if (collection === 'tags' && data.tags[entity.id]) {
+        // Tags are shared labels, never copied
+        if (conflicts === 'copy') action = 'skip';
+      } else if (collection === 'tags') {
+        const match = Object.values(data.tags).find(tag =>
+          tag.name?.trim().toLowerCase() === entity.name?.trim().toLowerCase());
+        if (match) {
+          action = 'same-name';
+          targetId = match.id;
+        }
+      }
+
+      if (!action) {
+        const exists = Boolean(data[collection][entity.id]);
+        if (!exists && !trashed[collection].has(entity.id)) {
+          action = 'add';
+        } else if (exists && conflicts === 'update') {
+          action = 'update';
+        } else if (exists && conflicts === 'skip') {
+          action = 'skip';
+        } else {
+          // Taken by an entity in the trash, or importing as a copy
+          action = 'add';
+          targetId = newIdLike(entity.id, taken);
+          assigned.add(targetId);
+        }
+      }
+
+      if (targetId !== entity.id) idMaps[collection].set(entity.id, targetId);
+      plans.push({ collection, entity, action });
+    }
+  }
+
+  for (const { collection, entity, action } of plans) {
+    const imported = rewriteEntity(collection, entity, idMaps);
+    const existing = data[collection][imported.id];
+    const entry = { collection, id: imported.id, title: label(imported) };
+    if (imported.id !== entity.id) entry.importedId = entity.id;
+
+    switch (action) {
+      case 'add':
+        if (REVISIONED_COLLECTIONS.includes(collection)) imported.rev = 1;
+        // New entities get the project's next key when saved
+        for (const field of KEY_FIELDS) delete imported[field];
+        data[collection][imported.id] = imported;
+        preview.added.push(entry);
+        break;
+      case 'update': {
+        const merged = mergeEntity(collection, existing, imported);
+        if (sameContent(existing, merged)) {
+          preview.skipped.push({ ...entry, reason: 'unchanged' });
+        } else {
+          if (REVISIONED_COLLECTIONS.includes(collection)) merged.rev = (existing.rev || 0) + 1;
+          data[collection][imported.id] = merged;
+          preview.changed.push(entry);
+        }
+        break;
+      }
+      case 'system':
+        // Features and Bugs keep their settings; only their lists are combined
+        existing.itemOrder = unionOrder(existing.itemOrder, imported.itemOrder);
+        existing.categoryOrder = unionOrder(existing.categoryOrder, imported.categoryOrder);
+        break;
+      case 'same-name':
+        preview.skipped.push({ ...entry, reason: 'same-name' });
+        break;
+      case 'skip':
+        preview.skipped.push({ ...entry, reason: 'exists' });
+        break;
+    }
+  }
+
+  // Entities that moved (updated parents) or joined an existing list land in the right order arrays
+  repairStructure(data);
+  return { data, preview };
+}
+
+// Where an attachment file goes when its owner was given a new ID
+function mapStoredPath(storedPath, idMaps) {
+  const [folder, ownerId, ...rest] = storedPath.split('/');
+  const collection = Object.keys(ATTACHMENT_FOLDERS).find(key => ATTACHMENT_FOLDERS[key] === folder);
+  const newId = collection && rest.length > 0 && idMaps[collection].get(ownerId);
+  return newId ? [folder, newId, ...rest].join('/') : storedPath;
+}
+
+/**
+ * Give every entity in a document a new ID (system sections keep theirs),
+ * rewriting all references. The trash is dropped: its entries point at the
+ * old IDs and could not be restored.
+ * @param {Object} data - Prepared v4 document (see prepareImport)
+ * @returns {Object} { data, idMaps } where idMaps maps old to new IDs per collection
+ */
+function assignFreshIds(data) {
+  const idMaps = {};
+  for (const collection of COLLECTIONS) {
+    idMaps[collection] = new Map();
+    const assigned = new Set();
+    for (const id of Object.keys(data[collection] || {})) {
+      if (collection === 'sections' && SYSTEM_SECTION_IDS.includes(id)) continue;
+      const newId = newIdLike(id, candidate => assigned.has(candidate) || Boolean(data[collection][candidate]));
+      assigned.add(newId);
+      idMaps[collection].set(id, newId);
+    }
+  }
+
+  const fresh = { ...data, trash: {} };
+  for (const collection of COLLECTIONS) {
+    fresh[collection] = {};
+    for (const entity of Object.values(data[collection] || {})) {
+      const rewritten = rewriteEntity(collection, entity, idMaps);
+      fresh[collection][rewritten.id] = rewritten;
+    }
+  }
+  fresh.sectionOrder = (data.sectionOrder || []).map(id => idMaps.sections.get(id) ?? id);
+  if (fresh.settings) {
+    fresh.settings = {
+      ...fresh.settings,
+      activeSectionId: idMaps.sections.get(fresh.settings.activeSectionId) ?? fresh.settings.activeSectionId,
+      activeItemId: idMaps.items.get(fresh.settings.activeItemId) ?? fresh.settings.activeItemId
+    };
+  }
+  return { data: fresh, idMaps };
+}
+
+// Preview with counts, as returned by the API
+function summarize(preview, extra) {
+  const remapped = preview.added.filter(entry => entry.importedId).length;
+  return {
+    ...preview,
+    ...extra,
+    counts: {
+      added: preview.added.length,
+      changed: preview.changed.length,
+      skipped: preview.skipped.length,
+      removed: preview.removed.length,
+      remapped
+    }
+  };
+}
+
+/**
+ * Plan an import of either kind
+ * @param {Object} current - Current project data
+ * @param {Object} importData - Parsed export file
+ * @param {Object} [options]
+ * @param {string} [options.mode='merge'] - 'merge' or 'replace'
+ * @param {string} [options.conflicts='update'] - Merge conflict handling (see planMerge)
+ * @returns {Object} { data, preview } where data is ready to save and preview
+ *   lists what is added, changed, skipped and removed
+ */
+function planImport(current, importData, { mode = 'merge', conflicts } = {}) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new ProjectDataError(`Invalid import mode: ${mode}. Use merge or replace`);
+  }
+  const { data: incoming, sourceVersion, fixes } = prepareImport(importData);
+  const { data, preview } = mode === 'replace'
+    ? planReplace(current, incoming)
+    : planMerge(current, incoming, { conflicts });
+  return { data, preview: summarize(preview, { sourceVersion, fixes }) };
+}
+
+/**
+ * Plan merging a document built on the server (see services/importers)
+ *
+ * Unlike an uploaded file it is not migrated or repaired first: it already
+ * is v4, and the copies of existing sections and categories it carries keep
+ * their full order lists, so merging them leaves the project's order intact.
+ * @param {Object} current - Current project data
+ * @param {Object} document - v4 document to merge
+ * @param {Object} [options] - conflicts (see planMerge)
+ * @returns {Object} { data, preview } as planImport returns them
+ */
+function planDocumentMerge(current, document, { conflicts } = {}) {
+  const { data, preview } = planMerge(current, document, { conflicts });
+  return { data, preview: summarize(preview, { sourceVersion: CURRENT_VERSION, fixes: 0 }) };
+}
+
+module.exports = {
+  CONFLICT_MODES,
+  prepareImport,
+  planImport,
+  planDocumentMerge,
+  assignFreshIds,
+  mapStoredPath
+};
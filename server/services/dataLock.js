@@ -0,0 +1,243 @@
+/**
+ * Write serialization for project data files
+ *
+ * Every mutation of a project's data.json is a load → mutate → save cycle.
+ * Two of those running at the same time (a UI drag-reorder and an MCP update,
+ * or two Promptling instances sharing a dataDir) would silently drop one of
+ * the writes. This module serializes them:
+ *
+ * - In-process: a promise queue per data file, so requests run one at a time.
+ * - Cross-process: a `<data file>.lock` file created exclusively, so other
+ *   instances pointed at the same dataDir wait their turn. The holder touches
+ *   the lock file while it works, so only an abandoned lock ever looks stale,
+ *   and nobody removes a lock file without checking whose it is.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// How long to wait for a lock before giving up
+const LOCK_TIMEOUT_MS = 10000;
+// Delay between attempts to create the lock file
+const LOCK_RETRY_MS = 25;
+// A lock file older than this is assumed to be left over from a crashed process
+const LOCK_STALE_MS = 30000;
+// How often a held lock file is touched so it never ages into looking stale
+const LOCK_REFRESH_MS = 5000;
+
+// Tail of the in-process queue for each data file
+const queues = new Map();
+
+class DataLockTimeoutError extends Error {
+  constructor(dataFile) {
+    super(`Timed out waiting for write lock on ${dataFile}`);
+    this.name = 'DataLockTimeoutError';
+    this.code = 'ELOCKTIMEOUT';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether the process that owns a lock file is gone
+function isOwnerDead(owner) {
+  if (!owner || owner.hostname !== os.hostname() || !owner.pid) return false;
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+// Move a lock file aside and delete it, but only if it is still the one that was judged stale
+async function takeOverStaleLock(lockFile, staleContent) {
+  const claimed = `${lockFile}.stale-${process.pid}-${crypto.randomUUID()}`;
+  // The rename is atomic: exactly one process claims any given lock file
+  await fs.rename(lockFile, claimed);
+  const claimedContent = await fs.readFile(claimed, 'utf-8');
+  if (claimedContent !== staleContent) {
+    // A fresh lock was created after the check - put it back unless it has been replaced already
+    try {
+      await fs.link(claimed, lockFile);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    await fs.unlink(claimed);
+    return;
+  }
+  await fs.unlink(claimed);
+  console.warn(`Removed stale data lock: ${lockFile}`);
+}
+
+// Remove the lock file if it was abandoned by a crashed or hung process
+async function clearStaleLock(lockFile) {
+  try {
+    const [stat, content] = await Promise.all([
+      fs.stat(lockFile),
+      fs.readFile(lockFile, 'utf-8')
+    ]);
+    let owner = null;
+    try {
+      owner = JSON.parse(content);
+    } catch {
+      // Partially written lock file - rely on its age
+    }
+    if (Date.now() - stat.mtimeMs > LOCK_STALE_MS || isOwnerDead(owner)) {
+      await takeOverStaleLock(lockFile, content);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Delete the lock file if it still holds this owner's token
+async function removeOwnLock(lockFile, owner) {
+  const content = await fs.readFile(lockFile, 'utf-8');
+  if (content !== owner) {
+    console.warn(`Data lock was taken over by another process: ${lockFile}`);
+    return;
+  }
+  await fs.unlink(lockFile);
+}
+
+// Create the lock file exclusively, waiting for other processes to release it
+async function acquireFileLock(dataFile) {
+  const lockFile = `${dataFile}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const owner = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    token: crypto.randomUUID(),
+    acquiredAt: new Date().toISOString()
+  });
+
+  await fs.mkdir(path.dirname(dataFile), { recursive: true });
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      try {
+        await handle.writeFile(owner);
+      } finally {
+        await handle.close();
+      }
+      return { lockFile, owner };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    await clearStaleLock(lockFile);
+    if (Date.now() > deadline) {
+      throw new DataLockTimeoutError(dataFile);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Acquire the write lock for a data file
+ * @param {string} dataFile - Absolute path of the data file being written
+ * @returns {Promise<Function>} Release function (safe to call more than once)
+ */
+async function acquireDataLock(dataFile) {
+  const key = path.resolve(dataFile);
+  const previous = queues.get(key) || Promise.resolve();
+
+  let releaseQueue;
+  const current = new Promise(resolve => { releaseQueue = resolve; });
+  const tail = previous.then(() => current);
+  queues.set(key, tail);
+
+  const releaseInProcess = () => {
+    releaseQueue();
+    if (queues.get(key) === tail) {
+      queues.delete(key);
+    }
+  };
+
+  await previous;
+
+  let lockFile;
+  let owner;
+  try {
+    ({ lockFile, owner } = await acquireFileLock(key));
+  } catch (error) {
+    releaseInProcess();
+    throw error;
+  }
+
+  // Keep the lock file's mtime fresh for as long as the lock is held
+  const refresh = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockFile, now, now).catch(error => {
+      console.warn('Could not refresh data lock file:', error.message);
+    });
+  }, LOCK_REFRESH_MS);
+  refresh.unref();
+
+  let released = false;
+  return async () => {
+    if (released) return;
+    released = true;
+    clearInterval(refresh);
+    try {
+      await removeOwnLock(lockFile, owner);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not remove data lock file:', error.message);
+      }
+    } finally {
+      releaseInProcess();
+    }
+  };
+}
+
+/**
+ * Run a function while holding the write lock for a data file
+ * @param {string} dataFile - Absolute path of the data file being written
+ * @param {Function} fn - Async function performing the load → mutate → save cycle
+ * @returns {Promise<*>} Result of fn
+ */
+async function withDataLock(dataFile, fn) {
+  const release = await acquireDataLock(dataFile);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Run a function while holding the write locks of several data files
+ *
+ * Locks are taken in path order, so two callers locking the same files never
+ * wait on each other in a cycle. A file listed twice is locked once.
+ * @param {string[]} dataFiles - Absolute paths of the data files being written
+ * @param {Function} fn - Async function performing the load → mutate → save cycles
+ * @returns {Promise<*>} Result of fn
+ */
+async function withDataLocks(dataFiles, fn) {
+  const keys = [...new Set(dataFiles.map(dataFile => path.resolve(dataFile)))].sort();
+  const releases = [];
+  try {
+    for (const key of keys) {
+      releases.push(await acquireDataLock(key));
+    }
+    return await fn();
+  } finally {
+    for (const release of releases.reverse()) {
+      await release();
+    }
+  }
+}
+
+module.exports = {
+  acquireDataLock,
+  withDataLock,
+  withDataLocks,
+  DataLockTimeoutError
+};
@@ -0,0 +1,370 @@
+/**
+ * Human-readable exports: Markdown report, CSV and standalone HTML
+ *
+ * The JSON export is for moving data between installs; these are for people.
+ * An export covers the whole project, one section, or the items matching a
+ * filter, in the order the app shows them (sections, then categories, then
+ * uncategorized items). Markdown and HTML list each item with its custom
+ * fields, tasks and latest plan; CSV has one row per item and per task for
+ * spreadsheets, with a column per custom field.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  ProjectDataError,
+  TASK_STATUSES,
+  getWorkflow,
+  resolveKey,
+  describeFields,
+  matchesFieldFilters,
+  parseFieldFilters,
+  fieldValuesInclude
+} = require('./projectData');
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const PRIORITY_LABELS = { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+const COMPLEXITY_LABELS = { 1: 'Trivial', 2: 'Simple', 3: 'Medium', 4: 'Hard', 5: 'Epic' };
+
+const CSV_COLUMNS = [
+  'type', 'id', 'key', 'parentId', 'section', 'category', 'title', 'status',
+  'priority', 'complexity', 'tags', 'createdAt', 'finishedAt', 'description'
+];
+
+/**
+ * Read export filters from query parameters
+ * @param {Object} query - sectionId, status, priority, tagId, q, itemIds (comma-separated IDs or keys),
+ *   field (custom field filter "id:value", repeatable), plans
+ * @returns {Object} Filter for selectItems, plus includePlans
+ */
+function parseExportFilter(query = {}) {
+  const filter = {
+    sectionId: query.sectionId || null,
+    status: query.status || null,
+    priority: query.priority || null,
+    tagId: query.tagId || null,
+    q: query.q ? String(query.q).toLowerCase() : null,
+    itemIds: query.itemIds ? String(query.itemIds).split(',').filter(Boolean) : null,
+    fields: parseFieldFilters(query.field),
+    includePlans: query.plans !== 'false'
+  };
+  return filter;
+}
+
+// Status of an item as its section's workflow defines it
+function itemStatus(data, item) {
+  return getWorkflow(data, item.sectionId).statuses.find(status => status.id === item.status) ||
+    { id: item.status, label: item.status, color: '#6b7280' };
+}
+
+/**
+ * Items matching a filter, grouped by section in display order
+ * @param {Object} data - v4 project data
+ * @param {Object} filter - See parseExportFilter
+ * @returns {Object[]} [{ section, items }] for sections with at least one match
+ */
+function selectItems(data, filter = {}) {
+  if (filter.sectionId && !data.sections[filter.sectionId]) {
+    throw new ProjectDataError(`Section ${filter.sectionId} not found`, 404);
+  }
+  if (filter.status) {
+    const known = new Set([
+      ...TASK_STATUSES,
+      ...Object.keys(data.sections).flatMap(sectionId => getWorkflow(data, sectionId).statuses.map(status => status.id))
+    ]);
+    if (!known.has(filter.status)) {
+      throw new ProjectDataError(`Invalid status: ${filter.status}. Must be one of: ${[...known].join(', ')}`);
+    }
+  }
+  // Items can be picked by ID or key
+  const itemIds = filter.itemIds
+    ? new Set(filter.itemIds.map(id => resolveKey(data, id)?.id ?? id))
+    : null;
+
+  const matches = (item) => {
+    if (itemIds && !itemIds.has(item.id)) return false;
+    if (filter.status && item.status !== filter.status) return false;
+    if (filter.priority && item.priority !== filter.priority) return false;
+    if (filter.tagId && !(item.tagIds || []).includes(filter.tagId)) return false;
+    if (filter.q && !`${item.title}\n${item.description || ''}`.toLowerCase().includes(filter.q) && !fieldValuesInclude(item, filter.q)) return false;
+    if (filter.fields && !matchesFieldFilters(data, item, filter.fields)) return false;
+    return true;
+  };
+
+  const groups = [];
+  for (const sectionId of data.sectionOrder || []) {
+    const section = data.sections[sectionId];
+    if (!section || (filter.sectionId && sectionId !== filter.sectionId)) continue;
+
+    const ids = [
+      ...(section.categoryOrder || []).flatMap(categoryId => data.itemCategories[categoryId]?.itemOrder || []),
+      ...(section.itemOrder || [])
+    ];
+    const items = ids.map(id => data.items[id]).filter(item => item && matches(item));
+    if (items.length > 0) groups.push({ section, items });
+  }
+  return groups;
+}
+
+// An item's tasks in display order: uncategorized first, then by category
+function orderedTasks(data, item) {
+  const groups = [{ category: null, tasks: item.taskOrder || [] }];
+  for (const categoryId of item.categoryOrder || []) {
+    const category = data.taskCategories[categoryId];
+    if (category) groups.push({ category, tasks: category.taskOrder || [] });
+  }
+  return groups
+    .map(group => ({ ...group, tasks: group.tasks.map(id => data.tasks[id]).filter(Boolean) }))
+    .filter(group => group.tasks.length > 0);
+}
+
+/**
+ * Read the latest plan of each item
+ * @param {Object[]} items - Items to read plans for
+ * @param {string} attachmentsDir - Project attachments directory
+ * @returns {Promise<Map>} item ID -> { version, content }; items without a readable plan are left out
+ */
+async function loadLatestPlans(items, attachmentsDir) {
+  const plans = new Map();
+  for (const item of items) {
+    const latest = (item.attachments || [])
+      .filter(a => a.filename?.startsWith('PLAN-v'))
+      .map(a => ({ attachment: a, version: parseInt(a.filename.match(/PLAN-v(\d+)/)?.[1] || 0) }))
+      .sort((a, b) => b.version - a.version)[0];
+    if (!latest) continue;
+
+    try {
+      const content = await fs.readFile(path.join(attachmentsDir, latest.attachment.storedPath || latest.attachment.storedName), 'utf-8');
+      plans.set(item.id, { version: latest.version, content });
+    } catch (error) {
+      // A missing plan file is reported by the integrity check; the export goes on without it
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return plans;
+}
+
+function tagNames(data, entity) {
+  return (entity.tagIds || []).map(id => data.tags?.[id]?.name).filter(Boolean);
+}
+
+function formatDate(iso) {
+  return iso ? iso.slice(0, 10) : '';
+}
+
+// ["High priority", "Medium complexity", "#ui"]
+function entityDetails(data, entity) {
+  const parts = [];
+  if (entity.priority) parts.push(`${PRIORITY_LABELS[entity.priority] || entity.priority} priority`);
+  if (entity.complexity) parts.push(`${COMPLEXITY_LABELS[entity.complexity] || entity.complexity} complexity`);
+  parts.push(...tagNames(data, entity).map(name => `#${name}`));
+  return parts;
+}
+
+// ["Customer: Acme", "Target release: 2.1"] for the custom fields an item has values for
+function fieldDetails(data, item) {
+  return describeFields(data, item)
+    .filter(field => field.value !== null)
+    .map(field => `${field.label}: ${field.value}`);
+}
+
+function countEntities(data, groups) {
+  const items = groups.flatMap(group => group.items);
+  const tasks = items.reduce((sum, item) => sum + orderedTasks(data, item).reduce((n, group) => n + group.tasks.length, 0), 0);
+  return `${items.length} ${items.length === 1 ? 'item' : 'items'}, ${tasks} ${tasks === 1 ? 'task' : 'tasks'}`;
+}
+
+// Push a plan's headings below the item's so the report outline stays intact
+function demoteHeadings(markdown, levels) {
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (inFence) return line;
+    return line.replace(/^(#{1,6})(?=\s)/, hashes => '#'.repeat(Math.min(6, hashes.length + levels)));
+  }).join('\n');
+}
+
+function renderMarkdown({ data, title, groups, plans }) {
+  const lines = [`# ${title}`, '', `Exported ${formatDate(new Date().toISOString())} · ${countEntities(data, groups)}`, ''];
+
+  for (const { section, items } of groups) {
+    lines.push(`## ${section.name}`, '');
+    for (const item of items) {
+      const category = data.itemCategories[item.categoryId];
+      lines.push(`### ${item.title}`, '');
+      const details = [itemStatus(data, item).label, ...entityDetails(data, item), ...(category ? [category.name] : [])];
+      // Trailing spaces: a Markdown line break before the dates
+      lines.push(`\`${item.key || item.id}\` · ${details.join(' · ')}  `);
+      lines.push(`Created ${formatDate(item.createdAt)}${item.finishedAt ? ` · Finished ${formatDate(item.finishedAt)}` : ''}`, '');
+      const fields = fieldDetails(data, item);
+      if (fields.length > 0) lines.push(fields.map(field => `- ${field}`).join('\n'), '');
+      if (item.description) lines.push(item.description.trim(), '');
+
+      const taskGroups = orderedTasks(data, item);
+      if (taskGroups.length > 0) {
+        lines.push('#### Tasks', '');
+        for (const { category: taskCategory, tasks } of taskGroups) {
+          const indent = taskCategory ? '  ' : '';
+          if (taskCategory) lines.push(`- **${taskCategory.name}**`);
+          for (const task of tasks) {
+            const note = task.status === 'in-progress' ? ' _(in progress)_' : '';
+            const tags = tagNames(data, task).map(name => ` #${name}`).join('');
+            lines.push(`${indent}- [${task.status === 'done' ? 'x' : ' '}] ${task.title}${note}${tags}`);
+          }
+        }
+        lines.push('');
+      }
+
+      const plan = plans.get(item.id);
+      if (plan) {
+        lines.push(`#### Plan (v${plan.version})`, '', demoteHeadings(plan.content.trim(), 4), '');
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+// RFC 4180 field; values a spreadsheet would run as a formula get a leading quote
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv({ data, groups }) {
+  // One column per custom field of the exported sections; sections sharing a field ID share its column
+  const fieldColumns = [];
+  for (const { section } of groups) {
+    for (const def of section.fields || []) {
+      if (!fieldColumns.some(column => column.id === def.id)) fieldColumns.push(def);
+    }
+  }
+
+  const rows = [[...CSV_COLUMNS, ...fieldColumns.map(def => def.label)]];
+  for (const { section, items } of groups) {
+    for (const item of items) {
+      rows.push([
+        'item', item.id, item.key || '', '', section.name, data.itemCategories[item.categoryId]?.name || '', item.title,
+        item.status, item.priority || '', item.complexity || '', tagNames(data, item).join('; '),
+        item.createdAt || '', item.finishedAt || '', item.description || '',
+        ...fieldColumns.map(def => item.fields?.[def.id] ?? '')
+      ]);
+      for (const { category, tasks } of orderedTasks(data, item)) {
+        for (const task of tasks) {
+          rows.push([
+            'task', task.id, task.key || '', item.id, section.name, category?.name || '', task.title,
+            task.status, task.priority || '', task.complexity || '', tagNames(data, task).join('; '),
+            task.createdAt || '', task.finishedAt || '', task.description || '',
+            ...fieldColumns.map(() => '')
+          ]);
+        }
+      }
+    }
+  }
+  // Excel needs the BOM to read UTF-8
+  return '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 900px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 2px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+  .summary, .meta { color: #6b7280; font-size: 0.9rem; }
+  .item { border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+  .item h3 { margin: 0 0 0.25rem; }
+  .status { display: inline-block; padding: 0 0.5rem; border-radius: 999px; color: #fff; font-size: 0.8rem; }
+  .text { white-space: pre-wrap; }
+  ul.tasks { list-style: none; padding-left: 0; }
+  ul.tasks ul { list-style: none; padding-left: 1.25rem; }
+  .done { color: #9ca3af; text-decoration: line-through; }
+  details { margin-top: 0.5rem; }
+  pre.plan { white-space: pre-wrap; background: #f9fafb; border-radius: 6px; padding: 0.75rem; font-size: 0.85rem; }
+  @media print { details { display: block; } details > summary { display: none; } }
+`;
+
+function renderHtml({ data, title, groups, plans }) {
+  const taskLine = (task) => `<li class="${task.status === 'done' ? 'done' : ''}">${task.status === 'done' ? '&#9745;' : '&#9744;'} ${escapeHtml(task.title)}` +
+    `${task.status === 'in-progress' ? ' <span class="meta">(in progress)</span>' : ''}</li>`;
+
+  const body = groups.map(({ section, items }) => {
+    const itemsHtml = items.map(item => {
+      const category = data.itemCategories[item.categoryId];
+      const taskGroups = orderedTasks(data, item);
+      const plan = plans.get(item.id);
+      const fields = fieldDetails(data, item);
+      return `<div class="item">
+<h3>${escapeHtml(item.title)}</h3>
+<div class="meta"><span class="status" style="background: ${escapeHtml(itemStatus(data, item).color)}">${escapeHtml(itemStatus(data, item).label)}</span> ${[...entityDetails(data, item), ...(category ? [category.name] : [])].map(part => `${escapeHtml(part)} · `).join('')}<code>${escapeHtml(item.key || item.id)}</code> · Created ${formatDate(item.createdAt)}${item.finishedAt ? ` · Finished ${formatDate(item.finishedAt)}` : ''}</div>
+${fields.length > 0 ? `<div class="meta">${fields.map(escapeHtml).join(' · ')}</div>` : ''}
+${item.description ? `<p class="text">${escapeHtml(item.description.trim())}</p>` : ''}
+${taskGroups.length > 0 ? `<ul class="tasks">${taskGroups.map(({ category: taskCategory, tasks }) => taskCategory
+    ? `<li><strong>${escapeHtml(taskCategory.name)}</strong><ul>${tasks.map(taskLine).join('')}</ul></li>`
+    : tasks.map(taskLine).join('')).join('')}</ul>` : ''}
+${plan ? `<details><summary>Plan (v${plan.version})</summary><pre class="plan">${escapeHtml(plan.content.trim())}</pre></details>` : ''}
+</div>`;
+    }).join('\n');
+    return `<h2>${escapeHtml(section.name)}</h2>\n${itemsHtml}`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="summary">Exported ${formatDate(new Date().toISOString())} · ${countEntities(data, groups)}</div>
+${body}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  markdown: renderMarkdown,
+  csv: renderCsv,
+  html: renderHtml
+};
+
+/**
+ * Render an export
+ * @param {string} format - 'markdown', 'csv' or 'html'
+ * @param {Object} options
+ * @param {Object} options.data - v4 project data
+ * @param {string} options.title - Document title (project and section name)
+ * @param {Object[]} options.groups - Selected items (see selectItems)
+ * @param {Map} [options.plans] - Latest plans (see loadLatestPlans)
+ * @returns {string} The document
+ */
+function renderExport(format, { data, title, groups, plans = new Map() }) {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new ProjectDataError(`Unknown export format: ${format}. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return render({ data, title, groups, plans });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFilter,
+  selectItems,
+  loadLatestPlans,
+  renderExport
+};
@@ -0,0 +1,348 @@
+/**
+ * Builds the Promptling document an external import turns into
+ *
+ * Importers describe what they found (sections, categories, items, tasks,
+ * tags); the builder turns that into a v4 document the regular merge import
+ * can apply, and records how each source value was mapped for the preview.
+ *
+ * Every imported item and task remembers where it came from
+ * (`source: { type, key, url }`). Importing the same file again finds those
+ * entities and reuses their IDs, so a re-import updates them in place (or
+ * skips them) instead of adding duplicates. Entities the user has since moved
+ * to another section or category stay where they are.
+ */
+
+const { DEFAULT_TAG_COLORS, generateId, itemIdPrefix, itemCategoryIdPrefix, fitStatusToSection } = require('../projectData');
+
+// Existing entities of a collection by source key
+function indexBySource(current, collection, type) {
+  const index = new Map();
+  for (const entity of Object.values(current[collection] || {})) {
+    if (entity.source?.type === type && entity.source.key) {
+      index.set(entity.source.key, entity);
+    }
+  }
+  return index;
+}
+
+function sameName(a, b) {
+  return a?.trim().toLowerCase() === b?.trim().toLowerCase();
+}
+
+/**
+ * Start an import document against the project's current data
+ * @param {Object} current - Current project data
+ * @param {string} type - Importer name ('github', 'jira', 'trello')
+ * @returns {Object} Builder (see the methods below)
+ */
+function createBuilder(current, type) {
+  const now = new Date().toISOString();
+  const document = {
+    version: 4,
+    sections: {},
+    sectionOrder: [],
+    items: {},
+    itemCategories: {},
+    tasks: {},
+    taskCategories: {},
+    tags: {}
+  };
+  const existing = {
+    items: indexBySource(current, 'items', type),
+    tasks: indexBySource(current, 'tasks', type),
+    itemCategories: indexBySource(current, 'itemCategories', type),
+    taskCategories: indexBySource(current, 'taskCategories', type)
+  };
+  const rules = new Map();
+  const skipped = [];
+  const counts = { items: 0, tasks: 0, matched: 0 };
+  let title = null;
+
+  // Record a mapping rule for the preview ("label 'bug' → tag bug")
+  function rule(kind, from, to, isNew = false) {
+    const key = `${kind}\0${from}\0${to}`;
+    const entry = rules.get(key) || { kind, from, to, isNew, count: 0 };
+    entry.count++;
+    rules.set(key, entry);
+  }
+
+  // Put an existing section into the document so entities can refer to it
+  function includeSection(sectionId) {
+    if (!document.sections[sectionId]) {
+      document.sections[sectionId] = structuredClone(current.sections[sectionId]);
+      document.sectionOrder.push(sectionId);
+    }
+    return document.sections[sectionId];
+  }
+
+  function includeItemCategory(categoryId) {
+    if (!document.itemCategories[categoryId]) {
+      const category = structuredClone(current.itemCategories[categoryId]);
+      includeSection(category.sectionId);
+      document.itemCategories[categoryId] = category;
+    }
+    return document.itemCategories[categoryId];
+  }
+
+  return {
+    /** Name of what was imported (repository, board, file), shown in the preview */
+    setTitle(value) {
+      title = value;
+    },
+
+    /**
+     * A section by name: an existing one, or a new custom section
+     * @returns {string} Section ID
+     */
+    sectionByName(name) {
+      const match = Object.values(document.sections).find(section => sameName(section.name, name)) ||
+        Object.values(current.sections).find(section => sameName(section.name, name));
+      if (match) return includeSection(match.id).id;
+
+      const id = generateId('sect');
+      document.sections[id] = {
+        id,
+        name,
+        icon: 'folder',
+        color: '#6366f1',
+        isSystem: false,
+        itemOrder: [],
+        categoryOrder: [],
+        createdAt: now,
+        rev: 1
+      };
+      document.sectionOrder.push(id);
+      return id;
+    },
+
+    /** Whether a section with this name exists in the project yet */
+    sectionExists(name) {
+      return Object.values(current.sections).some(section => sameName(section.name, name));
+    },
+
+    sectionName(sectionId) {
+      return (document.sections[sectionId] || current.sections[sectionId])?.name;
+    },
+
+    /** Make sure an existing section is part of the import; returns its ID */
+    section(sectionId) {
+      return includeSection(sectionId).id;
+    },
+
+    /** Whether itemCategory() would find an existing category */
+    itemCategoryExists(sectionId, key, name) {
+      return (key && existing.itemCategories.has(key)) ||
+        Object.values(current.itemCategories).some(category => category.sectionId === sectionId && sameName(category.name, name));
+    },
+
+    /**
+     * An item category in a section, matched by source key, then by name
+     * @returns {string} Category ID
+     */
+    itemCategory(sectionId, { key, name }) {
+      const bySource = key && existing.itemCategories.get(key);
+      if (bySource) return includeItemCategory(bySource.id).id;
+
+      const byName = Object.values(document.itemCategories).find(category => category.sectionId === sectionId && sameName(category.name, name)) ||
+        Object.values(current.itemCategories).find(category => category.sectionId === sectionId && sameName(category.name, name));
+      if (byName) return includeItemCategory(byName.id).id;
+
+      const id = generateId(itemCategoryIdPrefix(sectionId));
+      document.itemCategories[id] = {
+        id,
+        sectionId,
+        name,
+        itemOrder: [],
+        createdAt: now,
+        ...(key ? { source: { type, key } } : {})
+      };
+      includeSection(sectionId).categoryOrder.push(id);
+      return id;
+    },
+
+    /**
+     * A tag by name (existing tags are matched case-insensitively)
+     * @returns {string} Tag ID
+     */
+    tag(name, color) {
+      const match = Object.values(document.tags).find(tag => sameName(tag.name, name)) ||
+        Object.values(current.tags || {}).find(tag => sameName(tag.name, name));
+      if (match) {
+        document.tags[match.id] = document.tags[match.id] || structuredClone(match);
+        return match.id;
+      }
+
+      const id = generateId('tag');
+      const colorIndex = Object.keys(current.tags || {}).length + Object.keys(document.tags).length;
+      document.tags[id] = { id, name, color: color || DEFAULT_TAG_COLORS[colorIndex % DEFAULT_TAG_COLORS.length] };
+      return id;
+    },
+
+    /** Whether a tag with this name exists in the project yet */
+    isNewTag(name) {
+      return !Object.values(current.tags || {}).some(tag => sameName(tag.name, name));
+    },
+
+    /**
+     * Add (or update) an item
+     * @param {Object} fields - key, url, sectionId, categoryId, title, description,
+     *   status, priority, tagIds, createdAt, finishedAt
+     * @returns {string} Item ID
+     */
+    item({ key, url, sectionId, categoryId = null, title: itemTitle, description = '', status = 'open', priority = 'medium', tagIds = [], createdAt, finishedAt }) {
+      const match = existing.items.get(key);
+      const source = { type, key, ...(url ? { url } : {}) };
+      counts.items++;
+
+      if (match && current.items[match.id]) {
+        // Keep where the user put it; refresh what comes from the source
+        counts.matched++;
+        includeSection(match.sectionId);
+        if (match.categoryId && current.itemCategories[match.categoryId]) includeItemCategory(match.categoryId);
+        document.items[match.id] = {
+          ...structuredClone(match),
+          title: itemTitle,
+          description,
+          status,
+          priority,
+          tagIds: [...new Set([...(match.tagIds || []), ...tagIds])],
+          finishedAt: status === 'done' ? (match.finishedAt || finishedAt || now) : null,
+          source
+        };
+        // Sources map onto the default statuses; the section may use its own
+        fitStatusToSection(current, document.items[match.id]);
+        return match.id;
+      }
+
+      const id = generateId(itemIdPrefix(sectionId));
+      document.items[id] = {
+        id,
+        sectionId,
+        title: itemTitle || 'Untitled',
+        description,
+        status,
+        priority,
+        complexity: null,
+        categoryId,
+        taskOrder: [],
+        categoryOrder: [],
+        attachments: [],
+        promptHistory: [],
+        tagIds,
+        createdAt: createdAt || now,
+        finishedAt: status === 'done' ? (finishedAt || now) : null,
+        source
+      };
+      fitStatusToSection(current, document.items[id]);
+      if (categoryId) {
+        document.itemCategories[categoryId].itemOrder.push(id);
+      } else {
+        includeSection(sectionId).itemOrder.push(id);
+      }
+      return id;
+    },
+
+    /**
+     * A task category within an imported item
+     * @returns {string} Category ID
+     */
+    taskCategory(itemId, { key, name }) {
+      const item = document.items[itemId];
+      const match = (key && existing.taskCategories.get(key)) ||
+        Object.values(current.taskCategories).find(category => category.itemId === itemId && sameName(category.name, name));
+      if (match && match.itemId === itemId) {
+        document.taskCategories[match.id] = document.taskCategories[match.id] || structuredClone(match);
+        return match.id;
+      }
+
+      const id = generateId('cat');
+      document.taskCategories[id] = {
+        id,
+        itemId,
+        name,
+        taskOrder: [],
+        createdAt: now,
+        ...(key ? { source: { type, key } } : {})
+      };
+      item.categoryOrder = [...(item.categoryOrder || []), id];
+      return id;
+    },
+
+    /**
+     * Add (or update) a task under an imported item
+     * @param {string} itemId - Item returned by item()
+     * @param {Object} fields - key, url, categoryId, title, description, status, tagIds, createdAt, finishedAt
+     * @returns {string} Task ID
+     */
+    task(itemId, { key, url, categoryId = null, title: taskTitle, description = '', status = 'open', tagIds = [], createdAt, finishedAt }) {
+      const match = existing.tasks.get(key);
+      const source = { type, key, ...(url ? { url } : {}) };
+      const item = document.items[itemId];
+      counts.tasks++;
+
+      if (match && current.tasks[match.id]) {
+        counts.matched++;
+        const sameParent = match.itemId === itemId;
+        document.tasks[match.id] = {
+          ...structuredClone(match),
+          itemId,
+          categoryId: sameParent ? match.categoryId : categoryId,
+          title: taskTitle,
+          description,
+          status,
+          tagIds: [...new Set([...(match.tagIds || []), ...tagIds])],
+          finishedAt: status === 'done' ? (match.finishedAt || finishedAt || now) : null,
+          source
+        };
+        if (sameParent && match.categoryId && current.taskCategories[match.categoryId]) {
+          document.taskCategories[match.categoryId] = document.taskCategories[match.categoryId] || structuredClone(current.taskCategories[match.categoryId]);
+        }
+        return match.id;
+      }
+
+      const id = generateId('task');
+      document.tasks[id] = {
+        id,
+        itemId,
+        categoryId,
+        title: taskTitle || 'Untitled',
+        description,
+        status,
+        tagIds,
+        attachments: [],
+        promptHistory: [],
+        createdAt: createdAt || now,
+        finishedAt: status === 'done' ? (finishedAt || now) : null,
+        source
+      };
+      if (categoryId) {
+        document.taskCategories[categoryId].taskOrder.push(id);
+      } else {
+        item.taskOrder = [...(item.taskOrder || []), id];
+      }
+      return id;
+    },
+
+    rule,
+
+    /** Something in the file that is not imported, with the reason */
+    skip(skippedTitle, reason) {
+      skipped.push({ title: skippedTitle, reason });
+    },
+
+    /**
+     * @returns {Object} { document, mapping } where mapping is
+     *   { source, title, counts, rules: [{ kind, from, to, isNew, count }], skipped }
+     */
+    result() {
+      return {
+        document,
+        mapping: { source: type, title, counts, rules: [...rules.values()], skipped }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createBuilder
+};
@@ -0,0 +1,105 @@
+/**
+ * GitHub issues import
+ *
+ * Reads the JSON of the REST API (`GET /repos/:owner/:repo/issues`, saved to
+ * a file) or of `gh issue list --json number,title,body,state,labels,url,createdAt,closedAt`.
+ * Issues become items in one section; labels become tags, except priority
+ * labels ("priority: high", "P1", ...), which set the item's priority. Pull
+ * requests in a REST export are skipped.
+ */
+
+const { ProjectDataError } = require('../projectData');
+
+const name = 'github';
+const label = 'GitHub issues (JSON)';
+
+// Priority labels: "P0".."P3", or "priority: x" / "priority/x" / "priority-x"
+const PRIORITY_LABELS = {
+  p0: 'critical', p1: 'high', p2: 'medium', p3: 'low',
+  critical: 'critical', urgent: 'critical', high: 'high', medium: 'medium', normal: 'medium', low: 'low'
+};
+
+function priorityFromLabel(labelName) {
+  const value = labelName.trim().toLowerCase();
+  const match = value.match(/^p[0-3]$/) || value.match(/^priority\s*[:/-]\s*(\w+)$/);
+  if (!match) return null;
+  return PRIORITY_LABELS[match[1] || match[0]] || null;
+}
+
+function repositoryFromUrl(url) {
+  return url?.match(/github\.com\/([^/]+\/[^/]+)\/(?:issues|pull)\//)?.[1] || null;
+}
+
+/**
+ * @param {Object} builder - See builder.js
+ * @param {string} content - File contents
+ * @param {Object} options - sectionId: section the issues go to
+ */
+function convert(builder, content, { sectionId }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    throw new ProjectDataError('GitHub export is not valid JSON');
+  }
+  const issues = Array.isArray(parsed) ? parsed : parsed?.issues;
+  if (!Array.isArray(issues) || issues.some(issue => typeof issue?.number !== 'number' || typeof issue.title !== 'string')) {
+    throw new ProjectDataError('Expected a list of GitHub issues with number and title');
+  }
+
+  const target = builder.section(sectionId);
+  const repositories = new Set();
+
+  for (const issue of issues) {
+    const url = issue.html_url || issue.url;
+    const repository = repositoryFromUrl(url);
+    if (repository) repositories.add(repository);
+
+    if (issue.pull_request) {
+      builder.skip(`#${issue.number} ${issue.title}`, 'pull request');
+      continue;
+    }
+
+    const state = String(issue.state || 'open').toLowerCase();
+    const status = state === 'closed' ? 'done' : 'open';
+    builder.rule('status', state, status);
+
+    let priority = 'medium';
+    const tagIds = [];
+    for (const entry of issue.labels || []) {
+      const labelName = typeof entry === 'string' ? entry : entry?.name;
+      if (!labelName) continue;
+      const labelPriority = priorityFromLabel(labelName);
+      if (labelPriority) {
+        priority = labelPriority;
+        builder.rule('priority', labelName, labelPriority);
+        continue;
+      }
+      const isNew = builder.isNewTag(labelName);
+      tagIds.push(builder.tag(labelName, entry?.color ? `#${entry.color}` : undefined));
+      builder.rule('tag', labelName, labelName, isNew);
+    }
+
+    builder.item({
+      key: `${repository || 'issue'}#${issue.number}`,
+      url: url?.includes('github.com') ? url : undefined,
+      sectionId: target,
+      title: issue.title,
+      description: issue.body || '',
+      status,
+      priority,
+      tagIds,
+      createdAt: issue.created_at || issue.createdAt,
+      finishedAt: issue.closed_at || issue.closedAt || undefined
+    });
+  }
+
+  builder.setTitle(repositories.size === 1 ? [...repositories][0] : 'GitHub issues');
+}
+
+module.exports = {
+  name,
+  label,
+  format: 'json',
+  convert
+};
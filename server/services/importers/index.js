@@ -0,0 +1,73 @@
+/**
+ * Imports from other tools' export files
+ *
+ * Each importer reads one kind of offline export and describes its contents
+ * to a builder (see builder.js), which produces a Promptling document. The
+ * document is merged like any other import (see dataImport.js), so the same
+ * preview and conflict handling apply; the preview additionally lists how
+ * the source's types, statuses, priorities, labels and lists were mapped.
+ *
+ * - github: GitHub issues JSON (labels → tags, state → status)
+ * - jira:   Jira CSV (issue type → section, sub-tasks → tasks, priorities)
+ * - trello: Trello board JSON (lists → categories, checklists → tasks)
+ */
+
+const { ProjectDataError, SYSTEM_SECTIONS } = require('../projectData');
+const { planDocumentMerge } = require('../dataImport');
+const { createBuilder } = require('./builder');
+const githubImporter = require('./githubImporter');
+const jiraImporter = require('./jiraImporter');
+const trelloImporter = require('./trelloImporter');
+
+const IMPORTERS = {
+  [githubImporter.name]: githubImporter,
+  [jiraImporter.name]: jiraImporter,
+  [trelloImporter.name]: trelloImporter
+};
+
+/**
+ * List the available importers
+ * @returns {Object[]} [{ name, label, format }]
+ */
+function listImporters() {
+  return Object.values(IMPORTERS).map(({ name, label, format }) => ({ name, label, format }));
+}
+
+/**
+ * Plan an import from another tool's export file
+ * @param {Object} current - Current project data
+ * @param {string} source - Importer name
+ * @param {string} content - The export file's text
+ * @param {Object} [options]
+ * @param {string} [options.sectionId] - Target section (default Features)
+ * @param {boolean} [options.splitTypes] - Jira: one section per issue type
+ * @param {string} [options.conflicts='update'] - For entities imported before: 'update' or 'skip'
+ * @returns {Object} { data, preview } where preview also has the mapping
+ */
+function planExternalImport(current, source, content, { sectionId = SYSTEM_SECTIONS.FEATURES, splitTypes = false, conflicts = 'update' } = {}) {
+  const importer = IMPORTERS[source];
+  if (!importer) {
+    throw new ProjectDataError(`Unknown import source: ${source}. Use one of: ${Object.keys(IMPORTERS).join(', ')}`);
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ProjectDataError('Import file is empty');
+  }
+  if (!current.sections[sectionId]) {
+    throw new ProjectDataError(`Section ${sectionId} not found`, 404);
+  }
+  if (conflicts !== 'update' && conflicts !== 'skip') {
+    throw new ProjectDataError(`Invalid conflicts option: ${conflicts}. Use update or skip`);
+  }
+
+  const builder = createBuilder(current, source);
+  importer.convert(builder, content, { sectionId, splitTypes });
+  const { document, mapping } = builder.result();
+
+  const { data, preview } = planDocumentMerge(current, document, { conflicts });
+  return { data, preview: { ...preview, mapping } };
+}
+
+module.exports = {
+  listImporters,
+  planExternalImport
+};
@@ -0,0 +1,214 @@
+/**
+ * Jira CSV import
+ *
+ * Reads Jira's "Export CSV (all fields)" file. Each issue type goes to a
+ * section: bugs to Bugs, everything else to the chosen section, or (with
+ * `splitTypes`) to a section named after the type, created if missing.
+ * Sub-tasks become tasks of their parent issue when it is in the same file.
+ * Labels become tags, and Jira statuses and priorities are mapped onto
+ * Promptling's.
+ */
+
+const { ProjectDataError, SYSTEM_SECTIONS } = require('../projectData');
+
+const name = 'jira';
+const label = 'Jira (CSV)';
+
+const PRIORITIES = {
+  highest: 'critical', blocker: 'critical', critical: 'critical',
+  high: 'high', major: 'high',
+  medium: 'medium', normal: 'medium',
+  low: 'low', lowest: 'low', minor: 'low', trivial: 'low'
+};
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+// Jira writes dates as "15/Mar/24 10:31 AM" (depending on the site's format settings) or ISO-like
+function parseDate(value) {
+  if (!value) return undefined;
+  const match = value.match(/^(\d{1,2})\/(\w{3})\/(\d{2,4})(?:\s+(\d{1,2}):(\d{2})\s*(AM|PM)?)?/i);
+  if (match) {
+    const [, day, month, year, hours = '0', minutes = '0', meridiem] = match;
+    let hour = parseInt(hours);
+    if (meridiem) hour = (hour % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    const fullYear = year.length === 2 ? 2000 + parseInt(year) : parseInt(year);
+    const date = new Date(fullYear, MONTHS[month.toLowerCase()], parseInt(day), hour, parseInt(minutes));
+    return isNaN(date) ? undefined : date.toISOString();
+  }
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date.toISOString();
+}
+
+// Status from Jira's status category when exported, otherwise from the status name
+function mapStatus(status, category) {
+  const value = (category || status || '').toLowerCase();
+  if (/done|closed|resolved|complete|released|cancel|won't/.test(value)) return 'done';
+  if (/progress|review|testing|doing|qa|blocked/.test(value)) return 'in-progress';
+  return 'open';
+}
+
+/**
+ * @param {Object} builder - See builder.js
+ * @param {string} content - File contents
+ * @param {Object} options - sectionId: section for non-bug issues; splitTypes: one section per issue type
+ */
+function convert(builder, content, { sectionId, splitTypes = false }) {
+  const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ProjectDataError('Jira export is empty');
+  }
+
+  // Jira repeats a column once per value (Labels, Labels, ...)
+  const columns = {};
+  header.forEach((column, index) => {
+    const key = column.trim().toLowerCase();
+    (columns[key] = columns[key] || []).push(index);
+  });
+  if (!columns.summary || !(columns['issue key'] || columns['issue id'])) {
+    throw new ProjectDataError('Expected a Jira CSV export with Summary and Issue key columns');
+  }
+  const get = (row, column) => (columns[column] ? row[columns[column][0]]?.trim() || '' : '');
+  const getAll = (row, column) => (columns[column] || []).map(index => row[index]?.trim()).filter(Boolean);
+
+  const issues = rows.map(row => ({
+    key: get(row, 'issue key') || get(row, 'issue id'),
+    id: get(row, 'issue id'),
+    summary: get(row, 'summary'),
+    type: get(row, 'issue type') || 'Task',
+    status: get(row, 'status'),
+    statusCategory: get(row, 'status category'),
+    priority: get(row, 'priority'),
+    description: get(row, 'description'),
+    parentId: get(row, 'parent id') || get(row, 'parent'),
+    parentKey: get(row, 'parent key') || get(row, 'parent'),
+    labels: getAll(row, 'labels'),
+    created: parseDate(get(row, 'created')),
+    resolved: parseDate(get(row, 'resolved'))
+  }));
+
+  const byId = new Map();
+  for (const issue of issues) {
+    if (issue.id) byId.set(issue.id, issue);
+    byId.set(issue.key, issue);
+  }
+  const parentOf = issue => byId.get(issue.parentId) || byId.get(issue.parentKey);
+  const isSubtask = issue => /sub-?task/i.test(issue.type) && Boolean(parentOf(issue));
+
+  const sectionFor = (type) => {
+    if (splitTypes) {
+      const existed = builder.sectionExists(type);
+      const id = builder.sectionByName(type);
+      builder.rule('type', type, type, !existed);
+      return id;
+    }
+    const id = /bug|defect/i.test(type) ? builder.section(SYSTEM_SECTIONS.BUGS) : builder.section(sectionId);
+    builder.rule('type', type, builder.sectionName(id));
+    return id;
+  };
+
+  const tagIdsFor = issue => issue.labels.map(labelName => {
+    const isNew = builder.isNewTag(labelName);
+    const tagId = builder.tag(labelName);
+    builder.rule('tag', labelName, labelName, isNew);
+    return tagId;
+  });
+
+  // Parents first, so sub-tasks can attach to them
+  const itemIds = new Map();
+  for (const issue of issues.filter(entry => !isSubtask(entry))) {
+    if (!issue.summary) {
+      builder.skip(issue.key || '(no key)', 'no summary');
+      continue;
+    }
+    const status = mapStatus(issue.status, issue.statusCategory);
+    const priority = PRIORITIES[issue.priority.toLowerCase()] || 'medium';
+    builder.rule('status', issue.status || '(none)', status);
+    if (issue.priority) builder.rule('priority', issue.priority, priority);
+
+    itemIds.set(issue, builder.item({
+      key: issue.key,
+      sectionId: sectionFor(issue.type),
+      title: `${issue.key}: ${issue.summary}`,
+      description: issue.description,
+      status,
+      priority,
+      tagIds: tagIdsFor(issue),
+      createdAt: issue.created,
+      finishedAt: issue.resolved
+    }));
+  }
+
+  for (const issue of issues.filter(isSubtask)) {
+    const itemId = itemIds.get(parentOf(issue));
+    if (!itemId) {
+      builder.skip(`${issue.key} ${issue.summary}`, 'parent issue was not imported');
+      continue;
+    }
+    const status = mapStatus(issue.status, issue.statusCategory);
+    builder.rule('status', issue.status || '(none)', status);
+    builder.rule('type', issue.type, 'task');
+    builder.task(itemId, {
+      key: issue.key,
+      title: `${issue.key}: ${issue.summary}`,
+      description: issue.description,
+      status,
+      tagIds: tagIdsFor(issue),
+      createdAt: issue.created,
+      finishedAt: issue.resolved
+    });
+  }
+
+  const projects = new Set(issues.map(issue => issue.key.split('-')[0]).filter(Boolean));
+  builder.setTitle(projects.size === 1 ? `Jira ${[...projects][0]}` : 'Jira issues');
+}
+
+module.exports = {
+  name,
+  label,
+  format: 'csv',
+  convert
+};
@@ -0,0 +1,131 @@
+/**
+ * Trello board import
+ *
+ * Reads the JSON of a board export (Board menu → Print, export and share →
+ * Export as JSON). Lists become item categories in the chosen section and
+ * cards become items; a card's checklists become its tasks (grouped in task
+ * categories when a card has more than one). Labels become tags. Archived
+ * lists and cards are skipped.
+ */
+
+const { ProjectDataError } = require('../projectData');
+
+const name = 'trello';
+const label = 'Trello board (JSON)';
+
+// Trello's label colors, as tag colors
+const LABEL_COLORS = {
+  green: '#22c55e', yellow: '#f59e0b', orange: '#f97316', red: '#ef4444', purple: '#8b5cf6',
+  blue: '#3b82f6', sky: '#06b6d4', lime: '#84cc16', pink: '#ec4899', black: '#6b7280'
+};
+
+// Cards in lists named like these are in progress or finished
+function statusForList(listName) {
+  if (/done|complete|finished|shipped|released/i.test(listName)) return 'done';
+  if (/doing|progress|review|testing|active/i.test(listName)) return 'in-progress';
+  return 'open';
+}
+
+// Trello IDs start with the creation time in seconds (hex)
+function createdFromId(id) {
+  const seconds = parseInt(String(id).slice(0, 8), 16);
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : undefined;
+}
+
+const byPosition = (a, b) => (a.pos ?? 0) - (b.pos ?? 0);
+
+/**
+ * @param {Object} builder - See builder.js
+ * @param {string} content - File contents
+ * @param {Object} options - sectionId: section the board goes to
+ */
+function convert(builder, content, { sectionId }) {
+  let board;
+  try {
+    board = JSON.parse(content);
+  } catch {
+    throw new ProjectDataError('Trello export is not valid JSON');
+  }
+  if (!board || !Array.isArray(board.lists) || !Array.isArray(board.cards)) {
+    throw new ProjectDataError('Expected a Trello board export with lists and cards');
+  }
+
+  const target = builder.section(sectionId);
+  builder.setTitle(board.name || 'Trello board');
+
+  const lists = new Map();
+  for (const list of [...board.lists].sort(byPosition)) {
+    if (list.closed) {
+      builder.skip(list.name, 'archived list');
+      continue;
+    }
+    const isNew = !builder.itemCategoryExists(target, list.id, list.name);
+    lists.set(list.id, { list, categoryId: builder.itemCategory(target, { key: list.id, name: list.name }) });
+    builder.rule('category', list.name, list.name, isNew);
+  }
+
+  const labels = new Map((board.labels || []).map(entry => [entry.id, entry]));
+  const checklists = (board.checklists || []).filter(checklist => checklist.idCard);
+
+  for (const card of [...board.cards].sort(byPosition)) {
+    const entry = lists.get(card.idList);
+    if (card.closed) {
+      builder.skip(card.name, 'archived card');
+      continue;
+    }
+    if (!entry) {
+      builder.skip(card.name, 'in an archived list');
+      continue;
+    }
+
+    const status = card.dueComplete ? 'done' : statusForList(entry.list.name);
+    builder.rule('status', card.dueComplete ? 'due date complete' : `list "${entry.list.name}"`, status);
+
+    const tagIds = [];
+    for (const cardLabel of card.labels || (card.idLabels || []).map(id => labels.get(id)).filter(Boolean)) {
+      const labelName = cardLabel.name || cardLabel.color;
+      if (!labelName) continue;
+      const isNew = builder.isNewTag(labelName);
+      tagIds.push(builder.tag(labelName, LABEL_COLORS[cardLabel.color]));
+      builder.rule('tag', labelName, labelName, isNew);
+    }
+
+    const itemId = builder.item({
+      key: card.id,
+      url: card.shortUrl || card.url,
+      sectionId: target,
+      categoryId: entry.categoryId,
+      title: card.name,
+      description: card.desc || '',
+      status,
+      tagIds,
+      createdAt: createdFromId(card.id),
+      finishedAt: status === 'done' ? card.dateLastActivity : undefined
+    });
+
+    const cardChecklists = checklists.filter(checklist => checklist.idCard === card.id).sort(byPosition);
+    for (const checklist of cardChecklists) {
+      const categoryId = cardChecklists.length > 1
+        ? builder.taskCategory(itemId, { key: checklist.id, name: checklist.name })
+        : null;
+      for (const checkItem of [...(checklist.checkItems || [])].sort(byPosition)) {
+        const done = checkItem.state === 'complete';
+        builder.rule('status', `check item ${checkItem.state || 'incomplete'}`, done ? 'done' : 'open');
+        builder.task(itemId, {
+          key: checkItem.id,
+          categoryId,
+          title: checkItem.name,
+          status: done ? 'done' : 'open',
+          createdAt: createdFromId(checkItem.id)
+        });
+      }
+    }
+  }
+}
+
+module.exports = {
+  name,
+  label,
+  format: 'json',
+  convert
+};
@@ -0,0 +1,386 @@
+/**
+ * Project data integrity checks
+ *
+ * Finds (and optionally fixes) the ways a project document can drift out of
+ * shape: order arrays pointing at deleted or duplicate IDs, entities listed in
+ * the wrong order or in none, items/tasks whose parent is gone, references to
+ * deleted categories and tags (from items, tasks and templates), relations to
+ * items or tasks that are gone, templates of deleted sections, and attachment
+ * metadata for files that no longer exist.
+ *
+ * Checking and repairing run the same walk, so a repair fixes everything a
+ * check reports. Repairs never throw data away: orphaned items are moved to
+ * the Features section and orphaned tasks are collected under a "Recovered
+ * tasks" item.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('./storage');
+const { bumpDocumentRevision } = require('./revisions');
+const { createSnapshot } = require('./snapshots');
+const { recordChanges } = require('./activity');
+const { SYSTEM_SECTIONS, getDefaultData, createItem } = require('./projectData');
+
+const COLLECTIONS = ['sections', 'items', 'itemCategories', 'tasks', 'taskCategories', 'tags'];
+
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Walk a project document's structure (everything but attachment files),
+ * reporting every anomaly and fixing it when repair is set
+ * @param {Object} data - Project data (v4); modified in place when repairing
+ * @param {boolean} repair - Fix issues as they are found
+ * @returns {Object[]} Issues: { type, collection, id, message }
+ */
+function walkStructure(data, repair) {
+  const issues = [];
+  const report = (type, collection, id, message) => issues.push({ type, collection, id, message });
+
+  for (const collection of COLLECTIONS) {
+    if (!data[collection] || typeof data[collection] !== 'object') {
+      report('missing-collection', collection, null, `${collection} is missing`);
+      if (repair) data[collection] = {};
+    }
+  }
+  if (!Array.isArray(data.sectionOrder)) {
+    report('missing-collection', 'sectionOrder', null, 'sectionOrder is missing');
+    if (repair) data.sectionOrder = [];
+  }
+  if (!repair && issues.length > 0) return issues;
+
+  const { sections, items, itemCategories, tasks, taskCategories, tags } = data;
+
+  // Features and Bugs always exist; orphans are moved into Features
+  const defaultSections = getDefaultData().sections;
+  for (const sectionId of Object.values(SYSTEM_SECTIONS)) {
+    if (!sections[sectionId]) {
+      report('missing-section', 'sections', sectionId, `System section ${sectionId} is missing`);
+      if (repair) sections[sectionId] = defaultSections[sectionId];
+    }
+  }
+
+  // Entities stored under a key that isn't their ID
+  for (const collection of COLLECTIONS) {
+    for (const [key, entity] of Object.entries(data[collection])) {
+      if (entity.id !== key) {
+        report('id-mismatch', collection, key, `${collection} entry ${key} has id ${entity.id}`);
+        if (repair) entity.id = key;
+      }
+    }
+  }
+
+  // ----- Parents -----
+
+  for (const item of Object.values(items)) {
+    if (!sections[item.sectionId]) {
+      report('orphan', 'items', item.id, `Item "${item.title}" belongs to missing section ${item.sectionId}`);
+      if (repair) {
+        item.sectionId = SYSTEM_SECTIONS.FEATURES;
+        item.categoryId = null;
+      }
+    }
+  }
+
+  for (const category of Object.values(itemCategories)) {
+    if (!sections[category.sectionId]) {
+      report('orphan', 'itemCategories', category.id, `Category "${category.name}" belongs to missing section ${category.sectionId}`);
+      if (repair) delete itemCategories[category.id];
+    }
+  }
+
+  for (const category of Object.values(taskCategories)) {
+    if (!items[category.itemId]) {
+      report('orphan', 'taskCategories', category.id, `Task category "${category.name}" belongs to missing item ${category.itemId}`);
+      if (repair) delete taskCategories[category.id];
+    }
+  }
+
+  let recoveryItem = null;
+  for (const task of Object.values(tasks)) {
+    if (!items[task.itemId]) {
+      report('orphan', 'tasks', task.id, `Task "${task.title}" belongs to missing item ${task.itemId}`);
+      if (repair) {
+        if (!recoveryItem) {
+          recoveryItem = createItem(data, {
+            sectionId: SYSTEM_SECTIONS.FEATURES,
+            title: 'Recovered tasks',
+            description: 'Tasks whose item no longer existed, collected by an integrity repair.'
+          });
+        }
+        task.itemId = recoveryItem.id;
+        task.categoryId = null;
+      }
+    }
+  }
+
+  // ----- Category references -----
+
+  for (const item of Object.values(items)) {
+    if (!item.categoryId) continue;
+    const category = itemCategories[item.categoryId];
+    if (!category || category.sectionId !== item.sectionId) {
+      report('invalid-category', 'items', item.id, `Item "${item.title}" points at ${category ? 'a category in another section' : 'missing category'} ${item.categoryId}`);
+      if (repair) item.categoryId = null;
+    }
+  }
+
+  for (const task of Object.values(tasks)) {
+    if (!task.categoryId) continue;
+    const category = taskCategories[task.categoryId];
+    if (!category || category.itemId !== task.itemId) {
+      report('invalid-category', 'tasks', task.id, `Task "${task.title}" points at ${category ? 'a category of another item' : 'missing category'} ${task.categoryId}`);
+      if (repair) task.categoryId = null;
+    }
+  }
+
+  // ----- Order arrays -----
+
+  // Keep only IDs that exist, belong in this list and aren't repeated
+  const checkOrder = (owner, field, ownerCollection, ownerId, collection, belongs) => {
+    const where = ownerId ? `"${owner.title || owner.name}" ${field}` : field;
+    if (!Array.isArray(owner[field])) {
+      report('missing-order', ownerCollection, ownerId, `${where} is missing`);
+      if (repair) owner[field] = [];
+      return;
+    }
+    const seen = new Set();
+    const kept = owner[field].filter(id => {
+      const entity = collection[id];
+      if (!entity) {
+        report('dangling-reference', ownerCollection, ownerId, `${where} lists missing ${id}`);
+        return false;
+      }
+      if (seen.has(id)) {
+        report('duplicate-reference', ownerCollection, ownerId, `${where} lists ${id} more than once`);
+        return false;
+      }
+      if (!belongs(entity)) {
+        report('misplaced-reference', ownerCollection, ownerId, `${where} lists ${id}, which belongs elsewhere`);
+        return false;
+      }
+      seen.add(id);
+      return true;
+    });
+    if (repair) owner[field] = kept;
+  };
+
+  // Add entities that should be in a list but aren't
+  const checkListed = (owner, field, ownerCollection, ownerId, candidates, label) => {
+    const where = ownerId ? `"${owner.title || owner.name}" ${field}` : field;
+    const listed = new Set(owner[field] || []);
+    for (const entity of candidates) {
+      if (!listed.has(entity.id)) {
+        report('unlisted', ownerCollection, ownerId, `${label} "${entity.title || entity.name}" (${entity.id}) is missing from ${where}`);
+        if (repair) owner[field].push(entity.id);
+      }
+    }
+  };
+
+  checkOrder(data, 'sectionOrder', 'sectionOrder', null, sections, () => true);
+  checkListed(data, 'sectionOrder', 'sectionOrder', null, Object.values(sections), 'Section');
+
+  for (const section of Object.values(sections)) {
+    checkOrder(section, 'itemOrder', 'sections', section.id, items,
+      item => item.sectionId === section.id && !item.categoryId);
+    checkOrder(section, 'categoryOrder', 'sections', section.id, itemCategories,
+      category => category.sectionId === section.id);
+  }
+
+  for (const category of Object.values(itemCategories)) {
+    checkOrder(category, 'itemOrder', 'itemCategories', category.id, items,
+      item => item.categoryId === category.id);
+  }
+
+  for (const item of Object.values(items)) {
+    checkOrder(item, 'taskOrder', 'items', item.id, tasks,
+      task => task.itemId === item.id && !task.categoryId);
+    if (item.categoryOrder !== undefined) {
+      checkOrder(item, 'categoryOrder', 'items', item.id, taskCategories,
+        category => category.itemId === item.id);
+    }
+  }
+
+  for (const category of Object.values(taskCategories)) {
+    checkOrder(category, 'taskOrder', 'taskCategories', category.id, tasks,
+      task => task.categoryId === category.id);
+  }
+
+  // Add entities missing from the list they belong in
+  const allItems = Object.values(items);
+  const allTasks = Object.values(tasks);
+  for (const section of Object.values(sections)) {
+    checkListed(section, 'itemOrder', 'sections', section.id,
+      allItems.filter(item => item.sectionId === section.id && !item.categoryId), 'Item');
+    checkListed(section, 'categoryOrder', 'sections', section.id,
+      Object.values(itemCategories).filter(category => category.sectionId === section.id), 'Category');
+  }
+  for (const category of Object.values(itemCategories)) {
+    checkListed(category, 'itemOrder', 'itemCategories', category.id,
+      allItems.filter(item => item.categoryId === category.id), 'Item');
+  }
+  for (const item of allItems) {
+    checkListed(item, 'taskOrder', 'items', item.id,
+      allTasks.filter(task => task.itemId === item.id && !task.categoryId), 'Task');
+    const itemTaskCategories = Object.values(taskCategories).filter(category => category.itemId === item.id);
+    if (itemTaskCategories.length > 0) {
+      if (repair && !item.categoryOrder) item.categoryOrder = [];
+      checkListed(item, 'categoryOrder', 'items', item.id, itemTaskCategories, 'Task category');
+    }
+  }
+  for (const category of Object.values(taskCategories)) {
+    checkListed(category, 'taskOrder', 'taskCategories', category.id,
+      allTasks.filter(task => task.categoryId === category.id), 'Task');
+  }
+
+  // ----- Tags -----
+
+  for (const [collection, entities] of [['items', items], ['tasks', tasks]]) {
+    for (const entity of Object.values(entities)) {
+      if (!Array.isArray(entity.tagIds)) continue;
+      const missing = entity.tagIds.filter(tagId => !tags[tagId]);
+      if (missing.length > 0) {
+        report('missing-tag', collection, entity.id, `"${entity.title}" has deleted tag(s) ${missing.join(', ')}`);
+        if (repair) entity.tagIds = entity.tagIds.filter(tagId => tags[tagId]);
+      }
+    }
+  }
+
+  // ----- Relations -----
+
+  // Optional: documents written before relations existed have none
+  for (const relation of Object.values(data.relations || {})) {
+    const missing = [relation.sourceId, relation.targetId].filter(id => !items[id] && !tasks[id]);
+    if (missing.length > 0) {
+      report('dangling-relation', 'relations', relation.id, `Relation ${relation.id} (${relation.type}) points at deleted ${missing.join(', ')}`);
+      if (repair) delete data.relations[relation.id];
+    }
+  }
+
+  // ----- Templates -----
+
+  // Optional, like relations; a template of a missing section is kept as a template for every section
+  for (const template of Object.values(data.templates || {})) {
+    if (template.sectionId && !sections[template.sectionId]) {
+      report('orphan', 'templates', template.id, `Template "${template.name}" belongs to missing section ${template.sectionId}`);
+      if (repair) template.sectionId = null;
+    }
+    const category = template.categoryId && itemCategories[template.categoryId];
+    if (template.categoryId && (!category || category.sectionId !== template.sectionId)) {
+      report('invalid-category', 'templates', template.id, `Template "${template.name}" points at ${category ? 'a category in another section' : 'missing category'} ${template.categoryId}`);
+      if (repair) template.categoryId = null;
+    }
+    const missing = (template.tagIds || []).filter(tagId => !tags[tagId]);
+    if (missing.length > 0) {
+      report('missing-tag', 'templates', template.id, `Template "${template.name}" has deleted tag(s) ${missing.join(', ')}`);
+      if (repair) template.tagIds = template.tagIds.filter(tagId => tags[tagId]);
+    }
+  }
+
+  return issues;
+}
+
+// Walk the structure, then check that attachment files exist
+async function walk(data, attachmentsDir, repair) {
+  const issues = walkStructure(data, repair);
+  if (!repair && issues.some(issue => issue.type === 'missing-collection')) return issues;
+
+  const report = (type, collection, id, message) => issues.push({ type, collection, id, message });
+  for (const [collection, entities] of [['items', data.items], ['tasks', data.tasks]]) {
+    for (const entity of Object.values(entities)) {
+      if (!Array.isArray(entity.attachments)) continue;
+      const kept = [];
+      for (const attachment of entity.attachments) {
+        const file = attachment.storedPath && path.join(attachmentsDir, attachment.storedPath);
+        if (!file || !await fileExists(file)) {
+          report('missing-attachment-file', collection, entity.id, `"${entity.title}" has attachment ${attachment.filename || attachment.id} with no file`);
+        } else {
+          kept.push(attachment);
+        }
+      }
+      if (repair) entity.attachments = kept;
+    }
+  }
+
+  return issues;
+}
+
+// Issue counts by type, for summaries
+function countByType(issues) {
+  return issues.reduce((counts, issue) => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+function getAttachmentsDir(dataFile) {
+  return path.join(path.dirname(dataFile), 'attachments');
+}
+
+/**
+ * Check a project's stored data
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @returns {Promise<Object>} { ok, issues, counts }
+ */
+async function checkProjectIntegrity(dataFile) {
+  const data = await storage.readData(dataFile);
+  // Older formats are migrated (and checked) the next time the project loads
+  if (!data || !(data.version >= 4)) {
+    return { ok: true, issues: [], counts: {} };
+  }
+  const issues = await walk(data, getAttachmentsDir(dataFile), false);
+  return { ok: issues.length === 0, issues, counts: countByType(issues) };
+}
+
+/**
+ * Fix every issue in a project's stored data. The data is snapshotted first,
+ * and the fixes are recorded in the project's history.
+ * Callers must hold the project's write lock.
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {Object} [origin] - Who asked for the repair (see activity.describeOrigin)
+ * @returns {Promise<Object>} { repaired, issues, counts, remaining, revision }
+ */
+async function repairProjectIntegrity(dataFile, origin) {
+  const data = await storage.readData(dataFile);
+  if (!data || !(data.version >= 4)) {
+    return { repaired: 0, issues: [], counts: {}, remaining: [] };
+  }
+
+  const attachmentsDir = getAttachmentsDir(dataFile);
+  const issues = await walk(data, attachmentsDir, true);
+  if (issues.length > 0) {
+    await createSnapshot(dataFile, 'before-repair', { force: true });
+    data.lastModified = new Date().toISOString();
+    bumpDocumentRevision(data);
+    const previous = await storage.readData(dataFile);
+    await storage.writeData(dataFile, data);
+    await recordChanges(dataFile, previous, data, origin);
+  }
+
+  const remaining = await walk(structuredClone(data), attachmentsDir, false);
+  return { repaired: issues.length, issues, counts: countByType(issues), remaining, revision: data.revision };
+}
+
+/**
+ * Fix the structure of a project document in memory: order arrays, parents,
+ * category and tag references. Used after assembling a document from outside
+ * data (imports, merges).
+ * @param {Object} data - Project data (v4); modified in place
+ * @returns {Object[]} Issues that were fixed
+ */
+function repairStructure(data) {
+  return walkStructure(data, true);
+}
+
+module.exports = {
+  repairStructure,
+  checkProjectIntegrity,
+  repairProjectIntegrity
+};
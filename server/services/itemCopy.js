@@ -0,0 +1,344 @@
+/**
+ * Copying items with everything that hangs off them
+ *
+ * An item is copied together with its tasks and task categories, its
+ * attachments (plan versions included), plan comments, prompt history and
+ * discussion, and every copy gets new IDs and keys. Tags are matched by name
+ * in the target project and created there when missing. Relations stay
+ * behind: they point at other items of the source project.
+ *
+ * Moving an item to another project is a copy followed by removing it from
+ * the source. The target is saved first, so a failure part way leaves at
+ * worst a copy too many, never a lost item. Attachment files are copied, not
+ * moved; the source's files left without an owner are removed by the
+ * attachment garbage collection (see attachments.js).
+ *
+ * Duplicating an item or task within its project starts the copy over
+ * instead: statuses go back to open, and the work done on the original
+ * (prompt history, discussion, plan comments) stays with it. Attachments and
+ * the latest plan come along only when asked for.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  DEFAULT_TAG_COLORS,
+  ProjectDataError,
+  generateId,
+  itemIdPrefix,
+  getWorkflow,
+  fitStatusToSection,
+  assignItemKey,
+  assignTaskKey,
+  initialStatus,
+  resolveKey,
+  deleteItem,
+  loadData,
+  saveData,
+  getDataFilePath,
+  getAttachmentsDir
+} = require('./projectData');
+const { loadProjects } = require('./projects');
+const { snapshotBefore } = require('./snapshots');
+
+const TRANSFER_MODES = ['move', 'copy'];
+
+// What a move or copy to another project takes along: everything
+const FULL_COPY = { fresh: false, attachments: true, plans: 'all' };
+
+const isPlan = attachment => attachment.filename?.startsWith('PLAN-v');
+
+// ID of the tag in the target with the source tag's name, created there if missing
+function matchTag(source, target, tagId, tagMap) {
+  if (tagMap.has(tagId)) return tagMap.get(tagId);
+  const tag = source.tags?.[tagId];
+  if (!tag) return null;
+
+  if (!target.tags) target.tags = {};
+  const name = tag.name.toLowerCase();
+  let match = Object.values(target.tags).find(t => t.name?.toLowerCase() === name);
+  if (!match) {
+    match = {
+      id: generateId('tag'),
+      name: tag.name,
+      color: tag.color || DEFAULT_TAG_COLORS[Object.keys(target.tags).length % DEFAULT_TAG_COLORS.length]
+    };
+    target.tags[match.id] = match;
+  }
+  tagMap.set(tagId, match.id);
+  return match.id;
+}
+
+// Attachment metadata moved under a new owner, and the files that go with it. With
+// plans 'latest', only the newest plan version comes along, as PLAN-v1.md.
+function copyAttachments(attachments, storageType, ownerId, files, options) {
+  const all = attachments || [];
+  const plans = all.filter(isPlan);
+  const latestPlan = options.plans === 'latest' ? plans[plans.length - 1] : null;
+  const copied = all.filter(attachment => (isPlan(attachment) ? options.plans === 'all' : options.attachments));
+
+  return [...copied, ...(latestPlan ? [latestPlan] : [])].map(attachment => {
+    const storedName = attachment === latestPlan ? 'PLAN-v1.md' : attachment.storedName;
+    const from = attachment.storedPath || attachment.storedName;
+    const storedPath = `${storageType}/${ownerId}/${storedName}`;
+    if (from) files.push({ from, to: storedPath });
+    const copy = { ...attachment, storedName, storedPath };
+    if (attachment === latestPlan) copy.filename = storedName;
+    if (options.fresh) copy.id = generateId('att');
+    return copy;
+  });
+}
+
+// A duplicate starts over: unfinished, without the original's prompt history, discussion or plan comments
+function startOver(entity, status) {
+  entity.status = status;
+  entity.createdAt = new Date().toISOString();
+  entity.finishedAt = null;
+  entity.promptHistory = [];
+  delete entity.comments;
+  delete entity.planComments;
+}
+
+/**
+ * Copy an item with its tasks and task categories into project data, which
+ * may be the data it comes from. The copy goes to the end of the target
+ * section (or item category); its status is fitted into that section's
+ * workflow.
+ * @param {Object} source - Project data holding the item
+ * @param {Object} target - Project data to copy it into
+ * @param {string} itemId - Item ID in the source
+ * @param {Object} placement - { sectionId, categoryId (item category in that section, optional) }
+ * @param {Object} [options] - What comes along (default: everything)
+ * @param {boolean} [options.fresh] - Start over: statuses reset to open, no prompt history, discussion or plan comments
+ * @param {boolean} [options.attachments] - Attachments other than plans
+ * @param {string} [options.plans] - 'all' plan versions, 'latest' (as PLAN-v1.md) or 'none'
+ * @returns {Object} { item, tasks, files } where files are the attachment files to copy,
+ *   as { from, to } paths relative to the source and target attachments directories
+ */
+function copyItemTree(source, target, itemId, { sectionId, categoryId = null }, options = FULL_COPY) {
+  const original = source.items[itemId];
+  if (!original) {
+    throw new ProjectDataError(`Item ${itemId} not found`, 404);
+  }
+  if (!target.sections[sectionId]) {
+    throw new ProjectDataError(`Section ${sectionId} not found`, 404);
+  }
+  const category = categoryId ? target.itemCategories[categoryId] : null;
+  if (categoryId && category?.sectionId !== sectionId) {
+    throw new ProjectDataError(`Item category ${categoryId} not found in section ${target.sections[sectionId].name}`, 404);
+  }
+
+  const tagMap = new Map();
+  const mapTags = tagIds => (tagIds || []).map(tagId => matchTag(source, target, tagId, tagMap)).filter(Boolean);
+  const files = [];
+
+  // New IDs for the item, its task categories and its tasks (categorized ones included)
+  const newItemId = generateId(itemIdPrefix(sectionId));
+  const categoryIds = new Map((original.categoryOrder || [])
+    .filter(id => source.taskCategories[id])
+    .map(id => [id, generateId('cat')]));
+  const sourceTasks = Object.values(source.tasks)
+    .filter(task => task.itemId === itemId)
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  const taskIds = new Map(sourceTasks.map(task => [task.id, generateId('task')]));
+  const mapIds = (ids, map) => (ids || []).map(id => map.get(id)).filter(Boolean);
+
+  const item = {
+    ...structuredClone(original),
+    id: newItemId,
+    sectionId,
+    categoryId: category ? categoryId : null,
+    taskOrder: mapIds(original.taskOrder, taskIds),
+    categoryOrder: [...categoryIds.values()],
+    tagIds: mapTags(original.tagIds),
+    rev: 1
+  };
+  delete item.key;
+  item.attachments = copyAttachments(original.attachments, 'item', newItemId, files, options);
+  if (options.fresh) {
+    startOver(item, initialStatus(getWorkflow(target, sectionId)));
+  } else {
+    fitStatusToSection(target, item, getWorkflow(source, original.sectionId));
+  }
+  assignItemKey(target, item);
+  target.items[newItemId] = item;
+  (category || target.sections[sectionId]).itemOrder.push(newItemId);
+
+  for (const [oldId, newId] of categoryIds) {
+    const taskCategory = source.taskCategories[oldId];
+    target.taskCategories[newId] = {
+      ...structuredClone(taskCategory),
+      id: newId,
+      itemId: newItemId,
+      taskOrder: mapIds(taskCategory.taskOrder, taskIds)
+    };
+  }
+
+  // Tasks keep their numbering order under the new item's key
+  const tasks = sourceTasks.map(sourceTask => {
+    const task = {
+      ...structuredClone(sourceTask),
+      id: taskIds.get(sourceTask.id),
+      itemId: newItemId,
+      categoryId: categoryIds.get(sourceTask.categoryId) || null,
+      tagIds: mapTags(sourceTask.tagIds),
+      rev: 1
+    };
+    delete task.key;
+    task.attachments = copyAttachments(sourceTask.attachments, 'task', task.id, files, options);
+    if (options.fresh) startOver(task, 'open');
+    assignTaskKey(target, task);
+    target.tasks[task.id] = task;
+    return task;
+  });
+
+  // Tasks that were in no order list (damaged data) still show up, uncategorized
+  for (const task of tasks) {
+    if (!task.categoryId && !item.taskOrder.includes(task.id)) item.taskOrder.push(task.id);
+  }
+
+  return { item, tasks, files };
+}
+
+// Copy attachment files between attachments directories; files already missing are skipped
+async function copyAttachmentFiles(files, fromDir, toDir) {
+  for (const file of files) {
+    const destination = path.join(toDir, ...file.to.split('/'));
+    try {
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.copyFile(path.join(fromDir, ...file.from.split(/[\\/]/)), destination);
+    } catch (error) {
+      // The integrity check reports attachments whose file is missing
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/**
+ * Move or copy an item to another project. Callers must hold the write
+ * locks of both projects (see dataLock.withDataLocks).
+ * @param {Object} request
+ * @param {string} request.projectId - Source project ID
+ * @param {string} request.itemId - Item ID or key in the source project
+ * @param {string} request.targetProjectId - Project to move or copy it to
+ * @param {string} [request.mode='move'] - 'move' or 'copy'
+ * @param {string} [request.sectionId] - Target section (default: the section with the same ID, e.g. sect-bugs)
+ * @param {string} [request.categoryId] - Target item category in that section
+ * @param {Object} [req] - Express request (or MCP request-like), for change history
+ * @returns {Promise<Object>} { mode, item, taskCount, attachmentCount, targetProjectId }
+ */
+async function transferItem({ projectId, itemId, targetProjectId, mode = 'move', sectionId, categoryId }, req) {
+  if (!TRANSFER_MODES.includes(mode)) {
+    throw new ProjectDataError(`Invalid mode: ${mode}. Must be one of: ${TRANSFER_MODES.join(', ')}`);
+  }
+  const { projects } = await loadProjects();
+  if (!projects[projectId]) {
+    throw new ProjectDataError(`Project ${projectId} not found`, 404);
+  }
+  if (!targetProjectId || !projects[targetProjectId]) {
+    throw new ProjectDataError(`Target project ${targetProjectId} not found`, 404);
+  }
+  if (targetProjectId === projectId) {
+    throw new ProjectDataError('The item is already in this project; move it between sections with move-item instead');
+  }
+
+  const source = await loadData(projectId, req);
+  const target = await loadData(targetProjectId, req);
+  const resolved = resolveKey(source, itemId);
+  if (resolved?.type !== 'item') {
+    throw new ProjectDataError(`Item ${itemId} not found`, 404);
+  }
+  const original = source.items[resolved.id];
+
+  // System sections have the same IDs in every project
+  const targetSectionId = sectionId || original.sectionId;
+  if (!target.sections[targetSectionId]) {
+    throw new ProjectDataError(`Section ${targetSectionId} not found in the target project; choose a sectionId`, sectionId ? 404 : 400);
+  }
+
+  const { item, tasks, files } = copyItemTree(source, target, original.id, { sectionId: targetSectionId, categoryId });
+  await copyAttachmentFiles(files, await getAttachmentsDir(projectId, req), await getAttachmentsDir(targetProjectId, req));
+  await saveData(target, targetProjectId, req);
+
+  if (mode === 'move') {
+    await snapshotBefore(await getDataFilePath(projectId, req), 'before-move-to-project');
+    deleteItem(source, original.id);
+    await saveData(source, projectId, req);
+  }
+
+  return { mode, item, taskCount: tasks.length, attachmentCount: files.length, targetProjectId };
+}
+
+// Move an entry of an order list to just after another one
+function placeAfter(order, id, afterId) {
+  const index = order.indexOf(afterId);
+  if (index === -1) return;
+  order.splice(order.indexOf(id), 1);
+  order.splice(index + 1, 0, id);
+}
+
+/**
+ * Duplicate an item (with its task categories and tasks) or a task within its
+ * project. The copy is titled "<title> (copy)", placed right after the
+ * original and starts over as open; description, priority, complexity, tags
+ * and custom fields are kept.
+ * @param {Object} data - Loaded project data
+ * @param {string} type - 'item' or 'task'
+ * @param {string} id - Item or task ID
+ * @param {Object} options
+ * @param {boolean} [options.attachments=false] - Copy the attachments other than plans
+ * @param {boolean} [options.plan=false] - Copy the latest plan version (as PLAN-v1.md)
+ * @param {string} attachmentsDir - Project attachments directory
+ * @returns {Promise<Object>} { type, entity, tasks } - the copy, and for items its tasks
+ */
+async function duplicateEntity(data, type, id, { attachments = false, plan = false } = {}, attachmentsDir) {
+  const options = { fresh: true, attachments: Boolean(attachments), plans: plan ? 'latest' : 'none' };
+
+  if (type === 'item') {
+    const original = data.items[id];
+    if (!original) {
+      throw new ProjectDataError(`Item ${id} not found`, 404);
+    }
+    const category = data.itemCategories[original.categoryId];
+    const { item, tasks, files } = copyItemTree(data, data, id, { sectionId: original.sectionId, categoryId: category ? category.id : null }, options);
+    item.title = `${original.title} (copy)`;
+    placeAfter((category || data.sections[original.sectionId]).itemOrder, item.id, id);
+    await copyAttachmentFiles(files, attachmentsDir, attachmentsDir);
+    return { type, entity: item, tasks };
+  }
+
+  if (type === 'task') {
+    const original = data.tasks[id];
+    if (!original) {
+      throw new ProjectDataError(`Task ${id} not found`, 404);
+    }
+    const category = data.taskCategories[original.categoryId];
+    const files = [];
+    const task = {
+      ...structuredClone(original),
+      id: generateId('task'),
+      title: `${original.title} (copy)`,
+      categoryId: category ? category.id : null,
+      rev: 1
+    };
+    delete task.key;
+    task.attachments = copyAttachments(original.attachments, 'task', task.id, files, options);
+    startOver(task, 'open');
+    assignTaskKey(data, task);
+    data.tasks[task.id] = task;
+    const order = (category || data.items[original.itemId]).taskOrder;
+    order.push(task.id);
+    placeAfter(order, task.id, id);
+    await copyAttachmentFiles(files, attachmentsDir, attachmentsDir);
+    return { type, entity: task, tasks: [] };
+  }
+
+  throw new ProjectDataError(`Invalid type: ${type}. Must be item or task`);
+}
+
+module.exports = {
+  TRANSFER_MODES,
+  copyItemTree,
+  transferItem,
+  duplicateEntity
+};
@@ -0,0 +1,841 @@
+/**
+ * Markdown mirror of a project's items
+ *
+ * An opt-in mode (the project's `markdownMirror` flag, which needs a working
+ * directory) that keeps one Markdown file per item in `<workingDir>/.promptling/`,
+ * so the backlog and its plans can be committed and reviewed with the code.
+ * A file holds the item's fields as YAML frontmatter, its description, its
+ * tasks as a checklist (under their categories) and every plan version.
+ *
+ * The mirror works both ways:
+ *
+ * - Every write of the project's data rewrites the files whose content changed.
+ * - Edits made on disk (by hand, a git pull or a checkout) are read back into
+ *   the data when the directory watcher sees them, at startup and on demand.
+ *   Editing the last plan saves a new plan version; deleting a task line or
+ *   an item file moves it to the trash; a new file becomes a new item.
+ *
+ * `<project dir>/mirror.json` keeps the hash of every file as last written or
+ * read, which is how each side tells that the other changed a file. A file
+ * edited on disk is never overwritten before it has been read back.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('./storage');
+const { withDataLock } = require('./dataLock');
+const { snapshotBefore } = require('./snapshots');
+const { bumpRevision } = require('./revisions');
+const { trashEntity } = require('./trash');
+const {
+  SYSTEM_SECTIONS,
+  DEFAULT_TAG_COLORS,
+  generateId,
+  loadData,
+  saveData,
+  getAttachmentsDir,
+  createItem,
+  createTask,
+  createSection,
+  createItemCategory,
+  createTaskCategory,
+  updateEntity,
+  getWorkflow,
+  statusCategory,
+  canTransition,
+  fitStatusToSection,
+  savePlanVersion
+} = require('./projectData');
+const { loadProjects, getProjectDir, getProjectDataPath } = require('./projects');
+
+const MIRROR_DIRNAME = '.promptling';
+const MANIFEST_FILENAME = 'mirror.json';
+const README_FILENAME = 'README.md';
+// Editors write a file in several steps; wait for them to finish
+const WATCH_DEBOUNCE_MS = 300;
+
+// Saves edits read back from the files as the user's, through the files (see services/activity.js)
+const FILES_REQUEST = { activity: { actor: 'user', source: 'files' } };
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const STATUS_MARKS = { open: ' ', 'in-progress': '~', done: 'x' };
+const ITEM_ID_PATTERN = /^(feat|bug|item)-[\w-]+$/;
+
+// Headings that start the tasks and plan parts of a file
+const MARKER_LINE = /^##\s.*<!--\s*promptling:(tasks|plan)(?:\s+(\d+))?\s*-->\s*$/;
+const TASK_LINE = /^[-*]\s+\[([ xX~])\]\s*(.*?)\s*(?:<!--\s*([\w-]+)\s*-->)?\s*$/;
+const CATEGORY_LINE = /^###\s+(.*?)\s*(?:<!--\s*([\w-]+)\s*-->)?\s*$/;
+
+const README = `# Promptling items
+
+Each file is one item: its fields in the frontmatter, the title as the first
+heading, then the description, the tasks and the plan versions. Edits are read
+back into Promptling while it runs.
+
+- Tasks are checklist lines: \`[ ]\` open, \`[~]\` in progress, \`[x]\` done.
+  Indented lines below a task are its description; \`###\` headings group tasks.
+- Editing the last plan saves it as a new plan version.
+- Deleting a task line or a file moves the task or item to the trash.
+- A new file (with at least an empty frontmatter block) becomes a new item.
+- Keep the \`<!-- ... -->\` comments; they link lines to Promptling IDs.
+- The \`key\` field is for reference; changing it has no effect.
+`;
+
+// Mirrored projects: { projectId, dataFile, workingDir, dir, watcher, timer } by canonical data.json path
+const mirrors = new Map();
+
+// Plan files never change once written, so their content is kept after the first read
+const planCache = new Map();
+
+let started = false;
+
+// ========== FILE FORMAT ==========
+
+function hashOf(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function oneLine(text) {
+  return String(text || '').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function slugify(text) {
+  return oneLine(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50).replace(/-+$/, '');
+}
+
+// File name for an item; the ID keeps it unique and stable across retitles of similar items
+function itemFileName(item) {
+  const slug = slugify(item.title);
+  return slug ? `${item.id}-${slug}.md` : `${item.id}.md`;
+}
+
+// Write a frontmatter value, quoting it whenever YAML would read it as something else
+function formatValue(value) {
+  if (typeof value === 'number') return String(value);
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  const text = String(value);
+  const plain = /^[A-Za-z_][\w ./@+-]*$/.test(text) && !/\s$/.test(text) && !/^(true|false|null|yes|no|on|off)$/i.test(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (!value || value === '~' || value === 'null') return null;
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.replace(/^"|"$/g, '');
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+// "[a, "b, c"]" -> ['a', 'b, c']
+function parseFlowList(text) {
+  const inner = text.trim().replace(/^\[/, '').replace(/\]$/, '');
+  const values = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < inner.length; i++) {
+    const char = inner[i];
+    if (quote) {
+      current += char;
+      if (char === '\\' && quote === '"') {
+        current += inner[++i] || '';
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+  return values.map(parseScalar).filter(value => value !== null);
+}
+
+// Split off the frontmatter (a subset of YAML: scalars, flow and block lists)
+function parseFrontmatter(content) {
+  const match = content.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/);
+  if (!match) return null;
+
+  const fields = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const listEntry = line.match(/^\s*-\s+(.*)$/);
+    if (listEntry && listKey) {
+      if (!Array.isArray(fields[listKey])) fields[listKey] = [];
+      const value = parseScalar(listEntry[1]);
+      if (value !== null) fields[listKey].push(value);
+      continue;
+    }
+    const entry = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!entry) continue;
+    const [, key, raw] = entry;
+    listKey = null;
+    if (raw.trim().startsWith('[')) {
+      fields[key] = parseFlowList(raw);
+    } else {
+      fields[key] = parseScalar(raw);
+      if (fields[key] === null) listKey = key;
+    }
+  }
+  return { fields, body: content.slice(match[0].length) };
+}
+
+// Checklist lines (and ### category headings) of the tasks part
+function parseTasks(lines) {
+  const tasks = [];
+  const categories = [];
+  let target = tasks;
+  let task = null;
+
+  for (const line of lines) {
+    const taskMatch = line.match(TASK_LINE);
+    const categoryMatch = !taskMatch && line.match(CATEGORY_LINE);
+    if (taskMatch) {
+      const [, mark, title, id] = taskMatch;
+      const status = mark === '~' ? 'in-progress' : mark.trim() ? 'done' : 'open';
+      task = { id: id || null, title, status, descriptionLines: [] };
+      target.push(task);
+    } else if (categoryMatch) {
+      const category = { id: categoryMatch[2] || null, name: categoryMatch[1], tasks: [] };
+      categories.push(category);
+      target = category.tasks;
+      task = null;
+    } else if (task && (!line.trim() || /^(\t| {2})/.test(line))) {
+      task.descriptionLines.push(line.replace(/^(\t| {1,2})/, ''));
+    } else if (line.trim()) {
+      task = null;
+    }
+  }
+
+  const finish = ({ descriptionLines, ...entry }) => ({ ...entry, description: descriptionLines.join('\n').trim() });
+  return {
+    tasks: tasks.map(finish),
+    categories: categories.map(category => ({ ...category, tasks: category.tasks.map(finish) }))
+  };
+}
+
+/**
+ * Parse an item file
+ * @param {string} content - File contents
+ * @param {string} fileName - Used as the title if the file has no heading
+ * @returns {Object|null} { fields, title, description, tasks, categories, plans }, or null without frontmatter
+ */
+function parseItemFile(content, fileName) {
+  const parsed = parseFrontmatter(content);
+  if (!parsed) return null;
+
+  const lines = parsed.body.split(/\r?\n/);
+  let title = null;
+  const firstLine = lines.findIndex(line => line.trim());
+  if (firstLine !== -1 && /^#\s/.test(lines[firstLine])) {
+    title = lines[firstLine].replace(/^#\s+/, '').trim();
+    lines.splice(0, firstLine + 1);
+  }
+
+  // Description, then the tasks and plan parts in any order
+  const parts = [{ kind: 'description', lines: [] }];
+  for (const line of lines) {
+    const marker = line.match(MARKER_LINE);
+    if (marker) {
+      parts.push({ kind: marker[1], version: marker[2] ? parseInt(marker[2]) : null, lines: [] });
+    } else {
+      parts[parts.length - 1].lines.push(line);
+    }
+  }
+
+  const taskPart = parts.find(part => part.kind === 'tasks');
+  const { tasks, categories } = parseTasks(taskPart ? taskPart.lines : []);
+  return {
+    fields: parsed.fields,
+    title: title || oneLine(parsed.fields.title) || path.basename(fileName, '.md'),
+    description: parts[0].lines.join('\n').trim(),
+    hasTasks: Boolean(taskPart),
+    tasks,
+    categories,
+    plans: parts
+      .filter(part => part.kind === 'plan')
+      .map(part => ({ version: part.version, content: part.lines.join('\n').trim() }))
+  };
+}
+
+function renderTaskLines(data, taskIds) {
+  const lines = [];
+  for (const taskId of taskIds || []) {
+    const task = data.tasks[taskId];
+    if (!task) continue;
+    lines.push(`- [${STATUS_MARKS[task.status] || ' '}] ${oneLine(task.title)} <!-- ${task.id} -->`);
+    const description = (task.description || '').trim();
+    if (description) {
+      lines.push(...description.split('\n').map(line => (line.trim() ? `  ${line}` : '')));
+    }
+  }
+  if (lines.length > 0) lines.push('');
+  return lines;
+}
+
+/**
+ * Render an item file
+ * @param {Object} data - Project data
+ * @param {Object} item - The item
+ * @param {Object[]} plans - [{ version, content }], oldest first
+ * @returns {string} File contents
+ */
+function renderItem(data, item, plans) {
+  const section = data.sections[item.sectionId];
+  const category = item.categoryId && data.itemCategories[item.categoryId];
+  const tags = (item.tagIds || []).map(tagId => data.tags?.[tagId]?.name).filter(Boolean);
+  const fields = [
+    ['id', item.id],
+    ['key', item.key],
+    ['section', section?.name],
+    ['category', category?.name],
+    ['status', item.status],
+    ['priority', item.priority],
+    ['complexity', item.complexity],
+    ['tags', tags],
+    ['created', item.createdAt],
+    ['finished', item.finishedAt]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  const lines = ['---', ...fields.map(([key, value]) => `${key}: ${formatValue(value)}`), '---', ''];
+  lines.push(`# ${oneLine(item.title)}`, '');
+  if (item.description?.trim()) {
+    lines.push(item.description.trim(), '');
+  }
+
+  lines.push('## Tasks <!-- promptling:tasks -->', '');
+  lines.push(...renderTaskLines(data, item.taskOrder));
+  for (const categoryId of item.categoryOrder || []) {
+    const taskCategory = data.taskCategories[categoryId];
+    if (!taskCategory) continue;
+    lines.push(`### ${oneLine(taskCategory.name)} <!-- ${taskCategory.id} -->`, '');
+    lines.push(...renderTaskLines(data, taskCategory.taskOrder));
+  }
+
+  for (const plan of plans) {
+    lines.push(`## Plan v${plan.version} <!-- promptling:plan ${plan.version} -->`, '', plan.content, '');
+  }
+  return lines.join('\n').replace(/\n+$/, '\n');
+}
+
+// ========== PLANS ==========
+
+// Plan attachments of an item, oldest first
+function planAttachments(item) {
+  return (item.attachments || [])
+    .filter(attachment => /^PLAN-v\d+\.md$/.test(attachment.filename || ''))
+    .sort((a, b) => parseInt(a.filename.slice(6)) - parseInt(b.filename.slice(6)));
+}
+
+async function readPlan(attachmentsDir, attachment) {
+  const fullPath = path.join(attachmentsDir, attachment.storedPath || '');
+  if (planCache.has(fullPath)) return planCache.get(fullPath);
+  try {
+    const content = (await fs.readFile(fullPath, 'utf-8')).trim();
+    planCache.set(fullPath, content);
+    return content;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function loadPlans(item, attachmentsDir) {
+  const plans = [];
+  for (const attachment of planAttachments(item)) {
+    const content = await readPlan(attachmentsDir, attachment);
+    if (content !== null) plans.push({ version: parseInt(attachment.filename.slice(6)), content });
+  }
+  return plans;
+}
+
+// ========== READING FILES BACK ==========
+
+function findByName(entities, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return entities.find(entity => (entity.name || '').trim().toLowerCase() === wanted);
+}
+
+// Section by name (or ID), created if missing
+function resolveSection(data, name) {
+  if (!name) return SYSTEM_SECTIONS.FEATURES;
+  if (data.sections[name]) return name;
+  return (findByName(Object.values(data.sections), name) || createSection(data, { name: String(name) })).id;
+}
+
+// Item category by name within the section, created if missing
+function resolveItemCategory(data, sectionId, name) {
+  if (!name) return null;
+  const categories = Object.values(data.itemCategories).filter(category => category.sectionId === sectionId);
+  return (findByName(categories, name) || createItemCategory(data, { sectionId, name: String(name) })).id;
+}
+
+// Tag IDs by name, creating missing tags
+function resolveTags(data, names) {
+  if (!data.tags) data.tags = {};
+  const tagIds = [];
+  for (const name of Array.isArray(names) ? names : names ? [names] : []) {
+    let tag = findByName(Object.values(data.tags), name);
+    if (!tag) {
+      tag = {
+        id: generateId('tag'),
+        name: String(name),
+        color: DEFAULT_TAG_COLORS[Object.keys(data.tags).length % DEFAULT_TAG_COLORS.length]
+      };
+      data.tags[tag.id] = tag;
+    }
+    if (!tagIds.includes(tag.id)) tagIds.push(tag.id);
+  }
+  return tagIds;
+}
+
+// Move an item to another section or item category, at the end
+function moveItem(data, item, sectionId, categoryId) {
+  if (item.categoryId && data.itemCategories[item.categoryId]) {
+    const category = data.itemCategories[item.categoryId];
+    category.itemOrder = category.itemOrder.filter(id => id !== item.id);
+  } else if (data.sections[item.sectionId]) {
+    const section = data.sections[item.sectionId];
+    section.itemOrder = section.itemOrder.filter(id => id !== item.id);
+  }
+  item.sectionId = sectionId;
+  item.categoryId = categoryId;
+  (categoryId ? data.itemCategories[categoryId] : data.sections[sectionId]).itemOrder.push(item.id);
+}
+
+// A new file keeps the ID it was written with (e.g. by another copy of the project) when that ID is free
+function isFreeItemId(data, id) {
+  if (typeof id !== 'string' || !ITEM_ID_PATTERN.test(id) || data.items[id]) return false;
+  return !Object.values(data.trash || {}).some(entry => entry.entities?.items?.[id]);
+}
+
+function adoptItemId(data, item, id) {
+  const order = item.categoryId ? data.itemCategories[item.categoryId].itemOrder : data.sections[item.sectionId].itemOrder;
+  order[order.indexOf(item.id)] = id;
+  delete data.items[item.id];
+  item.id = id;
+  data.items[id] = item;
+}
+
+// Only the fields that differ, so unchanged entities keep their revision
+function diffFields(entity, fields) {
+  const changes = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && JSON.stringify(entity[key] ?? null) !== JSON.stringify(value ?? null)) {
+      changes[key] = value;
+    }
+  }
+  return changes;
+}
+
+// Make an item's tasks and task categories match the file
+function applyTasks(data, item, parsed) {
+  const existingTasks = Object.values(data.tasks).filter(task => task.itemId === item.id);
+  const existingCategories = Object.values(data.taskCategories).filter(category => category.itemId === item.id);
+
+  // Match categories by ID, then by name
+  const matchedCategories = parsed.categories.map(entry => {
+    const byId = existingCategories.find(category => category.id === entry.id);
+    return byId || findByName(existingCategories.filter(category => !parsed.categories.some(other => other.id === category.id)), entry.name) || null;
+  });
+  const keptCategoryIds = new Set(matchedCategories.filter(Boolean).map(category => category.id));
+  const lines = [...parsed.tasks, ...parsed.categories.flatMap(category => category.tasks)];
+  const keptTaskIds = new Set(lines.map(line => line.id).filter(id => existingTasks.some(task => task.id === id)));
+
+  // Lines and headings removed from the file go to the trash
+  let removed = 0;
+  for (const task of existingTasks) {
+    if (!keptTaskIds.has(task.id) && data.tasks[task.id]) {
+      trashEntity(data, 'task', task.id);
+      removed++;
+    }
+  }
+  for (const category of existingCategories) {
+    if (!keptCategoryIds.has(category.id) && data.taskCategories[category.id]) {
+      trashEntity(data, 'category', category.id);
+      removed++;
+    }
+  }
+
+  const placed = new Set();
+  const place = (line, categoryId) => {
+    let task = line.id && keptTaskIds.has(line.id) && !placed.has(line.id) ? data.tasks[line.id] : null;
+    if (task) {
+      const changes = diffFields(task, { title: line.title, description: line.description, status: line.status });
+      if (Object.keys(changes).length > 0) updateEntity(data, 'task', task.id, changes);
+    } else {
+      task = createTask(data, { itemId: item.id, title: line.title, description: line.description, status: line.status });
+    }
+    task.categoryId = categoryId;
+    placed.add(task.id);
+    return task.id;
+  };
+
+  const taskOrder = parsed.tasks.map(line => place(line, null));
+  const categoryOrder = parsed.categories.map((entry, index) => {
+    const category = matchedCategories[index] && !placed.has(matchedCategories[index].id)
+      ? matchedCategories[index]
+      : createTaskCategory(data, { itemId: item.id, name: entry.name });
+    if (category.name !== entry.name) category.name = entry.name;
+    placed.add(category.id);
+    category.taskOrder = entry.tasks.map(line => place(line, category.id));
+    return category.id;
+  });
+
+  const changes = diffFields(item, { taskOrder, categoryOrder });
+  if (Object.keys(changes).length > 0) {
+    Object.assign(item, changes);
+    bumpRevision(item);
+  }
+  return removed;
+}
+
+// Save the file's last plan as a new version when it differs from the latest stored one
+async function applyPlan(item, plans, attachmentsDir) {
+  const latest = plans[plans.length - 1];
+  if (!latest?.content) return false;
+  const stored = planAttachments(item);
+  const current = stored.length > 0 ? await readPlan(attachmentsDir, stored[stored.length - 1]) : null;
+  if (current === latest.content) return false;
+
+  const { fullPath } = await savePlanVersion(item, 'item', `${latest.content}\n`, attachmentsDir);
+  planCache.set(fullPath, latest.content);
+  return true;
+}
+
+/**
+ * Apply an item file to the data
+ * @returns {Promise<Object>} { item, created, removed } where removed counts trashed tasks and categories
+ */
+async function applyItemFile(data, parsed, attachmentsDir) {
+  const { fields } = parsed;
+  const sectionId = resolveSection(data, fields.section);
+  const categoryId = resolveItemCategory(data, sectionId, fields.category);
+  const status = statusCategory(getWorkflow(data, sectionId), fields.status) ? fields.status : undefined;
+  const priority = PRIORITIES.includes(fields.priority) ? fields.priority : undefined;
+  const complexity = parseInt(fields.complexity) >= 1 && parseInt(fields.complexity) <= 5 ? parseInt(fields.complexity) : null;
+  const tagIds = resolveTags(data, fields.tags);
+
+  let item = data.items[fields.id];
+  const created = !item;
+  if (created) {
+    item = createItem(data, { sectionId, categoryId, title: parsed.title, description: parsed.description, status, priority, tagIds });
+    item.complexity = complexity;
+    if (isFreeItemId(data, fields.id)) adoptItemId(data, item, fields.id);
+  } else {
+    if (item.sectionId !== sectionId || (item.categoryId || null) !== categoryId) {
+      const previousSectionId = item.sectionId;
+      moveItem(data, item, sectionId, categoryId);
+      if (sectionId !== previousSectionId) fitStatusToSection(data, item, getWorkflow(data, previousSectionId));
+    }
+    const changes = diffFields(item, { title: parsed.title, description: parsed.description, status, priority, complexity, tagIds });
+    // A status change the workflow doesn't allow is left out; the file is rewritten with the actual status
+    if (changes.status && !canTransition(getWorkflow(data, sectionId), item.status, changes.status)) {
+      console.warn(`Markdown mirror: ${item.id} can't change from ${item.status} to ${changes.status}`);
+      delete changes.status;
+    }
+    if (Object.keys(changes).length > 0) updateEntity(data, 'item', item.id, changes);
+  }
+
+  // A file without a tasks heading leaves the tasks alone
+  const removed = parsed.hasTasks ? applyTasks(data, item, parsed) : 0;
+  await applyPlan(item, parsed.plans, attachmentsDir);
+  return { item, created, removed };
+}
+
+// ========== SYNC ==========
+
+function manifestPath(mirror) {
+  return path.join(getProjectDir(mirror.projectId), MANIFEST_FILENAME);
+}
+
+// { workingDir, files: { itemId: { file, hash } } }; starts over when the working directory changed
+async function readManifest(mirror) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestPath(mirror), 'utf-8'));
+    if (manifest.workingDir === mirror.workingDir && manifest.files) return manifest;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable ${manifestPath(mirror)}:`, error.message);
+  }
+  return { workingDir: mirror.workingDir, files: {} };
+}
+
+async function writeManifest(mirror, manifest) {
+  const file = manifestPath(mirror);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+}
+
+// Hash of a file on disk, or null if it doesn't exist
+async function fileHash(file) {
+  try {
+    return hashOf(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function removeFile(file) {
+  await fs.rm(file, { force: true });
+}
+
+/**
+ * Write the files of items that changed, and remove files of deleted items
+ * @param {Object} mirror - Entry of the mirrors map
+ * @param {Object} data - Project data as just saved
+ * @returns {Promise<Object>} { written, removed }
+ */
+async function exportMirror(mirror, data) {
+  const { dir } = mirror;
+  await fs.mkdir(dir, { recursive: true });
+  const manifest = await readManifest(mirror);
+  const attachmentsDir = path.join(getProjectDir(mirror.projectId), 'attachments');
+  const result = { written: 0, removed: 0 };
+
+  if (await fileHash(path.join(dir, README_FILENAME)) === null) {
+    await fs.writeFile(path.join(dir, README_FILENAME), README);
+  }
+
+  for (const item of Object.values(data.items)) {
+    const content = renderItem(data, item, await loadPlans(item, attachmentsDir));
+    const hash = hashOf(content);
+    const fileName = itemFileName(item);
+    const entry = manifest.files[item.id];
+    if (entry && entry.hash === hash && entry.file === fileName) continue;
+
+    // Changed (or deleted) on disk since we last wrote it: the next import reads it back first
+    if (entry && await fileHash(path.join(dir, entry.file)) !== entry.hash) continue;
+    if (!entry && await fileHash(path.join(dir, fileName)) !== null) continue;
+
+    const file = path.join(dir, fileName);
+    await fs.writeFile(`${file}.tmp`, content);
+    await fs.rename(`${file}.tmp`, file);
+    if (entry && entry.file !== fileName) await removeFile(path.join(dir, entry.file));
+    manifest.files[item.id] = { file: fileName, hash };
+    result.written++;
+  }
+
+  for (const [itemId, entry] of Object.entries(manifest.files)) {
+    if (data.items[itemId]) continue;
+    const file = path.join(dir, entry.file);
+    const hash = await fileHash(file);
+    // Edited on disk after the delete: leave it, the next import brings the item back
+    if (hash !== null && hash !== entry.hash) continue;
+    if (hash !== null) {
+      await removeFile(file);
+      result.removed++;
+    }
+    delete manifest.files[itemId];
+  }
+
+  await writeManifest(mirror, manifest);
+  return result;
+}
+
+/**
+ * Read files changed on disk back into the project data, then write out
+ * anything the data has that the files don't
+ * @param {Object} mirror - Entry of the mirrors map
+ * @returns {Promise<Object>} { created, updated, deleted, ignored, written, removed }
+ */
+async function importMirror(mirror) {
+  const { projectId, dataFile, dir } = mirror;
+  return withDataLock(dataFile, async () => {
+    const data = await loadData(projectId);
+    const manifest = await readManifest(mirror);
+    const attachmentsDir = await getAttachmentsDir(projectId);
+    const result = { created: 0, updated: 0, deleted: 0, ignored: [], written: 0, removed: 0 };
+
+    let fileNames = null;
+    try {
+      fileNames = (await fs.readdir(dir)).filter(name => name.endsWith('.md') && name !== README_FILENAME).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const trackedIds = new Map(Object.entries(manifest.files).map(([itemId, entry]) => [entry.file, itemId]));
+    const seen = new Set();
+    let changed = false;
+
+    for (const fileName of fileNames || []) {
+      const content = await fs.readFile(path.join(dir, fileName), 'utf-8');
+      const hash = hashOf(content);
+      const trackedId = trackedIds.get(fileName);
+      if (trackedId && manifest.files[trackedId].hash === hash) {
+        seen.add(trackedId);
+        continue;
+      }
+
+      const parsed = parseItemFile(content, fileName);
+      if (!parsed) {
+        result.ignored.push(fileName);
+        continue;
+      }
+      // A copied file carries its original's ID; it becomes a new item
+      if (seen.has(parsed.fields.id)) parsed.fields.id = null;
+
+      const { item, created, removed } = await applyItemFile(data, parsed, attachmentsDir);
+      result[created ? 'created' : 'updated']++;
+      result.deleted += removed;
+      seen.add(item.id);
+      manifest.files[item.id] = { file: fileName, hash };
+      changed = true;
+    }
+
+    // A missing directory means the mirror was removed or isn't checked out, not that every item was deleted
+    if (fileNames) {
+      for (const itemId of Object.keys(manifest.files)) {
+        if (seen.has(itemId)) continue;
+        if (data.items[itemId]) {
+          trashEntity(data, 'item', itemId);
+          result.deleted++;
+          changed = true;
+        }
+        delete manifest.files[itemId];
+      }
+    }
+
+    await writeManifest(mirror, manifest);
+    if (changed) {
+      if (result.deleted > 0) {
+        await snapshotBefore(dataFile, 'before-mirror-sync');
+      }
+      // Saving writes the files back out (with IDs for new items and tasks)
+      await saveData(data, projectId, FILES_REQUEST);
+    } else {
+      Object.assign(result, await exportMirror(mirror, data));
+    }
+    return result;
+  });
+}
+
+// ========== WATCHING ==========
+
+function scheduleImport(mirror) {
+  clearTimeout(mirror.timer);
+  mirror.timer = setTimeout(async () => {
+    if (mirrors.get(mirror.dataFile) !== mirror) return;
+    try {
+      const result = await importMirror(mirror);
+      if (result.created || result.updated || result.deleted) {
+        console.log(`Markdown mirror: read back ${result.created + result.updated} file(s) from ${mirror.dir}`);
+      }
+    } catch (error) {
+      console.error(`Error reading Markdown mirror ${mirror.dir}:`, error);
+    }
+  }, WATCH_DEBOUNCE_MS);
+  mirror.timer.unref();
+}
+
+function watchMirror(mirror) {
+  try {
+    fsSync.mkdirSync(mirror.dir, { recursive: true });
+    mirror.watcher = fsSync.watch(mirror.dir, { persistent: false }, (eventType, filename) => {
+      if (filename && (!filename.endsWith('.md') || filename === README_FILENAME)) return;
+      scheduleImport(mirror);
+    });
+    // The directory went away (e.g. a checkout); the next write creates and watches it again
+    mirror.watcher.on('error', () => {
+      mirror.watcher?.close();
+      mirror.watcher = null;
+    });
+  } catch (error) {
+    console.warn(`Can't watch Markdown mirror ${mirror.dir}:`, error.message);
+    mirror.watcher = null;
+  }
+}
+
+function stopMirror(dataFile) {
+  const mirror = mirrors.get(dataFile);
+  if (!mirror) return;
+  mirrors.delete(dataFile);
+  clearTimeout(mirror.timer);
+  mirror.watcher?.close();
+}
+
+// Storage write listener: mirror the project if it is mirrored
+async function exportOnWrite(dataFile, data) {
+  const mirror = mirrors.get(dataFile);
+  if (!mirror) return;
+  await exportMirror(mirror, data);
+  if (!mirror.watcher) watchMirror(mirror);
+}
+
+/**
+ * Start or stop mirrors to match the projects' `markdownMirror` settings.
+ * A newly started mirror reads existing files in first, then writes the rest.
+ * Does nothing until startMarkdownMirrors has run (only the server mirrors).
+ */
+async function refreshMirrors() {
+  if (!started) return;
+  const { projects } = await loadProjects();
+  const wanted = new Map();
+  for (const [projectId, project] of Object.entries(projects || {})) {
+    if (project.markdownMirror && project.workingDir) {
+      wanted.set(getProjectDataPath(projectId), { projectId, workingDir: project.workingDir });
+    }
+  }
+
+  for (const [dataFile, mirror] of [...mirrors]) {
+    if (wanted.get(dataFile)?.workingDir !== mirror.workingDir) stopMirror(dataFile);
+  }
+
+  for (const [dataFile, { projectId, workingDir }] of wanted) {
+    if (mirrors.has(dataFile)) continue;
+    const mirror = { projectId, dataFile, workingDir, dir: path.join(workingDir, MIRROR_DIRNAME), watcher: null, timer: null };
+    mirrors.set(dataFile, mirror);
+    watchMirror(mirror);
+    try {
+      await importMirror(mirror);
+    } catch (error) {
+      console.error(`Error syncing Markdown mirror ${mirror.dir}:`, error);
+    }
+  }
+}
+
+/**
+ * Hook the mirror into data writes and start the mirrors of every project that has one
+ */
+async function startMarkdownMirrors() {
+  if (!started) {
+    started = true;
+    storage.onWrite(exportOnWrite);
+  }
+  await refreshMirrors();
+}
+
+/**
+ * Read back and write out a project's mirror now
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} See importMirror; null if the project isn't mirrored
+ */
+async function syncProjectMirror(projectId) {
+  const mirror = mirrors.get(getProjectDataPath(projectId));
+  if (!mirror) return null;
+  return importMirror(mirror);
+}
+
+module.exports = {
+  MIRROR_DIRNAME,
+  parseItemFile,
+  renderItem,
+  startMarkdownMirrors,
+  refreshMirrors,
+  syncProjectMirror
+};
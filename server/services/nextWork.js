@@ -0,0 +1,201 @@
+/**
+ * "What should I work on next?"
+ *
+ * Ranks the open items and tasks of a project and picks one, with the reasons
+ * for the pick, so an agent can loop "take next → plan → implement" over a
+ * backlog. An item with unfinished tasks is worked on through its tasks; once
+ * they are all done the item itself comes up so it can be closed. Anything
+ * with an unfinished blocker (for a task, its item's blockers count too) is
+ * left out.
+ *
+ * The score adds up, highest first:
+ * - priority: critical 40, high 30, medium 20, low 10 (tasks use their item's)
+ * - work already in progress: 25, or 15 for a task of an item in progress,
+ *   so started work is finished before new work begins
+ * - complexity: 12 for trivial down to 0 for epic (6 when not set)
+ * - 5 for each unfinished item or task it unblocks, at most 15
+ * Ties go to whatever comes first in the app's order.
+ */
+
+const {
+  ProjectDataError,
+  workflowFor,
+  statusCategory,
+  getRelations,
+  getBlockers,
+  requireTag
+} = require('./projectData');
+
+const PRIORITY_SCORES = { critical: 40, high: 30, medium: 20, low: 10 };
+const PRIORITY_LABELS = { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+const COMPLEXITY_LABELS = { 1: 'Trivial', 2: 'Simple', 3: 'Medium', 4: 'Hard', 5: 'Epic' };
+
+const IN_PROGRESS_SCORE = 25;
+const ITEM_IN_PROGRESS_SCORE = 15;
+const UNBLOCKS_SCORE = 5;
+const MAX_UNBLOCKS_SCORE = 15;
+const DEFAULT_LIMIT = 5;
+
+// Status category of an item or task: 'todo', 'active' or 'done'
+function categoryOf(data, type, entity) {
+  return statusCategory(workflowFor(data, type, entity), entity.status) || 'todo';
+}
+
+// "API-3" or, for entities without a key, the title
+function label(entity) {
+  return entity.key || `"${entity.title}"`;
+}
+
+// Item and task IDs in display order (sections, then categories, then uncategorized; tasks after their item)
+function displayOrder(data) {
+  const order = [];
+  for (const sectionId of data.sectionOrder || []) {
+    const section = data.sections[sectionId];
+    if (!section) continue;
+    const itemIds = [
+      ...(section.categoryOrder || []).flatMap(categoryId => data.itemCategories[categoryId]?.itemOrder || []),
+      ...(section.itemOrder || [])
+    ];
+    for (const itemId of itemIds) {
+      const item = data.items[itemId];
+      if (!item) continue;
+      order.push(itemId);
+      order.push(...(item.taskOrder || []));
+      for (const categoryId of item.categoryOrder || []) {
+        order.push(...(data.taskCategories[categoryId]?.taskOrder || []));
+      }
+    }
+  }
+  return new Map(order.map((id, index) => [id, index]));
+}
+
+// Score an open, unblocked item or task; returns { score, reasons }
+function scoreCandidate(data, type, entity, parent) {
+  const reasons = [];
+  let score = 0;
+
+  const priority = entity.priority || parent?.priority || 'medium';
+  score += PRIORITY_SCORES[priority] || PRIORITY_SCORES.medium;
+  reasons.push(`${PRIORITY_LABELS[priority] || priority} priority${!entity.priority && parent ? ` (from ${label(parent)})` : ''}`);
+
+  if (categoryOf(data, type, entity) === 'active') {
+    score += IN_PROGRESS_SCORE;
+    reasons.push('already in progress, so finishing it comes before starting something new');
+  } else if (parent && categoryOf(data, 'item', parent) === 'active') {
+    score += ITEM_IN_PROGRESS_SCORE;
+    reasons.push(`part of ${label(parent)}, which is in progress`);
+  }
+
+  const complexity = entity.complexity || null;
+  score += complexity ? (5 - complexity) * 3 : 6;
+  if (complexity) {
+    reasons.push(`${COMPLEXITY_LABELS[complexity] || complexity} complexity${complexity >= 4 ? ', which ranks it lower' : ''}`);
+  }
+
+  const unblocks = getRelations(data, entity.id)
+    .filter(relation => relation.type === 'blocks' && relation.direction === 'outgoing' && !relation.other.finished)
+    .map(relation => relation.other);
+  if (unblocks.length > 0) {
+    score += Math.min(unblocks.length * UNBLOCKS_SCORE, MAX_UNBLOCKS_SCORE);
+    reasons.push(`unblocks ${unblocks.map(label).join(', ')}`);
+  }
+
+  if (type === 'item' && Object.values(data.tasks || {}).some(task => task.itemId === entity.id)) {
+    reasons.push('all its tasks are done, so only the item itself is left');
+  }
+
+  return { score, reasons };
+}
+
+function describeCandidate(type, entity, parent, { score, reasons }) {
+  return {
+    type,
+    id: entity.id,
+    key: entity.key,
+    title: entity.title,
+    status: entity.status,
+    priority: entity.priority || parent?.priority || null,
+    complexity: entity.complexity || null,
+    sectionId: (parent || entity).sectionId,
+    ...(parent ? { parent: { id: parent.id, key: parent.key, title: parent.title } } : {}),
+    score,
+    reasons
+  };
+}
+
+/**
+ * Pick the next item or task to work on
+ * @param {Object} data - Loaded project data
+ * @param {Object} [options]
+ * @param {string} [options.sectionId] - Only items of this section (and their tasks)
+ * @param {string} [options.tagId] - Only items and tasks with this tag (ID or name); a task also matches through its item
+ * @param {boolean} [options.skipInProgress] - Leave out work already in progress (e.g. another agent has it)
+ * @param {number} [options.limit] - How many ranked candidates to return, the pick included (default 5)
+ * @returns {Object} { next, alternatives, explanation, considered, blocked, inProgressSkipped }
+ */
+function recommendNext(data, { sectionId, tagId, skipInProgress = false, limit = DEFAULT_LIMIT } = {}) {
+  if (sectionId && !data.sections[sectionId]) {
+    throw new ProjectDataError(`Section ${sectionId} not found`, 404);
+  }
+  const tag = tagId ? requireTag(data, tagId) : null;
+  const hasTag = (...entities) => !tag || entities.some(entity => (entity?.tagIds || []).includes(tag.id));
+
+  // Open items without open tasks, and open tasks of open items
+  const open = [];
+  for (const item of Object.values(data.items || {})) {
+    if (sectionId && item.sectionId !== sectionId) continue;
+    if (categoryOf(data, 'item', item) === 'done') continue;
+    const openTasks = (item.taskOrder || [])
+      .concat((item.categoryOrder || []).flatMap(categoryId => data.taskCategories[categoryId]?.taskOrder || []))
+      .map(taskId => data.tasks[taskId])
+      .filter(task => task && categoryOf(data, 'task', task) !== 'done');
+    if (openTasks.length === 0) {
+      if (hasTag(item)) open.push({ type: 'item', entity: item, parent: null });
+    } else {
+      open.push(...openTasks.filter(task => hasTag(task, item)).map(task => ({ type: 'task', entity: task, parent: item })));
+    }
+  }
+
+  const blocked = [];
+  let inProgressSkipped = 0;
+  const candidates = [];
+  for (const { type, entity, parent } of open) {
+    const blockers = [...getBlockers(data, entity.id), ...(parent ? getBlockers(data, parent.id) : [])];
+    if (blockers.length > 0) {
+      blocked.push({ type, id: entity.id, key: entity.key, title: entity.title, blockedBy: blockers.map(label) });
+      continue;
+    }
+    if (skipInProgress && categoryOf(data, type, entity) === 'active') {
+      inProgressSkipped++;
+      continue;
+    }
+    candidates.push(describeCandidate(type, entity, parent, scoreCandidate(data, type, entity, parent)));
+  }
+
+  const order = displayOrder(data);
+  const position = (candidate) => order.get(candidate.id) ?? Infinity;
+  candidates.sort((a, b) => b.score - a.score || position(a) - position(b));
+
+  const ranked = candidates.slice(0, Math.max(1, limit));
+  const next = ranked[0] || null;
+
+  const notes = [`${candidates.length} candidate${candidates.length === 1 ? '' : 's'} considered`];
+  if (blocked.length > 0) notes.push(`${blocked.length} blocked left out`);
+  if (inProgressSkipped > 0) notes.push(`${inProgressSkipped} in progress left out`);
+  const explanation = next
+    ? `${next.key ? `${next.key} ` : ''}"${next.title}": ${next.reasons.join('; ')}. ${notes.join(', ')}.`
+    : `Nothing to work on: ${open.length === 0 ? 'every matching item and task is done' : notes.join(', ')}.`;
+
+  return {
+    next,
+    alternatives: ranked.slice(1),
+    explanation,
+    considered: candidates.length,
+    blocked,
+    inProgressSkipped
+  };
+}
+
+module.exports = {
+  recommendNext
+};
@@ -0,0 +1,1861 @@
+/**
+ * Project data service
+ *
+ * The one place that reads, writes and mutates a project's data. Both the
+ * REST routes (routes/tasks.js) and the MCP tools (routes/mcp.js) go through
+ * it, so ID prefixes, status validation, finishedAt timestamps, revisions and
+ * delete cascades are the same whoever makes the change.
+ *
+ * Mutation helpers work on a loaded data object and throw ProjectDataError for
+ * bad input or missing entities; callers load, mutate and save.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getDataPaths } = require('../config');
+const { loadProjects, loadSettings, getProjectDataPath, getProjectDir } = require('./projects');
+const { bumpRevision, bumpDocumentRevision, stripRevisionFields } = require('./revisions');
+const storage = require('./storage');
+const { describeOrigin, recordChanges } = require('./activity');
+const { purgeExpiredTrash } = require('./trashRetention');
+
+// Get paths from config
+const paths = getDataPaths();
+const DATA_DIR = paths.dataDir;
+
+// Legacy paths (for backward compatibility during migration)
+const LEGACY_DATA_FILE = path.join(DATA_DIR, 'data.json');
+const LEGACY_ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
+
+// System section IDs
+const SYSTEM_SECTIONS = {
+  FEATURES: 'sect-features',
+  BUGS: 'sect-bugs'
+};
+
+// Valid task statuses, and item statuses in sections without their own workflow
+const TASK_STATUSES = ['open', 'in-progress', 'done'];
+
+// Status categories: 'done' sets finishedAt, 'active' counts as being worked on
+const STATUS_CATEGORIES = ['todo', 'active', 'done'];
+
+// Workflow of sections that don't define one: any status can follow any other
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { id: 'open', label: 'Open', color: '#3b82f6', category: 'todo' },
+    { id: 'in-progress', label: 'In Progress', color: '#f59e0b', category: 'active' },
+    { id: 'done', label: 'Done', color: '#22c55e', category: 'done' }
+  ],
+  transitions: null
+};
+const STATUS_ID_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Custom field types a section can define for its items
+const FIELD_TYPES = ['text', 'number', 'select', 'date', 'url'];
+const FIELD_ID_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_FIELD_TEXT_LENGTH = 1000;
+
+// Colors given to new tags in turn
+const DEFAULT_TAG_COLORS = [
+  '#ef4444', '#f97316', '#f59e0b', '#84cc16', '#22c55e',
+  '#14b8a6', '#06b6d4', '#3b82f6', '#8b5cf6', '#ec4899'
+];
+
+// Entity types that carry a revision (see services/revisions.js)
+const REVISIONED_TYPES = ['feature', 'bug', 'item', 'task', 'section'];
+
+// API types that name an item
+const ITEM_TYPES = ['feature', 'bug', 'item'];
+
+// Fields updateEntity changes, by API type. sectionId, itemId and categoryId
+// move the entity (see moveItem/moveTask); everything else has its own endpoint
+const ITEM_FIELDS = ['title', 'description', 'status', 'priority', 'complexity', 'tagIds', 'fields', 'finishedAt', 'sectionId', 'categoryId'];
+const CATEGORY_FIELDS = ['name', 'expanded'];
+const EDITABLE_FIELDS = {
+  feature: ITEM_FIELDS,
+  bug: ITEM_FIELDS,
+  item: ITEM_FIELDS,
+  task: ['title', 'description', 'status', 'priority', 'complexity', 'tagIds', 'finishedAt', 'itemId', 'categoryId'],
+  section: ['name', 'icon', 'color', 'workflow', 'fields'],
+  category: CATEGORY_FIELDS,
+  'task-category': CATEGORY_FIELDS,
+  'item-category': CATEGORY_FIELDS
+};
+
+// Item priorities, lowest first
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Most starter tasks an item template can hold
+const MAX_TEMPLATE_TASKS = 50;
+
+// Who can write discussion comments, and how long one can be
+const COMMENT_AUTHORS = ['user', 'agent'];
+const MAX_COMMENT_LENGTH = 20000;
+
+// Links between items and tasks, with how each reads from either end
+const RELATION_TYPES = {
+  blocks: { outgoing: 'blocks', incoming: 'blocked by' },
+  'relates-to': { outgoing: 'relates to', incoming: 'relates to' },
+  duplicates: { outgoing: 'duplicates', incoming: 'duplicated by' }
+};
+
+// Item keys: "<prefix>-<n>" for items, "<item key>.<n>" for tasks
+const DEFAULT_KEY_PREFIX = 'ITEM';
+const KEY_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{0,9}$/;
+const KEY_PATTERN = /^([A-Za-z][A-Za-z0-9]*)-(\d+)(?:\.(\d+))?$/;
+
+// Invalid input or missing entity; `status` is the HTTP status REST should answer with
+class ProjectDataError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProjectDataError';
+    this.status = status;
+  }
+}
+
+// Generate unique ID
+function generateId(prefix) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < 8; i++) {
+    id += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return `${prefix}-${id}`;
+}
+
+// ID prefix for a new item: feat-/bug- in the system sections, item- elsewhere
+function itemIdPrefix(sectionId) {
+  if (sectionId === SYSTEM_SECTIONS.FEATURES) return 'feat';
+  if (sectionId === SYSTEM_SECTIONS.BUGS) return 'bug';
+  return 'item';
+}
+
+// ID prefix for a new item category: fcat-/bcat- in the system sections, icat- elsewhere
+function itemCategoryIdPrefix(sectionId) {
+  if (sectionId === SYSTEM_SECTIONS.FEATURES) return 'fcat';
+  if (sectionId === SYSTEM_SECTIONS.BUGS) return 'bcat';
+  return 'icat';
+}
+
+// Default data structure - version 4 with unified sections
+function getDefaultData() {
+  const now = new Date().toISOString();
+  return {
+    version: 4,
+    lastModified: now,
+    // Unified sections (replaces features/bugs separation)
+    sections: {
+      [SYSTEM_SECTIONS.FEATURES]: {
+        id: SYSTEM_SECTIONS.FEATURES,
+        name: 'Features',
+        icon: 'layers',
+        color: '#3b82f6',
+        isSystem: true,
+        itemOrder: [],
+        categoryOrder: [],
+        createdAt: now
+      },
+      [SYSTEM_SECTIONS.BUGS]: {
+        id: SYSTEM_SECTIONS.BUGS,
+        name: 'Bugs',
+        icon: 'bug',
+        color: '#ef4444',
+        isSystem: true,
+        itemOrder: [],
+        categoryOrder: [],
+        createdAt: now
+      }
+    },
+    sectionOrder: [SYSTEM_SECTIONS.FEATURES, SYSTEM_SECTIONS.BUGS],
+    // Unified items (replaces features and bugs)
+    items: {},
+    // Categories for grouping items within sections
+    itemCategories: {},
+    // Tasks (sub-tasks of items)
+    tasks: {},
+    // Categories for grouping tasks within items
+    taskCategories: {},
+    // Tags
+    tags: {},
+    // Links between items and tasks (blocks, relates-to, duplicates)
+    relations: {},
+    // Starting points for new items, per section or for the whole project
+    templates: {},
+    // Deleted entities, restorable until purged (see services/trash.js)
+    trash: {},
+    settings: {
+      activeView: 'section',
+      activeSectionId: SYSTEM_SECTIONS.FEATURES,
+      activeItemId: null,
+      theme: 'system'
+    }
+  };
+}
+
+// Migration function: Convert v3 data to v4 unified sections format
+function migrateToV4(data) {
+  if (data.version >= 4) return data; // Already migrated
+
+  const now = new Date().toISOString();
+  const migrated = {
+    version: 4,
+    lastModified: now,
+    sections: {
+      [SYSTEM_SECTIONS.FEATURES]: {
+        id: SYSTEM_SECTIONS.FEATURES,
+        name: 'Features',
+        icon: 'layers',
+        color: '#3b82f6',
+        isSystem: true,
+        itemOrder: [...(data.globalFeatureOrder || [])],
+        categoryOrder: [...(data.featureCategoryOrder || [])],
+        createdAt: now
+      },
+      [SYSTEM_SECTIONS.BUGS]: {
+        id: SYSTEM_SECTIONS.BUGS,
+        name: 'Bugs',
+        icon: 'bug',
+        color: '#ef4444',
+        isSystem: true,
+        itemOrder: [...(data.globalBugOrder || [])],
+        categoryOrder: [...(data.bugCategoryOrder || [])],
+        createdAt: now
+      }
+    },
+    sectionOrder: [SYSTEM_SECTIONS.FEATURES, SYSTEM_SECTIONS.BUGS],
+    items: {},
+    itemCategories: {},
+    tasks: {},
+    taskCategories: {},
+    tags: { ...(data.tags || {}) },
+    trash: {},
+    settings: {
+      activeView: 'section',
+      activeSectionId: data.settings?.activeView === 'bugs' ? SYSTEM_SECTIONS.BUGS : SYSTEM_SECTIONS.FEATURES,
+      activeItemId: data.settings?.activeFeatureId || null,
+      theme: data.settings?.theme || 'system'
+    }
+  };
+
+  // Migrate features to items
+  Object.values(data.features || {}).forEach(feature => {
+    migrated.items[feature.id] = {
+      id: feature.id,
+      sectionId: SYSTEM_SECTIONS.FEATURES,
+      title: feature.title,
+      description: feature.description || '',
+      status: feature.status || 'open',
+      priority: feature.priority || 'medium',
+      complexity: feature.complexity || null,
+      categoryId: feature.categoryId || null,
+      taskOrder: [...(feature.taskOrder || [])],
+      categoryOrder: [...(feature.categoryOrder || [])],
+      attachments: [...(feature.attachments || [])],
+      promptHistory: [...(feature.promptHistory || [])],
+      tagIds: [...(feature.tagIds || [])],
+      createdAt: feature.createdAt || now,
+      finishedAt: feature.finishedAt || null
+    };
+  });
+
+  // Migrate bugs to items
+  Object.values(data.bugs || {}).forEach(bug => {
+    migrated.items[bug.id] = {
+      id: bug.id,
+      sectionId: SYSTEM_SECTIONS.BUGS,
+      title: bug.title,
+      description: bug.description || '',
+      status: bug.status || 'open',
+      priority: bug.priority || 'medium',
+      complexity: bug.complexity || null,
+      categoryId: bug.categoryId || null,
+      taskOrder: [...(bug.taskOrder || [])],
+      categoryOrder: [...(bug.categoryOrder || [])],
+      attachments: [...(bug.attachments || [])],
+      promptHistory: [...(bug.promptHistory || [])],
+      tagIds: [...(bug.tagIds || [])],
+      createdAt: bug.createdAt || now,
+      finishedAt: bug.finishedAt || null
+    };
+  });
+
+  // Migrate feature categories to item categories
+  Object.values(data.featureCategories || {}).forEach(cat => {
+    migrated.itemCategories[cat.id] = {
+      id: cat.id,
+      sectionId: SYSTEM_SECTIONS.FEATURES,
+      name: cat.name,
+      itemOrder: [...(cat.featureOrder || [])]
+    };
+  });
+
+  // Migrate bug categories to item categories
+  Object.values(data.bugCategories || {}).forEach(cat => {
+    migrated.itemCategories[cat.id] = {
+      id: cat.id,
+      sectionId: SYSTEM_SECTIONS.BUGS,
+      name: cat.name,
+      itemOrder: [...(cat.bugOrder || [])]
+    };
+  });
+
+  // Migrate tasks - update parentType to use itemId
+  Object.values(data.tasks || {}).forEach(task => {
+    migrated.tasks[task.id] = {
+      id: task.id,
+      itemId: task.parentId, // parentId becomes itemId
+      categoryId: task.categoryId || null,
+      title: task.title,
+      description: task.description || '',
+      status: task.status || 'open',
+      tagIds: [...(task.tagIds || [])],
+      attachments: [...(task.attachments || [])],
+      promptHistory: [...(task.promptHistory || [])],
+      createdAt: task.createdAt || now,
+      finishedAt: task.finishedAt || null
+    };
+  });
+
+  // Migrate task categories (categories within features/bugs)
+  Object.values(data.categories || {}).forEach(cat => {
+    migrated.taskCategories[cat.id] = {
+      id: cat.id,
+      itemId: cat.parentId, // parentId becomes itemId
+      name: cat.name,
+      taskOrder: [...(cat.taskOrder || [])]
+    };
+  });
+
+  console.log(`Migrated data from v${data.version || 3} to v4 (unified sections)`);
+  return migrated;
+}
+
+// ========== WORKFLOWS ==========
+
+/**
+ * Check and normalize a section workflow
+ * @param {Object|null} workflow - { statuses: [{ id, label, color, category }], transitions }
+ *   where transitions maps a status ID to the status IDs it may change to
+ *   (a status without an entry, or null transitions, allows any change)
+ * @returns {Object|null} The workflow, or null for the default one
+ */
+function normalizeWorkflow(workflow) {
+  if (workflow === null || workflow === undefined) return null;
+  if (typeof workflow !== 'object' || !Array.isArray(workflow.statuses) || workflow.statuses.length === 0) {
+    throw new ProjectDataError('Workflow needs a non-empty statuses list');
+  }
+
+  const statuses = workflow.statuses.map(status => {
+    const id = String(status?.id || '').trim();
+    if (!STATUS_ID_PATTERN.test(id)) {
+      throw new ProjectDataError(`Invalid status ID: ${id || '(empty)'}. Use lowercase letters, digits and dashes`);
+    }
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      throw new ProjectDataError(`Invalid category for status ${id}. Must be one of: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+    if (status.color && !COLOR_PATTERN.test(status.color)) {
+      throw new ProjectDataError(`Invalid color for status ${id}: ${status.color}`);
+    }
+    return {
+      id,
+      label: String(status.label || '').trim() || id,
+      color: status.color || '#6b7280',
+      category: status.category
+    };
+  });
+  const ids = statuses.map(status => status.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new ProjectDataError(`Duplicate status: ${duplicate}`);
+  }
+
+  let transitions = null;
+  if (workflow.transitions) {
+    if (typeof workflow.transitions !== 'object' || Array.isArray(workflow.transitions)) {
+      throw new ProjectDataError('Workflow transitions must map a status to the statuses it may change to');
+    }
+    transitions = {};
+    for (const [from, targets] of Object.entries(workflow.transitions)) {
+      if (!ids.includes(from)) throw new ProjectDataError(`Transition from unknown status: ${from}`);
+      if (!Array.isArray(targets)) throw new ProjectDataError(`Transitions from ${from} must be a list`);
+      const unknown = targets.find(to => !ids.includes(to));
+      if (unknown) throw new ProjectDataError(`Transition from ${from} to unknown status: ${unknown}`);
+      transitions[from] = [...new Set(targets.filter(to => to !== from))];
+    }
+  }
+  return { statuses, transitions };
+}
+
+// Workflow of a section (the default one unless it defines its own)
+function getWorkflow(data, sectionId) {
+  return data.sections?.[sectionId]?.workflow || DEFAULT_WORKFLOW;
+}
+
+// Workflow that governs an entity's status: its section's for items, the default for tasks
+function workflowFor(data, type, entity) {
+  return type === 'task' ? DEFAULT_WORKFLOW : getWorkflow(data, entity.sectionId);
+}
+
+// Category of a status in a workflow, or null if the workflow doesn't have it
+function statusCategory(workflow, status) {
+  return workflow.statuses.find(s => s.id === status)?.category || null;
+}
+
+// Status new items start in: the first 'todo' status, else the first one
+function initialStatus(workflow) {
+  return (workflow.statuses.find(s => s.category === 'todo') || workflow.statuses[0]).id;
+}
+
+// Throw unless the workflow has the status
+function requireStatus(workflow, status) {
+  if (!statusCategory(workflow, status)) {
+    const ids = workflow.statuses.map(s => s.id);
+    throw new ProjectDataError(`Invalid status: ${status}. Must be one of: ${ids.join(', ')}`);
+  }
+}
+
+// Whether the workflow allows changing from one status to another
+// (always, from a status the workflow doesn't know)
+function canTransition(workflow, from, to) {
+  const allowed = workflow.transitions?.[from];
+  return from === to || !allowed || allowed.includes(to) || !statusCategory(workflow, from);
+}
+
+// Throw unless the workflow allows changing from one status to another
+function requireTransition(workflow, from, to) {
+  if (canTransition(workflow, from, to)) return;
+  const allowed = workflow.transitions[from];
+  throw new ProjectDataError(
+    `Cannot change status from ${from} to ${to}` +
+    (allowed.length ? `. Allowed: ${allowed.join(', ')}` : `; ${from} is final`)
+  );
+}
+
+// Closest status in another workflow: the same ID, else the first one in the same category
+function mapStatus(workflow, status, category) {
+  if (statusCategory(workflow, status)) return status;
+  return workflow.statuses.find(s => s.category === category)?.id || initialStatus(workflow);
+}
+
+/**
+ * Bring an item's status into its section's workflow after a move or a
+ * workflow change, keeping finishedAt in line with the status category
+ * @param {Object} data - Project data
+ * @param {Object} item - Item, already in its new section
+ * @param {Object} [fromWorkflow] - Workflow the status came from (default: the default workflow)
+ * @returns {boolean} Whether the status changed
+ */
+function fitStatusToSection(data, item, fromWorkflow = DEFAULT_WORKFLOW) {
+  const workflow = getWorkflow(data, item.sectionId);
+  const category = statusCategory(fromWorkflow, item.status) || (item.finishedAt ? 'done' : 'todo');
+  const status = mapStatus(workflow, item.status, category);
+  const changed = status !== item.status;
+  item.status = status;
+  if (statusCategory(workflow, status) === 'done') {
+    if (!item.finishedAt) item.finishedAt = new Date().toISOString();
+  } else {
+    item.finishedAt = null;
+  }
+  return changed;
+}
+
+// ========== CUSTOM FIELDS ==========
+
+// Field ID from a label: "Affected version" -> "affected-version"
+function fieldIdFromLabel(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^[^a-z]+|-+$/g, '').slice(0, 32);
+}
+
+/**
+ * Check and normalize a section's custom field definitions
+ * @param {Object[]|null} fields - [{ id, label, type, options }]; the ID defaults
+ *   to one made from the label, options (select only) list the allowed values
+ * @returns {Object[]|null} The definitions, or null for none
+ */
+function normalizeFieldDefs(fields) {
+  if (fields === null || fields === undefined) return null;
+  if (!Array.isArray(fields)) {
+    throw new ProjectDataError('Custom fields must be a list of { id, label, type, options }');
+  }
+  if (fields.length === 0) return null;
+
+  const defs = fields.map(field => {
+    const label = String(field?.label || '').trim();
+    const id = String(field?.id || '').trim() || fieldIdFromLabel(label);
+    if (!FIELD_ID_PATTERN.test(id)) {
+      throw new ProjectDataError(`Invalid field ID: ${id || '(empty)'}. Use lowercase letters, digits and dashes`);
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new ProjectDataError(`Invalid type for field ${id}. Must be one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    const def = { id, label: label || id, type: field.type };
+    if (field.type === 'select') {
+      const options = Array.isArray(field.options)
+        ? [...new Set(field.options.map(option => String(option).trim()).filter(Boolean))]
+        : [];
+      if (options.length === 0) {
+        throw new ProjectDataError(`Select field ${id} needs at least one option`);
+      }
+      def.options = options;
+    }
+    return def;
+  });
+  const ids = defs.map(def => def.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new ProjectDataError(`Duplicate field: ${duplicate}`);
+  }
+  return defs;
+}
+
+// Custom fields a section defines (none unless it has some)
+function getFieldDefs(data, sectionId) {
+  return data.sections?.[sectionId]?.fields || [];
+}
+
+// Field definition by ID or (case-insensitive) label
+function findFieldDef(defs, name) {
+  const lower = String(name).toLowerCase();
+  return defs.find(def => def.id === name) || defs.find(def => def.label.toLowerCase() === lower);
+}
+
+// Check a value against its field's type; null or '' clears the field
+function normalizeFieldValue(def, value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (def.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        throw new ProjectDataError(`${def.label} must be a number`);
+      }
+      return number;
+    }
+    case 'select': {
+      const text = String(value).trim().toLowerCase();
+      const option = def.options.find(o => o.toLowerCase() === text);
+      if (!option) {
+        throw new ProjectDataError(`Invalid ${def.label}: ${value}. Must be one of: ${def.options.join(', ')}`);
+      }
+      return option;
+    }
+    case 'date': {
+      const text = String(value).trim();
+      if (!DATE_PATTERN.test(text) || Number.isNaN(Date.parse(text))) {
+        throw new ProjectDataError(`${def.label} must be a date (YYYY-MM-DD)`);
+      }
+      return text;
+    }
+    case 'url': {
+      const text = String(value).trim();
+      let url;
+      try {
+        url = new URL(text);
+      } catch {
+        url = null;
+      }
+      if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new ProjectDataError(`${def.label} must be an http(s) URL`);
+      }
+      return text;
+    }
+    default: {
+      const text = String(value);
+      if (text.length > MAX_FIELD_TEXT_LENGTH) {
+        throw new ProjectDataError(`${def.label} is longer than ${MAX_FIELD_TEXT_LENGTH} characters`);
+      }
+      return text;
+    }
+  }
+}
+
+/**
+ * Apply custom field values to an item's current ones
+ * @param {Object} data - Loaded project data
+ * @param {string} sectionId - Section whose field definitions apply
+ * @param {Object} current - The item's current values (field ID -> value)
+ * @param {Object} values - Values to set, keyed by field ID or label; null clears one
+ * @returns {Object} The new values. Values of fields the section no longer
+ *   defines are kept, so they come back if the field is added again
+ */
+function applyFieldValues(data, sectionId, current, values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ProjectDataError('Custom field values must be an object of field ID -> value');
+  }
+  const defs = getFieldDefs(data, sectionId);
+  const result = { ...(current || {}) };
+  for (const [name, value] of Object.entries(values)) {
+    const def = findFieldDef(defs, name);
+    if (!def) {
+      const known = defs.map(d => d.id);
+      throw new ProjectDataError(`Unknown field: ${name}. ${known.length ? `Fields: ${known.join(', ')}` : 'The section has no custom fields'}`);
+    }
+    const normalized = normalizeFieldValue(def, value);
+    if (normalized === null) {
+      delete result[def.id];
+    } else {
+      result[def.id] = normalized;
+    }
+  }
+  return result;
+}
+
+// An item's values for the fields its section defines: [{ id, label, type, options, value }]
+function describeFields(data, item) {
+  return getFieldDefs(data, item.sectionId).map(def => ({ ...def, value: item.fields?.[def.id] ?? null }));
+}
+
+/**
+ * Whether an item's custom fields match filters
+ * @param {Object} data - Loaded project data
+ * @param {Object} item - Item to check
+ * @param {Object} filters - Field ID or label -> value. Text fields match by
+ *   substring, the others by value; an item whose section lacks the field never matches
+ * @returns {boolean}
+ */
+function matchesFieldFilters(data, item, filters) {
+  const defs = getFieldDefs(data, item.sectionId);
+  return Object.entries(filters || {}).every(([name, expected]) => {
+    const def = findFieldDef(defs, name);
+    const value = item.fields?.[def?.id];
+    if (!def || value === undefined) return false;
+    if (def.type === 'number') return value === Number(expected);
+    const text = String(value).toLowerCase();
+    const wanted = String(expected).toLowerCase();
+    return def.type === 'text' ? text.includes(wanted) : text === wanted;
+  });
+}
+
+// Field filters from query parameters: "customer:Acme" (repeatable) -> { customer: 'Acme' }
+function parseFieldFilters(param) {
+  if (!param) return null;
+  const filters = {};
+  for (const entry of [].concat(param)) {
+    const separator = String(entry).indexOf(':');
+    if (separator <= 0) {
+      throw new ProjectDataError(`Invalid field filter: ${entry}. Use field:value`);
+    }
+    filters[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+  }
+  return filters;
+}
+
+// Whether a search query appears in one of an item's custom field values
+function fieldValuesInclude(item, query) {
+  return Object.values(item.fields || {}).some(value => String(value).toLowerCase().includes(query));
+}
+
+// ========== KEYS ==========
+
+// Default key prefix for a project name: initials of several words, else its first letters
+// ("Web Shop API" -> "WSA", "Promptling" -> "PRO")
+function keyPrefixFromName(name) {
+  const words = String(name || '').toUpperCase().match(/[A-Z][A-Z0-9]*/g) || [];
+  const prefix = words.length > 1
+    ? words.map(word => word[0]).join('').slice(0, 4)
+    : (words[0] || '').slice(0, 3);
+  return KEY_PREFIX_PATTERN.test(prefix) ? prefix : DEFAULT_KEY_PREFIX;
+}
+
+// Validate a key prefix, uppercased
+function normalizeKeyPrefix(prefix) {
+  const value = String(prefix || '').trim().toUpperCase();
+  if (!KEY_PREFIX_PATTERN.test(value)) {
+    throw new ProjectDataError('Key prefix must be 1-10 letters or digits, starting with a letter');
+  }
+  return value;
+}
+
+// Whether a string has the shape of an item or task key
+function looksLikeKey(value) {
+  return typeof value === 'string' && KEY_PATTERN.test(value.trim());
+}
+
+// Give an item the project's next key
+function assignItemKey(data, item) {
+  if (!data.keys) data.keys = { prefix: DEFAULT_KEY_PREFIX, next: 1 };
+  item.key = `${data.keys.prefix}-${data.keys.next++}`;
+  item.nextTaskKey = 1;
+}
+
+// Give a task its item's next task key
+function assignTaskKey(data, task) {
+  const item = data.items[task.itemId];
+  if (!item?.key) return;
+  if (!item.nextTaskKey) item.nextTaskKey = 1;
+  task.key = `${item.key}.${item.nextTaskKey++}`;
+}
+
+/**
+ * Give every item and task without a key (or with one already taken) the
+ * next key, in creation order. Counters only ever move forward, so a key is
+ * never handed out twice, even after deletes or a changed prefix.
+ * @param {Object} data - Project data
+ * @param {string} [prefix] - Prefix to start with if the project has no keys yet
+ * @returns {boolean} Whether anything changed
+ */
+function ensureKeys(data, prefix = DEFAULT_KEY_PREFIX) {
+  const seen = new Set();
+  const needsKey = entity => {
+    const key = entity.key?.toUpperCase();
+    if (!key || seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  };
+  const byCreation = (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '') || a.id.localeCompare(b.id);
+  const items = Object.values(data.items).sort(byCreation);
+  const tasks = Object.values(data.tasks).sort(byCreation);
+
+  const missingItems = items.filter(needsKey);
+  const missingTasks = tasks.filter(needsKey);
+  if (data.keys && missingItems.length === 0 && missingTasks.length === 0) return false;
+  if (!data.keys) data.keys = { prefix, next: 1 };
+
+  // Continue after the highest key in use, so hand-edited or imported keys aren't handed out again
+  for (const item of items) {
+    const match = item.key?.match(KEY_PATTERN);
+    if (match && match[1].toUpperCase() === data.keys.prefix && !match[3]) {
+      data.keys.next = Math.max(data.keys.next, parseInt(match[2]) + 1);
+    }
+  }
+  for (const task of tasks) {
+    const item = data.items[task.itemId];
+    const number = item?.key && task.key?.toUpperCase().startsWith(`${item.key.toUpperCase()}.`)
+      ? parseInt(task.key.slice(item.key.length + 1))
+      : NaN;
+    if (number >= (item.nextTaskKey || 1)) item.nextTaskKey = number + 1;
+  }
+
+  for (const item of missingItems) {
+    assignItemKey(data, item);
+    // A re-keyed item's tasks keep their keys; new ones continue from 1 under the new key
+  }
+  for (const task of missingTasks) {
+    assignTaskKey(data, task);
+  }
+  return true;
+}
+
+/**
+ * Find the item or task an ID or key refers to
+ * @param {Object} data - Project data
+ * @param {string} idOrKey - Internal ID or key (case-insensitive), e.g. "API-42" or "API-42.3"
+ * @returns {Object|null} { type: 'item' | 'task', id }
+ */
+function resolveKey(data, idOrKey) {
+  if (typeof idOrKey !== 'string') return null;
+  if (data.items[idOrKey]) return { type: 'item', id: idOrKey };
+  if (data.tasks[idOrKey]) return { type: 'task', id: idOrKey };
+  if (!looksLikeKey(idOrKey)) return null;
+
+  const key = idOrKey.trim().toUpperCase();
+  const type = key.includes('.') ? 'task' : 'item';
+  const entity = Object.values(type === 'task' ? data.tasks : data.items).find(e => e.key?.toUpperCase() === key);
+  return entity ? { type, id: entity.id } : null;
+}
+
+// Key prefix for a project without keys yet, from its name
+async function getDefaultKeyPrefix(explicitProjectId, req) {
+  const projectId = await getActiveProjectId(explicitProjectId, req);
+  if (!projectId) return DEFAULT_KEY_PREFIX;
+  const { projects } = await loadProjects();
+  return keyPrefixFromName(projects[projectId]?.name);
+}
+
+// ========== STORAGE ==========
+
+// Resolve the project: explicit ID, then X-Project-Id header, then active project in settings
+async function getActiveProjectId(explicitProjectId, req) {
+  if (explicitProjectId) return explicitProjectId;
+  const headerProjectId = req?.headers?.['x-project-id'];
+  if (headerProjectId) return headerProjectId;
+  const settings = await loadSettings();
+  return settings.activeProjectId;
+}
+
+// Get data file path for a project (legacy path if no project is set)
+async function getDataFilePath(explicitProjectId, req) {
+  const projectId = await getActiveProjectId(explicitProjectId, req);
+  if (!projectId) return LEGACY_DATA_FILE;
+  return getProjectDataPath(projectId);
+}
+
+// Get attachments directory for a project
+async function getAttachmentsDir(explicitProjectId, req) {
+  const projectId = await getActiveProjectId(explicitProjectId, req);
+  if (!projectId) return LEGACY_ATTACHMENTS_DIR;
+  return path.join(getProjectDir(projectId), 'attachments');
+}
+
+/**
+ * Load a project's data, migrating old formats to v4
+ *
+ * Read-only: the migration and the key backfill happen in memory, and reach
+ * the file with the next saveData, which runs under the data lock. Both are
+ * deterministic, so every read sees the same keys until then.
+ * @param {string} [projectId] - Explicit project ID (falls back to request header, then settings)
+ * @param {Object} [req] - Request (or request-like object with headers)
+ * @returns {Promise<Object>} v4 project data (defaults if the file doesn't exist yet)
+ */
+async function loadData(projectId, req) {
+  const dataFile = await getDataFilePath(projectId, req);
+  let data = await storage.readData(dataFile);
+  if (!data) {
+    return getDefaultData();
+  }
+
+  // Check if migration is needed
+  if (!data.version || data.version < 4) {
+    data = migrateToV4(data);
+  }
+  // Data written without keys (older versions, restores, imports) gets them on load
+  ensureKeys(data, data.keys ? undefined : await getDefaultKeyPrefix(projectId, req));
+
+  return data;
+}
+
+/**
+ * Save a project's data through its storage backend and record what changed
+ * in the project's history (see services/activity.js). Trash entries past
+ * their retention period are purged on the way.
+ * @param {Object} data - v4 project data; lastModified and revision are updated in place
+ * @param {string} [projectId] - Explicit project ID (falls back to request header, then settings)
+ * @param {Object} [req] - Request (or request-like object with headers); also tells who made the change
+ */
+async function saveData(data, projectId, req) {
+  ensureKeys(data, data.keys ? undefined : await getDefaultKeyPrefix(projectId, req));
+  purgeExpiredTrash(data);
+  data.lastModified = new Date().toISOString();
+  bumpDocumentRevision(data);
+  const dataFile = await getDataFilePath(projectId, req);
+  const previous = await storage.readData(dataFile);
+  await storage.writeData(dataFile, data);
+  await recordChanges(dataFile, previous, data, describeOrigin(req));
+}
+
+// ========== LOOKUP ==========
+
+// Get an entity by API type (feature/bug/item, task, section, category, item-category)
+function getEntity(data, type, id) {
+  switch (type) {
+    case 'feature':
+    case 'bug':
+    case 'item':
+      return data.items?.[id];
+    case 'task':
+      return data.tasks?.[id];
+    case 'section':
+      return data.sections?.[id];
+    case 'category':
+    case 'task-category':
+      return data.taskCategories?.[id];
+    case 'item-category':
+      return data.itemCategories?.[id];
+    default:
+      throw new ProjectDataError(`Invalid type: ${type}`);
+  }
+}
+
+// Get an entity or throw a 404 ProjectDataError
+function requireEntity(data, type, id) {
+  const entity = getEntity(data, type, id);
+  if (!entity) {
+    throw new ProjectDataError(`${type} ${id} not found`, 404);
+  }
+  return entity;
+}
+
+// Get a tag by ID or name (case-insensitive) or throw a 404 ProjectDataError
+function requireTag(data, idOrName) {
+  const tags = Object.values(data.tags || {});
+  const tag = data.tags?.[idOrName] || tags.find(t => t.name?.toLowerCase() === String(idOrName).toLowerCase());
+  if (!tag) throw new ProjectDataError(`Tag ${idOrName} not found`, 404);
+  return tag;
+}
+
+// ========== CREATE ==========
+
+// Create an item in a section (or one of its item categories)
+function createItem(data, { sectionId, title, description, categoryId, priority, status, tagIds, fields, templateId }) {
+  if (!sectionId || !data.sections[sectionId]) {
+    throw new ProjectDataError('Valid sectionId required (e.g. sect-features or sect-bugs)');
+  }
+  // Values given explicitly win over the template's
+  const template = templateId ? requireTemplate(data, templateId, sectionId) : null;
+  if (template) {
+    description = description || template.description;
+    priority = priority || template.priority;
+    categoryId = categoryId || template.categoryId;
+    tagIds = [...new Set([...(Array.isArray(tagIds) ? tagIds : []), ...template.tagIds.filter(tagId => data.tags?.[tagId])])];
+  }
+  const workflow = getWorkflow(data, sectionId);
+  if (status !== undefined) requireStatus(workflow, status);
+  const fieldValues = fields ? applyFieldValues(data, sectionId, {}, fields) : {};
+
+  const id = generateId(itemIdPrefix(sectionId));
+  const now = new Date().toISOString();
+  const category = categoryId ? data.itemCategories[categoryId] : null;
+
+  const item = {
+    id,
+    sectionId,
+    title: title || 'New Item',
+    description: description || '',
+    status: status || initialStatus(workflow),
+    priority: priority || 'medium',
+    complexity: null,
+    categoryId: category ? categoryId : null,
+    taskOrder: [],
+    categoryOrder: [],
+    attachments: [],
+    promptHistory: [],
+    tagIds: Array.isArray(tagIds) ? tagIds : [],
+    fields: fieldValues,
+    createdAt: now,
+    finishedAt: status && statusCategory(workflow, status) === 'done' ? now : null,
+    rev: 1
+  };
+  assignItemKey(data, item);
+  data.items[id] = item;
+
+  if (category) {
+    category.itemOrder.push(id);
+  } else {
+    data.sections[sectionId].itemOrder.push(id);
+  }
+
+  for (const task of template?.tasks || []) {
+    createTask(data, { itemId: id, title: task.title, description: task.description });
+  }
+  return item;
+}
+
+// Create a task under an item (or one of its task categories)
+function createTask(data, { itemId, categoryId, title, description, status, tagIds }) {
+  const item = data.items[itemId];
+  if (!item) {
+    throw new ProjectDataError(`Parent item ${itemId} not found`, 404);
+  }
+  if (status !== undefined && !TASK_STATUSES.includes(status)) {
+    throw new ProjectDataError(`Invalid status: ${status}. Must be one of: ${TASK_STATUSES.join(', ')}`);
+  }
+
+  const id = generateId('task');
+  const now = new Date().toISOString();
+  const category = categoryId ? data.taskCategories[categoryId] : null;
+
+  const task = {
+    id,
+    itemId,
+    categoryId: category ? categoryId : null,
+    title: title || 'New Task',
+    description: description || '',
+    status: status || 'open',
+    tagIds: Array.isArray(tagIds) ? tagIds : [],
+    attachments: [],
+    promptHistory: [],
+    createdAt: now,
+    finishedAt: status === 'done' ? now : null,
+    rev: 1
+  };
+  assignTaskKey(data, task);
+  data.tasks[id] = task;
+
+  if (category) {
+    category.taskOrder.push(id);
+  } else {
+    item.taskOrder.push(id);
+  }
+  return task;
+}
+
+// Create a custom section
+function createSection(data, { name, icon, color, workflow, fields }) {
+  const id = generateId('sect');
+  const section = {
+    id,
+    name: name || 'New Section',
+    icon: icon || 'folder',
+    color: color || '#6366f1',
+    isSystem: false,
+    itemOrder: [],
+    categoryOrder: [],
+    createdAt: new Date().toISOString(),
+    rev: 1
+  };
+  const normalized = normalizeWorkflow(workflow);
+  if (normalized) section.workflow = normalized;
+  const fieldDefs = normalizeFieldDefs(fields);
+  if (fieldDefs) section.fields = fieldDefs;
+  data.sections[id] = section;
+  data.sectionOrder.push(id);
+  return section;
+}
+
+// Create a category for grouping items within a section
+function createItemCategory(data, { sectionId, name }) {
+  if (!sectionId || !data.sections[sectionId]) {
+    throw new ProjectDataError('Valid sectionId required (e.g. sect-features or sect-bugs)');
+  }
+
+  const id = generateId(itemCategoryIdPrefix(sectionId));
+  const category = {
+    id,
+    sectionId,
+    name: name || 'New Category',
+    itemOrder: [],
+    createdAt: new Date().toISOString()
+  };
+  data.itemCategories[id] = category;
+  data.sections[sectionId].categoryOrder.push(id);
+  return category;
+}
+
+// Create a category for grouping tasks within an item
+function createTaskCategory(data, { itemId, name }) {
+  const item = data.items[itemId];
+  if (!item) {
+    throw new ProjectDataError(`Parent item ${itemId} not found`, 404);
+  }
+
+  const id = generateId('cat');
+  const category = {
+    id,
+    itemId,
+    name: name || 'New Category',
+    taskOrder: [],
+    createdAt: new Date().toISOString()
+  };
+  data.taskCategories[id] = category;
+  if (!item.categoryOrder) item.categoryOrder = [];
+  item.categoryOrder.push(id);
+  return category;
+}
+
+// ========== UPDATE ==========
+
+// Set or clear finishedAt when an update changes the status
+function applyStatusTimestamps(entity, changes, workflow) {
+  if (statusCategory(workflow, changes.status) === 'done') {
+    if (!entity.finishedAt && !changes.finishedAt) {
+      changes.finishedAt = new Date().toISOString();
+    }
+  } else {
+    changes.finishedAt = null;
+  }
+}
+
+/**
+ * Apply field updates to an entity with the shared rules: editable fields per
+ * type, moves through moveItem/moveTask, status validation against the
+ * workflow (statuses and allowed transitions), finishedAt timestamps, custom
+ * field values and revision bump. A section's new workflow moves its items off
+ * statuses it no longer has.
+ * @param {Object} data - Loaded project data
+ * @param {string} type - API type (feature/bug/item, task, section, category, item-category)
+ * @param {string} id - Entity ID
+ * @param {Object} updates - Fields to change
+ * @returns {Object} The updated entity
+ */
+function updateEntity(data, type, id, updates = {}) {
+  const entity = requireEntity(data, type, id);
+  const changes = stripRevisionFields({ ...updates });
+
+  // IDs and system flags are never changed through updates
+  delete changes.id;
+  delete changes.isSystem;
+  // Keys never change once assigned, so references to them stay valid
+  if ('key' in changes || 'nextTaskKey' in changes) {
+    throw new ProjectDataError('Keys are assigned automatically and cannot be changed');
+  }
+  const editable = EDITABLE_FIELDS[type];
+  const rejected = Object.keys(changes).filter(field => !editable.includes(field));
+  if (rejected.length > 0) {
+    throw new ProjectDataError(`Cannot change ${rejected.join(', ')} on a ${type}. Editable: ${editable.join(', ')}`);
+  }
+
+  // Moves first, so the orders stay in step and a new status is checked against the new section's workflow
+  if (ITEM_TYPES.includes(type) && ('sectionId' in changes || 'categoryId' in changes)) {
+    const sectionId = changes.sectionId || entity.sectionId;
+    const categoryId = 'categoryId' in changes ? changes.categoryId || null
+      : sectionId === entity.sectionId ? entity.categoryId : null;
+    if (sectionId !== entity.sectionId || categoryId !== (entity.categoryId || null)) {
+      moveItem(data, id, { sectionId, categoryId });
+    }
+    delete changes.sectionId;
+    delete changes.categoryId;
+  }
+  if (type === 'task' && ('itemId' in changes || 'categoryId' in changes)) {
+    const itemId = changes.itemId || entity.itemId;
+    const categoryId = 'categoryId' in changes ? changes.categoryId || null
+      : itemId === entity.itemId ? entity.categoryId : null;
+    if (itemId !== entity.itemId || categoryId !== (entity.categoryId || null)) {
+      moveTask(data, id, { itemId, categoryId });
+    }
+    delete changes.itemId;
+    delete changes.categoryId;
+  }
+
+  if (changes.status !== undefined && type !== 'section') {
+    const workflow = workflowFor(data, type, entity);
+    requireStatus(workflow, changes.status);
+    requireTransition(workflow, entity.status, changes.status);
+    applyStatusTimestamps(entity, changes, workflow);
+  }
+
+  if ('fields' in changes) {
+    if (type === 'section') {
+      changes.fields = normalizeFieldDefs(changes.fields);
+    } else if (ITEM_TYPES.includes(type)) {
+      changes.fields = applyFieldValues(data, entity.sectionId, entity.fields, changes.fields);
+    } else {
+      throw new ProjectDataError(`A ${type} has no custom fields`);
+    }
+  }
+
+  const previousWorkflow = type === 'section' ? getWorkflow(data, id) : null;
+  if (type === 'section' && 'workflow' in changes) {
+    changes.workflow = normalizeWorkflow(changes.workflow);
+  }
+
+  Object.assign(entity, changes);
+  if (type === 'section' && 'fields' in changes && !changes.fields) {
+    delete entity.fields;
+  }
+  if (type === 'section' && 'workflow' in changes) {
+    if (!changes.workflow) delete entity.workflow;
+    for (const item of Object.values(data.items)) {
+      if (item.sectionId === id && fitStatusToSection(data, item, previousWorkflow)) bumpRevision(item);
+    }
+  }
+  if (REVISIONED_TYPES.includes(type)) {
+    bumpRevision(entity);
+  }
+  return entity;
+}
+
+// ========== MOVE ==========
+
+/**
+ * Move an item to another section and/or item category, at the end of its
+ * new list. An item that changes section has its status fitted into the new
+ * section's workflow.
+ * @param {Object} data - Loaded project data
+ * @param {string} id - Item ID
+ * @param {Object} target - { sectionId (default: the current one), categoryId (null: uncategorized) }
+ * @returns {Object} The moved item
+ */
+function moveItem(data, id, { sectionId, categoryId = null }) {
+  const item = requireEntity(data, 'item', id);
+  const targetSectionId = sectionId || item.sectionId;
+  if (!data.sections[targetSectionId]) {
+    throw new ProjectDataError(`Section ${targetSectionId} not found`, 404);
+  }
+  const category = categoryId ? data.itemCategories[categoryId] : null;
+  if (categoryId && !category) {
+    throw new ProjectDataError(`Item category ${categoryId} not found`, 404);
+  }
+  if (category && category.sectionId !== targetSectionId) {
+    throw new ProjectDataError(`Item category ${category.name} is not in section ${data.sections[targetSectionId].name}`);
+  }
+
+  // Remove from old location
+  const oldList = (item.categoryId && data.itemCategories[item.categoryId]) || data.sections[item.sectionId];
+  if (oldList) {
+    oldList.itemOrder = oldList.itemOrder.filter(itemId => itemId !== id);
+  }
+
+  if (targetSectionId !== item.sectionId) {
+    const oldWorkflow = getWorkflow(data, item.sectionId);
+    item.sectionId = targetSectionId;
+    fitStatusToSection(data, item, oldWorkflow);
+  }
+  item.categoryId = category ? categoryId : null;
+
+  // Add to new location
+  (category || data.sections[targetSectionId]).itemOrder.push(id);
+  return item;
+}
+
+/**
+ * Move a task to another item and/or task category, at the end of its new list
+ * @param {Object} data - Loaded project data
+ * @param {string} id - Task ID
+ * @param {Object} target - { itemId (default: the current one), categoryId (null: uncategorized) }
+ * @returns {Object} The moved task
+ */
+function moveTask(data, id, { itemId, categoryId = null }) {
+  const task = requireEntity(data, 'task', id);
+  const targetItemId = itemId || task.itemId;
+  if (!data.items[targetItemId]) {
+    throw new ProjectDataError(`Parent item ${targetItemId} not found`, 404);
+  }
+  const category = categoryId ? data.taskCategories[categoryId] : null;
+  if (categoryId && !category) {
+    throw new ProjectDataError(`Task category ${categoryId} not found`, 404);
+  }
+  if (category && category.itemId !== targetItemId) {
+    throw new ProjectDataError(`Task category ${category.name} is not under ${data.items[targetItemId].key || data.items[targetItemId].title}`);
+  }
+
+  // Remove from old location
+  const oldList = (task.categoryId && data.taskCategories[task.categoryId]) || data.items[task.itemId];
+  if (oldList) {
+    oldList.taskOrder = oldList.taskOrder.filter(taskId => taskId !== id);
+  }
+
+  task.itemId = targetItemId;
+  task.categoryId = category ? categoryId : null;
+
+  // Add to new location
+  (category || data.items[targetItemId]).taskOrder.push(id);
+  return task;
+}
+
+// ========== DELETE ==========
+
+// Delete a task category and the tasks in it
+function deleteTaskCategoryWithTasks(data, category) {
+  for (const taskId of category.taskOrder || []) {
+    delete data.tasks[taskId];
+  }
+  delete data.taskCategories[category.id];
+}
+
+// Delete an item with its tasks and task categories
+function deleteItem(data, id) {
+  const item = requireEntity(data, 'item', id);
+
+  for (const taskId of item.taskOrder || []) {
+    delete data.tasks[taskId];
+  }
+  Object.values(data.taskCategories)
+    .filter(cat => cat.itemId === id)
+    .forEach(cat => deleteTaskCategoryWithTasks(data, cat));
+
+  // Remove from section's itemOrder
+  const section = data.sections[item.sectionId];
+  if (section) {
+    section.itemOrder = section.itemOrder.filter(iid => iid !== id);
+  }
+
+  // Remove from itemCategory if categorized
+  const category = item.categoryId && data.itemCategories[item.categoryId];
+  if (category) {
+    category.itemOrder = category.itemOrder.filter(iid => iid !== id);
+  }
+
+  delete data.items[id];
+  pruneRelations(data);
+  return item;
+}
+
+// Delete a task and remove it from its category's or item's order
+function deleteTask(data, id) {
+  const task = requireEntity(data, 'task', id);
+
+  if (task.categoryId && data.taskCategories[task.categoryId]) {
+    data.taskCategories[task.categoryId].taskOrder =
+      data.taskCategories[task.categoryId].taskOrder.filter(tid => tid !== id);
+  } else if (task.itemId && data.items[task.itemId]) {
+    data.items[task.itemId].taskOrder =
+      data.items[task.itemId].taskOrder.filter(tid => tid !== id);
+  }
+
+  delete data.tasks[id];
+  pruneRelations(data);
+  return task;
+}
+
+// Delete a task category, moving its tasks back to the parent item
+function deleteTaskCategory(data, id) {
+  const category = requireEntity(data, 'category', id);
+  const parentItem = data.items[category.itemId];
+
+  for (const taskId of category.taskOrder || []) {
+    if (data.tasks[taskId]) {
+      data.tasks[taskId].categoryId = null;
+      if (parentItem) {
+        parentItem.taskOrder.push(taskId);
+      }
+    }
+  }
+
+  if (parentItem?.categoryOrder) {
+    parentItem.categoryOrder = parentItem.categoryOrder.filter(cid => cid !== id);
+  }
+
+  delete data.taskCategories[id];
+  return category;
+}
+
+// Delete an item category, moving its items back to the section (uncategorized)
+function deleteItemCategory(data, id) {
+  const category = requireEntity(data, 'item-category', id);
+  const section = data.sections[category.sectionId];
+
+  for (const itemId of category.itemOrder || []) {
+    if (data.items[itemId]) {
+      data.items[itemId].categoryId = null;
+      if (section) {
+        section.itemOrder.push(itemId);
+      }
+    }
+  }
+
+  if (section?.categoryOrder) {
+    section.categoryOrder = section.categoryOrder.filter(cid => cid !== id);
+  }
+  for (const template of Object.values(data.templates || {})) {
+    if (template.categoryId === id) template.categoryId = null;
+  }
+
+  delete data.itemCategories[id];
+  return category;
+}
+
+// Delete a custom section with all its items, tasks and categories
+function deleteSection(data, id) {
+  const section = requireEntity(data, 'section', id);
+  if (section.isSystem) {
+    throw new ProjectDataError('Cannot delete system section');
+  }
+
+  Object.values(data.items)
+    .filter(item => item.sectionId === id)
+    .forEach(item => deleteItem(data, item.id));
+
+  Object.values(data.itemCategories)
+    .filter(cat => cat.sectionId === id)
+    .forEach(cat => delete data.itemCategories[cat.id]);
+
+  Object.values(data.templates || {})
+    .filter(template => template.sectionId === id)
+    .forEach(template => delete data.templates[template.id]);
+
+  data.sectionOrder = data.sectionOrder.filter(sid => sid !== id);
+  delete data.sections[id];
+  return section;
+}
+
+// Delete any entity by API type, with its cascades
+function deleteEntity(data, type, id) {
+  switch (type) {
+    case 'feature':
+    case 'bug':
+    case 'item':
+      return deleteItem(data, id);
+    case 'task':
+      return deleteTask(data, id);
+    case 'category':
+    case 'task-category':
+      return deleteTaskCategory(data, id);
+    case 'item-category':
+      return deleteItemCategory(data, id);
+    case 'section':
+      return deleteSection(data, id);
+    default:
+      throw new ProjectDataError(`Invalid type: ${type}`);
+  }
+}
+
+// Delete a tag and remove it from every item, task and template
+function deleteTag(data, id) {
+  if (!data.tags?.[id]) {
+    throw new ProjectDataError('Tag not found', 404);
+  }
+  delete data.tags[id];
+  for (const entity of [...Object.values(data.items), ...Object.values(data.tasks), ...Object.values(data.templates || {})]) {
+    if (entity.tagIds) {
+      entity.tagIds = entity.tagIds.filter(tagId => tagId !== id);
+    }
+  }
+}
+
+// ========== TEMPLATES ==========
+
+/**
+ * Validate a template's fields
+ * @param {Object} data - Loaded project data
+ * @param {Object} input - { name, sectionId, description, priority, tagIds, categoryId, tasks }
+ *   where a null sectionId makes it a template for every section, and tasks are
+ *   [{ title, description }] (or plain titles)
+ * @returns {Object} The fields, normalized
+ */
+function normalizeTemplate(data, input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    throw new ProjectDataError('Template name required');
+  }
+  const sectionId = input.sectionId || null;
+  if (sectionId && !data.sections[sectionId]) {
+    throw new ProjectDataError(`Section ${sectionId} not found`, 404);
+  }
+  const priority = input.priority || null;
+  if (priority && !PRIORITIES.includes(priority)) {
+    throw new ProjectDataError(`Invalid priority: ${priority}. Must be one of: ${PRIORITIES.join(', ')}`);
+  }
+
+  const tagIds = input.tagIds ?? [];
+  if (!Array.isArray(tagIds)) {
+    throw new ProjectDataError('tagIds must be a list of tag IDs');
+  }
+  const unknownTag = tagIds.find(tagId => !data.tags?.[tagId]);
+  if (unknownTag) {
+    throw new ProjectDataError(`Tag ${unknownTag} not found`, 404);
+  }
+
+  const categoryId = input.categoryId || null;
+  if (categoryId) {
+    const category = data.itemCategories[categoryId];
+    if (!category) {
+      throw new ProjectDataError(`Category ${categoryId} not found`, 404);
+    }
+    if (category.sectionId !== sectionId) {
+      throw new ProjectDataError('A template can only use a category of its own section');
+    }
+  }
+
+  const tasks = input.tasks ?? [];
+  if (!Array.isArray(tasks) || tasks.length > MAX_TEMPLATE_TASKS) {
+    throw new ProjectDataError(`tasks must be a list of at most ${MAX_TEMPLATE_TASKS} tasks`);
+  }
+  return {
+    name,
+    sectionId,
+    description: typeof input.description === 'string' ? input.description : '',
+    priority,
+    tagIds: [...new Set(tagIds)],
+    categoryId,
+    tasks: tasks.map(task => {
+      const title = (typeof task === 'string' ? task : task?.title || '').trim();
+      if (!title) {
+        throw new ProjectDataError('Every template task needs a title');
+      }
+      return { title, description: typeof task?.description === 'string' ? task.description : '' };
+    })
+  };
+}
+
+// Templates usable in a section: its own first, then the project-wide ones (every template without a section)
+function getTemplates(data, sectionId = null) {
+  const templates = Object.values(data.templates || {});
+  if (!sectionId) return templates;
+  return [
+    ...templates.filter(template => template.sectionId === sectionId),
+    ...templates.filter(template => !template.sectionId)
+  ];
+}
+
+// A template by ID or (case-insensitive) name, checked to be usable in a section when one is given
+function requireTemplate(data, idOrName, sectionId = null) {
+  const name = String(idOrName).toLowerCase();
+  const template = data.templates?.[idOrName] ||
+    getTemplates(data, sectionId).find(candidate => candidate.name.toLowerCase() === name);
+  if (!template) {
+    throw new ProjectDataError(`Template ${idOrName} not found`, 404);
+  }
+  if (sectionId && template.sectionId && template.sectionId !== sectionId) {
+    throw new ProjectDataError(`Template "${template.name}" is for another section`);
+  }
+  return template;
+}
+
+// Create a template (see normalizeTemplate for its fields)
+function createTemplate(data, input) {
+  const now = new Date().toISOString();
+  const template = { id: generateId('tmpl'), ...normalizeTemplate(data, input), createdAt: now, updatedAt: now };
+  if (!data.templates) data.templates = {};
+  data.templates[template.id] = template;
+  return template;
+}
+
+// Update a template; fields left out keep their values
+function updateTemplate(data, id, updates) {
+  const template = requireTemplate(data, id);
+  Object.assign(template, normalizeTemplate(data, { ...template, ...updates }), { updatedAt: new Date().toISOString() });
+  return template;
+}
+
+function deleteTemplate(data, id) {
+  const template = requireTemplate(data, id);
+  delete data.templates[template.id];
+  return template;
+}
+
+// ========== RELATIONS ==========
+
+// The item or task with an ID, as { type, entity }, or null
+function findRelationEnd(data, id) {
+  if (data.items?.[id]) return { type: 'item', entity: data.items[id] };
+  if (data.tasks?.[id]) return { type: 'task', entity: data.tasks[id] };
+  return null;
+}
+
+// Whether an item or task is finished (its status is in the 'done' category)
+function isFinished(data, type, entity) {
+  return statusCategory(workflowFor(data, type, entity), entity.status) === 'done';
+}
+
+// Path of 'blocks' links from one entity to another, or null if there is none
+function findBlockingPath(data, fromId, toId) {
+  const blocks = Object.values(data.relations || {}).filter(relation => relation.type === 'blocks');
+  const visited = new Set();
+  const walk = (id, path) => {
+    if (id === toId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const relation of blocks.filter(r => r.sourceId === id)) {
+      const found = walk(relation.targetId, [...path, relation.targetId]);
+      if (found) return found;
+    }
+    return null;
+  };
+  return walk(fromId, [fromId]);
+}
+
+/**
+ * Link two items or tasks, in any section
+ * @param {Object} data - Loaded project data
+ * @param {Object} relation
+ * @param {string} relation.type - 'blocks', 'relates-to' or 'duplicates'
+ * @param {string} relation.sourceId - Item or task the relation reads from ("A blocks B": A)
+ * @param {string} relation.targetId - Item or task it points at
+ * @returns {Object} The relation. 'blocks' links that would close a cycle are refused
+ */
+function createRelation(data, { type, sourceId, targetId }) {
+  if (!RELATION_TYPES[type]) {
+    throw new ProjectDataError(`Invalid relation type: ${type}. Must be one of: ${Object.keys(RELATION_TYPES).join(', ')}`);
+  }
+  const source = findRelationEnd(data, sourceId);
+  const target = findRelationEnd(data, targetId);
+  if (!source || !target) {
+    throw new ProjectDataError(`${source ? targetId : sourceId} is not an item or task`, 404);
+  }
+  if (sourceId === targetId) {
+    throw new ProjectDataError('An item cannot be related to itself');
+  }
+
+  // relates-to reads the same both ways, so either direction counts as the same link
+  const existing = Object.values(data.relations || {}).find(relation => relation.type === type && (
+    (relation.sourceId === sourceId && relation.targetId === targetId) ||
+    (type === 'relates-to' && relation.sourceId === targetId && relation.targetId === sourceId)
+  ));
+  if (existing) {
+    throw new ProjectDataError(`"${source.entity.title}" already ${RELATION_TYPES[type].outgoing} "${target.entity.title}"`, 409);
+  }
+
+  if (type === 'blocks') {
+    const path = findBlockingPath(data, targetId, sourceId);
+    if (path) {
+      const names = [sourceId, ...path].map(id => findRelationEnd(data, id).entity).map(entity => entity.key || entity.title);
+      throw new ProjectDataError(`That would create a cycle of blocking items: ${names.join(' → ')}`);
+    }
+  }
+
+  const relation = {
+    id: generateId('rel'),
+    type,
+    sourceId,
+    targetId,
+    createdAt: new Date().toISOString()
+  };
+  if (!data.relations) data.relations = {};
+  data.relations[relation.id] = relation;
+  return relation;
+}
+
+// Delete a relation
+function deleteRelation(data, id) {
+  const relation = data.relations?.[id];
+  if (!relation) {
+    throw new ProjectDataError(`Relation ${id} not found`, 404);
+  }
+  delete data.relations[id];
+  return relation;
+}
+
+// Delete relations to or from items and tasks that no longer exist
+function pruneRelations(data) {
+  for (const relation of Object.values(data.relations || {})) {
+    if (!findRelationEnd(data, relation.sourceId) || !findRelationEnd(data, relation.targetId)) {
+      delete data.relations[relation.id];
+    }
+  }
+}
+
+/**
+ * An item's or task's relations, read from its side
+ * @param {Object} data - Loaded project data
+ * @param {string} id - Item or task ID
+ * @returns {Object[]} [{ id, type, label, direction, other: { type, id, key, title, status, finished } }]
+ */
+function getRelations(data, id) {
+  const relations = [];
+  for (const relation of Object.values(data.relations || {})) {
+    const direction = relation.sourceId === id ? 'outgoing' : relation.targetId === id ? 'incoming' : null;
+    const other = direction && findRelationEnd(data, direction === 'outgoing' ? relation.targetId : relation.sourceId);
+    if (!other) continue;
+    relations.push({
+      id: relation.id,
+      type: relation.type,
+      label: RELATION_TYPES[relation.type]?.[direction] || relation.type,
+      direction,
+      other: {
+        type: other.type,
+        id: other.entity.id,
+        key: other.entity.key,
+        title: other.entity.title,
+        status: other.entity.status,
+        finished: isFinished(data, other.type, other.entity)
+      }
+    });
+  }
+  return relations;
+}
+
+// Unfinished items and tasks blocking an item or task (it's blocked while there are any)
+function getBlockers(data, id) {
+  return getRelations(data, id)
+    .filter(relation => relation.type === 'blocks' && relation.direction === 'incoming' && !relation.other.finished)
+    .map(relation => relation.other);
+}
+
+// ========== COMMENTS ==========
+
+// Comment text, trimmed, or a ProjectDataError when it's empty or too long
+function requireCommentBody(body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    throw new ProjectDataError('Comment body required');
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new ProjectDataError(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return text;
+}
+
+// A comment of an item or task, or a 404 ProjectDataError
+function requireComment(entity, commentId) {
+  const comment = (entity.comments || []).find(c => c.id === commentId);
+  if (!comment) {
+    throw new ProjectDataError(`Comment ${commentId} not found`, 404);
+  }
+  return comment;
+}
+
+/**
+ * Post a discussion comment on an item or task
+ * @param {Object} entity - Item or task
+ * @param {Object} comment - { author: 'user' | 'agent', body (Markdown), replyTo (comment ID, optional) }
+ * @returns {Object} The new comment
+ */
+function addComment(entity, { author = 'user', body, replyTo }) {
+  const text = requireCommentBody(body);
+  if (!COMMENT_AUTHORS.includes(author)) {
+    throw new ProjectDataError(`Invalid author: ${author}. Must be one of: ${COMMENT_AUTHORS.join(', ')}`);
+  }
+  // Threads are one level deep: a reply to a reply joins the thread it is in
+  let threadId = null;
+  if (replyTo) {
+    const target = requireComment(entity, replyTo);
+    threadId = target.replyTo || target.id;
+  }
+
+  const comment = {
+    id: generateId('cmt'),
+    author,
+    body: text,
+    replyTo: threadId,
+    createdAt: new Date().toISOString(),
+    editedAt: null,
+    history: []
+  };
+  if (!entity.comments) entity.comments = [];
+  entity.comments.push(comment);
+  return comment;
+}
+
+// Change a comment's text; the previous text is kept in its history with the time it was written
+function editComment(entity, commentId, { body }) {
+  const comment = requireComment(entity, commentId);
+  if (comment.deletedAt) {
+    throw new ProjectDataError('A deleted comment cannot be edited');
+  }
+  const text = requireCommentBody(body);
+  if (text === comment.body) return comment;
+
+  comment.history.push({ body: comment.body, writtenAt: comment.editedAt || comment.createdAt });
+  comment.body = text;
+  comment.editedAt = new Date().toISOString();
+  return comment;
+}
+
+// Delete a comment; one with replies is blanked instead, so its thread stays readable
+function deleteComment(entity, commentId) {
+  const comment = requireComment(entity, commentId);
+  const now = new Date().toISOString();
+
+  if (entity.comments.some(c => c.replyTo === comment.id)) {
+    Object.assign(comment, { body: '', history: [], deletedAt: now });
+    return comment;
+  }
+  entity.comments = entity.comments.filter(c => c.id !== comment.id);
+  // A blanked comment goes once its last reply does
+  const thread = comment.replyTo && entity.comments.find(c => c.id === comment.replyTo);
+  if (thread?.deletedAt && !entity.comments.some(c => c.replyTo === thread.id)) {
+    entity.comments = entity.comments.filter(c => c.id !== thread.id);
+  }
+  return { ...comment, deletedAt: now };
+}
+
+// An item's or task's comments as threads, oldest first: [{ ...comment, replies: [comment] }]
+function getCommentThreads(entity) {
+  const comments = entity.comments || [];
+  return comments
+    .filter(comment => !comment.replyTo)
+    .map(thread => ({ ...thread, replies: comments.filter(comment => comment.replyTo === thread.id) }));
+}
+
+// ========== PROMPT HISTORY & PLANS ==========
+
+// Append a prompt history entry; accepts {title, description} or legacy {content}
+function appendPromptEntry(entity, { role, title, description, content }) {
+  if (!title && !description && !content) {
+    throw new ProjectDataError('Prompt entry requires either {title, description} or {content}');
+  }
+
+  const entry = {
+    id: generateId('ph'),
+    timestamp: new Date().toISOString(),
+    entryType: 'prompt',
+    role: role || 'user',
+    title: title || (content ? content.substring(0, 80) + (content.length > 80 ? '...' : '') : ''),
+    description: description || content || ''
+  };
+
+  if (!entity.promptHistory) entity.promptHistory = [];
+  entity.promptHistory.push(entry);
+  return entry;
+}
+
+/**
+ * Store a new plan version (PLAN-v{N}.md) as an attachment of an item or task
+ * @param {Object} entity - Item or task
+ * @param {string} type - API type; tasks are stored under task/, everything else under item/
+ * @param {string} content - Plan markdown
+ * @param {string} attachmentsDir - Project attachments directory
+ * @returns {Promise<Object>} { version, filename, attachment, fullPath }
+ */
+async function savePlanVersion(entity, type, content, attachmentsDir) {
+  if (!content) {
+    throw new ProjectDataError('content is required');
+  }
+
+  const existingPlans = (entity.attachments || []).filter(a => a.filename?.startsWith('PLAN-v'));
+  const version = existingPlans.length + 1;
+  const filename = `PLAN-v${version}.md`;
+
+  const storageType = type === 'task' ? 'task' : 'item';
+  const itemDir = path.join(attachmentsDir, storageType, entity.id);
+  const fullPath = path.join(itemDir, filename);
+  await fs.mkdir(itemDir, { recursive: true });
+  await fs.writeFile(fullPath, content, 'utf-8');
+
+  const attachment = {
+    id: generateId('att'),
+    filename,
+    storedName: filename,
+    storedPath: `${storageType}/${entity.id}/${filename}`,
+    mimeType: 'text/markdown',
+    size: Buffer.byteLength(content, 'utf-8'),
+    uploadedAt: new Date().toISOString()
+  };
+
+  if (!entity.attachments) entity.attachments = [];
+  entity.attachments.push(attachment);
+  return { version, filename, attachment, fullPath };
+}
+
+module.exports = {
+  SYSTEM_SECTIONS,
+  TASK_STATUSES,
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  FIELD_TYPES,
+  DEFAULT_TAG_COLORS,
+  REVISIONED_TYPES,
+  RELATION_TYPES,
+  PRIORITIES,
+  COMMENT_AUTHORS,
+  ProjectDataError,
+  generateId,
+  normalizeWorkflow,
+  getWorkflow,
+  workflowFor,
+  statusCategory,
+  initialStatus,
+  requireStatus,
+  canTransition,
+  fitStatusToSection,
+  normalizeFieldDefs,
+  getFieldDefs,
+  findFieldDef,
+  applyFieldValues,
+  describeFields,
+  matchesFieldFilters,
+  parseFieldFilters,
+  fieldValuesInclude,
+  keyPrefixFromName,
+  normalizeKeyPrefix,
+  looksLikeKey,
+  assignItemKey,
+  assignTaskKey,
+  ensureKeys,
+  resolveKey,
+  itemIdPrefix,
+  itemCategoryIdPrefix,
+  getDefaultData,
+  migrateToV4,
+  getActiveProjectId,
+  getDataFilePath,
+  getAttachmentsDir,
+  loadData,
+  saveData,
+  getEntity,
+  requireEntity,
+  requireTag,
+  createItem,
+  createTask,
+  createSection,
+  createItemCategory,
+  createTaskCategory,
+  updateEntity,
+  moveItem,
+  moveTask,
+  deleteItem,
+  deleteTask,
+  deleteTaskCategory,
+  deleteItemCategory,
+  deleteSection,
+  deleteEntity,
+  deleteTag,
+  getTemplates,
+  requireTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createRelation,
+  deleteRelation,
+  pruneRelations,
+  getRelations,
+  getBlockers,
+  addComment,
+  editComment,
+  deleteComment,
+  getCommentThreads,
+  appendPromptEntry,
+  savePlanVersion
+};
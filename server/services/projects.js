@@ -0,0 +1,125 @@
+/**
+ * Projects metadata and global settings
+ *
+ * projects.json lists the projects (name, working directory, order) and
+ * settings.json holds the active project and UI preferences. Each project's
+ * data lives in its own directory under the projects directory; the routes
+ * and the services resolve those paths through this module.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getDataPaths } = require('../config');
+
+// Get paths from config
+const paths = getDataPaths();
+const DATA_DIR = paths.dataDir;
+const PROJECTS_FILE = paths.projectsFile;
+const SETTINGS_FILE = paths.settingsFile;
+const PROJECTS_DIR = paths.projectsDir;
+
+// Ensure data directory exists
+async function ensureDataDir() {
+  try {
+    await fs.access(DATA_DIR);
+  } catch {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+  }
+}
+
+// Ensure projects directory exists
+async function ensureProjectsDir() {
+  try {
+    await fs.access(PROJECTS_DIR);
+  } catch {
+    await fs.mkdir(PROJECTS_DIR, { recursive: true });
+  }
+}
+
+// Default projects data
+function getDefaultProjectsData() {
+  return {
+    version: 1,
+    lastModified: new Date().toISOString(),
+    projects: {},
+    order: []
+  };
+}
+
+// Default global settings
+function getDefaultSettings() {
+  return {
+    activeProjectId: null,
+    theme: 'system'
+  };
+}
+
+// Load projects metadata
+async function loadProjects() {
+  await ensureDataDir();
+  try {
+    const content = await fs.readFile(PROJECTS_FILE, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const defaultData = getDefaultProjectsData();
+      await saveProjects(defaultData);
+      return defaultData;
+    }
+    throw error;
+  }
+}
+
+// Save projects metadata
+async function saveProjects(data) {
+  data.lastModified = new Date().toISOString();
+  await ensureDataDir();
+  const tempFile = `${PROJECTS_FILE}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+  await fs.rename(tempFile, PROJECTS_FILE);
+}
+
+// Load global settings
+async function loadSettings() {
+  await ensureDataDir();
+  try {
+    const content = await fs.readFile(SETTINGS_FILE, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const defaultSettings = getDefaultSettings();
+      await saveSettings(defaultSettings);
+      return defaultSettings;
+    }
+    throw error;
+  }
+}
+
+// Save global settings
+async function saveSettings(settings) {
+  await ensureDataDir();
+  const tempFile = `${SETTINGS_FILE}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(settings, null, 2));
+  await fs.rename(tempFile, SETTINGS_FILE);
+}
+
+// Get project data file path
+function getProjectDataPath(projectId) {
+  return path.join(PROJECTS_DIR, projectId, 'data.json');
+}
+
+// Get project directory path
+function getProjectDir(projectId) {
+  return path.join(PROJECTS_DIR, projectId);
+}
+
+module.exports = {
+  ensureDataDir,
+  ensureProjectsDir,
+  loadProjects,
+  saveProjects,
+  loadSettings,
+  saveSettings,
+  getProjectDataPath,
+  getProjectDir
+};
@@ -0,0 +1,87 @@
+/**
+ * Revision tracking for optimistic concurrency
+ *
+ * Items, tasks and sections carry a `rev` counter that is bumped whenever one
+ * of their fields is edited directly (PATCH or the MCP update tool). The project
+ * document as a whole carries a `revision` counter bumped on every save.
+ * Moves, reorders, attachments, prompt history and cascades from deleting a tag
+ * or category don't bump the entity revision, so they never cause conflicts.
+ *
+ * Revisions are exposed as ETags; mutations may send them back in If-Match and
+ * are rejected with 409 when the entity changed in the meantime.
+ */
+
+// Collections whose entities carry a `rev`
+const REVISIONED_COLLECTIONS = ['sections', 'items', 'tasks'];
+
+// Bump an entity's revision after changing its fields
+function bumpRevision(entity) {
+  entity.rev = (entity.rev || 0) + 1;
+  return entity.rev;
+}
+
+// Bump the document-level revision (called on every save)
+function bumpDocumentRevision(data) {
+  data.revision = (data.revision || 0) + 1;
+  return data.revision;
+}
+
+// Prepare a document that replaces the current one wholesale (snapshot restore,
+// replace import): entities that differ from their current copy get a rev past
+// both, and the document revision carries on from the current one.
+function continueRevisions(current, next) {
+  for (const collection of REVISIONED_COLLECTIONS) {
+    for (const [id, entity] of Object.entries(next[collection] || {})) {
+      const currentEntity = current?.[collection]?.[id];
+      if (currentEntity && JSON.stringify(currentEntity) !== JSON.stringify(entity)) {
+        entity.rev = Math.max(entity.rev || 0, currentEntity.rev || 0) + 1;
+      }
+    }
+  }
+  next.revision = current?.revision || 0;
+}
+
+// Format a revision number as a strong ETag
+function formatEtag(rev) {
+  return `"${rev || 0}"`;
+}
+
+// Parse an If-Match header into a list of revision numbers (null means "any")
+function parseIfMatch(header) {
+  if (!header) return null;
+  const value = Array.isArray(header) ? header.join(',') : String(header);
+  if (value.trim() === '*') return null;
+  return value
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+    .filter(tag => tag !== '')
+    .map(tag => parseInt(tag, 10))
+    .filter(rev => !Number.isNaN(rev));
+}
+
+// Check a request's If-Match header against the current revision.
+// Requests without If-Match are allowed through (blind writes from older clients).
+function ifMatchSatisfied(req, currentRev) {
+  const expected = parseIfMatch(req.headers['if-match']);
+  if (expected === null) return true;
+  return expected.includes(currentRev || 0);
+}
+
+// Strip fields clients must never overwrite directly
+function stripRevisionFields(updates) {
+  if (!updates || typeof updates !== 'object') return updates;
+  delete updates.rev;
+  delete updates.revision;
+  return updates;
+}
+
+module.exports = {
+  REVISIONED_COLLECTIONS,
+  bumpRevision,
+  bumpDocumentRevision,
+  continueRevisions,
+  formatEtag,
+  parseIfMatch,
+  ifMatchSatisfied,
+  stripRevisionFields
+};
@@ -0,0 +1,321 @@
+/**
+ * Project data snapshots
+ *
+ * Keeps rolling, timestamped copies of a project's data in
+ * `<project dir>/snapshots/`, so a bad bulk save or a cascading delete can be
+ * undone. Snapshots are taken:
+ *
+ * - on an interval, for every project whose data changed since its last snapshot
+ * - right before destructive operations (replace-all saves, imports, deletes)
+ * - on demand through the API
+ *
+ * Each snapshot is one JSON file holding the full document; index.json lists
+ * them with a little metadata so the UI doesn't have to open every file. Old
+ * snapshots are pruned by count and age (`snapshots` in promptling.config.json).
+ *
+ * Attachments (plan files, uploads) are not part of a snapshot, but attachment
+ * cleanup leaves the files a kept snapshot references on disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadConfigSync } = require('../config');
+const { bumpDocumentRevision, continueRevisions } = require('./revisions');
+const storage = require('./storage');
+const { recordChanges } = require('./activity');
+
+const SNAPSHOTS_DIRNAME = 'snapshots';
+const INDEX_FILENAME = 'index.json';
+
+// Defaults for the `snapshots` config option
+const DEFAULT_SETTINGS = {
+  // Minutes between automatic snapshots (0 disables the interval)
+  intervalMinutes: 30,
+  // Snapshots kept per project
+  maxCount: 50,
+  // Snapshots older than this are removed (0 keeps them regardless of age)
+  maxAgeDays: 30
+};
+
+// Collections counted in snapshot metadata
+const COUNTED_COLLECTIONS = ['sections', 'items', 'tasks', 'tags'];
+
+// Snapshot IDs are generated here; anything else is rejected before touching the filesystem
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{9}Z-[a-z-]+$/;
+
+// Tail of the in-process queue for each snapshots directory
+const queues = new Map();
+
+let schedulerTimer = null;
+
+class SnapshotNotFoundError extends Error {
+  constructor(snapshotId) {
+    super(`Snapshot not found: ${snapshotId}`);
+    this.name = 'SnapshotNotFoundError';
+    this.status = 404;
+  }
+}
+
+// Snapshot settings merged over the defaults
+function getSnapshotSettings() {
+  const { snapshots } = loadConfigSync();
+  return { ...DEFAULT_SETTINGS, ...(snapshots || {}) };
+}
+
+// Directory holding a project's snapshots
+function getSnapshotsDir(dataFile) {
+  return path.join(path.dirname(dataFile), SNAPSHOTS_DIRNAME);
+}
+
+// Run fn after any pending snapshot work on the same directory
+function enqueue(dataFile, fn) {
+  const dir = getSnapshotsDir(dataFile);
+  const previous = queues.get(dir) || Promise.resolve();
+  const run = previous.then(fn, fn);
+  const tail = run.catch(() => {});
+  queues.set(dir, tail);
+  tail.then(() => {
+    if (queues.get(dir) === tail) queues.delete(dir);
+  });
+  return run;
+}
+
+// Sortable, filename-safe timestamp, e.g. 20261019T153012345Z
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+function countEntities(data) {
+  const counts = {};
+  for (const collection of COUNTED_COLLECTIONS) {
+    counts[collection] = Object.keys(data[collection] || {}).length;
+  }
+  return counts;
+}
+
+// Read the snapshot list, rebuilding it from the snapshot files if index.json is missing or damaged
+async function readIndex(dataFile) {
+  const dir = getSnapshotsDir(dataFile);
+  try {
+    const content = await fs.readFile(path.join(dir, INDEX_FILENAME), 'utf-8');
+    const index = JSON.parse(content);
+    if (Array.isArray(index.snapshots)) return index.snapshots;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      try {
+        await fs.access(dir);
+      } catch {
+        return [];
+      }
+    } else if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+  }
+  return rebuildIndex(dataFile);
+}
+
+async function rebuildIndex(dataFile) {
+  const dir = getSnapshotsDir(dataFile);
+  const files = await fs.readdir(dir);
+  const snapshots = [];
+  for (const file of files) {
+    const id = path.basename(file, '.json');
+    if (!file.endsWith('.json') || !SNAPSHOT_ID_PATTERN.test(id)) continue;
+    try {
+      const content = JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'));
+      if (content.snapshot) snapshots.push(content.snapshot);
+    } catch (error) {
+      console.warn(`Skipping unreadable snapshot ${file}:`, error.message);
+    }
+  }
+  snapshots.sort((a, b) => b.id.localeCompare(a.id));
+  await writeIndex(dataFile, snapshots);
+  return snapshots;
+}
+
+async function writeIndex(dataFile, snapshots) {
+  const dir = getSnapshotsDir(dataFile);
+  await fs.mkdir(dir, { recursive: true });
+  const indexFile = path.join(dir, INDEX_FILENAME);
+  const tempFile = `${indexFile}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify({ snapshots }, null, 2));
+  await fs.rename(tempFile, indexFile);
+}
+
+// Drop snapshots beyond the retention policy (list is newest first)
+async function prune(dataFile, snapshots) {
+  const { maxCount, maxAgeDays } = getSnapshotSettings();
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  const kept = [];
+  const removed = [];
+  snapshots.forEach((snapshot, i) => {
+    const tooMany = maxCount > 0 && i >= maxCount;
+    // The newest snapshot always survives the age limit
+    const tooOld = cutoff !== null && i > 0 && new Date(snapshot.createdAt).getTime() < cutoff;
+    (tooMany || tooOld ? removed : kept).push(snapshot);
+  });
+
+  const dir = getSnapshotsDir(dataFile);
+  for (const snapshot of removed) {
+    await fs.rm(path.join(dir, `${snapshot.id}.json`), { force: true });
+  }
+  return kept;
+}
+
+/**
+ * Take a snapshot of a project's stored data
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {string} reason - Why it was taken, e.g. "interval", "manual", "before-delete-section"
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Take it even if the data hasn't changed since the last snapshot
+ * @returns {Promise<Object|null>} Snapshot metadata, or null if nothing was stored or nothing changed
+ */
+function createSnapshot(dataFile, reason, { force = false } = {}) {
+  return enqueue(dataFile, async () => {
+    const data = await storage.readData(dataFile);
+    if (!data) return null;
+
+    const snapshots = await readIndex(dataFile);
+    // Every save bumps the revision, so an equal revision means identical data
+    if (!force && snapshots[0] && snapshots[0].revision === (data.revision || 0)) {
+      return null;
+    }
+
+    const now = new Date();
+    const snapshot = {
+      id: `${formatTimestamp(now)}-${reason.toLowerCase().replace(/[^a-z-]/g, '-')}`,
+      createdAt: now.toISOString(),
+      reason,
+      revision: data.revision || 0,
+      counts: countEntities(data)
+    };
+
+    const dir = getSnapshotsDir(dataFile);
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${snapshot.id}.json`);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify({ snapshot, data }, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+
+    await writeIndex(dataFile, await prune(dataFile, [snapshot, ...snapshots]));
+    return snapshot;
+  });
+}
+
+/**
+ * Snapshot a project before a destructive change. Failures are logged, not
+ * thrown, so a full disk doesn't block the user's change.
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {string} reason - e.g. "before-delete-section"
+ * @returns {Promise<Object|null>} Snapshot metadata, or null
+ */
+async function snapshotBefore(dataFile, reason) {
+  try {
+    return await createSnapshot(dataFile, reason);
+  } catch (error) {
+    console.error(`Error taking ${reason} snapshot of ${dataFile}:`, error);
+    return null;
+  }
+}
+
+/**
+ * List a project's snapshots, newest first
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @returns {Promise<Object[]>} Snapshot metadata
+ */
+function listSnapshots(dataFile) {
+  return enqueue(dataFile, () => readIndex(dataFile));
+}
+
+/**
+ * Read a snapshot
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {string} snapshotId
+ * @returns {Promise<Object>} { snapshot, data }
+ * @throws {SnapshotNotFoundError} If there is no such snapshot
+ */
+async function getSnapshot(dataFile, snapshotId) {
+  if (!SNAPSHOT_ID_PATTERN.test(snapshotId)) {
+    throw new SnapshotNotFoundError(snapshotId);
+  }
+  try {
+    const content = await fs.readFile(path.join(getSnapshotsDir(dataFile), `${snapshotId}.json`), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new SnapshotNotFoundError(snapshotId);
+    throw error;
+  }
+}
+
+/**
+ * Replace a project's data with a snapshot. The current data is snapshotted
+ * first, so a restore can itself be undone. The document revision continues
+ * from the current one, and entities that differ get a rev above their current
+ * one, so clients holding pre-restore ETags get a 409 instead of overwriting.
+ * What the restore changed is recorded in the project's history.
+ * Callers must hold the project's write lock.
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {string} snapshotId
+ * @param {Object} [origin] - Who restored it (see activity.describeOrigin)
+ * @returns {Promise<Object>} { restored, revision, backup } where backup is the pre-restore snapshot
+ */
+async function restoreSnapshot(dataFile, snapshotId, origin) {
+  const { snapshot, data } = await getSnapshot(dataFile, snapshotId);
+  // Unchanged since the last snapshot means that one already holds the current data
+  const backup = await createSnapshot(dataFile, 'before-restore')
+    || (await listSnapshots(dataFile))[0];
+  const current = await storage.readData(dataFile);
+
+  continueRevisions(current, data);
+  data.lastModified = new Date().toISOString();
+  bumpDocumentRevision(data);
+  await storage.writeData(dataFile, data);
+  await recordChanges(dataFile, current, data, origin);
+
+  return { restored: snapshot, revision: data.revision, backup };
+}
+
+/**
+ * Start taking interval snapshots of every project
+ * @param {Function} getDataFiles - Async function returning the data.json paths of all projects
+ */
+function startSnapshotScheduler(getDataFiles) {
+  const { intervalMinutes } = getSnapshotSettings();
+  if (schedulerTimer || !(intervalMinutes > 0)) return;
+
+  schedulerTimer = setInterval(async () => {
+    try {
+      for (const dataFile of await getDataFiles()) {
+        try {
+          await createSnapshot(dataFile, 'interval');
+        } catch (error) {
+          console.error(`Error taking interval snapshot of ${dataFile}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error running snapshot scheduler:', error);
+    }
+  }, intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for snapshots
+  schedulerTimer.unref();
+}
+
+function stopSnapshotScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  SnapshotNotFoundError,
+  getSnapshotSettings,
+  getSnapshotsDir,
+  createSnapshot,
+  snapshotBefore,
+  listSnapshots,
+  getSnapshot,
+  restoreSnapshot,
+  startSnapshotScheduler,
+  stopSnapshotScheduler
+};
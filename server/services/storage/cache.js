@@ -0,0 +1,129 @@
+/**
+ * In-memory cache of parsed project documents
+ *
+ * Reading a project used to mean reading the whole document from disk (or
+ * SQLite) on every request, plan polling included. The cache keeps each
+ * project's document as compact JSON text next to a signature of what is
+ * stored (file identity and size for JSON, SQLite's data_version for SQLite).
+ * While the signature is unchanged a read is a JSON.parse of that text, which
+ * is cheaper than deep-cloning a parsed document and gives every caller its
+ * own copy to mutate.
+ *
+ * A watcher on each cached project directory drops the entry as soon as the
+ * stored data changes behind our back: a hand edit, a git checkout, another
+ * instance's write. Watchers can be late or silent (network drives, some
+ * editors), so a hit still compares the signature first; that is a stat, not
+ * a parse.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+
+// Projects kept in memory; the least recently used one is dropped beyond this
+const MAX_ENTRIES = 20;
+
+// { backend, signature, text, watcher } by canonical data.json path
+const entries = new Map();
+
+// Close an entry's watcher and forget it
+function drop(dataFile) {
+  const entry = entries.get(dataFile);
+  if (!entry) return;
+  entries.delete(dataFile);
+  entry.watcher?.close();
+}
+
+// Watch the project directory for changes to the backend's files
+function watch(dataFile, backend) {
+  const prefix = path.basename(backend.location(dataFile));
+  try {
+    const watcher = fsSync.watch(path.dirname(dataFile), { persistent: false }, async (eventType, filename) => {
+      if (filename && !filename.startsWith(prefix)) return;
+      const entry = entries.get(dataFile);
+      if (!entry || entry.watcher !== watcher) return;
+      // Our own writes fire events too; only drop the entry if the data differs
+      try {
+        if (await backend.signature(dataFile) !== entry.signature) drop(dataFile);
+      } catch {
+        drop(dataFile);
+      }
+    });
+    watcher.on('error', () => drop(dataFile));
+    return watcher;
+  } catch {
+    // Without a watcher the signature check still catches changes
+    return null;
+  }
+}
+
+// Store a document (as text, so later changes to the object don't reach the cache)
+function store(dataFile, backend, signature, data) {
+  const existing = entries.get(dataFile);
+  const watcher = existing && existing.backend === backend ? existing.watcher : null;
+  if (existing && !watcher) existing.watcher?.close();
+  entries.delete(dataFile);
+
+  entries.set(dataFile, {
+    backend,
+    signature,
+    text: JSON.stringify(data),
+    watcher: watcher || watch(dataFile, backend)
+  });
+
+  while (entries.size > MAX_ENTRIES) {
+    drop(entries.keys().next().value);
+  }
+}
+
+/**
+ * Read a document through the cache
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {object} backend - Storage backend the project is stored in
+ * @returns {Promise<object|null>} A copy the caller is free to mutate, or null if nothing is stored
+ */
+async function read(dataFile, backend) {
+  const signature = await backend.signature(dataFile);
+  if (signature === null) {
+    drop(dataFile);
+    return null;
+  }
+
+  const entry = entries.get(dataFile);
+  if (entry && entry.backend === backend && entry.signature === signature) {
+    // Move to the most recently used end
+    entries.delete(dataFile);
+    entries.set(dataFile, entry);
+    return JSON.parse(entry.text);
+  }
+
+  const data = await backend.read(dataFile);
+  if (!data) {
+    drop(dataFile);
+    return null;
+  }
+  // Keep the signature from before the read: if a write raced it, the next read reloads
+  store(dataFile, backend, signature, data);
+  return data;
+}
+
+/**
+ * Write a document and cache what was written
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {object} backend - Storage backend the project is stored in
+ * @param {object} data - The document
+ */
+async function write(dataFile, backend, data) {
+  try {
+    await backend.write(dataFile, data);
+  } catch (error) {
+    drop(dataFile);
+    throw error;
+  }
+  store(dataFile, backend, await backend.signature(dataFile), data);
+}
+
+module.exports = {
+  read,
+  write,
+  invalidate: drop
+};
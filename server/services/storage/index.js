@@ -0,0 +1,200 @@
+/**
+ * Project data storage
+ *
+ * loadData/saveData go through this module instead of touching data.json
+ * directly. A project is always addressed by its canonical data.json path
+ * (which is also the write-lock key); the backend decides where the data
+ * actually lives:
+ *
+ * - json:   data.json, the whole document rewritten on every save
+ * - sqlite: data.db, one row per entity, only changed rows rewritten
+ *
+ * An existing project keeps whichever backend its files belong to. New projects
+ * use the `storage` option from promptling.config.json (default "json").
+ * scripts/migrate-storage.js converts a project between backends.
+ *
+ * Reads and writes go through an in-memory cache (see cache.js), so repeated
+ * reads of an unchanged project don't parse it again. Write listeners (see
+ * onWrite) run after every successful write, e.g. to mirror the data elsewhere.
+ */
+
+const { loadConfigSync } = require('../../config');
+const jsonStorage = require('./jsonStorage');
+const sqliteStorage = require('./sqliteStorage');
+const cache = require('./cache');
+
+const BACKENDS = {
+  [jsonStorage.name]: jsonStorage,
+  [sqliteStorage.name]: sqliteStorage
+};
+
+const DEFAULT_BACKEND = jsonStorage.name;
+
+// Functions called with (dataFile, data) after every write
+const writeListeners = [];
+
+/**
+ * Get a backend by name
+ * @param {string} name - "json" or "sqlite"
+ * @returns {object} Storage backend
+ */
+function getBackend(name) {
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(`Unknown storage backend "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return backend;
+}
+
+// Backend for projects that don't have any data yet
+function getDefaultBackend() {
+  const { storage } = loadConfigSync();
+  if (storage && BACKENDS[storage]) {
+    return BACKENDS[storage];
+  }
+  if (storage) {
+    console.warn(`Unknown storage backend "${storage}" in config, using ${DEFAULT_BACKEND}`);
+  }
+  return BACKENDS[DEFAULT_BACKEND];
+}
+
+/**
+ * Find the backend a project's data is stored in
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @returns {Promise<object>} Storage backend
+ */
+async function resolveBackend(dataFile) {
+  // Migration archives the old copy, so both only exist if files were copied by hand
+  if (await sqliteStorage.exists(dataFile)) return sqliteStorage;
+  if (await jsonStorage.exists(dataFile)) return jsonStorage;
+  return getDefaultBackend();
+}
+
+/**
+ * Read a project's data document
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @returns {Promise<object|null>} The document, or null if nothing is stored yet
+ */
+async function readData(dataFile) {
+  const backend = await resolveBackend(dataFile);
+  return cache.read(dataFile, backend);
+}
+
+/**
+ * Write a project's data document to the backend it is stored in
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {object} data - The document
+ */
+async function writeData(dataFile, data) {
+  const backend = await resolveBackend(dataFile);
+  await cache.write(dataFile, backend, data);
+
+  // The data is saved; a failing listener must not make the write look failed
+  for (const listener of writeListeners) {
+    try {
+      await listener(dataFile, data);
+    } catch (error) {
+      console.error(`Error in write listener for ${dataFile}:`, error);
+    }
+  }
+}
+
+/**
+ * Run a function after every write of project data. Errors it throws are
+ * logged, not passed on to the writer.
+ * @param {Function} listener - async (dataFile, data) => void
+ */
+function onWrite(listener) {
+  writeListeners.push(listener);
+}
+
+/**
+ * Convert a project's data to another backend. The old copy is kept with a
+ * `.bak-<timestamp>` suffix. Callers must hold the project's write lock.
+ * @param {string} dataFile - Canonical data.json path of the project
+ * @param {string} targetName - "json" or "sqlite"
+ * @returns {Promise<object>} { from, to, migrated, location, backup }
+ */
+async function migrateStorage(dataFile, targetName) {
+  const target = getBackend(targetName);
+  const source = await resolveBackend(dataFile);
+  cache.invalidate(dataFile);
+
+  if (source === target) {
+    return { from: source.name, to: target.name, migrated: false, location: target.location(dataFile) };
+  }
+
+  const data = await source.read(dataFile);
+  if (!data) {
+    throw new Error(`No data stored for ${dataFile}`);
+  }
+  // The target reads these back even if the source never had them, so they don't count as a difference
+  for (const collection of target.collections || []) {
+    if (!data[collection]) data[collection] = {};
+  }
+
+  // Write and verify the copy before moving the original aside
+  try {
+    await target.write(dataFile, data);
+    const copy = await target.read(dataFile);
+    if (JSON.stringify(normalize(copy)) !== JSON.stringify(normalize(data))) {
+      throw new Error(`Verification failed after copying ${dataFile} to ${target.name}`);
+    }
+  } catch (error) {
+    // Keep the source authoritative
+    if (await target.exists(dataFile)) {
+      await target.archive(dataFile, `.failed-${Date.now()}`);
+    }
+    throw error;
+  }
+
+  const suffix = `.bak-${Date.now()}`;
+  await source.archive(dataFile, suffix);
+  cache.invalidate(dataFile);
+
+  return {
+    from: source.name,
+    to: target.name,
+    migrated: true,
+    location: target.location(dataFile),
+    backup: `${source.location(dataFile)}${suffix}`
+  };
+}
+
+/**
+ * Let go of everything held open for a project's data (cached copy, file
+ * watcher, database connection), e.g. before its directory is deleted.
+ * Callers must hold the project's write lock.
+ * @param {string} dataFile - Canonical data.json path of the project
+ */
+function closeData(dataFile) {
+  cache.invalidate(dataFile);
+  for (const backend of Object.values(BACKENDS)) {
+    backend.close(dataFile);
+  }
+}
+
+// Sort object keys so documents compare equal regardless of key order
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = normalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+module.exports = {
+  BACKENDS,
+  getBackend,
+  getDefaultBackend,
+  resolveBackend,
+  readData,
+  writeData,
+  onWrite,
+  invalidateCache: cache.invalidate,
+  closeData,
+  migrateStorage
+};
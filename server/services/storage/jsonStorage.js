@@ -0,0 +1,74 @@
+/**
+ * JSON file storage backend
+ *
+ * Stores the whole project document as one pretty-printed data.json, written
+ * atomically (temp file, then rename). Easy to read, diff and back up by hand.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const name = 'json';
+
+// File holding the data (the canonical data.json path itself)
+function location(dataFile) {
+  return dataFile;
+}
+
+async function exists(dataFile) {
+  try {
+    await fs.access(dataFile);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Identity of the stored file (a save replaces it), or null if nothing is stored yet
+async function signature(dataFile) {
+  try {
+    const stat = await fs.stat(dataFile);
+    return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Read the project document, or null if nothing is stored yet
+async function read(dataFile) {
+  try {
+    const content = await fs.readFile(dataFile, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write the project document atomically
+async function write(dataFile, data) {
+  await fs.mkdir(path.dirname(dataFile), { recursive: true });
+  const tempFile = `${dataFile}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+  await fs.rename(tempFile, dataFile);
+}
+
+// Move the stored data aside (used after migrating to another backend)
+async function archive(dataFile, suffix) {
+  await fs.rename(dataFile, `${dataFile}${suffix}`);
+}
+
+// Nothing to release for plain files
+function close() {}
+
+module.exports = {
+  name,
+  location,
+  exists,
+  signature,
+  read,
+  write,
+  archive,
+  close
+};
@@ -0,0 +1,189 @@
+/**
+ * SQLite storage backend
+ *
+ * Stores a project in data.db next to where data.json would live. Each section,
+ * item, category, task, tag and trash entry is its own row, so a save only
+ * rewrites the rows that actually changed, inside a single transaction.
+ * Top-level fields (version, revision, sectionOrder, settings, ...) live in a
+ * key/value table.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const name = 'sqlite';
+
+// Database file name inside the project directory
+const DB_FILENAME = 'data.db';
+
+// Document fields stored one row per entity
+const COLLECTIONS = ['sections', 'items', 'itemCategories', 'tasks', 'taskCategories', 'tags', 'trash'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS entities (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    body TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+`;
+
+// Open connections ({ db, ino }), keyed by database path
+const connections = new Map();
+
+// File holding the data
+function location(dataFile) {
+  return path.join(path.dirname(dataFile), DB_FILENAME);
+}
+
+async function exists(dataFile) {
+  try {
+    await fs.access(location(dataFile));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Inode of a file, or null if it doesn't exist
+function fileIno(file) {
+  try {
+    return fsSync.statSync(file).ino;
+  } catch {
+    return null;
+  }
+}
+
+// Open (and create if needed) the database for a project
+function open(dataFile) {
+  const dbFile = location(dataFile);
+  const cached = connections.get(dbFile);
+  if (cached) {
+    // The file may have been migrated away (renamed) by another process since we opened it
+    if (fileIno(dbFile) === cached.ino) return cached.db;
+    cached.db.close();
+    connections.delete(dbFile);
+  }
+
+  fsSync.mkdirSync(path.dirname(dbFile), { recursive: true });
+  const db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+  connections.set(dbFile, { db, ino: fileIno(dbFile) });
+  return db;
+}
+
+// Identity of the stored data, or null if nothing is stored yet. data_version
+// changes whenever another connection (or process) commits
+async function signature(dataFile) {
+  if (!await exists(dataFile)) return null;
+  const db = open(dataFile);
+  return `${fileIno(location(dataFile))}:${db.pragma('data_version', { simple: true })}`;
+}
+
+// Read the project document, or null if nothing is stored yet
+async function read(dataFile) {
+  if (!await exists(dataFile)) return null;
+  const db = open(dataFile);
+
+  const metaRows = db.prepare('SELECT key, value FROM meta').all();
+  if (metaRows.length === 0) return null;
+
+  const data = {};
+  for (const { key, value } of metaRows) {
+    data[key] = JSON.parse(value);
+  }
+  for (const collection of COLLECTIONS) {
+    data[collection] = {};
+  }
+  const rows = db.prepare('SELECT collection, id, body FROM entities ORDER BY rowid').all();
+  for (const { collection, id, body } of rows) {
+    if (!data[collection]) data[collection] = {};
+    data[collection][id] = JSON.parse(body);
+  }
+  return data;
+}
+
+// Write the project document, touching only rows that changed
+async function write(dataFile, data) {
+  const db = open(dataFile);
+  const upsertEntity = db.prepare(
+    'INSERT INTO entities (collection, id, body) VALUES (?, ?, ?) ON CONFLICT (collection, id) DO UPDATE SET body = excluded.body'
+  );
+  const deleteEntity = db.prepare('DELETE FROM entities WHERE collection = ? AND id = ?');
+  const upsertMeta = db.prepare(
+    'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+  );
+
+  const save = db.transaction(() => {
+    // Current bodies, so unchanged rows are left alone
+    const stored = new Map();
+    for (const row of db.prepare('SELECT collection, id, body FROM entities').all()) {
+      stored.set(`${row.collection}\u0000${row.id}`, row);
+    }
+
+    for (const collection of COLLECTIONS) {
+      for (const [id, entity] of Object.entries(data[collection] || {})) {
+        const key = `${collection}\u0000${id}`;
+        const body = JSON.stringify(entity);
+        if (stored.get(key)?.body !== body) {
+          upsertEntity.run(collection, id, body);
+        }
+        stored.delete(key);
+      }
+    }
+    for (const row of stored.values()) {
+      deleteEntity.run(row.collection, row.id);
+    }
+
+    db.prepare('DELETE FROM meta').run();
+    for (const [key, value] of Object.entries(data)) {
+      if (COLLECTIONS.includes(key) || value === undefined) continue;
+      upsertMeta.run(key, JSON.stringify(value));
+    }
+  });
+  save();
+}
+
+// Close the connection to a project's database
+function close(dataFile) {
+  const dbFile = location(dataFile);
+  const cached = connections.get(dbFile);
+  if (cached) {
+    cached.db.close();
+    connections.delete(dbFile);
+  }
+}
+
+// Move the stored data aside (used after migrating to another backend)
+async function archive(dataFile, suffix) {
+  const db = open(dataFile);
+  // Fold the WAL into the main file so the archived copy is self-contained
+  db.pragma('wal_checkpoint(TRUNCATE)');
+  close(dataFile);
+  const dbFile = location(dataFile);
+  await fs.rename(dbFile, `${dbFile}${suffix}`);
+  for (const extra of [`${dbFile}-wal`, `${dbFile}-shm`]) {
+    await fs.rm(extra, { force: true });
+  }
+}
+
+module.exports = {
+  name,
+  // Collections read back as objects even when nothing was stored in them
+  collections: COLLECTIONS,
+  location,
+  exists,
+  signature,
+  read,
+  write,
+  archive,
+  close
+};
@@ -0,0 +1,368 @@
+/**
+ * Project trash
+ *
+ * Deleting an item, task, category or section moves it to `data.trash` instead
+ * of destroying it. A trash entry holds every entity the delete removed (an
+ * item's tasks and task categories, a section's items and categories, ...)
+ * plus where the root entity sat, so a restore puts it back into the same
+ * section, category and order position. Relations to and from the deleted
+ * items and tasks go with them, and come back if the other end still exists;
+ * a section's item templates go and come back with it.
+ *
+ * Entries older than the `trash.retentionDays` config option (default 30) are
+ * hidden from listings, no longer keep their attachment files alive, and are
+ * purged with the project's next save (see trashRetention.js).
+ */
+
+const { ProjectDataError, generateId, requireEntity, deleteEntity, pruneRelations } = require('./projectData');
+const { getExpiry, isExpired, purgeExpiredTrash } = require('./trashRetention');
+
+// Collections a delete can remove entities from
+const COLLECTIONS = ['sections', 'items', 'itemCategories', 'tasks', 'taskCategories', 'relations', 'templates'];
+
+// API type aliases, normalized for trash entries
+const TYPE_ALIASES = {
+  feature: 'item',
+  bug: 'item',
+  item: 'item',
+  task: 'task',
+  category: 'task-category',
+  'task-category': 'task-category',
+  'item-category': 'item-category',
+  section: 'section'
+};
+
+// Collection holding each trash entry type
+const TYPE_COLLECTIONS = {
+  item: 'items',
+  task: 'tasks',
+  'task-category': 'taskCategories',
+  'item-category': 'itemCategories',
+  section: 'sections'
+};
+
+function normalizeType(type) {
+  const normalized = TYPE_ALIASES[type];
+  if (!normalized) {
+    throw new ProjectDataError(`Invalid type: ${type}`);
+  }
+  return normalized;
+}
+
+// Where the root entity sits, so it can be put back in the same place
+function getPosition(data, type, entity) {
+  switch (type) {
+    case 'item': {
+      const category = entity.categoryId && data.itemCategories[entity.categoryId];
+      const order = category ? category.itemOrder : data.sections[entity.sectionId]?.itemOrder;
+      return { sectionId: entity.sectionId, categoryId: category ? category.id : null, index: (order || []).indexOf(entity.id) };
+    }
+    case 'task': {
+      const category = entity.categoryId && data.taskCategories[entity.categoryId];
+      const order = category ? category.taskOrder : data.items[entity.itemId]?.taskOrder;
+      return { itemId: entity.itemId, categoryId: category ? category.id : null, index: (order || []).indexOf(entity.id) };
+    }
+    case 'task-category':
+      return { itemId: entity.itemId, index: (data.items[entity.itemId]?.categoryOrder || []).indexOf(entity.id) };
+    case 'item-category':
+      return { sectionId: entity.sectionId, index: (data.sections[entity.sectionId]?.categoryOrder || []).indexOf(entity.id) };
+    case 'section':
+      return { index: data.sectionOrder.indexOf(entity.id) };
+  }
+}
+
+// IDs a delete of the entity removes, by collection (relations aside)
+function getCascade(data, type, entity) {
+  const cascade = {};
+  const add = (collection, ids) => {
+    if (!cascade[collection]) cascade[collection] = [];
+    cascade[collection].push(...ids);
+  };
+  const addItem = item => {
+    add('items', [item.id]);
+    add('tasks', item.taskOrder || []);
+    for (const category of Object.values(data.taskCategories)) {
+      if (category.itemId === item.id) {
+        add('taskCategories', [category.id]);
+        add('tasks', category.taskOrder || []);
+      }
+    }
+  };
+
+  if (type === 'item') {
+    addItem(entity);
+    return cascade;
+  }
+  add(TYPE_COLLECTIONS[type], [entity.id]);
+  if (type === 'section') {
+    Object.values(data.items).filter(item => item.sectionId === entity.id).forEach(addItem);
+    add('itemCategories', Object.values(data.itemCategories).filter(cat => cat.sectionId === entity.id).map(cat => cat.id));
+    add('templates', Object.values(data.templates || {}).filter(template => template.sectionId === entity.id).map(template => template.id));
+  }
+  return cascade;
+}
+
+// Insert an ID at a saved position (appended if the position is gone)
+function insertAt(order, id, index) {
+  if (index >= 0 && index <= order.length) {
+    order.splice(index, 0, id);
+  } else {
+    order.push(id);
+  }
+}
+
+// Entry summary returned by the API (without the stored entities)
+function summarize(entry) {
+  const counts = {};
+  for (const collection of COLLECTIONS) {
+    const count = Object.keys(entry.entities[collection] || {}).length;
+    if (count > 0) counts[collection] = count;
+  }
+  const expiry = getExpiry(entry);
+  return {
+    id: entry.id,
+    type: entry.type,
+    entityId: entry.entityId,
+    title: entry.title,
+    deletedAt: entry.deletedAt,
+    expiresAt: expiry ? expiry.toISOString() : null,
+    position: entry.position,
+    counts
+  };
+}
+
+/**
+ * Delete an entity (with its cascades) into the trash
+ * @param {Object} data - Loaded project data
+ * @param {string} type - API type (feature/bug/item, task, section, category, item-category)
+ * @param {string} id - Entity ID
+ * @returns {Object} Summary of the new trash entry
+ */
+function trashEntity(data, type, id) {
+  const trashType = normalizeType(type);
+  const entity = requireEntity(data, type, id);
+  const position = getPosition(data, trashType, entity);
+
+  // Deletes rewrite order arrays on entities they remove, so keep untouched copies
+  // of the cascade. Relations are only ever removed, never changed, so a
+  // shallow copy is enough to tell which ones went.
+  const copies = {};
+  for (const [collection, ids] of Object.entries(getCascade(data, trashType, entity))) {
+    for (const entityId of ids) {
+      if (data[collection]?.[entityId]) {
+        if (!copies[collection]) copies[collection] = {};
+        copies[collection][entityId] = structuredClone(data[collection][entityId]);
+      }
+    }
+  }
+  copies.relations = { ...data.relations };
+
+  deleteEntity(data, type, id);
+
+  const entities = {};
+  for (const [collection, copied] of Object.entries(copies)) {
+    for (const [entityId, removed] of Object.entries(copied)) {
+      if (!data[collection]?.[entityId]) {
+        if (!entities[collection]) entities[collection] = {};
+        entities[collection][entityId] = collection === 'relations' ? structuredClone(removed) : removed;
+      }
+    }
+  }
+
+  if (!data.trash) data.trash = {};
+  purgeExpiredTrash(data);
+
+  const entry = {
+    id: generateId('trash'),
+    type: trashType,
+    entityId: id,
+    title: entity.title || entity.name || id,
+    deletedAt: new Date().toISOString(),
+    position,
+    entities
+  };
+  data.trash[entry.id] = entry;
+  return summarize(entry);
+}
+
+/**
+ * List trash entries, newest first
+ * @param {Object} data - Loaded project data
+ * @returns {Object[]} Entry summaries (expired entries are left out)
+ */
+function listTrash(data) {
+  return Object.values(data.trash || {})
+    .filter(entry => !isExpired(entry))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    .map(summarize);
+}
+
+// Get a trash entry or throw a 404 ProjectDataError
+function requireTrashEntry(data, trashId) {
+  const entry = data.trash?.[trashId];
+  if (!entry || isExpired(entry)) {
+    throw new ProjectDataError('Trash entry not found', 404);
+  }
+  return entry;
+}
+
+// Whether an entry's root entity had this ID or key (case-insensitive)
+function matchesEntity(entry, idOrKey) {
+  if (entry.entityId === idOrKey) return true;
+  const key = entry.entities[TYPE_COLLECTIONS[entry.type]]?.[entry.entityId]?.key;
+  return Boolean(key) && typeof idOrKey === 'string' && key.toUpperCase() === idOrKey.trim().toUpperCase();
+}
+
+/**
+ * Find the newest trash entry for a deleted entity
+ * @param {Object} data - Loaded project data
+ * @param {string} type - API type of the deleted entity
+ * @param {string} entityId - ID or key the entity had before it was deleted
+ * @returns {Object} Trash entry
+ */
+function findTrashEntry(data, type, entityId) {
+  const trashType = normalizeType(type);
+  const entry = Object.values(data.trash || {})
+    .filter(e => e.type === trashType && matchesEntity(e, entityId) && !isExpired(e))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))[0];
+  if (!entry) {
+    throw new ProjectDataError(`${type} ${entityId} is not in the trash`, 404);
+  }
+  return entry;
+}
+
+// Throw a 409 ProjectDataError if a parent the entry needs is gone
+function requireParent(parent, kind, id) {
+  if (!parent) {
+    throw new ProjectDataError(`The ${kind} this was deleted from (${id}) no longer exists; restore it first`, 409);
+  }
+  return parent;
+}
+
+// Take entities back into a restored category from its parent's uncategorized list
+function reclaimMembers(category, memberKey, collection, parentKey, parentOrder) {
+  category[memberKey] = (category[memberKey] || []).filter(memberId => {
+    const member = collection[memberId];
+    if (!member || member[parentKey] !== category[parentKey] || member.categoryId) return false;
+    member.categoryId = category.id;
+    const index = parentOrder.indexOf(memberId);
+    if (index !== -1) parentOrder.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Put a trashed entity and everything deleted with it back where it was
+ * @param {Object} data - Loaded project data
+ * @param {string} trashId - Trash entry ID
+ * @returns {Object} { type, id, entity } of the restored root entity
+ */
+function restoreFromTrash(data, trashId) {
+  const entry = requireTrashEntry(data, trashId);
+  const { type, entityId, position, entities } = entry;
+
+  for (const collection of COLLECTIONS) {
+    for (const id of Object.keys(entities[collection] || {})) {
+      if (data[collection]?.[id]) {
+        throw new ProjectDataError(`Cannot restore: ${id} already exists`, 409);
+      }
+    }
+  }
+
+  // Check parents before changing anything
+  let section;
+  let item;
+  if (type === 'item' || type === 'item-category') {
+    section = requireParent(data.sections[position.sectionId], 'section', position.sectionId);
+  } else if (type === 'task' || type === 'task-category') {
+    item = requireParent(data.items[position.itemId], 'item', position.itemId);
+  }
+
+  for (const collection of COLLECTIONS) {
+    if (!data[collection]) data[collection] = {};
+    Object.assign(data[collection], entities[collection] || {});
+  }
+
+  // Drop tags that were deleted while the entities were in the trash
+  for (const restored of [...Object.values(entities.items || {}), ...Object.values(entities.tasks || {})]) {
+    if (restored.tagIds) {
+      restored.tagIds = restored.tagIds.filter(tagId => data.tags?.[tagId]);
+    }
+  }
+  // and relations whose other end is gone
+  pruneRelations(data);
+
+  switch (type) {
+    case 'item': {
+      const restored = data.items[entityId];
+      const category = position.categoryId && data.itemCategories[position.categoryId];
+      if (category && category.sectionId === section.id) {
+        insertAt(category.itemOrder, entityId, position.index);
+      } else {
+        restored.categoryId = null;
+        insertAt(section.itemOrder, entityId, position.index);
+      }
+      break;
+    }
+    case 'task': {
+      const restored = data.tasks[entityId];
+      const category = position.categoryId && data.taskCategories[position.categoryId];
+      if (category && category.itemId === item.id) {
+        insertAt(category.taskOrder, entityId, position.index);
+      } else {
+        restored.categoryId = null;
+        insertAt(item.taskOrder, entityId, position.index);
+      }
+      break;
+    }
+    case 'task-category': {
+      const category = data.taskCategories[entityId];
+      if (!item.categoryOrder) item.categoryOrder = [];
+      insertAt(item.categoryOrder, entityId, position.index);
+      reclaimMembers(category, 'taskOrder', data.tasks, 'itemId', item.taskOrder);
+      break;
+    }
+    case 'item-category': {
+      const category = data.itemCategories[entityId];
+      insertAt(section.categoryOrder, entityId, position.index);
+      reclaimMembers(category, 'itemOrder', data.items, 'sectionId', section.itemOrder);
+      break;
+    }
+    case 'section':
+      insertAt(data.sectionOrder, entityId, position.index);
+      break;
+  }
+
+  delete data.trash[trashId];
+  return { type, id: entityId, entity: data[TYPE_COLLECTIONS[type]][entityId] };
+}
+
+/**
+ * Permanently delete a trash entry
+ * @param {Object} data - Loaded project data
+ * @param {string} trashId - Trash entry ID
+ */
+function purgeTrashEntry(data, trashId) {
+  requireTrashEntry(data, trashId);
+  delete data.trash[trashId];
+}
+
+/**
+ * Permanently delete everything in the trash
+ * @param {Object} data - Loaded project data
+ * @returns {number} Number of entries purged
+ */
+function emptyTrash(data) {
+  const count = Object.keys(data.trash || {}).length;
+  data.trash = {};
+  return count;
+}
+
+module.exports = {
+  trashEntity,
+  listTrash,
+  findTrashEntry,
+  restoreFromTrash,
+  purgeTrashEntry,
+  emptyTrash
+};
@@ -0,0 +1,59 @@
+/**
+ * Trash retention
+ *
+ * Trash entries older than the `trash.retentionDays` config option (default
+ * 30, 0 keeps them until emptied by hand) have expired: the trash hides them,
+ * attachment cleanup no longer counts them as owners, and saveData purges
+ * them. Kept apart from the trash service so the project data service can
+ * purge on save without loading it.
+ */
+
+const { loadConfigSync } = require('../config');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days entries are kept (0 keeps them until emptied by hand)
+function getRetentionDays() {
+  const { trash } = loadConfigSync();
+  return trash?.retentionDays ?? DEFAULT_RETENTION_DAYS;
+}
+
+// When an entry will be purged, or null if it is kept indefinitely
+function getExpiry(entry) {
+  const days = getRetentionDays();
+  if (!(days > 0)) return null;
+  return new Date(new Date(entry.deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether a trash entry is past the retention period
+ * @param {Object} entry - Trash entry
+ * @param {Date} [now] - Point in time to check against
+ * @returns {boolean}
+ */
+function isExpired(entry, now = new Date()) {
+  const expiry = getExpiry(entry);
+  return expiry !== null && expiry <= now;
+}
+
+/**
+ * Remove trash entries past the retention period
+ * @param {Object} data - Loaded project data
+ * @returns {number} Number of entries purged
+ */
+function purgeExpiredTrash(data) {
+  let purged = 0;
+  for (const entry of Object.values(data.trash || {})) {
+    if (isExpired(entry)) {
+      delete data.trash[entry.id];
+      purged++;
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  getExpiry,
+  isExpired,
+  purgeExpiredTrash
+};